@@ -9,6 +9,10 @@
  * - Sidebar navigation integration
  * - Loading state management during auth initialization
  * - User session persistence across app restarts
+ * - Shared project/task data store provided once after Firebase confirms auth
+ * - App preferences provided above the data store (e.g. trash retention)
+ * - Snackbar notifications and in-app dialogs available to every screen
+ * - Offline sync status and pending-write queue
  * 
  * Authentication Flow:
  * 1. Check for stored authentication state (offline persistence)
@@ -28,12 +32,22 @@ import { onAuthStateChanged } from 'firebase/auth';
 import AuthScreen from './src/screens/AuthScreen';
 import ProjectsScreen from './src/screens/ProjectsScreen';
 import CalendarScreen from './src/screens/CalendarScreen';
+import TimelineScreen from './src/screens/TimelineScreen';
+import ProjectAnalyticsScreen from './src/screens/ProjectAnalyticsScreen';
 import AnalyticsScreen from './src/screens/AnalyticsScreen';
 import ProfileScreen from './src/screens/ProfileScreen';
 import SettingsScreen from './src/screens/SettingsScreen';
+import TrashScreen from './src/screens/TrashScreen';
+import SearchScreen from './src/screens/SearchScreen';
+import SmartListScreen from './src/screens/SmartListScreen';
 
 // Components
 import SidebarMenu from './src/components/SidebarMenu';
+import { DataProvider } from './src/contexts/DataContext';
+import { PreferencesProvider } from './src/contexts/PreferencesContext';
+import { SyncProvider } from './src/contexts/SyncProvider';
+import { SnackbarProvider } from './src/components/Snackbar';
+import { DialogProvider } from './src/components/Dialog';
 
 // Configuration & Utils
 import { auth } from './src/config/firebase';
@@ -47,6 +61,8 @@ export default function AppNavigator() {
   const [isLoading, setIsLoading] = React.useState(true);
   const [showSidebar, setShowSidebar] = React.useState(false);
   const [user, setUser] = React.useState(null);
+  // Only set once Firebase itself confirms the session, so Firestore listeners have valid credentials
+  const [confirmedUserId, setConfirmedUserId] = React.useState(null);
 
   // Enhanced authentication state management with persistence
   React.useEffect(() => {
@@ -78,6 +94,7 @@ export default function AppNavigator() {
             // User is confirmed by Firebase - update with fresh data
             console.log('Firebase confirmed authentication for:', user.email);
             setUser(user);
+            setConfirmedUserId(user.uid);
             setIsAuthenticated(true);
             // Update stored auth state with fresh data
             await storeAuthState(user, 'email');
@@ -90,6 +107,7 @@ export default function AppNavigator() {
             }
             // Clear authentication state
             setUser(null);
+            setConfirmedUserId(null);
             setIsAuthenticated(false);
             console.log('User signed out or session expired');
           }
@@ -128,12 +146,18 @@ export default function AppNavigator() {
       case 'calendar':
         navigation.navigate('Calendar');
         break;
+      case 'timeline':
+        navigation.navigate('Timeline');
+        break;
       case 'profile':
         navigation.navigate('Profile');
         break;
       case 'settings':
         navigation.navigate('Settings');
         break;
+      case 'search':
+        navigation.navigate('Search');
+        break;
       default:
         break;
     }
@@ -161,74 +185,124 @@ export default function AppNavigator() {
 
   // Render SidebarMenu once at the top level, pass openSidebar to all screens
   return (
-    <NavigationContainer ref={navigationRef}>
-      <>
-        <Stack.Navigator screenOptions={{ headerShown: false }}>
-          {isAuthenticated ? (
-            <>
-              <Stack.Screen name="Projects">
-                {props => (
-                  <ProjectsScreen
-                    {...props}
-                    openSidebar={() => setShowSidebar(true)}
-                  />
-                )}
-              </Stack.Screen>
-              <Stack.Screen name="Calendar">
-                {props => (
-                  <CalendarScreen
-                    {...props}
-                    openSidebar={() => setShowSidebar(true)}
-                  />
-                )}
-              </Stack.Screen>
-              <Stack.Screen name="Analytics">
-                {props => (
-                  <AnalyticsScreen
-                    {...props}
-                    openSidebar={() => setShowSidebar(true)}
+    <PreferencesProvider>
+      <DataProvider userId={confirmedUserId}>
+        <SnackbarProvider>
+          <SyncProvider userId={confirmedUserId}>
+            <DialogProvider>
+              <NavigationContainer ref={navigationRef}>
+                <>
+                  <Stack.Navigator screenOptions={{ headerShown: false }}>
+                    {isAuthenticated ? (
+                      <>
+                        <Stack.Screen name="Projects">
+                          {props => (
+                            <ProjectsScreen
+                              {...props}
+                              openSidebar={() => setShowSidebar(true)}
+                            />
+                          )}
+                        </Stack.Screen>
+                        <Stack.Screen name="Calendar">
+                          {props => (
+                            <CalendarScreen
+                              {...props}
+                              openSidebar={() => setShowSidebar(true)}
+                            />
+                          )}
+                        </Stack.Screen>
+                        <Stack.Screen name="Timeline">
+                          {props => (
+                            <TimelineScreen
+                              {...props}
+                              openSidebar={() => setShowSidebar(true)}
+                            />
+                          )}
+                        </Stack.Screen>
+                        <Stack.Screen name="Analytics">
+                          {props => (
+                            <AnalyticsScreen
+                              {...props}
+                              openSidebar={() => setShowSidebar(true)}
+                            />
+                          )}
+                        </Stack.Screen>
+                        <Stack.Screen name="ProjectAnalytics">
+                          {props => (
+                            <ProjectAnalyticsScreen
+                              {...props}
+                              openSidebar={() => setShowSidebar(true)}
+                            />
+                          )}
+                        </Stack.Screen>
+                        <Stack.Screen name="Profile">
+                          {props => (
+                            <ProfileScreen
+                              {...props}
+                              openSidebar={() => setShowSidebar(true)}
+                            />
+                          )}
+                        </Stack.Screen>
+                        <Stack.Screen name="Settings">
+                          {props => (
+                            <SettingsScreen
+                              {...props}
+                              openSidebar={() => setShowSidebar(true)}
+                            />
+                          )}
+                        </Stack.Screen>
+                        <Stack.Screen name="Trash">
+                          {props => (
+                            <TrashScreen
+                              {...props}
+                              openSidebar={() => setShowSidebar(true)}
+                            />
+                          )}
+                        </Stack.Screen>
+                        <Stack.Screen name="Search">
+                          {props => (
+                            <SearchScreen
+                              {...props}
+                              openSidebar={() => setShowSidebar(true)}
+                            />
+                          )}
+                        </Stack.Screen>
+                        <Stack.Screen name="SmartList">
+                          {props => (
+                            <SmartListScreen
+                              {...props}
+                              openSidebar={() => setShowSidebar(true)}
+                            />
+                          )}
+                        </Stack.Screen>
+                      </>
+                    ) : (
+                      <Stack.Screen name="Auth" component={AuthScreen} />
+                    )}
+                  </Stack.Navigator>
+                  <SidebarMenu
+                    visible={showSidebar}
+                    onClose={() => setShowSidebar(false)}
+                    currentTheme="dark"
+                    user={user}
+                    onThemeToggle={() => {
+                      console.log('Theme toggle pressed');
+                    }}
+                    onNavigate={(screen, params) => {
+                      setShowSidebar(false);
+                      if (navigationRef.isReady()) {
+                        let target = screen;
+                        if (screen === 'home') target = 'Projects';
+                        navigationRef.navigate(target, params);
+                      }
+                    }}
                   />
-                )}
-              </Stack.Screen>
-              <Stack.Screen name="Profile">
-                {props => (
-                  <ProfileScreen
-                    {...props}
-                    openSidebar={() => setShowSidebar(true)}
-                  />
-                )}
-              </Stack.Screen>
-              <Stack.Screen name="Settings">
-                {props => (
-                  <SettingsScreen
-                    {...props}
-                    openSidebar={() => setShowSidebar(true)}
-                  />
-                )}
-              </Stack.Screen>
-            </>
-          ) : (
-            <Stack.Screen name="Auth" component={AuthScreen} />
-          )}
-        </Stack.Navigator>
-        <SidebarMenu
-          visible={showSidebar}
-          onClose={() => setShowSidebar(false)}
-          currentTheme="dark"
-          user={user}
-          onThemeToggle={() => {
-            console.log('Theme toggle pressed');
-          }}
-          onNavigate={screen => {
-            setShowSidebar(false);
-            if (navigationRef.isReady()) {
-              let target = screen;
-              if (screen === 'home') target = 'Projects';
-              navigationRef.navigate(target);
-            }
-          }}
-        />
-      </>
-    </NavigationContainer>
+                </>
+              </NavigationContainer>
+            </DialogProvider>
+          </SyncProvider>
+        </SnackbarProvider>
+      </DataProvider>
+    </PreferencesProvider>
   );
 }
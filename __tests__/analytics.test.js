@@ -0,0 +1,110 @@
+/**
+ * analytics.test.js - Unit tests for completion analytics
+ *
+ * This test suite validates:
+ * - Calendar periods and their chart buckets
+ * - Completions, reopens, completion rate and cycle time from recorded events
+ * - Detecting projects whose completion state changed
+ * - Burndown/burnup series replayed from task history
+ *
+ * Test Framework: Jest
+ */
+
+import {
+  getAnalyticsPeriod,
+  calculateAnalytics,
+  getProjectCompletionChanges,
+  buildBurnChart,
+} from '../src/utils/analytics';
+
+// Minimal stand-in for a Firestore Timestamp
+const ts = (date) => ({ toDate: () => date });
+const event = (completed, date) => ({ completed, at: ts(date) });
+
+describe('analytics', () => {
+  const now = new Date(2025, 9, 15, 12); // Wed 15 Oct 2025
+
+  it('splits calendar periods into day, week and month buckets', () => {
+    const week = getAnalyticsPeriod('week', now);
+    expect(week.start).toEqual(new Date(2025, 9, 12));
+    expect(week.buckets.map((bucket) => bucket.label)).toEqual(['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']);
+
+    const month = getAnalyticsPeriod('month', now);
+    expect(month.buckets.map((bucket) => bucket.start.getDate())).toEqual([1, 8, 15, 22, 29]);
+    expect(month.end).toEqual(new Date(2025, 10, 1));
+
+    expect(getAnalyticsPeriod('year', now).buckets).toHaveLength(12);
+  });
+
+  it('counts completions from events and ignores reopened items', () => {
+    const created = new Date(2025, 9, 10);
+    const tasks = [
+      // Completed Monday after 3 days
+      { id: 'done', completed: true, priority: 'urgent', createdAt: ts(created), completionEvents: [event(true, new Date(2025, 9, 13))] },
+      // Completed, reopened and completed again on Tuesday after 4 days
+      {
+        id: 'redone',
+        completed: true,
+        createdAt: ts(created),
+        completionEvents: [event(true, new Date(2025, 9, 11)), event(false, new Date(2025, 9, 13)), event(true, new Date(2025, 9, 14))],
+      },
+      // Reopened this week, so not a completion
+      { id: 'reopened', completed: false, createdAt: ts(created), completionEvents: [event(true, new Date(2025, 9, 11)), event(false, new Date(2025, 9, 12))] },
+      // Completed last week (no history, only completedAt)
+      { id: 'old', completed: true, createdAt: ts(created), completedAt: ts(new Date(2025, 9, 11)) },
+    ];
+
+    const result = calculateAnalytics([], tasks, 'week', now);
+
+    expect(result.completedTasks).toBe(2);
+    expect(result.totalTasks).toBe(3);
+    expect(result.completionRate).toBe(67);
+    expect(result.reopenedItems).toBe(2);
+    expect(result.avgCompletionTime).toBe(3.5);
+    expect(result.completionTrend.map((bucket) => bucket.count)).toEqual([0, 1, 1, 0, 0, 0, 0]);
+    expect(result.priorityDistribution).toEqual({ high: 1, medium: 2, low: 0 });
+  });
+
+  it('finds projects whose tasks were all completed or reopened', () => {
+    const finishedAt = new Date(2025, 9, 14);
+    const changes = getProjectCompletionChanges(
+      [
+        { id: 'finished', completed: false },
+        { id: 'reopened', completed: true },
+        { id: 'unchanged', completed: true },
+        { id: 'empty', completed: false },
+      ],
+      {
+        finished: [{ completed: true, completedAt: ts(finishedAt) }, { completed: true, completedAt: ts(new Date(2025, 9, 2)) }],
+        reopened: [{ completed: true }, { completed: false }],
+        unchanged: [{ completed: true }],
+      },
+      now
+    );
+
+    expect(changes.map(({ project, completed, at }) => [project.id, completed, at])).toEqual([
+      ['finished', true, finishedAt],
+      ['reopened', false, now],
+    ]);
+  });
+
+  it('replays scope and completions day by day for the burn charts', () => {
+    const project = { id: 'p1', createdAt: ts(new Date(2025, 9, 12, 9)), deadline: ts(new Date(2025, 9, 18, 17)) };
+    const tasks = [
+      { id: 'a', createdAt: ts(new Date(2025, 9, 12, 10)), completed: true, completionEvents: [event(true, new Date(2025, 9, 13, 11))] },
+      { id: 'b', createdAt: ts(new Date(2025, 9, 12, 10)), completed: false },
+      // Scope added on day 3
+      { id: 'c', createdAt: ts(new Date(2025, 9, 14, 10)), completed: false },
+    ];
+
+    const chart = buildBurnChart(project, tasks, now);
+
+    expect(chart.points).toHaveLength(7);
+    expect(chart.todayIndex).toBe(3);
+    expect(chart.deadlineIndex).toBe(6);
+    expect(chart.points.map((point) => point.scope)).toEqual([2, 2, 3, 3, null, null, null]);
+    expect(chart.points.map((point) => point.remaining)).toEqual([2, 1, 2, 2, null, null, null]);
+    expect(chart.points[0].ideal).toBe(3);
+    expect(chart.points[6].ideal).toBe(0);
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * bulkAdd.test.js - Unit tests for parsing pasted task lists
+ *
+ * This test suite validates:
+ * - Plain lines, bullets, numbered and checkbox lists
+ * - Indented lines turned into checklist items
+ * - Date, priority and project words on each line
+ *
+ * Test Framework: Jest
+ */
+
+import { parseBulkTasks } from '../src/utils/bulkAdd';
+
+describe('bulkAdd', () => {
+  const now = new Date(2025, 9, 15, 12);
+  const projects = [{ id: 'p1', title: 'Client X' }];
+
+  it('reads one task per outer line and skips headings and blanks', () => {
+    const drafts = parseBulkTasks('# Meeting notes\n\nPlain line\n- Bullet\n2. Numbered\n* [x] Checkbox\n', { now });
+    expect(drafts.map((draft) => draft.title)).toEqual(['Plain line', 'Bullet', 'Numbered', 'Checkbox']);
+  });
+
+  it('turns indented lines into checklist items', () => {
+    const drafts = parseBulkTasks('- Book room\n    - [ ] Check projector\n\t- [x] Ask for budget\n- Send notes', { now });
+
+    expect(drafts).toHaveLength(2);
+    expect(drafts[0].checklist.map(({ text, done }) => ({ text, done }))).toEqual([
+      { text: 'Check projector', done: false },
+      { text: 'Ask for budget', done: true },
+    ]);
+    expect(drafts[1].checklist).toEqual([]);
+  });
+
+  it('parses dates, priorities and projects on each line', () => {
+    const [draft] = parseBulkTasks('  - Send invoice fri !urgent #clientx', { projects, now });
+
+    expect(draft.title).toBe('Send invoice');
+    expect(draft.deadline).toEqual(new Date(2025, 9, 17));
+    expect(draft.priority).toBe('urgent');
+    expect(draft.project.id).toBe('p1');
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * bulkEdit.test.js - Unit tests for multi-select bulk changes
+ *
+ * This test suite validates:
+ * - Reading tags and day counts typed into the bulk prompts
+ * - Shifting dates while keeping their time of day
+ * - The fields each bulk action writes, and skipping items it wouldn't change
+ * - Unlinking tasks left behind from the tasks moved to another project
+ *
+ * Test Framework: Jest
+ */
+
+import {
+  parseTags,
+  mergeTags,
+  parseDayShift,
+  shiftDate,
+  getBulkChanges,
+  getMovedBlockerUnlinks,
+  MAX_TAGS,
+} from '../src/utils/bulkEdit';
+
+describe('bulkEdit', () => {
+  it('reads comma-separated tags without repeats', () => {
+    expect(parseTags(' design, #Client  X,DESIGN,, ')).toEqual(['design', 'Client X']);
+    expect(parseTags(null)).toEqual([]);
+    expect(mergeTags(['Design'], ['design', 'q4'])).toEqual(['Design', 'q4']);
+
+    const many = Array.from({ length: MAX_TAGS + 5 }, (_, index) => `t${index}`);
+    expect(mergeTags([], many)).toHaveLength(MAX_TAGS);
+  });
+
+  it('reads day counts and rejects zero or nonsense', () => {
+    expect(parseDayShift('3')).toBe(3);
+    expect(parseDayShift('+2 days')).toBe(2);
+    expect(parseDayShift('-1d')).toBe(-1);
+    expect(parseDayShift('0')).toBeNull();
+    expect(parseDayShift('1.5')).toBeNull();
+    expect(parseDayShift('soon')).toBeNull();
+    expect(parseDayShift('99999')).toBeNull();
+  });
+
+  it('shifts dates by calendar days and keeps the time of day', () => {
+    const shifted = shiftDate(new Date(2025, 0, 30, 14, 30), 3);
+    expect(shifted.getMonth()).toBe(1);
+    expect(shifted.getDate()).toBe(2);
+    expect(shifted.getHours()).toBe(14);
+    expect(shifted.getMinutes()).toBe(30);
+  });
+
+  it('builds the changes for each action', () => {
+    const now = new Date(2025, 9, 15);
+    const task = {
+      id: 't1',
+      projectId: 'p1',
+      priority: 'low',
+      completed: false,
+      status: 'review',
+      blockedBy: ['t0'],
+      tags: ['design'],
+      deadline: new Date(2025, 9, 31),
+      startDate: null,
+      repeat: { frequency: 'monthly', interval: 1, monthlyMode: 'date', monthDay: 31 },
+    };
+
+    expect(getBulkChanges(task, { type: 'complete' })).toEqual({ completed: true });
+    expect(getBulkChanges(task, { type: 'trash' }, now)).toEqual({ deletedAt: now });
+    expect(getBulkChanges(task, { type: 'restore' })).toEqual({ deletedAt: null });
+    expect(getBulkChanges(task, { type: 'priority', priority: 'urgent' })).toEqual({ priority: 'urgent' });
+    expect(getBulkChanges(task, { type: 'move', projectId: 'p2' }))
+      .toEqual({ projectId: 'p2', status: null, blockedBy: [] });
+    expect(getBulkChanges(task, { type: 'addTags', tags: ['Design', 'q4'] })).toEqual({ tags: ['design', 'q4'] });
+
+    const shifted = getBulkChanges(task, { type: 'shiftDeadline', days: 2 });
+    expect(shifted.deadline).toEqual(new Date(2025, 10, 2));
+    expect(shifted.startDate).toBeNull();
+    // The monthly rule follows the new due date
+    expect(shifted.repeat.monthDay).toBe(2);
+  });
+
+  it('skips items an action would not change', () => {
+    const item = { completed: true, priority: 'urgent', projectId: 'p1', tags: ['a'], deadline: null };
+
+    expect(getBulkChanges(item, { type: 'complete' })).toBeNull();
+    expect(getBulkChanges(item, { type: 'priority', priority: 'urgent' })).toBeNull();
+    expect(getBulkChanges(item, { type: 'move', projectId: 'p1' })).toBeNull();
+    expect(getBulkChanges(item, { type: 'addTags', tags: ['A'] })).toBeNull();
+    expect(getBulkChanges(item, { type: 'shiftDeadline', days: 1 })).toBeNull();
+    expect(() => getBulkChanges(item, { type: 'archive' })).toThrow('Unknown bulk action');
+  });
+
+  it('unlinks the tasks left behind from the moved ones', () => {
+    const moved = [{ id: 't1' }, { id: 't2', blockedBy: ['t1'] }];
+    const others = [
+      ...moved,
+      { id: 't3', blockedBy: ['t1', 't4'] },
+      { id: 't4', blockedBy: ['t2'] },
+      { id: 't5', blockedBy: ['t4'] },
+      { id: 't6' },
+    ];
+
+    expect(getMovedBlockerUnlinks(moved, others)).toEqual([
+      { task: others[2], changes: { blockedBy: ['t4'] } },
+      { task: others[3], changes: { blockedBy: [] } },
+    ]);
+    expect(getMovedBlockerUnlinks([], others)).toEqual([]);
+  });
+});
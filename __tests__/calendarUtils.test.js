@@ -0,0 +1,71 @@
+/**
+ * calendarUtils.test.js - Unit tests for calendar periods and the agenda
+ *
+ * This test suite validates:
+ * - Days shown by the week, 3-day and day modes
+ * - Moving between periods in each mode
+ * - Agenda grouping with overdue items first
+ * - New dates for a deadline dragged to another day
+ *
+ * Test Framework: Jest
+ */
+
+import {
+  getPeriodDays,
+  getPeriodRange,
+  shiftPeriod,
+  buildAgenda,
+  getRescheduledDates,
+} from '../src/utils/calendarUtils';
+
+// Local calendar day, for readable assertions
+const day = (date) => `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+
+describe('calendarUtils', () => {
+  const wednesday = new Date(2025, 11, 31, 15); // Wed 31 Dec 2025
+
+  it('lists the days of week, 3-day and day periods', () => {
+    expect(getPeriodDays('week', wednesday).map(day)).toEqual([
+      '2025-12-28', '2025-12-29', '2025-12-30', '2025-12-31', '2026-1-1', '2026-1-2', '2026-1-3',
+    ]);
+    expect(getPeriodDays('threeDay', wednesday).map(day)).toEqual(['2025-12-31', '2026-1-1', '2026-1-2']);
+    expect(getPeriodDays('day', wednesday).map(day)).toEqual(['2025-12-31']);
+
+    const { start, end } = getPeriodRange('week', wednesday);
+    expect(day(start)).toBe('2025-12-28');
+    expect(end).toEqual(new Date(2026, 0, 3, 23, 59, 59, 999));
+  });
+
+  it('moves to the previous and next period', () => {
+    expect(day(shiftPeriod('month', wednesday, 1))).toBe('2026-1-1');
+    expect(day(shiftPeriod('week', wednesday, -1))).toBe('2025-12-24');
+    expect(day(shiftPeriod('threeDay', wednesday, 1))).toBe('2026-1-3');
+    expect(day(shiftPeriod('day', wednesday, -1))).toBe('2025-12-30');
+    expect(shiftPeriod('agenda', wednesday, 1)).toBe(wednesday);
+  });
+
+  it('puts open overdue items first and skips days outside the window', () => {
+    const deadlines = {
+      '2026-03-15': [{ id: 'far' }],
+      '2025-12-31': [{ id: 'today' }],
+      '2025-12-20': [{ id: 'late', open: true }, { id: 'done', open: false }],
+      '2025-12-10': [{ id: 'finished', open: false }],
+    };
+    const { overdue, upcoming } = buildAgenda(deadlines, wednesday, (item) => item.open);
+    expect(overdue.map((group) => group.items.map((item) => item.id))).toEqual([['late']]);
+    expect(day(overdue[0].date)).toBe('2025-12-20');
+    expect(upcoming.map((group) => group.dateStr)).toEqual(['2025-12-31']);
+  });
+
+  it('keeps the time of day and length when rescheduling', () => {
+    const task = {
+      startDate: { toDate: () => new Date(2025, 11, 29, 9) },
+      deadline: { toDate: () => new Date(2025, 11, 31, 17, 30) },
+    };
+    const { deadline, startDate } = getRescheduledDates(task, new Date(2026, 0, 5));
+    expect(deadline).toEqual(new Date(2026, 0, 5, 17, 30));
+    expect(startDate).toEqual(new Date(2026, 0, 3, 9));
+
+    expect(getRescheduledDates({}, new Date(2026, 0, 5))).toEqual({ deadline: new Date(2026, 0, 5), startDate: null });
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * checklist.test.js - Unit tests for task checklist helpers
+ *
+ * This test suite validates:
+ * - Progress counts, including tasks without a checklist
+ * - Toggling and reordering items without mutating the input
+ * - Task completion with and without checklist items counted
+ *
+ * Test Framework: Jest
+ */
+
+import {
+  getChecklistProgress,
+  toggleChecklistItem,
+  moveChecklistItem,
+  getTaskCompletion,
+} from '../src/utils/checklist';
+
+const checklist = [
+  { id: 'a', text: 'Draft', done: true },
+  { id: 'b', text: 'Review', done: false },
+  { id: 'c', text: 'Publish', done: false },
+];
+
+describe('checklist', () => {
+  it('counts done and total items', () => {
+    expect(getChecklistProgress(checklist)).toEqual({ done: 1, total: 3 });
+    expect(getChecklistProgress(undefined)).toEqual({ done: 0, total: 0 });
+  });
+
+  it('toggles and reorders items immutably', () => {
+    const toggled = toggleChecklistItem(checklist, 'b');
+    expect(toggled.map((item) => item.done)).toEqual([true, true, false]);
+    expect(checklist[1].done).toBe(false);
+
+    expect(moveChecklistItem(checklist, 2, -1).map((item) => item.id)).toEqual(['a', 'c', 'b']);
+    expect(moveChecklistItem(checklist, 0, -1)).toBe(checklist);
+  });
+
+  it('counts checklist items toward completion only when asked', () => {
+    const task = { completed: false, checklist };
+    expect(getTaskCompletion(task)).toBe(0);
+    expect(getTaskCompletion(task, true)).toBeCloseTo(1 / 3);
+    expect(getTaskCompletion({ completed: true, checklist }, true)).toBe(1);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * dataExport.test.js - Unit tests for CSV and JSON exports
+ *
+ * This test suite validates:
+ * - CSV quoting and spreadsheet formula protection
+ * - Task rows with project, status and dates
+ * - Completion event rows in date order
+ * - JSON backup with timestamps as ISO strings
+ *
+ * Test Framework: Jest
+ */
+
+import {
+  escapeCsvValue,
+  buildTasksCsv,
+  buildCompletionsCsv,
+  buildJsonBackup,
+} from '../src/utils/dataExport';
+
+// Minimal stand-in for a Firestore Timestamp
+const ts = (date) => ({ toDate: () => date });
+
+describe('dataExport', () => {
+  it('quotes CSV fields and neutralises formulas', () => {
+    expect(escapeCsvValue('plain')).toBe('plain');
+    expect(escapeCsvValue('a, "b"')).toBe('"a, ""b"""');
+    expect(escapeCsvValue('line 1\nline 2')).toBe('"line 1\nline 2"');
+    expect(escapeCsvValue('=SUM(A1)')).toBe("'=SUM(A1)");
+    expect(escapeCsvValue(-3)).toBe('-3');
+    expect(escapeCsvValue(null)).toBe('');
+  });
+
+  it('exports one row per task with its project and status', () => {
+    const projectsById = { p1: { id: 'p1', title: 'Launch' } };
+    const csv = buildTasksCsv(
+      [{ id: 't1', projectId: 'p1', title: 'Write copy', priority: 'urgent', completed: false, deadline: ts(new Date(2025, 9, 2, 15)) }],
+      projectsById
+    );
+    const [header, row] = csv.trim().split('\r\n');
+
+    expect(header.split(',').slice(0, 8)).toEqual(['ID', 'Project', 'Title', 'Description', 'Priority', 'Status', 'Start Date', 'Deadline']);
+    expect(row.startsWith('t1,Launch,Write copy,,urgent,Backlog,,2025-10-02,')).toBe(true);
+  });
+
+  it('lists completion events oldest first', () => {
+    const csv = buildCompletionsCsv(
+      [],
+      [
+        { id: 't1', projectId: 'p1', title: 'Later', completed: true, completedAt: ts(new Date(Date.UTC(2025, 9, 3))) },
+        {
+          id: 't2',
+          projectId: 'p1',
+          title: 'Earlier',
+          completed: false,
+          completionEvents: [{ completed: true, at: ts(new Date(Date.UTC(2025, 9, 1))) }, { completed: false, at: ts(new Date(Date.UTC(2025, 9, 2))) }],
+        },
+      ],
+      { p1: { title: 'Launch' } }
+    );
+
+    expect(csv.trim().split('\r\n').slice(1)).toEqual([
+      '2025-10-01T00:00:00.000Z,completed,Task,t2,Earlier,Launch',
+      '2025-10-02T00:00:00.000Z,reopened,Task,t2,Earlier,Launch',
+      '2025-10-03T00:00:00.000Z,completed,Task,t1,Later,Launch',
+    ]);
+  });
+
+  it('dumps everything as JSON with ISO dates', () => {
+    const backup = JSON.parse(buildJsonBackup(
+      {
+        projects: [{ id: 'p1', createdAt: ts(new Date(Date.UTC(2025, 0, 1))) }],
+        tasks: [{ id: 't1', completionEvents: [{ completed: true, at: ts(new Date(Date.UTC(2025, 0, 2))) }] }],
+        trashedTasks: [{ id: 't2' }],
+      },
+      new Date(Date.UTC(2025, 0, 3))
+    ));
+
+    expect(backup.exportedAt).toBe('2025-01-03T00:00:00.000Z');
+    expect(backup.projects[0].createdAt).toBe('2025-01-01T00:00:00.000Z');
+    expect(backup.tasks[0].completionEvents[0].at).toBe('2025-01-02T00:00:00.000Z');
+    expect(backup.trash).toEqual({ projects: [], tasks: [{ id: 't2' }] });
+  });
+});
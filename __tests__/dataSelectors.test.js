@@ -0,0 +1,129 @@
+/**
+ * dataSelectors.test.js - Unit tests for the shared store's derived data
+ *
+ * This test suite validates the pure selectors used by DataContext:
+ * - Task sort order (incomplete first, then priority, then newest)
+ * - Grouping tasks by project
+ * - Per-project progress calculation, optionally counting checklist items
+ * - Grouping deadlines by local calendar day
+ * - Grouping completed tasks by the day they were completed
+ * - Separating trashed items and finding expired ones
+ *
+ * Test Framework: Jest
+ */
+
+import {
+  sortTasks,
+  groupTasksByProject,
+  getProgressByProject,
+  groupDeadlinesByDate,
+  groupCompletionsByDate,
+  splitTrash,
+  getExpiredTrash,
+} from '../src/utils/dataSelectors';
+
+// Minimal stand-in for a Firestore Timestamp
+const ts = (date) => ({ toDate: () => date });
+
+describe('dataSelectors', () => {
+  it('sorts incomplete tasks first, then by priority, then newest first', () => {
+    const tasks = [
+      { id: 'done', completed: true, priority: 'urgent', createdAt: ts(new Date(2025, 0, 3)) },
+      { id: 'low', completed: false, priority: 'low', createdAt: ts(new Date(2025, 0, 3)) },
+      { id: 'urgent-old', completed: false, priority: 'urgent', createdAt: ts(new Date(2025, 0, 1)) },
+      { id: 'urgent-new', completed: false, priority: 'urgent', createdAt: ts(new Date(2025, 0, 2)) },
+    ];
+
+    expect(sortTasks(tasks).map((t) => t.id)).toEqual(['urgent-new', 'urgent-old', 'low', 'done']);
+  });
+
+  it('groups tasks by project and computes progress', () => {
+    const grouped = groupTasksByProject([
+      { id: 't1', projectId: 'p1', completed: true },
+      { id: 't2', projectId: 'p1', completed: false },
+      { id: 't3', projectId: 'p2', completed: true },
+      { id: 'orphan', completed: false },
+    ]);
+
+    expect(Object.keys(grouped).sort()).toEqual(['p1', 'p2']);
+    expect(getProgressByProject(grouped)).toEqual({
+      p1: { total: 2, completed: 1, percent: 50 },
+      p2: { total: 1, completed: 1, percent: 100 },
+    });
+  });
+
+  it('gives open tasks credit for checked items when checklist progress is on', () => {
+    const grouped = groupTasksByProject([
+      { id: 't1', projectId: 'p1', completed: true },
+      {
+        id: 't2',
+        projectId: 'p1',
+        completed: false,
+        checklist: [{ id: 'a', done: true }, { id: 'b', done: false }],
+      },
+    ]);
+
+    expect(getProgressByProject(grouped).p1.percent).toBe(50);
+    expect(getProgressByProject(grouped, { countChecklistItems: true }).p1).toEqual({
+      total: 2,
+      completed: 1,
+      percent: 75,
+    });
+  });
+
+  it('groups project and open task deadlines by local day', () => {
+    const day = new Date(2025, 9, 2, 15, 30);
+    const deadlines = groupDeadlinesByDate(
+      [{ id: 'p1', title: 'Launch', deadline: ts(day) }],
+      [
+        { id: 't1', title: 'Open', projectId: 'p1', completed: false, deadline: ts(day) },
+        { id: 't2', title: 'Done', projectId: 'p1', completed: true, deadline: ts(day) },
+        { id: 't3', title: 'No deadline', projectId: 'p1', completed: false, deadline: null },
+      ]
+    );
+
+    expect(Object.keys(deadlines)).toEqual(['2025-10-02']);
+    expect(deadlines['2025-10-02'].map((item) => `${item.type}:${item.id}`)).toEqual(['Project:p1', 'Task:t1']);
+  });
+
+  it('groups completed tasks by completion day, falling back to the last update', () => {
+    const completions = groupCompletionsByDate([
+      { id: 'done', completed: true, deadline: ts(new Date(2025, 9, 9)), completedAt: ts(new Date(2025, 9, 2, 9)) },
+      { id: 'legacy', completed: true, completedAt: null, updatedAt: ts(new Date(2025, 9, 3, 18)) },
+      { id: 'open', completed: false, completedAt: null, updatedAt: ts(new Date(2025, 9, 3)) },
+    ]);
+
+    expect(Object.keys(completions).sort()).toEqual(['2025-10-02', '2025-10-03']);
+    expect(completions['2025-10-02'].map((item) => `${item.type}:${item.id}`)).toEqual(['Task:done']);
+    expect(completions['2025-10-03'].map((item) => item.id)).toEqual(['legacy']);
+  });
+
+  it('hides trashed items and tasks of trashed projects', () => {
+    const deletedAt = ts(new Date(2025, 0, 1));
+    const split = splitTrash(
+      [{ id: 'live' }, { id: 'gone', deletedAt }],
+      [
+        { id: 't1', projectId: 'live' },
+        { id: 't2', projectId: 'live', deletedAt },
+        { id: 't3', projectId: 'gone' },
+        { id: 't4', projectId: 'gone', deletedAt },
+      ]
+    );
+
+    expect(split.projects.map((p) => p.id)).toEqual(['live']);
+    expect(split.tasks.map((t) => t.id)).toEqual(['t1']);
+    expect(split.trashedProjects.map((p) => p.id)).toEqual(['gone']);
+    expect(split.trashedTasks.map((t) => t.id)).toEqual(['t2']);
+  });
+
+  it('finds trash older than the retention period', () => {
+    const now = new Date(2025, 0, 31, 12);
+    const items = [
+      { id: 'old', deletedAt: ts(new Date(2025, 0, 1, 12)) },
+      { id: 'recent', deletedAt: ts(new Date(2025, 0, 20)) },
+    ];
+
+    expect(getExpiredTrash(items, 30, now).map((i) => i.id)).toEqual(['old']);
+    expect(getExpiredTrash(items, 0, now)).toEqual([]);
+  });
+});
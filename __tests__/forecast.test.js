@@ -0,0 +1,55 @@
+/**
+ * forecast.test.js - Unit tests for projected completion dates
+ *
+ * This test suite validates:
+ * - Finish date and confidence range from recent completion velocity
+ * - "At risk" / "on track" status against the deadline
+ * - Projects that are finished or have no recent progress
+ *
+ * Test Framework: Jest
+ */
+
+import { forecastProject } from '../src/utils/forecast';
+
+// Minimal stand-in for a Firestore Timestamp
+const ts = (date) => ({ toDate: () => date });
+
+// Local calendar day, for readable assertions
+const day = (date) => `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+
+describe('forecast', () => {
+  const now = new Date(2025, 9, 29, 12);
+  const project = { id: 'p1', createdAt: ts(new Date(2025, 8, 1)) };
+  // 4 tasks completed in the last 28 days (1 per week), 2 still open
+  const tasks = [
+    ...[1, 8, 15, 22].map((offset) => ({
+      completed: true,
+      completedAt: ts(new Date(2025, 9, offset + 5)),
+    })),
+    { completed: false },
+    { completed: false },
+  ];
+
+  it('projects the finish date with a range from recent velocity', () => {
+    const forecast = forecastProject({ ...project, deadline: ts(new Date(2025, 10, 30)) }, tasks, now);
+
+    expect(forecast.status).toBe('onTrack');
+    expect(forecast.remaining).toBe(2);
+    expect(forecast.velocityPerWeek).toBe(1);
+    // 2 tasks at 1/week -> 14 days; range from 6 and 2 completions per 28 days
+    expect(day(forecast.expected)).toBe('2025-11-12');
+    expect(day(forecast.earliest)).toBe('2025-11-8');
+    expect(day(forecast.latest)).toBe('2025-11-26');
+  });
+
+  it('flags projects whose forecast passes the deadline', () => {
+    const forecast = forecastProject({ ...project, deadline: ts(new Date(2025, 10, 5)) }, tasks, now);
+    expect(forecast.status).toBe('atRisk');
+  });
+
+  it('handles finished projects and projects without recent progress', () => {
+    expect(forecastProject(project, [{ completed: true }], now).status).toBe('done');
+    expect(forecastProject(project, [{ completed: false }], now).status).toBe('noVelocity');
+    expect(forecastProject(project, tasks, now).status).toBe('noDeadline');
+  });
+});
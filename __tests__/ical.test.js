@@ -0,0 +1,119 @@
+/**
+ * ical.test.js - Unit tests for iCalendar export and import
+ *
+ * This test suite validates:
+ * - All-day events with stable UIDs, escaping and line folding
+ * - Round-tripping exported deadlines through the parser and back into
+ *   the project, leaving project deadlines out
+ * - Parsing VTODO due dates, folded lines, alarms and cancelled events
+ * - Matching imported entries to existing tasks without touching fields
+ *   the file leaves out
+ *
+ * Test Framework: Jest
+ */
+
+import { buildICalendar, parseICalendar, getICalUid, planICalendarImport } from '../src/utils/ical';
+
+// Minimal stand-in for a Firestore Timestamp
+const ts = (date) => ({ toDate: () => date });
+
+describe('ical', () => {
+  const project = { id: 'p1', title: 'Launch', description: 'Go live; then relax', deadline: ts(new Date(2025, 5, 30, 17)) };
+  const tasks = [
+    { id: 't1', projectId: 'p1', title: 'Write copy, edit', priority: 'urgent', deadline: ts(new Date(2025, 5, 10, 9)) },
+    { id: 't2', projectId: 'p1', title: 'Done already', completed: true, deadline: ts(new Date(2025, 5, 11)) },
+    { id: 't3', projectId: 'p1', title: 'Imported', description: 'Call first', icalUid: 'abc@example.com', deadline: ts(new Date(2025, 5, 12)) },
+  ];
+
+  it('exports open deadlines as all-day events with stable UIDs', () => {
+    const ics = buildICalendar({ projects: [project], tasks }, new Date(Date.UTC(2025, 0, 1)));
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics).toContain('UID:project-p1@projectpro.app\r\nDTSTAMP:20250101T000000Z\r\nDTSTART;VALUE=DATE:20250630\r\nDTEND;VALUE=DATE:20250701');
+    expect(ics).toContain('SUMMARY:Write copy\\, edit\r\nPRIORITY:1\r\nX-PROJECTPRO-PROJECT:Launch');
+    expect(ics).toContain('UID:abc@example.com');
+    expect(ics).not.toContain('Done already');
+    expect(ics.split('\r\n').every((line) => line.length <= 75)).toBe(true);
+  });
+
+  it('reads exported task deadlines back, without the project deadlines', () => {
+    const longTask = { id: 't4', projectId: 'p1', title: 'Ä'.repeat(60), deadline: ts(new Date(2025, 5, 15)) };
+    const entries = parseICalendar(buildICalendar({ projects: [project], tasks: [...tasks, longTask] }));
+
+    expect(entries).toHaveLength(3);
+    expect(entries[0]).toEqual({
+      uid: getICalUid(tasks[0], 'Task'),
+      title: 'Write copy, edit',
+      deadline: new Date(2025, 5, 10),
+      priority: 'urgent',
+    });
+    expect(entries[0].description).toBeUndefined();
+    expect(entries[1].description).toBe('Call first');
+    expect(entries[2].title).toBe('Ä'.repeat(60));
+  });
+
+  it('re-imports its own export into a project as updates to the same tasks', () => {
+    const ics = buildICalendar({ projects: [project], tasks });
+    const plan = planICalendarImport(parseICalendar(ics), tasks);
+
+    expect(plan.every(({ task }) => task)).toBe(true);
+    expect(plan.map(({ task }) => task.id)).toEqual(['t1', 't3']);
+    expect(plan[0].fields).toEqual({ title: 'Write copy, edit', deadline: new Date(2025, 5, 10), priority: 'urgent' });
+    expect(plan[1].fields).toEqual({ title: 'Imported', description: 'Call first', deadline: new Date(2025, 5, 12) });
+  });
+
+  it('skips project deadlines from other exports by category', () => {
+    const ics = ['BEGIN:VEVENT', 'UID:x-1', 'SUMMARY:Milestone', 'CATEGORIES:Work,Project', 'DTSTART;VALUE=DATE:20250701', 'END:VEVENT']
+      .join('\r\n');
+    expect(parseICalendar(ics)).toEqual([]);
+  });
+
+  it('parses to-dos and skips alarms and cancelled events', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VTODO',
+      'UID:todo-1',
+      'SUMMARY:Renew dom',
+      ' ain',
+      'DUE:20250704T150000Z',
+      'STATUS:COMPLETED',
+      'PRIORITY:8',
+      'BEGIN:VALARM',
+      'DESCRIPTION:Reminder',
+      'END:VALARM',
+      'END:VTODO',
+      'BEGIN:VEVENT',
+      'UID:gone',
+      'SUMMARY:Cancelled',
+      'DTSTART;TZID="Europe/London":20250705T100000',
+      'STATUS:CANCELLED',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ].join('\r\n');
+
+    expect(parseICalendar(ics)).toEqual([{
+      uid: 'todo-1',
+      title: 'Renew domain',
+      deadline: new Date(Date.UTC(2025, 6, 4, 15)),
+      priority: 'low',
+      completed: true,
+    }]);
+  });
+
+  it('updates only the fields an entry provides', () => {
+    const existing = { id: 't9', icalUid: 'todo-1', title: 'Renew', description: 'Keep me', priority: 'urgent' };
+    const entries = [
+      { uid: 'todo-1', title: 'Renew domain', deadline: new Date(2025, 6, 4) },
+      { uid: 'todo-1', title: 'Repeated instance' },
+      { uid: 'new-1', title: 'Book venue' },
+    ];
+
+    expect(planICalendarImport(entries, [existing])).toEqual([
+      { task: existing, uid: 'todo-1', fields: { title: 'Renew domain', deadline: new Date(2025, 6, 4) } },
+      {
+        task: null,
+        uid: 'new-1',
+        fields: { title: 'Book venue', description: '', deadline: null, priority: 'medium', completed: false },
+      },
+    ]);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * quickAdd.test.js - Unit tests for the quick-add phrase parser
+ *
+ * This test suite validates:
+ * - Title, deadline, priority and project from one phrase
+ * - Relative dates, absolute dates and times of day
+ * - Project lookup by loosely typed name
+ * - Phrases that contain no special words
+ * - Short weekday names used as ordinary words
+ *
+ * Test Framework: Jest
+ */
+
+import { parseQuickAdd, findProjectByName, MAX_TITLE_LENGTH } from '../src/utils/quickAdd';
+
+// Local calendar day and time, for readable assertions
+const stamp = (date) =>
+  `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()} ${date.getHours()}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+describe('quickAdd', () => {
+  // Wednesday
+  const now = new Date(2025, 9, 15, 12);
+  const projects = [
+    { id: 'p1', title: 'Clients Archive' },
+    { id: 'p2', title: 'Client X' },
+  ];
+  const parse = (text) => parseQuickAdd(text, { projects, now });
+  const deadlineOf = (text) => stamp(parse(text).deadline);
+
+  it('parses title, deadline, priority and project', () => {
+    const result = parse('Send invoice fri !urgent #ClientX');
+
+    expect(result.title).toBe('Send invoice');
+    expect(stamp(result.deadline)).toBe('2025-10-17 0:00');
+    expect(result.priority).toBe('urgent');
+    expect(result.project.id).toBe('p2');
+  });
+
+  it('understands relative dates', () => {
+    expect(deadlineOf('a today')).toBe('2025-10-15 0:00');
+    expect(deadlineOf('a tmrw')).toBe('2025-10-16 0:00');
+    // A weekday never means today
+    expect(deadlineOf('a wed')).toBe('2025-10-22 0:00');
+    expect(deadlineOf('a next week')).toBe('2025-10-20 0:00');
+    expect(deadlineOf('a next fri')).toBe('2025-10-24 0:00');
+    expect(deadlineOf('a in 2 weeks')).toBe('2025-10-29 0:00');
+    expect(deadlineOf('a in a month')).toBe('2025-11-15 0:00');
+  });
+
+  it('understands absolute dates and rolls past ones into next year', () => {
+    expect(deadlineOf('Renew domain by 3rd jan')).toBe('2026-1-3 0:00');
+    expect(deadlineOf('a oct 20')).toBe('2025-10-20 0:00');
+    expect(deadlineOf('a 10/3')).toBe('2026-10-3 0:00');
+    expect(deadlineOf('a 2025-12-01')).toBe('2025-12-1 0:00');
+    expect(parse('a feb 30').deadline).toBeNull();
+  });
+
+  it('adds times of day', () => {
+    const result = parse('Call Ana tomorrow at 3:30pm');
+    expect(result.title).toBe('Call Ana');
+    expect(stamp(result.deadline)).toBe('2025-10-16 15:30');
+    expect(result.hasTime).toBe(true);
+    // A time that has passed today means tomorrow
+    expect(deadlineOf('Pay rent 9am')).toBe('2025-10-16 9:00');
+    expect(deadlineOf('Standup 18:00')).toBe('2025-10-15 18:00');
+  });
+
+  it('finds projects by loose name and reports unknown ones', () => {
+    expect(findProjectByName(projects, 'client-x').id).toBe('p2');
+    expect(findProjectByName(projects, 'archive').id).toBe('p1');
+    const result = parse('Draft brief #nope !low');
+    expect(result.project).toBeNull();
+    expect(result.projectName).toBe('nope');
+    expect(result.priority).toBe('low');
+  });
+
+  it('keeps short weekday names that are ordinary words in the title', () => {
+    ['Clean sun room', 'Sat exam prep', 'Wed planning', 'Mon cheri tasting', 'Thu notes'].forEach((text) => {
+      const result = parse(text);
+      expect(result.title).toBe(text);
+      expect(result.deadline).toBeNull();
+    });
+    // After a connector or "next", or at the end, they are dates
+    expect(deadlineOf('Team lunch on wed')).toBe('2025-10-22 0:00');
+    expect(deadlineOf('Sun room due sat')).toBe('2025-10-18 0:00');
+    expect(parse('Sun room due sat').title).toBe('Sun room');
+    expect(deadlineOf('Call mom mon 3pm !urgent')).toBe('2025-10-20 15:00');
+    expect(deadlineOf('Review next thu')).toBe('2025-10-23 0:00');
+    // Full names always are
+    expect(deadlineOf('Saturday exam prep')).toBe('2025-10-18 0:00');
+  });
+
+  it('leaves ordinary words in the title', () => {
+    const result = parse('Work on constructor docs for 3 people !maybe');
+    expect(result.title).toBe('Work on constructor docs for 3 people !maybe');
+    expect(result.deadline).toBeNull();
+    expect(result.priority).toBeNull();
+  });
+
+  it('caps the title like the task form', () => {
+    const result = parse(`${'word '.repeat(40)}fri`);
+    expect(result.title).toHaveLength(MAX_TITLE_LENGTH - 1);
+    expect(stamp(result.deadline)).toBe('2025-10-17 0:00');
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * recurrence.test.js - Unit tests for recurring task rules
+ *
+ * This test suite validates:
+ * - Next occurrence for daily, weekly, monthly and after-completion rules
+ * - Monthly rules staying on their day through short months
+ * - Projecting future occurrences into a date range
+ *
+ * Test Framework: Jest
+ */
+
+import {
+  anchorRepeatRule,
+  getNextOccurrence,
+  getOccurrencesBetween,
+  describeRepeatRule,
+} from '../src/utils/recurrence';
+
+// Local calendar day, for readable assertions
+const day = (date) => `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+
+describe('recurrence', () => {
+  it('repeats daily and weekly on chosen weekdays', () => {
+    const monday = new Date(2025, 5, 2); // Mon 2 June 2025
+    expect(day(getNextOccurrence({ frequency: 'daily', interval: 3 }, monday))).toBe('2025-6-5');
+
+    const weekly = { frequency: 'weekly', interval: 2, weekdays: [1, 4] };
+    const thursday = getNextOccurrence(weekly, monday);
+    expect(day(thursday)).toBe('2025-6-5');
+    // After Thursday, skip a week and return to Monday
+    expect(day(getNextOccurrence(weekly, thursday))).toBe('2025-6-16');
+  });
+
+  it('repeats monthly by date and by weekday', () => {
+    const jan31 = new Date(2025, 0, 31);
+    const byDate = anchorRepeatRule({ frequency: 'monthly', monthlyMode: 'date' }, jan31);
+    const feb = getNextOccurrence(byDate, jan31);
+    expect(day(feb)).toBe('2025-2-28');
+    expect(day(getNextOccurrence(byDate, feb))).toBe('2025-3-31');
+
+    const secondTuesday = new Date(2025, 5, 10);
+    const byWeekday = anchorRepeatRule({ frequency: 'monthly', monthlyMode: 'weekday' }, secondTuesday);
+    expect(day(getNextOccurrence(byWeekday, secondTuesday))).toBe('2025-7-8');
+    expect(describeRepeatRule(byWeekday)).toBe('Every month on the 2nd Tue');
+  });
+
+  it('counts after-completion rules from the completion date', () => {
+    const due = new Date(2025, 5, 2);
+    const completedLate = new Date(2025, 5, 6);
+    const rule = { frequency: 'afterCompletion', interval: 7 };
+    expect(day(getNextOccurrence(rule, due, completedLate))).toBe('2025-6-13');
+  });
+
+  it('projects occurrences within a range, excluding the anchor', () => {
+    const dates = getOccurrencesBetween(
+      { frequency: 'weekly', interval: 1, weekdays: [1] },
+      new Date(2025, 5, 2),
+      new Date(2025, 5, 1),
+      new Date(2025, 5, 30)
+    );
+    expect(dates.map(day)).toEqual(['2025-6-9', '2025-6-16', '2025-6-23', '2025-6-30']);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * search.test.js - Unit tests for project and task search
+ *
+ * This test suite validates:
+ * - Typo-tolerant matching that ignores case and accents
+ * - Ranking of title, prefix and fuzzy matches
+ * - Highlight ranges and description snippets
+ * - Priority, overdue and completed filters
+ *
+ * Test Framework: Jest
+ */
+
+import { levenshtein, matchItem, tokenizeQuery, searchItems } from '../src/utils/search';
+
+// Minimal stand-in for a Firestore Timestamp
+const ts = (date) => ({ toDate: () => date });
+
+describe('search', () => {
+  const now = new Date(2025, 9, 15, 12);
+  const projects = [{ id: 'p1', title: 'Website Redesign', description: 'New landing page', priority: 'medium' }];
+  const tasks = [
+    { id: 't1', projectId: 'p1', title: 'Design review', priority: 'urgent', deadline: ts(new Date(2025, 9, 1)) },
+    { id: 't2', projectId: 'p1', title: 'Write copy', description: 'Café menu for the landing page', priority: 'low', completed: true },
+    { id: 't3', projectId: 'p1', title: 'Deploy', description: 'Ship the redesigned site', priority: 'medium' },
+  ];
+  const data = { projects, tasks, projectsById: { p1: projects[0] } };
+
+  it('computes edit distances with an early exit', () => {
+    expect(levenshtein('landing', 'lnading')).toBe(1);
+    expect(levenshtein('landing', 'lading')).toBe(1);
+    expect(levenshtein('kitten', 'sitting', 1)).toBe(2);
+  });
+
+  it('tolerates typos, case and accents', () => {
+    expect(tokenizeQuery('Café, MENU!')).toEqual(['cafe', 'menu']);
+    expect(matchItem(tasks[1], tokenizeQuery('cafe'))).not.toBeNull();
+    expect(matchItem(tasks[0], tokenizeQuery('reveiw'))).not.toBeNull();
+    expect(matchItem(tasks[0], tokenizeQuery('revolt'))).toBeNull();
+    // Short words must match exactly
+    expect(matchItem(tasks[2], tokenizeQuery('dep'))).not.toBeNull();
+    expect(matchItem(tasks[2], tokenizeQuery('dap'))).toBeNull();
+  });
+
+  it('ranks title matches first and returns highlight ranges', () => {
+    const results = searchItems(data, 'redesign', undefined, now);
+
+    // "Design review" is two edits away, so it comes last
+    expect(results.map((result) => result.item.id)).toEqual(['p1', 't3', 't1']);
+    expect(results[0].titleRanges).toEqual([[8, 16]]);
+    expect(results[1].snippet).toEqual({ text: 'Ship the redesigned site', ranges: [[9, 17]] });
+  });
+
+  it('cuts long descriptions down to a snippet', () => {
+    const description = `${'lorem ipsum '.repeat(10)}deadline ${'dolor sit '.repeat(10)}`;
+    const { snippet } = matchItem({ title: 'Notes', description }, ['deadline']);
+
+    expect(snippet.text.startsWith('…')).toBe(true);
+    expect(snippet.text.endsWith('…')).toBe(true);
+    const [[start, end]] = snippet.ranges;
+    expect(snippet.text.slice(start, end)).toBe('deadline');
+  });
+
+  it('filters by priority, overdue and completed', () => {
+    const query = (filters) => searchItems(data, 'e', filters, now).map((result) => result.item.id).sort();
+
+    expect(query({ status: 'completed' })).toEqual(['t2']);
+    expect(query({ status: 'overdue' })).toEqual(['t1']);
+    expect(query({ priority: 'medium', status: 'open' })).toEqual(['p1', 't3']);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * serviceErrors.test.js - Unit tests for the service layer error mapping
+ *
+ * This test suite validates that raw Firebase errors are converted into
+ * errors with user-facing messages:
+ * - Known Firebase error codes map to friendly messages
+ * - Message-based fallbacks for network and permission failures
+ * - Unknown errors use the caller's fallback message
+ * - Already-mapped errors pass through unchanged
+ * - Connectivity errors are told apart from real failures
+ *
+ * Test Framework: Jest
+ */
+
+import { toServiceError, runServiceCall, isConnectivityError } from '../src/services/serviceErrors';
+
+describe('toServiceError', () => {
+  it('maps known Firebase error codes and keeps the code and cause', () => {
+    const raw = { code: 'permission-denied', message: 'Missing or insufficient permissions.' };
+    const mapped = toServiceError(raw, 'Fallback');
+
+    expect(mapped.message).toMatch(/permission/i);
+    expect(mapped.code).toBe('permission-denied');
+    expect(mapped.cause).toBe(raw);
+  });
+
+  it('falls back to message inspection for network errors', () => {
+    const mapped = toServiceError(new Error('network request failed'), 'Fallback');
+    expect(mapped.message).toMatch(/network error/i);
+  });
+
+  it('uses the fallback message for unknown errors', () => {
+    const mapped = toServiceError(new Error('boom'), 'Failed to update task.');
+    expect(mapped.message).toBe('Failed to update task.');
+  });
+
+  it('does not wrap an error twice', () => {
+    const mapped = toServiceError(new Error('boom'), 'First');
+    expect(toServiceError(mapped, 'Second')).toBe(mapped);
+  });
+});
+
+describe('runServiceCall', () => {
+  it('resolves with the operation result', async () => {
+    await expect(runServiceCall('testing', 'Fallback', async () => 42)).resolves.toBe(42);
+  });
+
+  it('rejects with a mapped error', async () => {
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(
+      runServiceCall('testing', 'Fallback', async () => {
+        throw { code: 'unavailable', message: 'offline' };
+      })
+    ).rejects.toMatchObject({ code: 'unavailable', isServiceError: true });
+    spy.mockRestore();
+  });
+});
+
+describe('isConnectivityError', () => {
+  it('recognises offline errors, raw or mapped', () => {
+    expect(isConnectivityError({ code: 'unavailable' })).toBe(true);
+    expect(isConnectivityError(toServiceError(new Error('Failed to fetch: network error'), 'Fallback'))).toBe(true);
+    expect(isConnectivityError({ code: 'permission-denied', message: 'Missing permissions' })).toBe(false);
+  });
+});
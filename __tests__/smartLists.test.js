@@ -0,0 +1,59 @@
+/**
+ * smartLists.test.js - Unit tests for smart list filter rules
+ *
+ * This test suite validates:
+ * - Built-in Today / Upcoming / Overdue / Urgent lists
+ * - Priority, project and completion rules on saved lists
+ * - Task order and per-list counts
+ *
+ * Test Framework: Jest
+ */
+
+import {
+  BUILT_IN_SMART_LISTS,
+  matchesRules,
+  getSmartListTasks,
+  getSmartListCounts,
+  rulesEqual,
+} from '../src/utils/smartLists';
+
+// Minimal stand-in for a Firestore Timestamp
+const ts = (date) => ({ toDate: () => date });
+
+describe('smartLists', () => {
+  const now = new Date(2025, 9, 15, 12);
+  const tasks = [
+    { id: 'today', projectId: 'p1', priority: 'medium', deadline: ts(new Date(2025, 9, 15, 9)) },
+    { id: 'soon', projectId: 'p1', priority: 'urgent', deadline: ts(new Date(2025, 9, 22, 18)) },
+    { id: 'later', projectId: 'p2', priority: 'urgent', deadline: ts(new Date(2025, 9, 23)) },
+    { id: 'late', projectId: 'p2', priority: 'low', deadline: ts(new Date(2025, 9, 14)) },
+    { id: 'done', projectId: 'p1', priority: 'urgent', completed: true, deadline: ts(new Date(2025, 9, 10)) },
+    { id: 'undated', projectId: 'p2', priority: 'urgent' },
+  ];
+  const idsOf = (listId) =>
+    getSmartListTasks(BUILT_IN_SMART_LISTS.find((list) => list.id === listId), tasks, now).map((task) => task.id);
+
+  it('builds the built-in lists from open tasks', () => {
+    // Due earlier today still counts as today, not overdue
+    expect(idsOf('today')).toEqual(['today']);
+    expect(idsOf('upcoming')).toEqual(['today', 'soon']);
+    expect(idsOf('overdue')).toEqual(['late']);
+    expect(idsOf('urgent')).toEqual(['soon', 'later', 'undated']);
+  });
+
+  it('combines priority, project and completion rules', () => {
+    const rules = { priorities: ['urgent'], projectIds: ['p1'], completion: 'all' };
+    expect(tasks.filter((task) => matchesRules(task, rules, now)).map((task) => task.id)).toEqual(['soon', 'done']);
+    expect(matchesRules(tasks[5], { deadlineWindow: 'none' }, now)).toBe(true);
+    expect(matchesRules(tasks[0], { deadlineWindow: 'none' }, now)).toBe(false);
+  });
+
+  it('counts tasks per list', () => {
+    expect(getSmartListCounts(BUILT_IN_SMART_LISTS, tasks, now)).toEqual({ today: 1, upcoming: 2, overdue: 1, urgent: 3 });
+  });
+
+  it('compares rule sets regardless of order', () => {
+    expect(rulesEqual({ priorities: ['low', 'urgent'] }, { priorities: ['urgent', 'low'], completion: 'open' })).toBe(true);
+    expect(rulesEqual({ overdue: true }, {})).toBe(false);
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * taskDependencies.test.js - Unit tests for task "blocked by" links
+ *
+ * This test suite validates:
+ * - Open blockers (completed and missing blockers are ignored)
+ * - Direct and indirect dependency cycle detection
+ * - Calendar conflicts where a task is due before its blocker
+ *
+ * Test Framework: Jest
+ */
+
+import {
+  getOpenBlockers,
+  createsDependencyCycle,
+  getScheduleConflicts,
+} from '../src/utils/taskDependencies';
+
+// Minimal stand-in for a Firestore Timestamp
+const ts = (date) => ({ toDate: () => date });
+
+const tasksById = {
+  design: { id: 'design', completed: true, blockedBy: [] },
+  build: { id: 'build', completed: false, blockedBy: ['design'], deadline: ts(new Date(2025, 5, 10)) },
+  test: { id: 'test', completed: false, blockedBy: ['build', 'gone'], deadline: ts(new Date(2025, 5, 8, 18)) },
+  ship: { id: 'ship', completed: false, blockedBy: ['test'] },
+};
+
+describe('taskDependencies', () => {
+  it('lists only existing, unfinished blockers', () => {
+    expect(getOpenBlockers(tasksById.build, tasksById)).toEqual([]);
+    expect(getOpenBlockers(tasksById.test, tasksById).map((t) => t.id)).toEqual(['build']);
+  });
+
+  it('rejects links that would form a cycle', () => {
+    expect(createsDependencyCycle('design', ['ship'], tasksById)).toBe(true);
+    expect(createsDependencyCycle('build', ['build'], tasksById)).toBe(true);
+    expect(createsDependencyCycle('ship', ['design'], tasksById)).toBe(false);
+    expect(createsDependencyCycle(null, ['ship'], tasksById)).toBe(false);
+  });
+
+  it('flags tasks due before an open blocker', () => {
+    expect(getScheduleConflicts(tasksById.test, tasksById).map((t) => t.id)).toEqual(['build']);
+    expect(getScheduleConflicts(tasksById.ship, tasksById)).toEqual([]);
+  });
+});
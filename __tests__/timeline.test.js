@@ -0,0 +1,69 @@
+/**
+ * timeline.test.js - Unit tests for the timeline layout helpers
+ *
+ * This test suite validates:
+ * - Item spans from start dates and deadlines (including milestones)
+ * - Project rows ordered by start date and expanded into task rows
+ * - Axis ticks per zoom level
+ * - Dependency links between visible task rows
+ *
+ * Test Framework: Jest
+ */
+
+import {
+  getItemSpan,
+  buildTimelineRows,
+  getTimelineRange,
+  getTimelineTicks,
+  getDependencyLinks,
+} from '../src/utils/timeline';
+
+// Minimal stand-in for a Firestore Timestamp
+const ts = (date) => ({ toDate: () => date });
+
+const projects = [
+  { id: 'late', title: 'Late', startDate: ts(new Date(2025, 5, 20)), deadline: ts(new Date(2025, 5, 30)) },
+  { id: 'undated', title: 'Undated' },
+  { id: 'early', title: 'Early' },
+];
+const tasksByProject = {
+  early: [
+    { id: 'b', projectId: 'early', startDate: ts(new Date(2025, 5, 5)), deadline: ts(new Date(2025, 5, 8)), blockedBy: ['a'] },
+    { id: 'a', projectId: 'early', startDate: ts(new Date(2025, 5, 1)), deadline: ts(new Date(2025, 5, 4)) },
+  ],
+};
+
+describe('timeline', () => {
+  it('turns single dates into one-day milestones', () => {
+    const span = getItemSpan({ deadline: ts(new Date(2025, 5, 3, 17)) });
+    expect(span.start).toEqual(new Date(2025, 5, 3));
+    expect(span.end).toEqual(new Date(2025, 5, 3));
+    expect(span.isMilestone).toBe(true);
+    expect(getItemSpan({})).toBeNull();
+  });
+
+  it('orders projects by start and spans undated projects over their tasks', () => {
+    const collapsed = buildTimelineRows(projects, tasksByProject, new Set());
+    expect(collapsed.map((row) => row.key)).toEqual(['project:early', 'project:late', 'project:undated']);
+    expect(collapsed[0].span.start).toEqual(new Date(2025, 5, 1));
+    expect(collapsed[0].span.end).toEqual(new Date(2025, 5, 8));
+
+    const expanded = buildTimelineRows(projects, tasksByProject, new Set(['early']));
+    expect(expanded.map((row) => row.key).slice(0, 3)).toEqual(['project:early', 'task:a', 'task:b']);
+    expect(getDependencyLinks(expanded)).toEqual([{ key: 'a->b', fromIndex: 1, toIndex: 2, isConflict: false }]);
+
+    const overlapping = { early: [tasksByProject.early[0], { ...tasksByProject.early[1], deadline: ts(new Date(2025, 5, 6)) }] };
+    const conflictRows = buildTimelineRows(projects, overlapping, new Set(['early']));
+    expect(getDependencyLinks(conflictRows)[0].isConflict).toBe(true);
+  });
+
+  it('pads the range around bars and today, and labels ticks per zoom', () => {
+    const rows = buildTimelineRows(projects, tasksByProject, new Set());
+    const range = getTimelineRange(rows, new Date(2025, 5, 15));
+    expect(range.start).toEqual(new Date(2025, 4, 25));
+    expect(range.end).toEqual(new Date(2025, 6, 7));
+
+    expect(getTimelineTicks(range, 'quarter').map((tick) => tick.label)).toEqual(['Jun 2025', 'Jul 2025']);
+    expect(getTimelineTicks(range, 'month')[0]).toEqual({ key: '1', offset: 1, label: 'May 26' });
+  });
+});
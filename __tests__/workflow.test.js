@@ -0,0 +1,51 @@
+/**
+ * workflow.test.js - Unit tests for project workflow statuses
+ *
+ * This test suite validates:
+ * - Falling back to the default statuses
+ * - Deriving a task's column from `status` and `completed`
+ * - Status list validation
+ *
+ * Test Framework: Jest
+ */
+
+import {
+  DEFAULT_STATUSES,
+  getProjectStatuses,
+  groupTasksByStatus,
+  validateStatuses,
+} from '../src/utils/workflow';
+
+const statuses = [
+  { id: 'todo', name: 'To Do' },
+  { id: 'doing', name: 'Doing' },
+  { id: 'done', name: 'Done' },
+];
+
+describe('workflow', () => {
+  it('uses the default statuses when a project has none', () => {
+    expect(getProjectStatuses({})).toBe(DEFAULT_STATUSES);
+    expect(getProjectStatuses({ statuses })).toBe(statuses);
+  });
+
+  it('places tasks by status, with completed tasks in the terminal column', () => {
+    const columns = groupTasksByStatus([
+      { id: 'a', status: 'doing', completed: false },
+      { id: 'b', status: 'doing', completed: true },
+      { id: 'c', completed: false },
+      { id: 'd', status: 'removed', completed: false },
+      { id: 'e', status: 'done', completed: false },
+    ], statuses);
+
+    expect(columns.todo.map((t) => t.id)).toEqual(['c', 'd', 'e']);
+    expect(columns.doing.map((t) => t.id)).toEqual(['a']);
+    expect(columns.done.map((t) => t.id)).toEqual(['b']);
+  });
+
+  it('rejects short, unnamed or duplicate status lists', () => {
+    expect(validateStatuses(statuses)).toBeNull();
+    expect(validateStatuses(statuses.slice(0, 1))).toMatch(/at least/);
+    expect(validateStatuses([...statuses, { id: 'x', name: ' ' }])).toMatch(/name/);
+    expect(validateStatuses([...statuses, { id: 'x', name: 'doing' }])).toMatch(/unique/);
+  });
+});
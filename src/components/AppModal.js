@@ -0,0 +1,31 @@
+/**
+ * AppModal.js - Full-screen Modal with Overlay Hosts
+ *
+ * Drop-in replacement for the full-screen RN `Modal` used by the screens.
+ * It renders a SnackbarHost and a DialogHost after its children, so
+ * snackbars and dialogs opened while the modal is up appear on top of it.
+ *
+ * @param {boolean} visible - Controls modal visibility
+ * @param {Function} onRequestClose - Android back button / iOS swipe handler
+ * @param {React.ReactNode} children - Screen rendered inside the modal
+ */
+
+import React from 'react';
+import { Modal } from 'react-native';
+import { SnackbarHost } from './Snackbar';
+import { DialogHost } from './Dialog';
+
+export default function AppModal({ visible, onRequestClose, children }) {
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="fullScreen"
+      onRequestClose={onRequestClose}
+    >
+      {children}
+      <SnackbarHost />
+      <DialogHost />
+    </Modal>
+  );
+}
@@ -0,0 +1,185 @@
+/**
+ * ChecklistEditor.js - Editable Task Checklist
+ *
+ * Form control used by AddTaskScreen and EditTaskScreen to build a task's
+ * checklist: add items, check them off, move them up or down and remove
+ * them. The parent owns the list; every change is reported via onChange.
+ *
+ * Props:
+ * @param {Array} items - Checklist items `{ id, text, done }`
+ * @param {Function} onChange - Called with the new list of items
+ */
+
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  MAX_CHECKLIST_ITEMS,
+  createChecklistItem,
+  getChecklistProgress,
+  moveChecklistItem,
+  toggleChecklistItem,
+} from '../utils/checklist';
+
+export default function ChecklistEditor({ items, onChange }) {
+  const [newItemText, setNewItemText] = useState('');
+  const { done, total } = getChecklistProgress(items);
+  const isFull = items.length >= MAX_CHECKLIST_ITEMS;
+
+  /**
+   * Append the typed item and clear the input
+   */
+  const handleAddItem = () => {
+    if (!newItemText.trim() || isFull) return;
+    onChange([...items, createChecklistItem(newItemText)]);
+    setNewItemText('');
+  };
+
+  const handleRemoveItem = (itemId) => {
+    onChange(items.filter((item) => item.id !== itemId));
+  };
+
+  return (
+    <View>
+      {total > 0 && (
+        <Text style={styles.summary}>{done}/{total} done</Text>
+      )}
+
+      {items.map((item, index) => (
+        <View key={item.id} style={styles.itemRow}>
+          <TouchableOpacity
+            onPress={() => onChange(toggleChecklistItem(items, item.id))}
+            style={[styles.checkbox, item.done && styles.checkboxChecked]}
+            accessibilityLabel={item.done ? `Uncheck ${item.text}` : `Check ${item.text}`}
+          >
+            {item.done && <Ionicons name="checkmark" size={14} color="white" />}
+          </TouchableOpacity>
+
+          <Text style={[styles.itemText, item.done && styles.itemTextDone]} numberOfLines={2}>
+            {item.text}
+          </Text>
+
+          <TouchableOpacity
+            onPress={() => onChange(moveChecklistItem(items, index, -1))}
+            disabled={index === 0}
+            style={styles.iconButton}
+            accessibilityLabel={`Move ${item.text} up`}
+          >
+            <Ionicons name="chevron-up" size={18} color={index === 0 ? '#4b5563' : '#9ca3af'} />
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => onChange(moveChecklistItem(items, index, 1))}
+            disabled={index === items.length - 1}
+            style={styles.iconButton}
+            accessibilityLabel={`Move ${item.text} down`}
+          >
+            <Ionicons
+              name="chevron-down"
+              size={18}
+              color={index === items.length - 1 ? '#4b5563' : '#9ca3af'}
+            />
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => handleRemoveItem(item.id)}
+            style={styles.iconButton}
+            accessibilityLabel={`Remove ${item.text}`}
+          >
+            <Ionicons name="close" size={18} color="#ef4444" />
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      <View style={styles.addRow}>
+        <TextInput
+          style={styles.addInput}
+          value={newItemText}
+          onChangeText={setNewItemText}
+          onSubmitEditing={handleAddItem}
+          placeholder={isFull ? 'Checklist is full' : 'Add a checklist item'}
+          placeholderTextColor="#9ca3af"
+          editable={!isFull}
+          maxLength={100}
+          returnKeyType="done"
+          blurOnSubmit={false}
+        />
+        <TouchableOpacity
+          onPress={handleAddItem}
+          style={[styles.addButton, (!newItemText.trim() || isFull) && styles.addButtonDisabled]}
+          disabled={!newItemText.trim() || isFull}
+          accessibilityLabel="Add checklist item"
+        >
+          <Ionicons name="add" size={20} color="white" />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  summary: {
+    color: '#9ca3af',
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  itemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#374151',
+    borderRadius: 10,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: '#4b5563',
+  },
+  checkbox: {
+    width: 20,
+    height: 20,
+    borderRadius: 4,
+    borderWidth: 2,
+    borderColor: '#9ca3af',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 12,
+  },
+  checkboxChecked: {
+    backgroundColor: '#10b981',
+    borderColor: '#10b981',
+  },
+  itemText: {
+    flex: 1,
+    color: 'white',
+    fontSize: 15,
+  },
+  itemTextDone: {
+    color: '#9ca3af',
+    textDecorationLine: 'line-through',
+  },
+  iconButton: {
+    padding: 4,
+    marginLeft: 4,
+  },
+  addRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  addInput: {
+    flex: 1,
+    backgroundColor: '#374151',
+    borderRadius: 12,
+    padding: 14,
+    fontSize: 16,
+    color: 'white',
+    borderWidth: 1,
+    borderColor: '#4b5563',
+  },
+  addButton: {
+    backgroundColor: '#6366f1',
+    borderRadius: 12,
+    padding: 14,
+    marginLeft: 8,
+  },
+  addButtonDisabled: {
+    backgroundColor: '#4b5563',
+  },
+});
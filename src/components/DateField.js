@@ -0,0 +1,152 @@
+/**
+ * DateField.js - Optional Date Input
+ *
+ * Form control for optional dates such as start dates. Shows the chosen
+ * date with Edit / Clear buttons, or a dashed "Set ..." button when empty,
+ * and opens the native date picker. Matches the deadline controls of the
+ * project and task forms.
+ *
+ * Props:
+ * @param {Date|null} value - Selected date
+ * @param {Function} onChange - Called with the new date, or null when cleared
+ * @param {string} name - Lowercase field name for labels, e.g. "start date"
+ * @param {Date} [maximumDate] - Latest selectable date
+ */
+
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Platform } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import DateTimePicker from '@react-native-community/datetimepicker';
+
+const capitalizeWords = (text) => text.replace(/\b\w/g, (letter) => letter.toUpperCase());
+
+export default function DateField({ value, onChange, name, maximumDate }) {
+  const [showPicker, setShowPicker] = useState(false);
+
+  return (
+    <View>
+      {value ? (
+        <View style={styles.display}>
+          <View style={styles.info}>
+            <Ionicons name="calendar-outline" size={20} color="#6366f1" />
+            <Text style={styles.dateText}>
+              {value.toLocaleDateString('en-US', {
+                weekday: 'short',
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric',
+              })}
+            </Text>
+          </View>
+          <View style={styles.buttons}>
+            <TouchableOpacity
+              onPress={() => setShowPicker(true)}
+              style={styles.editButton}
+              accessibilityLabel={`Change ${name}`}
+            >
+              <Ionicons name="pencil" size={12} color="white" />
+              <Text style={styles.buttonText}>Edit</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={() => onChange(null)}
+              style={styles.clearButton}
+              accessibilityLabel={`Remove ${name}`}
+            >
+              <Ionicons name="trash" size={12} color="white" />
+              <Text style={styles.buttonText}>Clear</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      ) : (
+        <TouchableOpacity
+          style={styles.addButton}
+          onPress={() => setShowPicker(true)}
+          accessibilityLabel={`Add ${name}`}
+        >
+          <Ionicons name="calendar-outline" size={20} color="#6366f1" />
+          <Text style={styles.addText}>Set {capitalizeWords(name)}</Text>
+        </TouchableOpacity>
+      )}
+
+      {showPicker && (
+        <DateTimePicker
+          value={value || new Date()}
+          mode="date"
+          display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+          onChange={(event, selectedDate) => {
+            setShowPicker(Platform.OS === 'ios');
+            if (selectedDate) {
+              onChange(selectedDate);
+            }
+          }}
+          maximumDate={maximumDate}
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  display: {
+    backgroundColor: '#374151',
+    borderRadius: 12,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: '#4b5563',
+  },
+  info: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  dateText: {
+    color: 'white',
+    fontSize: 16,
+    marginLeft: 8,
+    flex: 1,
+  },
+  buttons: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  editButton: {
+    backgroundColor: '#6366f1',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 6,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  clearButton: {
+    backgroundColor: '#dc2626',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 6,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 12,
+    fontWeight: '500',
+  },
+  addButton: {
+    backgroundColor: 'transparent',
+    borderRadius: 12,
+    padding: 16,
+    borderWidth: 2,
+    borderColor: '#4b5563',
+    borderStyle: 'dashed',
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+  },
+  addText: {
+    color: '#9ca3af',
+    fontSize: 16,
+    fontWeight: '500',
+  },
+});
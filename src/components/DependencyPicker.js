@@ -0,0 +1,117 @@
+/**
+ * DependencyPicker.js - "Blocked by" Selector for a Task
+ *
+ * Lists the other tasks in the project so the user can pick which ones
+ * must be done first. Tasks that would create a dependency cycle cannot
+ * be picked. Used by AddTaskScreen and EditTaskScreen.
+ *
+ * Props:
+ * @param {string|null} taskId - Task being edited; null when creating one
+ * @param {Array} candidates - Other tasks in the same project
+ * @param {Array<string>} selectedIds - Current `blockedBy` IDs
+ * @param {Object} tasksById - Live tasks indexed by ID (for cycle checks)
+ * @param {Function} onChange - Called with the new list of IDs
+ */
+
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { createsDependencyCycle } from '../utils/taskDependencies';
+
+export default function DependencyPicker({ taskId, candidates, selectedIds, tasksById, onChange }) {
+  if (candidates.length === 0) {
+    return <Text style={styles.emptyText}>No other tasks in this project yet.</Text>;
+  }
+
+  const handleToggle = (candidateId) => {
+    if (selectedIds.includes(candidateId)) {
+      onChange(selectedIds.filter((id) => id !== candidateId));
+    } else {
+      onChange([...selectedIds, candidateId]);
+    }
+  };
+
+  return (
+    <View>
+      {candidates.map((candidate) => {
+        const isSelected = selectedIds.includes(candidate.id);
+        const wouldCycle = !isSelected && createsDependencyCycle(taskId, [candidate.id], tasksById);
+
+        return (
+          <TouchableOpacity
+            key={candidate.id}
+            onPress={() => handleToggle(candidate.id)}
+            disabled={wouldCycle}
+            style={[
+              styles.option,
+              isSelected && styles.optionSelected,
+              wouldCycle && styles.optionDisabled,
+            ]}
+            accessibilityLabel={`${isSelected ? 'Remove' : 'Add'} blocker ${candidate.title}`}
+          >
+            <Ionicons
+              name={isSelected ? 'lock-closed' : 'lock-open-outline'}
+              size={18}
+              color={isSelected ? '#f59e0b' : '#9ca3af'}
+            />
+            <View style={styles.optionContent}>
+              <Text
+                style={[styles.optionTitle, candidate.completed && styles.optionTitleDone]}
+                numberOfLines={1}
+              >
+                {candidate.title}
+              </Text>
+              {wouldCycle ? (
+                <Text style={styles.optionNote}>Depends on this task</Text>
+              ) : candidate.completed ? (
+                <Text style={styles.optionNote}>Completed</Text>
+              ) : null}
+            </View>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  emptyText: {
+    color: '#9ca3af',
+    fontSize: 14,
+    fontStyle: 'italic',
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#374151',
+    borderRadius: 10,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: '#4b5563',
+  },
+  optionSelected: {
+    borderColor: '#f59e0b',
+  },
+  optionDisabled: {
+    opacity: 0.5,
+  },
+  optionContent: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  optionTitle: {
+    color: 'white',
+    fontSize: 15,
+  },
+  optionTitleDone: {
+    color: '#9ca3af',
+    textDecorationLine: 'line-through',
+  },
+  optionNote: {
+    color: '#9ca3af',
+    fontSize: 12,
+    marginTop: 2,
+  },
+});
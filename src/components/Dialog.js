@@ -0,0 +1,277 @@
+/**
+ * Dialog.js - Promise-based In-app Dialogs
+ *
+ * Styled replacement for `Alert.alert`, `window.alert`, `window.confirm`
+ * and `window.prompt` that looks the same on web, iOS and Android:
+ * - confirm: resolves true/false
+ * - prompt: resolves the entered text, or null when cancelled
+ * - info / error: resolve once dismissed
+ *
+ * Dialogs requested while one is open are queued and shown in order.
+ * A modal that wants dialogs visible on top of it renders its own
+ * <DialogHost /> (see overlayHosts.js).
+ *
+ * Usage:
+ *   <DialogProvider>...</DialogProvider>
+ *   const dialog = useDialog();
+ *   if (await dialog.confirm({ title: 'Delete?', message, destructive: true })) { ... }
+ */
+
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  BackHandler,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import Ionicons from '@expo/vector-icons/Ionicons';
+import { useHostStack, useHostRegistration } from './overlayHosts';
+
+const KIND_ICONS = {
+  confirm: { name: 'help-circle', color: '#3b82f6' },
+  prompt: { name: 'create', color: '#3b82f6' },
+  info: { name: 'information-circle', color: '#3b82f6' },
+  error: { name: 'alert-circle', color: '#ef4444' },
+};
+
+// Used when no provider is mounted (e.g. isolated component tests):
+// confirm and prompt resolve as cancelled, info and error log to the console
+const FALLBACK_API = {
+  confirm: async () => false,
+  prompt: async () => null,
+  info: async (title, message) => console.log(`${title}: ${message}`),
+  error: async (title, message) => console.error(`${title}: ${message}`),
+};
+
+const noopRegister = () => () => {};
+
+const DialogContext = createContext(null);
+
+/**
+ * Provide dialogs to the app and render the root host
+ */
+export function DialogProvider({ children }) {
+  const [queue, setQueue] = useState([]);
+  const { topHostId, registerHost } = useHostStack();
+  const nextDialogId = useRef(0);
+
+  /**
+   * Queue a dialog and resolve with the value passed to `close`
+   */
+  const open = useCallback((kind, options) => new Promise((resolve) => {
+    const id = ++nextDialogId.current;
+    setQueue((current) => [...current, { id, kind, options, resolve }]);
+  }), []);
+
+  const close = useCallback((dialog, result) => {
+    setQueue((current) => current.filter((item) => item.id !== dialog.id));
+    dialog.resolve(result);
+  }, []);
+
+  const api = useMemo(() => ({
+    /**
+     * @param {Object} options - `{ title, message, confirmLabel, cancelLabel, destructive }`
+     * @returns {Promise<boolean>}
+     */
+    confirm: (options) => open('confirm', options),
+    /**
+     * @param {Object} options - `{ title, message, defaultValue, placeholder, confirmLabel, cancelLabel }`
+     * @returns {Promise<string|null>}
+     */
+    prompt: (options) => open('prompt', options),
+    info: (title, message) => open('info', { title, message }),
+    error: (title, message) => open('error', { title, message }),
+  }), [open]);
+
+  const value = useMemo(() => ({
+    api,
+    dialog: queue[0] || null,
+    close,
+    topHostId,
+    registerHost,
+  }), [api, queue, close, topHostId, registerHost]);
+
+  return (
+    <DialogContext.Provider value={value}>
+      {children}
+      <DialogHost isRoot />
+    </DialogContext.Provider>
+  );
+}
+
+/**
+ * Render point for dialogs. Place one inside every full-screen Modal.
+ *
+ * @param {boolean} [isRoot] - Set only by DialogProvider
+ */
+export function DialogHost({ isRoot = false }) {
+  const context = useContext(DialogContext);
+  const hostId = useHostRegistration(context ? context.registerHost : noopRegister, isRoot);
+  const dialog = context?.dialog;
+  const isVisible = !!dialog && context.topHostId === hostId;
+
+  if (!isVisible) return null;
+  return <DialogCard key={dialog.id} dialog={dialog} onClose={context.close} />;
+}
+
+/**
+ * The dialog itself: backdrop, icon, title, message, optional input, buttons
+ */
+function DialogCard({ dialog, onClose }) {
+  const { kind, options } = dialog;
+  const [text, setText] = useState(options.defaultValue || '');
+  const icon = KIND_ICONS[kind];
+  const hasCancel = kind === 'confirm' || kind === 'prompt';
+  const cancelResult = kind === 'prompt' ? null : kind === 'confirm' ? false : undefined;
+
+  const cancel = () => onClose(dialog, cancelResult);
+  const accept = () => onClose(dialog, kind === 'prompt' ? text : kind === 'confirm' ? true : undefined);
+
+  // Android back button dismisses the dialog instead of leaving the screen
+  useEffect(() => {
+    const subscription = BackHandler.addEventListener('hardwareBackPress', () => {
+      cancel();
+      return true;
+    });
+    return () => subscription.remove();
+  }, []);
+
+  const confirmColor = options.destructive ? '#ef4444' : '#3b82f6';
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.backdrop}
+      behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+    >
+      <TouchableOpacity style={StyleSheet.absoluteFill} activeOpacity={1} onPress={hasCancel ? cancel : accept} />
+      <View style={styles.card} accessibilityRole="alert">
+        <View style={styles.titleRow}>
+          <Ionicons name={icon.name} size={24} color={options.destructive ? '#ef4444' : icon.color} />
+          <Text style={styles.title}>{options.title}</Text>
+        </View>
+
+        {options.message ? <Text style={styles.message}>{options.message}</Text> : null}
+
+        {kind === 'prompt' && (
+          <TextInput
+            style={styles.input}
+            value={text}
+            onChangeText={setText}
+            placeholder={options.placeholder}
+            placeholderTextColor="#64748b"
+            autoFocus
+            onSubmitEditing={accept}
+            returnKeyType="done"
+          />
+        )}
+
+        <View style={styles.buttonRow}>
+          {hasCancel && (
+            <TouchableOpacity style={styles.cancelButton} onPress={cancel}>
+              <Text style={styles.cancelText}>{options.cancelLabel || 'Cancel'}</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity
+            style={[styles.confirmButton, { backgroundColor: confirmColor }]}
+            onPress={accept}
+          >
+            <Text style={styles.confirmText}>{options.confirmLabel || 'OK'}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </KeyboardAvoidingView>
+  );
+}
+
+/**
+ * Open dialogs: `{ confirm, prompt, info, error }`
+ */
+export function useDialog() {
+  const context = useContext(DialogContext);
+  return context ? context.api : FALLBACK_API;
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  card: {
+    width: '100%',
+    maxWidth: 420,
+    backgroundColor: '#1e293b',
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#334155',
+    padding: 24,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 8 },
+    shadowOpacity: 0.4,
+    shadowRadius: 16,
+    elevation: 12,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    flex: 1,
+    color: 'white',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginLeft: 12,
+  },
+  message: {
+    color: '#cbd5e1',
+    fontSize: 15,
+    lineHeight: 22,
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#0f172a',
+    borderWidth: 1,
+    borderColor: '#334155',
+    borderRadius: 8,
+    color: 'white',
+    fontSize: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    marginTop: 8,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 20,
+  },
+  cancelButton: {
+    paddingHorizontal: 18,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#334155',
+    marginRight: 12,
+  },
+  cancelText: {
+    color: '#cbd5e1',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  confirmButton: {
+    paddingHorizontal: 18,
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  confirmText: {
+    color: 'white',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+});
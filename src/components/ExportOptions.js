@@ -0,0 +1,110 @@
+/**
+ * ExportOptions.js - Buttons for Exporting Data as CSV or JSON
+ *
+ * Used in Settings and on the Analytics screen. Each button builds one
+ * file from the shared store (see utils/dataExport) and hands it to the
+ * share sheet on mobile or downloads it on web.
+ *
+ * Props:
+ * @param {Object} [analytics] - Current analytics; adds an "Analytics (CSV)" option
+ * @param {string} [timeRange] - Period of `analytics`
+ */
+
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import Ionicons from '@expo/vector-icons/Ionicons';
+import { useData } from '../contexts/DataContext';
+import { useDialog } from './Dialog';
+import { shareTextFile } from '../utils/fileTransfer';
+import {
+  buildProjectsCsv,
+  buildTasksCsv,
+  buildCompletionsCsv,
+  buildAnalyticsCsv,
+  buildJsonBackup,
+  getExportFileName,
+} from '../utils/dataExport';
+
+export default function ExportOptions({ analytics, timeRange }) {
+  const { projects, tasks, projectsById, tasksByProject, trashedProjects, trashedTasks } = useData();
+  const dialog = useDialog();
+
+  const options = [
+    analytics && {
+      key: 'analytics',
+      label: 'Analytics (CSV)',
+      icon: 'stats-chart-outline',
+      build: () => buildAnalyticsCsv(analytics, timeRange),
+    },
+    { key: 'projects', label: 'Projects (CSV)', icon: 'folder-outline', build: () => buildProjectsCsv(projects, tasksByProject) },
+    { key: 'tasks', label: 'Tasks (CSV)', icon: 'list-outline', build: () => buildTasksCsv(tasks, projectsById) },
+    {
+      key: 'completions',
+      label: 'Completions (CSV)',
+      icon: 'checkmark-done-outline',
+      build: () => buildCompletionsCsv(projects, tasks, projectsById),
+    },
+    {
+      key: 'backup',
+      label: 'Full backup (JSON)',
+      icon: 'archive-outline',
+      extension: 'json',
+      build: () => buildJsonBackup({ projects, tasks, trashedProjects, trashedTasks }),
+    },
+  ].filter(Boolean);
+
+  const handleExport = async (option) => {
+    const extension = option.extension || 'csv';
+    try {
+      await shareTextFile(
+        getExportFileName(option.key, extension),
+        option.build(),
+        extension === 'json' ? 'application/json' : 'text/csv'
+      );
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      dialog.error('Export Failed', 'The file could not be created. Please try again.');
+    }
+  };
+
+  return (
+    <View style={styles.optionRow}>
+      {options.map((option) => (
+        <TouchableOpacity
+          key={option.key}
+          style={styles.optionButton}
+          onPress={() => handleExport(option)}
+          accessibilityLabel={`Export ${option.label}`}
+        >
+          <Ionicons name={option.icon} size={16} color="#cbd5e1" />
+          <Text style={styles.optionText}>{option.label}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  optionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    marginRight: 8,
+    marginBottom: 8,
+    borderRadius: 8,
+    backgroundColor: '#1e293b',
+    borderWidth: 1,
+    borderColor: '#334155',
+  },
+  optionText: {
+    color: '#cbd5e1',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+});
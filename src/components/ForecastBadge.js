@@ -0,0 +1,81 @@
+/**
+ * ForecastBadge.js - Projected Completion Badge
+ *
+ * Shows a project's forecast (see utils/forecast): an "On track" or
+ * "At risk" pill when it has a deadline, and the expected finish date with
+ * its confidence range. Renders nothing for finished projects.
+ *
+ * Props:
+ * @param {Object} forecast - Result of `forecastProject`
+ * @param {boolean} [showVelocity] - Also show the completion rate used
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Ionicons from '@expo/vector-icons/Ionicons';
+
+const STATUS_STYLES = {
+  onTrack: { label: 'On track', color: '#10b981', icon: 'checkmark-circle-outline' },
+  atRisk: { label: 'At risk', color: '#ef4444', icon: 'alert-circle-outline' },
+  noDeadline: { label: 'Forecast', color: '#94a3b8', icon: 'trending-up-outline' },
+  noVelocity: { label: 'No forecast', color: '#64748b', icon: 'help-circle-outline' },
+};
+
+const formatShortDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+/**
+ * "Oct 28 – Nov 12", or "Oct 28 or later" when the slow end is open
+ */
+export function formatForecastRange(forecast) {
+  const earliest = formatShortDate(forecast.earliest);
+  return forecast.latest ? `${earliest} – ${formatShortDate(forecast.latest)}` : `${earliest} or later`;
+}
+
+export default function ForecastBadge({ forecast, showVelocity = false }) {
+  if (!forecast || forecast.status === 'done') return null;
+  const status = STATUS_STYLES[forecast.status];
+
+  return (
+    <View style={styles.container}>
+      <View style={[styles.pill, { backgroundColor: `${status.color}20`, borderColor: `${status.color}60` }]}>
+        <Ionicons name={status.icon} size={12} color={status.color} />
+        <Text style={[styles.pillText, { color: status.color }]}>{status.label}</Text>
+      </View>
+      {forecast.status === 'noVelocity' ? (
+        <Text style={styles.detailText}>No tasks completed recently</Text>
+      ) : (
+        <Text style={styles.detailText} numberOfLines={2}>
+          Est. {formatShortDate(forecast.expected)} ({formatForecastRange(forecast)})
+          {showVelocity ? ` • ${forecast.velocityPerWeek} tasks/week` : ''}
+        </Text>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  pill: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 10,
+    borderWidth: 1,
+  },
+  pillText: {
+    fontSize: 11,
+    fontWeight: '700',
+  },
+  detailText: {
+    color: '#94a3b8',
+    fontSize: 12,
+    flexShrink: 1,
+  },
+});
@@ -6,6 +6,8 @@
  * Features:
  * - Logo that navigates to home/projects screen
  * - Dynamic title display
+ * - Connection / pending-sync indicator
+ * - Search button that opens the global Search screen
  * - Menu button for sidebar navigation
  * - Accessibility support
  * - Responsive design for web and mobile
@@ -19,6 +21,7 @@
 import React from 'react';
 import { View, Text, Image, TouchableOpacity, StyleSheet } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import SyncIndicator from './SyncIndicator';
 
 export default function Header({ title, onMenuPress, navigation }) {
   /**
@@ -30,6 +33,15 @@ export default function Header({ title, onMenuPress, navigation }) {
     }
   };
 
+  /**
+   * Handle search press - open the Search screen
+   */
+  const handleSearchPress = () => {
+    if (navigation) {
+      navigation.navigate('Search');
+    }
+  };
+
   return (
     <View style={styles.header}>
       <TouchableOpacity 
@@ -46,6 +58,16 @@ export default function Header({ title, onMenuPress, navigation }) {
       <View style={styles.centerContainer}>
         <Text style={styles.headerTitle}>{title}</Text>
       </View>
+      <SyncIndicator />
+      {navigation && (
+        <TouchableOpacity
+          onPress={handleSearchPress}
+          style={styles.searchButton}
+          accessibilityLabel="Search"
+        >
+          <Ionicons name="search-outline" size={24} color="white" />
+        </TouchableOpacity>
+      )}
       <TouchableOpacity
         onPress={onMenuPress}
         style={styles.menuButton}
@@ -89,6 +111,9 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#fff',
   },
+  searchButton: {
+    padding: 8,
+  },
   menuButton: {
     padding: 8,
   },
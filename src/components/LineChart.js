@@ -0,0 +1,188 @@
+/**
+ * LineChart.js - Simple Multi-Series Line Chart
+ *
+ * Draws each series as straight segments between its points using rotated
+ * Views, so no SVG library is needed. Points are evenly spaced; null values
+ * leave a gap. A vertical marker can highlight one point (e.g. today).
+ *
+ * Props:
+ * @param {Array} series - `[{ key, label, color, values, thin }]`; `values` share one x axis
+ * @param {Array} xLabels - `[{ index, text }]` shown under the chart
+ * @param {number} [markerIndex] - Point to mark with a vertical line
+ * @param {number} [height] - Plot height in px
+ */
+
+import React, { useState } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+
+const LINE_WIDTH = 2;
+
+export default function LineChart({ series, xLabels = [], markerIndex = -1, height = 160 }) {
+  const [width, setWidth] = useState(0);
+  const pointCount = Math.max(...series.map((line) => line.values.length), 0);
+  const maxValue = Math.max(1, ...series.flatMap((line) => line.values.filter((value) => value !== null)));
+
+  const xAt = (index) => (pointCount > 1 ? (index / (pointCount - 1)) * width : width / 2);
+  const yAt = (value) => height - (value / maxValue) * height;
+
+  /**
+   * One straight segment from (x1, y1) to (x2, y2)
+   */
+  const renderSegment = (key, x1, y1, x2, y2, color, thickness) => {
+    const length = Math.hypot(x2 - x1, y2 - y1);
+    const angle = Math.atan2(y2 - y1, x2 - x1);
+    return (
+      <View
+        key={key}
+        style={[
+          styles.segment,
+          {
+            left: (x1 + x2) / 2 - length / 2,
+            top: (y1 + y2) / 2 - thickness / 2,
+            width: length,
+            height: thickness,
+            backgroundColor: color,
+            transform: [{ rotate: `${angle}rad` }],
+          },
+        ]}
+      />
+    );
+  };
+
+  const renderSeries = (line) => {
+    const thickness = line.thin ? 1 : LINE_WIDTH;
+    const segments = [];
+    for (let i = 1; i < line.values.length; i++) {
+      const from = line.values[i - 1];
+      const to = line.values[i];
+      if (from === null || to === null) continue;
+      segments.push(renderSegment(`${line.key}-${i}`, xAt(i - 1), yAt(from), xAt(i), yAt(to), line.color, thickness));
+    }
+    // A single point still shows up as a dot
+    if (line.values.filter((value) => value !== null).length === 1) {
+      const index = line.values.findIndex((value) => value !== null);
+      segments.push(
+        <View
+          key={`${line.key}-dot`}
+          style={[styles.dot, { left: xAt(index) - 3, top: yAt(line.values[index]) - 3, backgroundColor: line.color }]}
+        />
+      );
+    }
+    return segments;
+  };
+
+  return (
+    <View>
+      <View style={styles.chartRow}>
+        <View style={[styles.yAxis, { height }]}>
+          <Text style={styles.axisText}>{maxValue}</Text>
+          <Text style={styles.axisText}>0</Text>
+        </View>
+        <View
+          style={[styles.plot, { height }]}
+          onLayout={(event) => setWidth(event.nativeEvent.layout.width)}
+        >
+          <View style={[styles.gridLine, { top: 0 }]} />
+          <View style={[styles.gridLine, { top: height / 2 }]} />
+          <View style={[styles.gridLine, { top: height - 1 }]} />
+          {width > 0 && markerIndex >= 0 && (
+            <View style={[styles.marker, { left: xAt(markerIndex), height }]} />
+          )}
+          {width > 0 && series.map(renderSeries)}
+        </View>
+      </View>
+      <View style={styles.xAxis}>
+        {width > 0 && xLabels.map((label) => (
+          <Text
+            key={`${label.index}-${label.text}`}
+            style={[styles.axisText, styles.xLabel, { left: Math.min(Math.max(xAt(label.index) - 30, 0), width - 60) }]}
+            numberOfLines={1}
+          >
+            {label.text}
+          </Text>
+        ))}
+      </View>
+      <View style={styles.legend}>
+        {series.map((line) => (
+          <View key={line.key} style={styles.legendItem}>
+            <View style={[styles.legendSwatch, { backgroundColor: line.color }]} />
+            <Text style={styles.legendText}>{line.label}</Text>
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  chartRow: {
+    flexDirection: 'row',
+  },
+  yAxis: {
+    width: 28,
+    justifyContent: 'space-between',
+    alignItems: 'flex-end',
+    paddingRight: 6,
+  },
+  plot: {
+    flex: 1,
+    position: 'relative',
+  },
+  gridLine: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    height: 1,
+    backgroundColor: '#334155',
+  },
+  marker: {
+    position: 'absolute',
+    top: 0,
+    width: 1,
+    backgroundColor: '#ef4444',
+  },
+  segment: {
+    position: 'absolute',
+    borderRadius: 1,
+  },
+  dot: {
+    position: 'absolute',
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+  },
+  xAxis: {
+    height: 18,
+    marginLeft: 28,
+    marginTop: 4,
+  },
+  xLabel: {
+    position: 'absolute',
+    width: 60,
+    textAlign: 'center',
+  },
+  axisText: {
+    color: '#94a3b8',
+    fontSize: 11,
+  },
+  legend: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 16,
+    marginTop: 12,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  legendSwatch: {
+    width: 12,
+    height: 3,
+    borderRadius: 2,
+    marginRight: 6,
+  },
+  legendText: {
+    color: '#cbd5e1',
+    fontSize: 12,
+  },
+});
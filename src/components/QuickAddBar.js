@@ -0,0 +1,217 @@
+/**
+ * QuickAddBar.js - One-Line Task Entry
+ *
+ * A text field that creates a task from a phrase such as
+ * "Send invoice fri !urgent #ClientX" (see utils/quickAdd). While typing,
+ * chips preview the parsed deadline, priority and project so mistakes show
+ * before the task is saved. The field stays focused after saving so several
+ * tasks can be captured in a row.
+ *
+ * Props:
+ * @param {Object} [project] - Project used when the phrase has no #project
+ */
+
+import React, { useMemo, useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, ActivityIndicator } from 'react-native';
+import Ionicons from '@expo/vector-icons/Ionicons';
+import { auth } from '../config/firebase';
+import { useData } from '../contexts/DataContext';
+import { useSnackbar } from './Snackbar';
+import { createTask } from '../services/tasksService';
+import { parseQuickAdd } from '../utils/quickAdd';
+import { isSameDay } from '../utils/dateUtils';
+
+const PRIORITY_STYLES = {
+  urgent: { label: 'Urgent', color: '#ef4444' },
+  medium: { label: 'Medium', color: '#f59e0b' },
+  low: { label: 'Low', color: '#10b981' },
+};
+
+/**
+ * "Today", "Tomorrow 3:30 PM", "Fri, Oct 17"
+ */
+function formatDeadline(date, hasTime, now = new Date()) {
+  const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+  let label = date.toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: date.getFullYear() === now.getFullYear() ? undefined : 'numeric',
+  });
+  if (isSameDay(date, now)) label = 'Today';
+  else if (isSameDay(date, tomorrow)) label = 'Tomorrow';
+  return hasTime ? `${label} ${date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}` : label;
+}
+
+export default function QuickAddBar({ project = null }) {
+  const { projects } = useData();
+  const { showSnackbar } = useSnackbar();
+  const [text, setText] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const parsed = useMemo(() => parseQuickAdd(text, { projects }), [text, projects]);
+  const targetProject = parsed.projectName !== null ? parsed.project : project;
+
+  let problem = null;
+  if (parsed.projectName !== null && !parsed.project) problem = `No project matches #${parsed.projectName}`;
+  else if (!targetProject) problem = 'Add #project to choose a project';
+  else if (!parsed.title) problem = 'Add a title';
+  const canSave = text.trim() && !problem && !isSaving;
+
+  const handleSubmit = async () => {
+    if (!canSave) {
+      if (text.trim() && problem) showSnackbar(problem, { type: 'error' });
+      return;
+    }
+    if (!auth.currentUser) {
+      showSnackbar('You must be logged in to create tasks.', { type: 'error' });
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await createTask(auth.currentUser.uid, targetProject.id, {
+        title: parsed.title,
+        description: '',
+        startDate: null,
+        deadline: parsed.deadline,
+        priority: parsed.priority || 'medium',
+      });
+      showSnackbar(`Task "${parsed.title}" has been added to ${targetProject.title}.`, { type: 'success' });
+      setText('');
+    } catch (error) {
+      showSnackbar(error.message, { type: 'error' });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const priority = PRIORITY_STYLES[parsed.priority];
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.inputRow}>
+        <Ionicons name="flash-outline" size={18} color="#64748b" />
+        <TextInput
+          style={styles.input}
+          value={text}
+          onChangeText={setText}
+          onSubmitEditing={handleSubmit}
+          placeholder={project ? 'Quick add: Call client fri !urgent' : 'Quick add: Send invoice fri !urgent #Project'}
+          placeholderTextColor="#64748b"
+          returnKeyType="done"
+          blurOnSubmit={false}
+          autoCorrect={false}
+          accessibilityLabel="Quick add task"
+        />
+        {isSaving ? (
+          <ActivityIndicator size="small" color="#f97316" />
+        ) : (
+          <TouchableOpacity
+            onPress={handleSubmit}
+            disabled={!text.trim()}
+            style={[styles.addButton, !canSave && styles.addButtonDisabled]}
+            accessibilityLabel="Add task"
+          >
+            <Ionicons name="arrow-up" size={18} color="white" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {text.trim() ? (
+        <View style={styles.previewRow}>
+          {parsed.title ? <Text style={styles.previewTitle} numberOfLines={1}>{parsed.title}</Text> : null}
+          {parsed.deadline && (
+            <View style={styles.chip}>
+              <Ionicons name="calendar-outline" size={12} color="#3b82f6" />
+              <Text style={[styles.chipText, { color: '#3b82f6' }]}>
+                {formatDeadline(parsed.deadline, parsed.hasTime)}
+              </Text>
+            </View>
+          )}
+          {priority && (
+            <View style={[styles.chip, { borderColor: `${priority.color}60` }]}>
+              <Ionicons name="flag-outline" size={12} color={priority.color} />
+              <Text style={[styles.chipText, { color: priority.color }]}>{priority.label}</Text>
+            </View>
+          )}
+          {targetProject && (
+            <View style={styles.chip}>
+              <Ionicons name="folder-outline" size={12} color="#94a3b8" />
+              <Text style={styles.chipText} numberOfLines={1}>{targetProject.title}</Text>
+            </View>
+          )}
+          {problem ? <Text style={styles.problemText}>{problem}</Text> : null}
+        </View>
+      ) : null}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    paddingHorizontal: 20,
+    paddingTop: 12,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    paddingLeft: 14,
+    paddingRight: 6,
+    backgroundColor: '#1e293b',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#334155',
+  },
+  input: {
+    flex: 1,
+    color: 'white',
+    fontSize: 15,
+    paddingVertical: 10,
+  },
+  addButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#f97316',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  addButtonDisabled: {
+    backgroundColor: '#334155',
+  },
+  previewRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 6,
+    marginTop: 8,
+  },
+  previewTitle: {
+    color: '#cbd5e1',
+    fontSize: 13,
+    maxWidth: '100%',
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    maxWidth: 200,
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#334155',
+    backgroundColor: '#0f172a',
+  },
+  chipText: {
+    color: '#94a3b8',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  problemText: {
+    color: '#ef4444',
+    fontSize: 12,
+  },
+});
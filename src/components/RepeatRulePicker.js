@@ -0,0 +1,231 @@
+/**
+ * RepeatRulePicker.js - Repeat Rule Selector for Recurring Tasks
+ *
+ * Form control used by AddTaskScreen and EditTaskScreen. Lets the user
+ * pick how often a task repeats (see utils/recurrence for the rule shape):
+ * - Daily / weekly / monthly with an interval ("every 2 weeks")
+ * - Weekdays for weekly rules
+ * - Same date or same weekday for monthly rules
+ * - A number of days after completion
+ *
+ * Props:
+ * @param {Object|null} rule - Current repeat rule; null when not repeating
+ * @param {Date|null} deadline - Task deadline, used to describe monthly options
+ * @param {Function} onChange - Called with the new rule (or null)
+ */
+
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { describeRepeatRule } from '../utils/recurrence';
+
+const FREQUENCY_OPTIONS = [
+  { key: null, label: 'Never' },
+  { key: 'daily', label: 'Daily' },
+  { key: 'weekly', label: 'Weekly' },
+  { key: 'monthly', label: 'Monthly' },
+  { key: 'afterCompletion', label: 'After done' },
+];
+
+const WEEKDAY_LETTERS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+const INTERVAL_UNITS = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month',
+  afterCompletion: 'day',
+};
+
+const MAX_INTERVAL = 365;
+
+export default function RepeatRulePicker({ rule, deadline, onChange }) {
+  const anchor = deadline || new Date();
+  const frequency = rule?.frequency || null;
+  const interval = rule?.interval || 1;
+
+  /**
+   * Switch frequency, keeping the interval and seeding sensible defaults
+   */
+  const handleFrequencyChange = (key) => {
+    if (!key) {
+      onChange(null);
+      return;
+    }
+    const next = { frequency: key, interval };
+    if (key === 'weekly') next.weekdays = [anchor.getDay()];
+    if (key === 'monthly') next.monthlyMode = 'date';
+    onChange(next);
+  };
+
+  const handleIntervalChange = (delta) => {
+    const nextInterval = Math.min(MAX_INTERVAL, Math.max(1, interval + delta));
+    onChange({ ...rule, interval: nextInterval });
+  };
+
+  const handleWeekdayToggle = (day) => {
+    const weekdays = rule.weekdays || [];
+    const nextWeekdays = weekdays.includes(day)
+      ? weekdays.filter((item) => item !== day)
+      : [...weekdays, day].sort((a, b) => a - b);
+    // Keep at least one day selected
+    if (nextWeekdays.length === 0) return;
+    onChange({ ...rule, weekdays: nextWeekdays });
+  };
+
+  const unit = INTERVAL_UNITS[frequency];
+
+  return (
+    <View>
+      <View style={styles.chipRow}>
+        {FREQUENCY_OPTIONS.map((option) => {
+          const isActive = frequency === option.key;
+          return (
+            <TouchableOpacity
+              key={option.label}
+              style={[styles.chip, isActive && styles.chipActive]}
+              onPress={() => handleFrequencyChange(option.key)}
+              accessibilityLabel={`Repeat ${option.label}`}
+            >
+              <Text style={[styles.chipText, isActive && styles.chipTextActive]}>{option.label}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      {frequency && (
+        <View style={styles.intervalRow}>
+          <Text style={styles.intervalLabel}>
+            {frequency === 'afterCompletion' ? 'Next one' : 'Every'}
+          </Text>
+          <TouchableOpacity
+            onPress={() => handleIntervalChange(-1)}
+            disabled={interval <= 1}
+            style={styles.stepButton}
+            accessibilityLabel="Decrease interval"
+          >
+            <Ionicons name="remove" size={18} color={interval <= 1 ? '#4b5563' : 'white'} />
+          </TouchableOpacity>
+          <Text style={styles.intervalValue}>{interval}</Text>
+          <TouchableOpacity
+            onPress={() => handleIntervalChange(1)}
+            disabled={interval >= MAX_INTERVAL}
+            style={styles.stepButton}
+            accessibilityLabel="Increase interval"
+          >
+            <Ionicons name="add" size={18} color="white" />
+          </TouchableOpacity>
+          <Text style={styles.intervalLabel}>
+            {unit}{interval === 1 ? '' : 's'}{frequency === 'afterCompletion' ? ' after completion' : ''}
+          </Text>
+        </View>
+      )}
+
+      {frequency === 'weekly' && (
+        <View style={styles.chipRow}>
+          {WEEKDAY_LETTERS.map((letter, day) => {
+            const isActive = (rule.weekdays || []).includes(day);
+            return (
+              <TouchableOpacity
+                key={day}
+                style={[styles.weekdayChip, isActive && styles.chipActive]}
+                onPress={() => handleWeekdayToggle(day)}
+              >
+                <Text style={[styles.chipText, isActive && styles.chipTextActive]}>{letter}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      )}
+
+      {frequency === 'monthly' && (
+        <View style={styles.chipRow}>
+          {['date', 'weekday'].map((mode) => {
+            const isActive = (rule.monthlyMode || 'date') === mode;
+            // Describe each option from the deadline, e.g. "on day 15" / "on the 3rd Tue"
+            const label = describeRepeatRule({ frequency: 'monthly', interval: 1, monthlyMode: mode }, anchor)
+              .replace('Every month ', '');
+            return (
+              <TouchableOpacity
+                key={mode}
+                style={[styles.chip, isActive && styles.chipActive]}
+                onPress={() => onChange({ ...rule, monthlyMode: mode })}
+              >
+                <Text style={[styles.chipText, isActive && styles.chipTextActive]}>{label}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      )}
+
+      {frequency && (
+        <Text style={styles.summary}>{describeRepeatRule(rule, anchor)}</Text>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 12,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#374151',
+    borderWidth: 1,
+    borderColor: '#4b5563',
+  },
+  weekdayChip: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#374151',
+    borderWidth: 1,
+    borderColor: '#4b5563',
+  },
+  chipActive: {
+    backgroundColor: '#6366f1',
+    borderColor: '#6366f1',
+  },
+  chipText: {
+    color: '#d1d5db',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  chipTextActive: {
+    color: 'white',
+  },
+  intervalRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  intervalLabel: {
+    color: '#d1d5db',
+    fontSize: 15,
+  },
+  stepButton: {
+    backgroundColor: '#374151',
+    borderRadius: 8,
+    padding: 6,
+    marginHorizontal: 8,
+  },
+  intervalValue: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+    minWidth: 24,
+    textAlign: 'center',
+  },
+  summary: {
+    color: '#9ca3af',
+    fontSize: 14,
+    fontStyle: 'italic',
+  },
+});
@@ -0,0 +1,306 @@
+/**
+ * SelectionBar.js - Multi-Select Mode for Lists of Tasks or Projects
+ *
+ * - `useMultiSelect(items)` keeps the selection: long-press a card to start
+ *   (or shift/ctrl/cmd-click on web), then tap cards to add or remove them;
+ *   shift-click selects everything between the last clicked card and this one
+ * - `SelectionBar` docks at the bottom while items are selected, with the
+ *   count, Select all / Done and a row of bulk actions. Actions with
+ *   `options` (e.g. priorities) open a second row to pick from. While a
+ *   bulk action queues its batches, the actions give way to a progress
+ *   bar; the writes then sync in the background like any other change.
+ *
+ * Props:
+ * @param {number} count - Selected items
+ * @param {number} totalCount - Items that can be selected
+ * @param {Function} onSelectAll
+ * @param {Function} onClear - Deselect everything and leave selection mode
+ * @param {Array} actions - `[{ key, label, icon, color, onPress }]`, or
+ *   `[{ key, label, icon, options: [{ key, label, color }], onSelectOption }]`
+ * @param {Object|null} progress - `{ label, done, total }` while queueing writes
+ */
+
+import React, { useCallback, useMemo, useRef, useState } from 'react';
+import { View, Text, TouchableOpacity, ScrollView, StyleSheet, Platform } from 'react-native';
+import Ionicons from '@expo/vector-icons/Ionicons';
+
+/**
+ * How a press should change the selection, from the modifier keys of a
+ * web click: 'range' (shift), 'toggle' (ctrl / cmd) or null
+ */
+export function getSelectionGesture(event) {
+  if (Platform.OS !== 'web') return null;
+  const nativeEvent = event?.nativeEvent || {};
+  if (nativeEvent.shiftKey) return 'range';
+  if (nativeEvent.ctrlKey || nativeEvent.metaKey) return 'toggle';
+  return null;
+}
+
+/**
+ * Selection state for a list of `{ id }` items. Selected items that leave
+ * the list (trashed, moved) drop out on their own, and selection mode ends
+ * when nothing is selected.
+ *
+ * @param {Array} items - Items in display order
+ * @returns {Object} `{ selectedIds, selectedItems, isSelecting, handlePress,
+ *   handleLongPress, selectAll, clear }`
+ */
+export function useMultiSelect(items) {
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  // Last card clicked, where a shift-click range starts
+  const anchorId = useRef(null);
+
+  const selectedItems = useMemo(
+    () => items.filter((item) => selectedIds.has(item.id)),
+    [items, selectedIds]
+  );
+  const isSelecting = selectedItems.length > 0;
+
+  const toggle = useCallback((id) => {
+    anchorId.current = id;
+    setSelectedIds((current) => {
+      const next = new Set(current);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  }, []);
+
+  const selectRange = useCallback((id) => {
+    const from = items.findIndex((item) => item.id === anchorId.current);
+    const to = items.findIndex((item) => item.id === id);
+    if (from < 0 || to < 0) {
+      toggle(id);
+      return;
+    }
+    setSelectedIds((current) => {
+      const next = new Set(current);
+      items.slice(Math.min(from, to), Math.max(from, to) + 1).forEach((item) => next.add(item.id));
+      return next;
+    });
+  }, [items, toggle]);
+
+  /**
+   * Use a card press for selection when in selection mode or when a
+   * modifier key is held
+   *
+   * @returns {boolean} Whether the press was used
+   */
+  const handlePress = useCallback((item, event) => {
+    const gesture = getSelectionGesture(event);
+    if (gesture === 'range') {
+      selectRange(item.id);
+      return true;
+    }
+    if (gesture === 'toggle' || isSelecting) {
+      toggle(item.id);
+      return true;
+    }
+    return false;
+  }, [isSelecting, selectRange, toggle]);
+
+  const handleLongPress = useCallback((item) => toggle(item.id), [toggle]);
+
+  const selectAll = useCallback(() => {
+    setSelectedIds(new Set(items.map((item) => item.id)));
+  }, [items]);
+
+  const clear = useCallback(() => {
+    anchorId.current = null;
+    setSelectedIds(new Set());
+  }, []);
+
+  return { selectedIds, selectedItems, isSelecting, handlePress, handleLongPress, selectAll, clear };
+}
+
+export default function SelectionBar({ count, totalCount, onSelectAll, onClear, actions, progress }) {
+  // Action whose options are showing
+  const [openActionKey, setOpenActionKey] = useState(null);
+  const openAction = actions.find((action) => action.key === openActionKey && action.options);
+
+  const renderActions = () => (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.actionRow}>
+      {actions.map((action) => (
+        <TouchableOpacity
+          key={action.key}
+          onPress={() => (action.options ? setOpenActionKey(action.key) : action.onPress())}
+          style={styles.actionButton}
+          accessibilityLabel={`${action.label} ${count} selected`}
+        >
+          <Ionicons name={action.icon} size={20} color={action.color || '#cbd5e1'} />
+          <Text style={[styles.actionText, action.color && { color: action.color }]}>{action.label}</Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+
+  const renderOptions = () => (
+    <View style={styles.optionsContainer}>
+      <TouchableOpacity
+        onPress={() => setOpenActionKey(null)}
+        style={styles.optionsBack}
+        accessibilityLabel="Back to actions"
+      >
+        <Ionicons name="chevron-back" size={20} color="#94a3b8" />
+      </TouchableOpacity>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.actionRow}>
+        {openAction.options.map((option) => (
+          <TouchableOpacity
+            key={option.key}
+            onPress={() => {
+              setOpenActionKey(null);
+              openAction.onSelectOption(option);
+            }}
+            style={[styles.optionChip, option.color && { borderColor: option.color }]}
+            accessibilityLabel={`${openAction.label}: ${option.label}`}
+          >
+            <Text style={[styles.optionText, option.color && { color: option.color }]} numberOfLines={1}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+    </View>
+  );
+
+  const renderProgress = () => {
+    const percent = progress.total > 0 ? Math.round((progress.done / progress.total) * 100) : 0;
+    return (
+      <View style={styles.progressContainer} accessibilityLiveRegion="polite">
+        <Text style={styles.progressText}>
+          {progress.label} {progress.done} of {progress.total}...
+        </Text>
+        <View style={styles.progressTrack}>
+          <View style={[styles.progressFill, { width: `${percent}%` }]} />
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.topRow}>
+        <TouchableOpacity
+          onPress={onClear}
+          disabled={!!progress}
+          style={styles.iconButton}
+          accessibilityLabel="Leave selection mode"
+        >
+          <Ionicons name="close" size={22} color={progress ? '#475569' : 'white'} />
+        </TouchableOpacity>
+        <Text style={styles.countText}>{count} selected</Text>
+        {count < totalCount && !progress && (
+          <TouchableOpacity onPress={onSelectAll} accessibilityLabel="Select all">
+            <Text style={styles.selectAllText}>Select all</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+      {progress ? renderProgress() : openAction ? renderOptions() : renderActions()}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    paddingTop: 8,
+    paddingBottom: Platform.OS === 'ios' ? 28 : 12,
+    backgroundColor: '#1e293b',
+    borderTopWidth: 1,
+    borderTopColor: '#334155',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: -4 },
+    shadowOpacity: 0.3,
+    shadowRadius: 8,
+    elevation: 12,
+  },
+  topRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    marginBottom: 6,
+  },
+  iconButton: {
+    padding: 6,
+    marginRight: 6,
+  },
+  countText: {
+    flex: 1,
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  selectAllText: {
+    color: '#3b82f6',
+    fontSize: 14,
+    fontWeight: '600',
+    padding: 6,
+  },
+  actionRow: {
+    paddingHorizontal: 12,
+    gap: 8,
+    alignItems: 'center',
+  },
+  actionButton: {
+    alignItems: 'center',
+    minWidth: 64,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 10,
+    backgroundColor: '#0f172a',
+  },
+  actionText: {
+    color: '#cbd5e1',
+    fontSize: 12,
+    fontWeight: '600',
+    marginTop: 2,
+  },
+  optionsContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  optionsBack: {
+    paddingLeft: 12,
+    paddingVertical: 10,
+  },
+  optionChip: {
+    maxWidth: 180,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    borderRadius: 18,
+    borderWidth: 1,
+    borderColor: '#334155',
+    backgroundColor: '#0f172a',
+  },
+  optionText: {
+    color: '#cbd5e1',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  progressContainer: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  progressText: {
+    color: '#94a3b8',
+    fontSize: 13,
+    marginBottom: 8,
+  },
+  progressTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#334155',
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    borderRadius: 3,
+    backgroundColor: '#f97316',
+  },
+});
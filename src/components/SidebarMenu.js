@@ -8,24 +8,26 @@
  * - Theme switching (dark/light mode)
  * - User profile display
  * - Navigation to all main screens
+ * - Smart lists (built-in and saved) with live task counts
  * - Sign out functionality with cleanup
  * - Responsive design for different screen sizes
  * 
  * Props:
  * @param {boolean} visible - Controls sidebar visibility
  * @param {function} onClose - Callback to close the sidebar
- * @param {function} onNavigate - Callback for navigation with screen parameter
+ * @param {function} onNavigate - Callback for navigation with screen and optional route params
  * @param {string} currentTheme - Current theme ('dark' or 'light')
  * @param {function} onThemeToggle - Callback to toggle theme
  * @param {object} user - Current user object with profile information
  */
 
-import React, { useRef, useEffect } from 'react';
+import React, { useRef, useEffect, useMemo } from 'react';
 import {
   View,
   Text,
   TouchableOpacity,
   Modal,
+  ScrollView,
   StyleSheet,
   Image,
   Animated,
@@ -35,6 +37,8 @@ import Ionicons from '@expo/vector-icons/Ionicons';
 import { signOut } from 'firebase/auth';
 import { auth } from '../config/firebase';
 import { clearAuthState } from '../utils/authStorage';
+import { useData } from '../contexts/DataContext';
+import { getAllSmartLists, getSmartListCounts } from '../utils/smartLists';
 
 export default function SidebarMenu({ 
   visible, 
@@ -46,6 +50,14 @@ export default function SidebarMenu({
 }) {
   const isDark = currentTheme === 'dark';
   const slideAnim = useRef(new Animated.Value(320)).current; // Start off-screen
+  const { tasks, savedSmartLists } = useData();
+
+  const smartLists = useMemo(() => getAllSmartLists(savedSmartLists), [savedSmartLists]);
+  // Only count while the menu is open
+  const smartListCounts = useMemo(
+    () => (visible ? getSmartListCounts(smartLists, tasks) : {}),
+    [visible, tasks, smartLists]
+  );
 
   /**
    * Handle sidebar slide animations
@@ -69,14 +81,17 @@ export default function SidebarMenu({
     }
   }, [visible]);
 
-  const handleNavigation = (screen) => {
+  const handleNavigation = (screen, params) => {
     let target = screen;
     if (screen === 'projects' || screen === 'home') target = 'Projects';
     if (screen === 'calendar') target = 'Calendar';
+    if (screen === 'timeline') target = 'Timeline';
     if (screen === 'profile') target = 'Profile';
     if (screen === 'settings') target = 'Settings';
+    if (screen === 'trash') target = 'Trash';
+    if (screen === 'search') target = 'Search';
     onClose();
-    if (onNavigate) onNavigate(target);
+    if (onNavigate) onNavigate(target, params);
   };
 
   const handleSignOut = async () => {
@@ -131,7 +146,7 @@ export default function SidebarMenu({
             </Text>
           </View>
 
-          <View style={styles.navigation}>
+          <ScrollView style={styles.navigation} contentContainerStyle={styles.navigationContent}>
             <TouchableOpacity
               style={[styles.navItem, isDark ? styles.navItemDark : styles.navItemLight]}
               onPress={() => handleNavigation('projects')}
@@ -139,6 +154,14 @@ export default function SidebarMenu({
               <Ionicons name="home-outline" size={24} color={isDark ? "#3b82f6" : "#2563eb"} />
               <Text style={[styles.navText, isDark ? styles.textDark : styles.textLight]}>Home</Text>
             </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.navItem, isDark ? styles.navItemDark : styles.navItemLight]}
+              onPress={() => handleNavigation('search')}
+            >
+              <Ionicons name="search-outline" size={24} color={isDark ? "#f97316" : "#ea580c"} />
+              <Text style={[styles.navText, isDark ? styles.textDark : styles.textLight]}>Search</Text>
+            </TouchableOpacity>
             
             <TouchableOpacity
               style={[styles.navItem, isDark ? styles.navItemDark : styles.navItemLight]}
@@ -147,6 +170,14 @@ export default function SidebarMenu({
               <Ionicons name="calendar-outline" size={24} color={isDark ? "#10b981" : "#059669"} />
               <Text style={[styles.navText, isDark ? styles.textDark : styles.textLight]}>Calendar</Text>
             </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.navItem, isDark ? styles.navItemDark : styles.navItemLight]}
+              onPress={() => handleNavigation('timeline')}
+            >
+              <Ionicons name="git-commit-outline" size={24} color={isDark ? "#6366f1" : "#4f46e5"} />
+              <Text style={[styles.navText, isDark ? styles.textDark : styles.textLight]}>Timeline</Text>
+            </TouchableOpacity>
             
             <TouchableOpacity
               style={[styles.navItem, isDark ? styles.navItemDark : styles.navItemLight]}
@@ -171,7 +202,40 @@ export default function SidebarMenu({
               <Ionicons name="settings-outline" size={24} color={isDark ? "#8b5cf6" : "#7c3aed"} />
               <Text style={[styles.navText, isDark ? styles.textDark : styles.textLight]}>Settings</Text>
             </TouchableOpacity>
-          </View>
+
+            <TouchableOpacity
+              style={[styles.navItem, isDark ? styles.navItemDark : styles.navItemLight]}
+              onPress={() => handleNavigation('trash')}
+            >
+              <Ionicons name="trash-outline" size={24} color={isDark ? "#ef4444" : "#dc2626"} />
+              <Text style={[styles.navText, isDark ? styles.textDark : styles.textLight]}>Trash</Text>
+            </TouchableOpacity>
+
+            <View style={styles.sectionHeader}>
+              <Text style={styles.sectionTitle}>Lists</Text>
+              <TouchableOpacity
+                onPress={() => handleNavigation('SmartList', { listId: undefined })}
+                accessibilityLabel="New list"
+              >
+                <Ionicons name="add-circle-outline" size={22} color="#94a3b8" />
+              </TouchableOpacity>
+            </View>
+            {smartLists.map((list) => (
+              <TouchableOpacity
+                key={list.id}
+                style={styles.listItem}
+                onPress={() => handleNavigation('SmartList', { listId: list.id })}
+              >
+                <Ionicons name={list.icon} size={20} color="#94a3b8" />
+                <Text style={[styles.listText, isDark ? styles.textDark : styles.textLight]} numberOfLines={1}>
+                  {list.name}
+                </Text>
+                <View style={[styles.countBadge, list.id === 'overdue' && smartListCounts[list.id] > 0 && styles.countBadgeAlert]}>
+                  <Text style={styles.countText}>{smartListCounts[list.id] ?? 0}</Text>
+                </View>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
 
           {/* Footer with Theme Toggle and Sign Out side by side */}
           <View style={styles.footer}>
@@ -239,6 +303,8 @@ const styles = StyleSheet.create({
   },
   navigation: {
     flex: 1,
+  },
+  navigationContent: {
     paddingTop: 5,
     paddingHorizontal: 20,
   },
@@ -267,6 +333,49 @@ const styles = StyleSheet.create({
     marginLeft: 16,
     color: '#ffffff',
   },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 16,
+    marginBottom: 8,
+    paddingHorizontal: 4,
+  },
+  sectionTitle: {
+    color: '#94a3b8',
+    fontSize: 12,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+  },
+  listItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderRadius: 10,
+  },
+  listText: {
+    flex: 1,
+    fontSize: 15,
+    marginLeft: 12,
+  },
+  countBadge: {
+    minWidth: 24,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 10,
+    backgroundColor: '#334155',
+    alignItems: 'center',
+  },
+  countBadgeAlert: {
+    backgroundColor: '#ef4444',
+  },
+  countText: {
+    color: '#ffffff',
+    fontSize: 12,
+    fontWeight: '600',
+  },
   footer: {
     flexDirection: 'row',
     justifyContent: 'center',
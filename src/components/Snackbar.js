@@ -0,0 +1,219 @@
+/**
+ * Snackbar.js - Non-blocking Notifications with Undo
+ *
+ * Shows one short message at a time at the bottom of the screen, with an
+ * optional action button (usually "Undo"). A new message replaces the
+ * current one, so only the most recent action can be undone.
+ *
+ * A modal that wants snackbars visible on top of it renders its own
+ * <SnackbarHost /> (see overlayHosts.js).
+ *
+ * Usage:
+ *   <SnackbarProvider>...</SnackbarProvider>
+ *   const { showSnackbar } = useSnackbar();
+ *   showSnackbar('Task moved to Trash', { actionLabel: 'Undo', onAction: () => restoreTask(id) });
+ */
+
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Animated } from 'react-native';
+import Ionicons from '@expo/vector-icons/Ionicons';
+import { useHostStack, useHostRegistration } from './overlayHosts';
+
+// How long a message stays up, in milliseconds
+const DEFAULT_DURATION = 3000;
+const ACTION_DURATION = 6000;
+
+const TYPE_ICONS = {
+  info: { name: 'information-circle', color: '#3b82f6' },
+  success: { name: 'checkmark-circle', color: '#10b981' },
+  error: { name: 'alert-circle', color: '#ef4444' },
+};
+
+const SnackbarContext = createContext({
+  // Without a provider, messages fall back to the console
+  showSnackbar: (message) => console.log(message),
+  hideSnackbar: () => {},
+  snackbar: null,
+  topHostId: null,
+  registerHost: () => () => {},
+});
+
+/**
+ * Provide snackbars to the app and render the root host
+ */
+export function SnackbarProvider({ children }) {
+  const [snackbar, setSnackbar] = useState(null);
+  const { topHostId, registerHost } = useHostStack();
+  const hideTimer = useRef(null);
+  const nextSnackbarId = useRef(0);
+
+  useEffect(() => () => clearTimeout(hideTimer.current), []);
+
+  const hideSnackbar = useCallback(() => {
+    clearTimeout(hideTimer.current);
+    setSnackbar(null);
+  }, []);
+
+  /**
+   * Show a message, replacing any message currently on screen
+   *
+   * @param {string} message - Text to show
+   * @param {Object} [options]
+   * @param {string} [options.type] - 'info' | 'success' | 'error'
+   * @param {string} [options.actionLabel] - Label of the action button, e.g. 'Undo'
+   * @param {Function} [options.onAction] - Called when the action is pressed; may be async
+   * @param {number} [options.duration] - Milliseconds before the message hides
+   */
+  const showSnackbar = useCallback((message, options = {}) => {
+    const id = ++nextSnackbarId.current;
+    const duration = options.duration
+      ?? (options.onAction ? ACTION_DURATION : DEFAULT_DURATION);
+
+    clearTimeout(hideTimer.current);
+    setSnackbar({
+      id,
+      message,
+      type: options.type || 'info',
+      actionLabel: options.actionLabel,
+      onAction: options.onAction,
+    });
+    hideTimer.current = setTimeout(() => {
+      setSnackbar((current) => (current && current.id === id ? null : current));
+    }, duration);
+  }, []);
+
+  const value = useMemo(() => ({
+    showSnackbar,
+    hideSnackbar,
+    snackbar,
+    topHostId,
+    registerHost,
+  }), [showSnackbar, hideSnackbar, snackbar, topHostId, registerHost]);
+
+  return (
+    <SnackbarContext.Provider value={value}>
+      {children}
+      <SnackbarHost isRoot />
+    </SnackbarContext.Provider>
+  );
+}
+
+/**
+ * Render point for snackbars. Place one inside every full-screen Modal.
+ *
+ * @param {boolean} [isRoot] - Set only by SnackbarProvider
+ */
+export function SnackbarHost({ isRoot = false }) {
+  const { snackbar, topHostId, registerHost, showSnackbar, hideSnackbar } = useContext(SnackbarContext);
+  const hostId = useHostRegistration(registerHost, isRoot);
+  const opacity = useRef(new Animated.Value(0)).current;
+
+  const isVisible = !!snackbar && topHostId === hostId;
+
+  useEffect(() => {
+    if (!isVisible) return;
+    opacity.setValue(0);
+    Animated.timing(opacity, {
+      toValue: 1,
+      duration: 180,
+      useNativeDriver: true,
+    }).start();
+  }, [isVisible, snackbar?.id]);
+
+  if (!isVisible) return null;
+
+  const icon = TYPE_ICONS[snackbar.type] || TYPE_ICONS.info;
+
+  const handleAction = async () => {
+    hideSnackbar();
+    try {
+      await snackbar.onAction();
+    } catch (error) {
+      showSnackbar(error.message, { type: 'error' });
+    }
+  };
+
+  return (
+    <View style={styles.wrapper} pointerEvents="box-none">
+      <Animated.View
+        style={[
+          styles.snackbar,
+          { opacity, transform: [{ translateY: opacity.interpolate({ inputRange: [0, 1], outputRange: [16, 0] }) }] },
+        ]}
+        accessibilityLiveRegion="polite"
+      >
+        <Ionicons name={icon.name} size={20} color={icon.color} />
+        <Text style={styles.message} numberOfLines={3}>{snackbar.message}</Text>
+        {snackbar.onAction && (
+          <TouchableOpacity onPress={handleAction} style={styles.actionButton}>
+            <Text style={styles.actionText}>{snackbar.actionLabel || 'Undo'}</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity
+          onPress={hideSnackbar}
+          style={styles.closeButton}
+          hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+          accessibilityLabel="Dismiss"
+        >
+          <Ionicons name="close" size={18} color="#64748b" />
+        </TouchableOpacity>
+      </Animated.View>
+    </View>
+  );
+}
+
+/**
+ * Show and hide snackbars
+ */
+export function useSnackbar() {
+  const { showSnackbar, hideSnackbar } = useContext(SnackbarContext);
+  return { showSnackbar, hideSnackbar };
+}
+
+const styles = StyleSheet.create({
+  wrapper: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 96, // Clear of the floating add buttons
+    alignItems: 'center',
+    paddingHorizontal: 16,
+  },
+  snackbar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    width: '100%',
+    maxWidth: 560,
+    backgroundColor: '#1e293b',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#334155',
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.3,
+    shadowRadius: 8,
+    elevation: 8,
+  },
+  message: {
+    flex: 1,
+    color: 'white',
+    fontSize: 14,
+    marginLeft: 12,
+  },
+  actionButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginLeft: 8,
+  },
+  actionText: {
+    color: '#f97316',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  closeButton: {
+    marginLeft: 4,
+    padding: 4,
+  },
+});
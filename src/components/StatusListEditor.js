@@ -0,0 +1,176 @@
+/**
+ * StatusListEditor.js - Editable Workflow Statuses for a Project
+ *
+ * Form control used by EditProjectScreen to configure the columns of the
+ * project's task board: rename, reorder, add and remove statuses. The
+ * last status is the terminal one; tasks in it count as completed.
+ *
+ * Props:
+ * @param {Array} statuses - Current statuses `{ id, name }`
+ * @param {Function} onChange - Called with the new list of statuses
+ */
+
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { MIN_STATUSES, MAX_STATUSES, createStatus } from '../utils/workflow';
+
+export default function StatusListEditor({ statuses, onChange }) {
+  const [newStatusName, setNewStatusName] = useState('');
+  const canRemove = statuses.length > MIN_STATUSES;
+  const isFull = statuses.length >= MAX_STATUSES;
+
+  const handleRename = (statusId, name) => {
+    onChange(statuses.map((status) => (status.id === statusId ? { ...status, name } : status)));
+  };
+
+  const handleMove = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= statuses.length) return;
+    const next = [...statuses];
+    const [status] = next.splice(index, 1);
+    next.splice(target, 0, status);
+    onChange(next);
+  };
+
+  /**
+   * New statuses go before the terminal one, which normally stays last
+   */
+  const handleAdd = () => {
+    if (!newStatusName.trim() || isFull) return;
+    const next = [...statuses];
+    next.splice(statuses.length - 1, 0, createStatus(newStatusName));
+    onChange(next);
+    setNewStatusName('');
+  };
+
+  return (
+    <View>
+      {statuses.map((status, index) => {
+        const isTerminal = index === statuses.length - 1;
+        return (
+          <View key={status.id} style={styles.statusRow}>
+            <Ionicons
+              name={isTerminal ? 'checkmark-circle' : 'ellipse-outline'}
+              size={18}
+              color={isTerminal ? '#10b981' : '#9ca3af'}
+            />
+            <TextInput
+              style={styles.statusInput}
+              value={status.name}
+              onChangeText={(name) => handleRename(status.id, name)}
+              placeholder="Status name"
+              placeholderTextColor="#6b7280"
+              maxLength={24}
+            />
+            <TouchableOpacity
+              onPress={() => handleMove(index, -1)}
+              disabled={index === 0}
+              style={styles.iconButton}
+              accessibilityLabel={`Move ${status.name} earlier`}
+            >
+              <Ionicons name="chevron-up" size={18} color={index === 0 ? '#4b5563' : '#9ca3af'} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={() => handleMove(index, 1)}
+              disabled={isTerminal}
+              style={styles.iconButton}
+              accessibilityLabel={`Move ${status.name} later`}
+            >
+              <Ionicons name="chevron-down" size={18} color={isTerminal ? '#4b5563' : '#9ca3af'} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={() => onChange(statuses.filter((item) => item.id !== status.id))}
+              disabled={!canRemove}
+              style={styles.iconButton}
+              accessibilityLabel={`Remove ${status.name}`}
+            >
+              <Ionicons name="close" size={18} color={canRemove ? '#ef4444' : '#4b5563'} />
+            </TouchableOpacity>
+          </View>
+        );
+      })}
+
+      <Text style={styles.hint}>
+        Tasks in the last status count as completed. Tasks in a removed status move to the first one.
+      </Text>
+
+      <View style={styles.addRow}>
+        <TextInput
+          style={styles.addInput}
+          value={newStatusName}
+          onChangeText={setNewStatusName}
+          onSubmitEditing={handleAdd}
+          placeholder={isFull ? `Up to ${MAX_STATUSES} statuses` : 'Add a status'}
+          placeholderTextColor="#9ca3af"
+          editable={!isFull}
+          maxLength={24}
+          returnKeyType="done"
+          blurOnSubmit={false}
+        />
+        <TouchableOpacity
+          onPress={handleAdd}
+          style={[styles.addButton, (!newStatusName.trim() || isFull) && styles.addButtonDisabled]}
+          disabled={!newStatusName.trim() || isFull}
+          accessibilityLabel="Add status"
+        >
+          <Ionicons name="add" size={20} color="white" />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#374151',
+    borderRadius: 10,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: '#4b5563',
+  },
+  statusInput: {
+    flex: 1,
+    color: 'white',
+    fontSize: 15,
+    paddingVertical: 6,
+    marginLeft: 10,
+  },
+  iconButton: {
+    padding: 4,
+    marginLeft: 4,
+  },
+  hint: {
+    color: '#9ca3af',
+    fontSize: 13,
+    marginBottom: 12,
+    lineHeight: 18,
+  },
+  addRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  addInput: {
+    flex: 1,
+    backgroundColor: '#374151',
+    borderRadius: 12,
+    padding: 14,
+    fontSize: 16,
+    color: 'white',
+    borderWidth: 1,
+    borderColor: '#4b5563',
+  },
+  addButton: {
+    backgroundColor: '#6366f1',
+    borderRadius: 12,
+    padding: 14,
+    marginLeft: 8,
+  },
+  addButtonDisabled: {
+    backgroundColor: '#4b5563',
+  },
+});
@@ -0,0 +1,74 @@
+/**
+ * SyncIndicator.js - Connection Status Badge for the Header
+ *
+ * Hidden while online with nothing to sync. Otherwise shows:
+ * - Offline (amber cloud) with the number of changes waiting to sync
+ * - Syncing (blue cloud) while changes are being sent
+ * Pressing the badge lists the pending changes.
+ */
+
+import React from 'react';
+import { Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useSyncStatus } from '../contexts/SyncStatusContext';
+import { useDialog } from './Dialog';
+
+// Longest pending list shown in the details dialog
+const MAX_LISTED = 8;
+
+export default function SyncIndicator() {
+  const { isOnline, pending } = useSyncStatus();
+  const dialog = useDialog();
+
+  if (isOnline && pending.length === 0) return null;
+
+  const color = isOnline ? '#3b82f6' : '#f59e0b';
+  const statusLabel = isOnline ? 'Syncing' : 'Offline';
+
+  const showDetails = () => {
+    const listed = pending.slice(0, MAX_LISTED).map((entry) => `• ${entry.label}`);
+    if (pending.length > MAX_LISTED) listed.push(`…and ${pending.length - MAX_LISTED} more`);
+
+    const intro = isOnline
+      ? 'These changes are being sent to the server:'
+      : "You're offline. Your changes are saved on this device and will sync when the connection returns.";
+    dialog.info(
+      statusLabel,
+      listed.length ? `${intro}\n\n${listed.join('\n')}` : intro
+    );
+  };
+
+  return (
+    <TouchableOpacity
+      style={[styles.badge, { borderColor: color }]}
+      onPress={showDetails}
+      accessibilityLabel={`${statusLabel}, ${pending.length} change${pending.length === 1 ? '' : 's'} pending`}
+    >
+      <Ionicons
+        name={isOnline ? 'cloud-upload-outline' : 'cloud-offline-outline'}
+        size={18}
+        color={color}
+      />
+      {pending.length > 0 && (
+        <Text style={[styles.count, { color }]}>{pending.length}</Text>
+      )}
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  badge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+    marginRight: 8,
+  },
+  count: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    marginLeft: 4,
+  },
+});
@@ -0,0 +1,301 @@
+/**
+ * TaskBoard.js - Kanban Board of a Project's Tasks
+ *
+ * Shows one column per workflow status (see utils/workflow) and lets
+ * the user move cards between columns:
+ * - Web: drag a card and drop it on another column
+ * - Mobile (and web): long-press a card, then pick the target column
+ * Tapping a card opens it for editing.
+ *
+ * Props:
+ * @param {Array} tasks - The project's tasks, already sorted
+ * @param {Array} statuses - The project's workflow statuses
+ * @param {Object} tasksById - Live tasks indexed by ID (for blocked badges)
+ * @param {Function} onMoveTask - Called with `(task, statusId)`
+ * @param {Function} onEditTask - Called with the tapped task
+ */
+
+import React, { useRef, useState } from 'react';
+import { View, Text, TouchableOpacity, ScrollView, StyleSheet, Dimensions } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { isWeb, useWebDragSource, useWebDropTarget } from './webDragAndDrop';
+import { groupTasksByStatus, getTerminalStatus, getTaskStatusId } from '../utils/workflow';
+import { getOpenBlockers } from '../utils/taskDependencies';
+import { getChecklistProgress } from '../utils/checklist';
+import { safeToDateString } from '../utils/dateUtils';
+
+const COLUMN_WIDTH = Math.min(300, Dimensions.get('window').width * 0.8);
+
+const PRIORITY_COLORS = {
+  urgent: '#ef4444',
+  medium: '#f59e0b',
+  low: '#10b981',
+};
+
+function BoardCard({ task, tasksById, isMoving, onPress, onLongPress }) {
+  const cardRef = useRef(null);
+  useWebDragSource(cardRef, task.id);
+
+  const openBlockers = task.completed ? [] : getOpenBlockers(task, tasksById);
+  const checklist = getChecklistProgress(task.checklist);
+
+  return (
+    <TouchableOpacity
+      ref={cardRef}
+      style={[
+        styles.card,
+        { borderLeftColor: PRIORITY_COLORS[task.priority?.toLowerCase()] || '#64748b' },
+        isMoving && styles.cardMoving,
+      ]}
+      onPress={onPress}
+      onLongPress={onLongPress}
+      delayLongPress={300}
+      accessibilityLabel={`${task.title}. Long-press to move`}
+    >
+      <Text style={[styles.cardTitle, task.completed && styles.cardTitleDone]} numberOfLines={3}>
+        {task.title}
+      </Text>
+      <View style={styles.cardMeta}>
+        {task.deadline && (
+          <View style={styles.metaItem}>
+            <Ionicons name="calendar-outline" size={12} color="#94a3b8" />
+            <Text style={styles.metaText}>{safeToDateString(task.deadline)}</Text>
+          </View>
+        )}
+        {checklist.total > 0 && (
+          <View style={styles.metaItem}>
+            <Ionicons name="checkbox-outline" size={12} color="#94a3b8" />
+            <Text style={styles.metaText}>{checklist.done}/{checklist.total}</Text>
+          </View>
+        )}
+        {task.repeat && <Ionicons name="repeat" size={12} color="#94a3b8" />}
+        {openBlockers.length > 0 && <Ionicons name="lock-closed" size={12} color="#f59e0b" />}
+      </View>
+    </TouchableOpacity>
+  );
+}
+
+function BoardColumn({ status, isTerminal, tasks, tasksById, movingTaskId, onDropTaskId, onEditTask, onStartMove }) {
+  const columnRef = useRef(null);
+  const [isOver, setIsOver] = useState(false);
+  useWebDropTarget(columnRef, onDropTaskId, setIsOver);
+
+  return (
+    <View ref={columnRef} style={[styles.column, isOver && styles.columnOver]}>
+      <View style={styles.columnHeader}>
+        {isTerminal && <Ionicons name="checkmark-circle" size={16} color="#10b981" />}
+        <Text style={styles.columnTitle} numberOfLines={1}>{status.name}</Text>
+        <Text style={styles.columnCount}>{tasks.length}</Text>
+      </View>
+      <ScrollView style={styles.columnBody} showsVerticalScrollIndicator={false}>
+        {tasks.length === 0 ? (
+          <Text style={styles.emptyColumnText}>
+            {isWeb ? 'Drop tasks here' : 'No tasks'}
+          </Text>
+        ) : (
+          tasks.map((task) => (
+            <BoardCard
+              key={task.id}
+              task={task}
+              tasksById={tasksById}
+              isMoving={task.id === movingTaskId}
+              onPress={() => onEditTask(task)}
+              onLongPress={() => onStartMove(task)}
+            />
+          ))
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+export default function TaskBoard({ tasks, statuses, tasksById, onMoveTask, onEditTask }) {
+  // Task picked with a long-press, waiting for a target column
+  const [movingTask, setMovingTask] = useState(null);
+  const columns = groupTasksByStatus(tasks, statuses);
+  const terminalId = getTerminalStatus(statuses).id;
+
+  const handleDropTaskId = (statusId) => (taskId) => {
+    const task = tasks.find((item) => item.id === taskId);
+    if (task) onMoveTask(task, statusId);
+  };
+
+  const handlePickColumn = (statusId) => {
+    const task = movingTask;
+    setMovingTask(null);
+    onMoveTask(task, statusId);
+  };
+
+  return (
+    <View style={styles.container}>
+      {movingTask && (
+        <View style={styles.moveBar}>
+          <Text style={styles.moveBarTitle} numberOfLines={1}>
+            Move "{movingTask.title}" to:
+          </Text>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.moveBarOptions}>
+            {statuses.map((status) => {
+              const isCurrent = getTaskStatusId(movingTask, statuses) === status.id;
+              return (
+                <TouchableOpacity
+                  key={status.id}
+                  style={[styles.moveOption, isCurrent && styles.moveOptionCurrent]}
+                  disabled={isCurrent}
+                  onPress={() => handlePickColumn(status.id)}
+                >
+                  <Text style={styles.moveOptionText}>{status.name}</Text>
+                </TouchableOpacity>
+              );
+            })}
+            <TouchableOpacity
+              style={styles.moveCancel}
+              onPress={() => setMovingTask(null)}
+              accessibilityLabel="Cancel move"
+            >
+              <Ionicons name="close" size={18} color="#94a3b8" />
+            </TouchableOpacity>
+          </ScrollView>
+        </View>
+      )}
+
+      <ScrollView horizontal contentContainerStyle={styles.board} showsHorizontalScrollIndicator={isWeb}>
+        {statuses.map((status) => (
+          <BoardColumn
+            key={status.id}
+            status={status}
+            isTerminal={status.id === terminalId}
+            tasks={columns[status.id]}
+            tasksById={tasksById}
+            movingTaskId={movingTask?.id}
+            onDropTaskId={handleDropTaskId(status.id)}
+            onEditTask={onEditTask}
+            onStartMove={setMovingTask}
+          />
+        ))}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  board: {
+    padding: 16,
+    paddingBottom: 100,
+    alignItems: 'flex-start',
+  },
+  column: {
+    width: COLUMN_WIDTH,
+    maxHeight: '100%',
+    backgroundColor: '#1e293b',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#334155',
+    marginRight: 12,
+    padding: 12,
+  },
+  columnOver: {
+    borderColor: '#3b82f6',
+    backgroundColor: 'rgba(59, 130, 246, 0.1)',
+  },
+  columnHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginBottom: 12,
+  },
+  columnTitle: {
+    flex: 1,
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  columnCount: {
+    color: '#94a3b8',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  columnBody: {
+    flexGrow: 0,
+  },
+  emptyColumnText: {
+    color: '#64748b',
+    fontSize: 14,
+    fontStyle: 'italic',
+    textAlign: 'center',
+    paddingVertical: 16,
+  },
+  card: {
+    backgroundColor: '#0f172a',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+    borderLeftWidth: 4,
+    borderWidth: 1,
+    borderColor: '#334155',
+  },
+  cardMoving: {
+    borderColor: '#3b82f6',
+    opacity: 0.7,
+  },
+  cardTitle: {
+    color: 'white',
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  cardTitleDone: {
+    color: '#64748b',
+    textDecorationLine: 'line-through',
+  },
+  cardMeta: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 10,
+    marginTop: 8,
+  },
+  metaItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  metaText: {
+    color: '#94a3b8',
+    fontSize: 12,
+  },
+  moveBar: {
+    backgroundColor: '#1e293b',
+    borderBottomWidth: 1,
+    borderBottomColor: '#334155',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  moveBarTitle: {
+    color: '#cbd5e1',
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  moveBarOptions: {
+    alignItems: 'center',
+    gap: 8,
+  },
+  moveOption: {
+    backgroundColor: '#3b82f6',
+    borderRadius: 8,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  moveOptionCurrent: {
+    backgroundColor: '#334155',
+  },
+  moveOptionText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  moveCancel: {
+    padding: 6,
+  },
+});
@@ -0,0 +1,45 @@
+/**
+ * overlayHosts.js - Host Stack for In-app Overlays
+ *
+ * Full-screen RN Modals render above the app root, so an overlay drawn at
+ * the root (snackbar, dialog) would be hidden behind an open modal. Each
+ * modal therefore renders its own host, and an overlay is drawn only in
+ * the most recently mounted one. The provider's root host always stays at
+ * the bottom of the stack.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+
+let nextHostId = 0;
+
+/**
+ * Track mounted hosts for one kind of overlay (used by its provider)
+ *
+ * @returns {Object} `{ topHostId, registerHost }`
+ */
+export function useHostStack() {
+  const [hostIds, setHostIds] = useState([]);
+
+  /**
+   * @returns {Function} Unregister function
+   */
+  const registerHost = useCallback((hostId, isRoot) => {
+    setHostIds((ids) => (isRoot ? [hostId, ...ids] : [...ids, hostId]));
+    return () => setHostIds((ids) => ids.filter((id) => id !== hostId));
+  }, []);
+
+  return { topHostId: hostIds[hostIds.length - 1] ?? null, registerHost };
+}
+
+/**
+ * Register a host for as long as it is mounted (used by host components)
+ *
+ * @param {Function} registerHost - From `useHostStack`
+ * @param {boolean} isRoot - True only for the provider's own host
+ * @returns {number} This host's ID
+ */
+export function useHostRegistration(registerHost, isRoot) {
+  const [hostId] = useState(() => ++nextHostId);
+  useEffect(() => registerHost(hostId, isRoot), [registerHost, hostId, isRoot]);
+  return hostId;
+}
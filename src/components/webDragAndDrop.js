@@ -0,0 +1,80 @@
+/**
+ * webDragAndDrop.js - Mouse Drag and Drop for React Native Web
+ *
+ * react-native-web doesn't expose the HTML drag events, but on web host
+ * component refs are DOM nodes, so listeners can be attached directly.
+ * Both hooks do nothing on native, where screens offer a long-press
+ * alternative instead.
+ *
+ * Usage:
+ *   useWebDragSource(cardRef, task.id);
+ *   useWebDropTarget(columnRef, (data) => moveTo(column, data), setIsOver);
+ */
+
+import { useEffect, useRef } from 'react';
+import { Platform } from 'react-native';
+
+export const isWeb = Platform.OS === 'web';
+
+/**
+ * Make a node draggable; `data` (a string) travels in the drag data.
+ * Passing no data leaves the node undraggable.
+ */
+export function useWebDragSource(ref, data) {
+  useEffect(() => {
+    const node = ref.current;
+    if (!isWeb || !data || !node?.addEventListener) return undefined;
+
+    const handleDragStart = (event) => {
+      event.dataTransfer.setData('text/plain', data);
+      event.dataTransfer.effectAllowed = 'move';
+    };
+    node.setAttribute('draggable', 'true');
+    node.addEventListener('dragstart', handleDragStart);
+    return () => {
+      node.removeEventListener('dragstart', handleDragStart);
+      node.removeAttribute('draggable');
+    };
+  }, [ref, data]);
+}
+
+/**
+ * Accept drops on a node and report hover state for highlighting
+ *
+ * @param {Object} ref - Ref of the drop target
+ * @param {Function} onDropData - Called with the dropped data string
+ * @param {Function} setIsOver - Called with true/false as a drag enters/leaves
+ */
+export function useWebDropTarget(ref, onDropData, setIsOver) {
+  // Read the latest callback without re-binding listeners on every render
+  const onDropRef = useRef(onDropData);
+  onDropRef.current = onDropData;
+
+  useEffect(() => {
+    const node = ref.current;
+    if (!isWeb || !node?.addEventListener) return undefined;
+
+    const handleDragOver = (event) => {
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'move';
+      setIsOver(true);
+    };
+    const handleDragLeave = (event) => {
+      if (!node.contains(event.relatedTarget)) setIsOver(false);
+    };
+    const handleDrop = (event) => {
+      event.preventDefault();
+      setIsOver(false);
+      const data = event.dataTransfer.getData('text/plain');
+      if (data) onDropRef.current(data);
+    };
+    node.addEventListener('dragover', handleDragOver);
+    node.addEventListener('dragleave', handleDragLeave);
+    node.addEventListener('drop', handleDrop);
+    return () => {
+      node.removeEventListener('dragover', handleDragOver);
+      node.removeEventListener('dragleave', handleDragLeave);
+      node.removeEventListener('drop', handleDrop);
+    };
+  }, [ref, setIsOver]);
+}
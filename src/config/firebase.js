@@ -3,15 +3,21 @@
  * 
  * This file initializes Firebase services for the Project Pro app:
  * - Authentication (for user login/signup)
- * - Firestore Database (for storing projects and tasks)
+ * - Firestore Database (for storing projects and tasks), with an offline cache
  * - Storage (for uploading project images)
  * - Google Auth Provider (for potential Google sign-in)
  */
 
 import { initializeApp } from 'firebase/app';
 import { initializeAuth, getReactNativePersistence, GoogleAuthProvider } from 'firebase/auth';
-import { getFirestore } from 'firebase/firestore';
+import {
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+  memoryLocalCache,
+} from 'firebase/firestore';
 import { getStorage } from 'firebase/storage';
+import { Platform } from 'react-native';
 import ReactNativeAsyncStorage from '@react-native-async-storage/async-storage';
 
 /**
@@ -48,11 +54,21 @@ export const auth = initializeAuth(app, {
 console.log('Firebase Auth initialized with AsyncStorage persistence');
 
 // Firestore database - stores projects, tasks, and user data
-export const db = getFirestore(app);
-console.log('Firestore database initialized');
+// On web the cache, including writes made offline, is kept in IndexedDB and
+// shared between tabs. The JS SDK has no persistent cache on React Native,
+// so native apps cache in memory for the lifetime of the app.
+export const db = initializeFirestore(app, {
+  localCache: Platform.OS === 'web'
+    ? persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+    : memoryLocalCache(),
+});
+console.log('Firestore database initialized with offline cache');
 
 // Cloud Storage - stores project images and other files
 export const storage = getStorage(app);
+// Give up on an upload after a minute instead of the default ten, so a
+// queued upload that loses its connection is retried on the next reconnect
+storage.maxUploadRetryTime = 60 * 1000;
 console.log('Firebase Storage initialized');
 
 // Google Auth Provider - for Google sign-in (if implemented later)
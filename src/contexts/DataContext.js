@@ -0,0 +1,268 @@
+/**
+ * DataContext.js - App-wide Project and Task Store
+ *
+ * Holds a single live Firestore listener for the user's projects, one for
+ * their tasks and one for their saved smart lists, and shares the results
+ * with every screen. Derived data (tasks grouped by project, progress, completion
+ * forecasts, deadlines and completions by date) is computed once per
+ * snapshot instead of once per screen.
+ *
+ * Items with a `deletedAt` marker are in the Trash: they are left out of
+ * every list and derived value and exposed separately as `trashedProjects`
+ * and `trashedTasks`. Trash older than the `trashRetentionDays` preference
+ * is purged automatically while the app is open. Project progress counts
+ * checklist items when the `checklistProgress` preference is on.
+ *
+ * A project's stored `completed` state follows its tasks: when the last
+ * open task is finished (or a task is reopened or added) the change is
+ * recorded on the project for analytics.
+ *
+ * `isFromCache` is true while the data comes from the offline cache
+ * because the server cannot be reached. Connectivity failures are not
+ * reported as errors; the listeners are retried instead.
+ *
+ * Usage:
+ *   <DataProvider userId={uid}>...</DataProvider>
+ *   const { projects, tasksByProject, projectProgress } = useData();
+ */
+
+import React, { createContext, useContext, useEffect, useMemo, useRef, useState, useCallback } from 'react';
+import { subscribeToProjects, deleteProject, setProjectCompletion } from '../services/projectsService';
+import { subscribeToTasks, deleteTask } from '../services/tasksService';
+import { subscribeToSmartLists } from '../services/smartListsService';
+import { usePreferences } from './PreferencesContext';
+import { isConnectivityError } from '../services/serviceErrors';
+import {
+  splitTrash,
+  getExpiredTrash,
+  indexById,
+  groupTasksByProject,
+  getProgressByProject,
+  groupDeadlinesByDate,
+  groupCompletionsByDate,
+} from '../utils/dataSelectors';
+import { getProjectCompletionChanges } from '../utils/analytics';
+import { getForecastsByProject } from '../utils/forecast';
+
+const EMPTY_STATE = {
+  projects: [],
+  tasks: [],
+  projectsById: {},
+  tasksById: {},
+  tasksByProject: {},
+  savedSmartLists: [],
+  projectProgress: {},
+  projectForecasts: {},
+  deadlinesByDate: {},
+  completionsByDate: {},
+  trashedProjects: [],
+  trashedTasks: [],
+  isFromCache: false,
+  isLoading: false,
+  isRefreshing: false,
+  error: null,
+  refresh: () => {},
+};
+
+const DataContext = createContext(EMPTY_STATE);
+
+// Delay before re-subscribing after a listener lost its connection
+const RETRY_DELAY_MS = 10000;
+
+/**
+ * Provide live project/task data for a signed-in user
+ *
+ * @param {string|null} userId - Firebase-confirmed user ID; no listeners run while null
+ * @param {React.ReactNode} children
+ */
+export function DataProvider({ userId, children }) {
+  const [projects, setProjects] = useState([]);
+  const [tasks, setTasks] = useState([]);
+  const [savedSmartLists, setSavedSmartLists] = useState([]);
+  const [projectsLoaded, setProjectsLoaded] = useState(false);
+  const [tasksLoaded, setTasksLoaded] = useState(false);
+  const [smartListsLoaded, setSmartListsLoaded] = useState(false);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+  const [subscriptionKey, setSubscriptionKey] = useState(0);
+  const [projectsFromCache, setProjectsFromCache] = useState(false);
+  const [tasksFromCache, setTasksFromCache] = useState(false);
+  const [smartListsFromCache, setSmartListsFromCache] = useState(false);
+  const { preferences, isLoaded: preferencesLoaded } = usePreferences();
+  // IDs with a purge in flight, so repeated snapshots don't delete twice
+  const purgingIds = useRef(new Set());
+  // Projects with a completion update in flight
+  const syncingProjectIds = useRef(new Set());
+
+  // Start from a clean slate whenever the signed-in user changes
+  useEffect(() => {
+    setProjects([]);
+    setTasks([]);
+    setSavedSmartLists([]);
+    setProjectsLoaded(false);
+    setTasksLoaded(false);
+    setSmartListsLoaded(false);
+    setProjectsFromCache(false);
+    setTasksFromCache(false);
+    setSmartListsFromCache(false);
+  }, [userId]);
+
+  // Re-subscribing (refresh, retry) keeps the current data until new snapshots arrive
+  useEffect(() => {
+    setError(null);
+
+    if (!userId) return undefined;
+
+    console.log('Setting up shared data listeners for user:', userId);
+
+    let retryTimer = null;
+    const handleListenerError = (listenerError, setLoaded, setFromCache) => {
+      setLoaded(true);
+      setIsRefreshing(false);
+      if (isConnectivityError(listenerError)) {
+        // Offline: keep showing cached data and try again shortly
+        setFromCache(true);
+        retryTimer = retryTimer || setTimeout(() => setSubscriptionKey((key) => key + 1), RETRY_DELAY_MS);
+        return;
+      }
+      setError(listenerError);
+    };
+
+    const unsubProjects = subscribeToProjects(
+      userId,
+      (projectsData, metadata) => {
+        setProjects(projectsData);
+        setProjectsFromCache(metadata.fromCache);
+        setProjectsLoaded(true);
+        setIsRefreshing(false);
+      },
+      (listenerError) => handleListenerError(listenerError, setProjectsLoaded, setProjectsFromCache)
+    );
+
+    const unsubTasks = subscribeToTasks(
+      userId,
+      (tasksData, metadata) => {
+        setTasks(tasksData);
+        setTasksFromCache(metadata.fromCache);
+        setTasksLoaded(true);
+        setIsRefreshing(false);
+      },
+      (listenerError) => handleListenerError(listenerError, setTasksLoaded, setTasksFromCache)
+    );
+
+    const unsubSmartLists = subscribeToSmartLists(
+      userId,
+      (listsData, metadata) => {
+        setSavedSmartLists(listsData);
+        setSmartListsFromCache(metadata.fromCache);
+        setSmartListsLoaded(true);
+      },
+      (listenerError) => handleListenerError(listenerError, setSmartListsLoaded, setSmartListsFromCache)
+    );
+
+    return () => {
+      console.log('Cleaning up shared data listeners');
+      clearTimeout(retryTimer);
+      unsubProjects();
+      unsubTasks();
+      unsubSmartLists();
+    };
+  }, [userId, subscriptionKey]);
+
+  /**
+   * Re-create the listeners, e.g. after a listener error or on pull-to-refresh
+   */
+  const refresh = useCallback(() => {
+    setIsRefreshing(true);
+    setSubscriptionKey((key) => key + 1);
+  }, []);
+
+  const trash = useMemo(() => splitTrash(projects, tasks), [projects, tasks]);
+  const tasksByProject = useMemo(() => groupTasksByProject(trash.tasks), [trash]);
+  const isLoaded = projectsLoaded && tasksLoaded && smartListsLoaded;
+
+  /**
+   * Permanently delete trash older than the retention preference
+   */
+  useEffect(() => {
+    if (!userId || !isLoaded || !preferencesLoaded) return;
+    const retentionDays = preferences.trashRetentionDays;
+
+    const purge = (item, remove) => {
+      if (purgingIds.current.has(item.id)) return;
+      purgingIds.current.add(item.id);
+      remove(item)
+        .then(() => console.log('Purged expired trash item:', item.id))
+        .catch((purgeError) => console.error('Error purging trash item:', purgeError))
+        .finally(() => purgingIds.current.delete(item.id));
+    };
+
+    getExpiredTrash(trash.trashedProjects, retentionDays)
+      .forEach((project) => purge(project, deleteProject));
+    getExpiredTrash(trash.trashedTasks, retentionDays)
+      .forEach((task) => purge(task, (item) => deleteTask(item.id)));
+  }, [userId, isLoaded, preferencesLoaded, preferences.trashRetentionDays, trash]);
+
+  /**
+   * Record completion changes on projects whose tasks were all finished
+   * or that got an open task again
+   */
+  useEffect(() => {
+    if (!userId || !isLoaded) return;
+
+    getProjectCompletionChanges(trash.projects, tasksByProject).forEach(({ project, completed, at }) => {
+      if (syncingProjectIds.current.has(project.id)) return;
+      syncingProjectIds.current.add(project.id);
+      setProjectCompletion(project, completed, at)
+        .catch((syncError) => console.error('Error recording project completion:', syncError))
+        .finally(() => syncingProjectIds.current.delete(project.id));
+    });
+  }, [userId, isLoaded, trash, tasksByProject]);
+
+  const value = useMemo(() => {
+    const { projects: liveProjects, tasks: liveTasks } = trash;
+    return {
+      projects: liveProjects,
+      tasks: liveTasks,
+      projectsById: indexById(liveProjects),
+      tasksById: indexById(liveTasks),
+      tasksByProject,
+      savedSmartLists,
+      projectProgress: getProgressByProject(tasksByProject, {
+        countChecklistItems: preferences.checklistProgress,
+      }),
+      projectForecasts: getForecastsByProject(liveProjects, tasksByProject),
+      deadlinesByDate: groupDeadlinesByDate(liveProjects, liveTasks),
+      completionsByDate: groupCompletionsByDate(liveTasks),
+      trashedProjects: trash.trashedProjects,
+      trashedTasks: trash.trashedTasks,
+      isFromCache: projectsFromCache || tasksFromCache || smartListsFromCache,
+      isLoading: !!userId && !isLoaded,
+      isRefreshing,
+      error,
+      refresh,
+    };
+  }, [
+    trash,
+    tasksByProject,
+    savedSmartLists,
+    preferences.checklistProgress,
+    projectsFromCache,
+    tasksFromCache,
+    smartListsFromCache,
+    isLoaded,
+    isRefreshing,
+    error,
+    refresh,
+    userId,
+  ]);
+
+  return <DataContext.Provider value={value}>{children}</DataContext.Provider>;
+}
+
+/**
+ * Read the shared project/task store
+ */
+export function useData() {
+  return useContext(DataContext);
+}
@@ -0,0 +1,68 @@
+/**
+ * PreferencesContext.js - App-wide Preferences
+ *
+ * Loads the stored preferences once and shares them with every screen.
+ * Updates are applied immediately and persisted in the background.
+ *
+ * Usage:
+ *   <PreferencesProvider>...</PreferencesProvider>
+ *   const { preferences, updatePreferences } = usePreferences();
+ */
+
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { DEFAULT_PREFERENCES, loadPreferences, savePreferences } from '../utils/preferences';
+
+const PreferencesContext = createContext({
+  preferences: DEFAULT_PREFERENCES,
+  isLoaded: false,
+  updatePreferences: () => {},
+});
+
+/**
+ * Provide stored preferences to the app
+ */
+export function PreferencesProvider({ children }) {
+  const [preferences, setPreferences] = useState(DEFAULT_PREFERENCES);
+  const [isLoaded, setIsLoaded] = useState(false);
+  // Latest preferences, so back-to-back updates merge without a state updater
+  const preferencesRef = useRef(DEFAULT_PREFERENCES);
+
+  useEffect(() => {
+    let isMounted = true;
+    loadPreferences().then((stored) => {
+      if (!isMounted) return;
+      preferencesRef.current = stored;
+      setPreferences(stored);
+      setIsLoaded(true);
+    });
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  /**
+   * Merge changes into the current preferences and persist them
+   *
+   * @param {Object} changes - Partial preferences object
+   */
+  const updatePreferences = useCallback((changes) => {
+    const next = { ...preferencesRef.current, ...changes };
+    preferencesRef.current = next;
+    setPreferences(next);
+    savePreferences(next);
+  }, []);
+
+  const value = useMemo(
+    () => ({ preferences, isLoaded, updatePreferences }),
+    [preferences, isLoaded, updatePreferences]
+  );
+
+  return <PreferencesContext.Provider value={value}>{children}</PreferencesContext.Provider>;
+}
+
+/**
+ * Read and update the app preferences
+ */
+export function usePreferences() {
+  return useContext(PreferencesContext);
+}
@@ -0,0 +1,88 @@
+/**
+ * SyncProvider.js - Offline Sync Coordinator
+ *
+ * Works out whether the app can reach the server and drives the pending
+ * sync queue (see services/syncQueue):
+ * - Online state comes from the browser's online/offline events on web
+ *   and from the shared listeners' snapshot metadata everywhere
+ * - Queued tasks (image uploads) are replayed whenever the app is online
+ * - Changes the server rejected are reported in a snackbar
+ *
+ * Must be rendered inside DataProvider and SnackbarProvider.
+ *
+ * Usage:
+ *   <SyncProvider userId={uid}>...</SyncProvider>
+ *   const { isOnline, pending } = useSyncStatus();
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { Platform } from 'react-native';
+import { SyncStatusContext } from './SyncStatusContext';
+import { useData } from './DataContext';
+import { useSnackbar } from '../components/Snackbar';
+import {
+  subscribeToSyncQueue,
+  loadSyncQueue,
+  processSyncQueue,
+  clearSyncFailures,
+} from '../services/syncQueue';
+
+const isWeb = Platform.OS === 'web';
+
+/**
+ * Browser connectivity; native platforms rely on snapshot metadata only
+ */
+const getBrowserOnline = () => (isWeb && typeof navigator !== 'undefined' ? navigator.onLine !== false : true);
+
+export function SyncProvider({ userId, children }) {
+  const { isFromCache } = useData();
+  const { showSnackbar } = useSnackbar();
+  const [queue, setQueue] = useState({ pending: [], failures: [] });
+  const [browserOnline, setBrowserOnline] = useState(getBrowserOnline);
+
+  useEffect(() => {
+    loadSyncQueue();
+    return subscribeToSyncQueue(setQueue);
+  }, []);
+
+  useEffect(() => {
+    if (!isWeb || typeof window === 'undefined') return undefined;
+    const handleOnline = () => setBrowserOnline(true);
+    const handleOffline = () => setBrowserOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  const isOnline = browserOnline && !isFromCache;
+  const queuedTaskCount = queue.pending.filter((entry) => entry.kind !== 'write').length;
+
+  // Replay queued tasks when the connection returns or new ones are queued
+  useEffect(() => {
+    if (isOnline && userId && queuedTaskCount > 0) {
+      processSyncQueue(userId);
+    }
+  }, [isOnline, userId, queuedTaskCount]);
+
+  // Surface changes the server rejected
+  useEffect(() => {
+    if (queue.failures.length === 0) return;
+    const [first] = queue.failures;
+    const others = queue.failures.length - 1;
+    showSnackbar(
+      `Couldn't sync "${first.label}": ${first.message}${others > 0 ? ` (and ${others} more)` : ''}`,
+      { type: 'error' }
+    );
+    clearSyncFailures();
+  }, [queue.failures]);
+
+  const value = useMemo(() => ({
+    isOnline,
+    pending: queue.pending,
+  }), [isOnline, queue.pending]);
+
+  return <SyncStatusContext.Provider value={value}>{children}</SyncStatusContext.Provider>;
+}
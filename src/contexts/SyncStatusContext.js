@@ -0,0 +1,24 @@
+/**
+ * SyncStatusContext.js - Connection and Pending-Sync Status
+ *
+ * Read-only view of the connection state and the pending sync queue,
+ * provided by SyncProvider. Kept free of Firebase imports so lightweight
+ * components such as Header can read it (and render without a provider).
+ *
+ * Usage:
+ *   const { isOnline, pending } = useSyncStatus();
+ */
+
+import { createContext, useContext } from 'react';
+
+export const SyncStatusContext = createContext({
+  isOnline: true,
+  pending: [],
+});
+
+/**
+ * Read the connection state and the list of changes waiting to sync
+ */
+export function useSyncStatus() {
+  return useContext(SyncStatusContext);
+}
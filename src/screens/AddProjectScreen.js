@@ -21,30 +21,24 @@ import {
   KeyboardAvoidingView,
   Platform,
   StyleSheet,
-  Alert,
   Dimensions,
 } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import Ionicons from '@expo/vector-icons/Ionicons';
 import DateTimePicker from '@react-native-community/datetimepicker';
 import * as ImagePicker from 'expo-image-picker';
-import { 
-  collection, 
-  addDoc, 
-  Timestamp,
-  serverTimestamp 
-} from 'firebase/firestore';
-import { 
-  ref, 
-  uploadBytes, 
-  getDownloadURL 
-} from 'firebase/storage';
-import { auth, db, storage } from '../config/firebase';
+import { auth } from '../config/firebase';
+import { createProject } from '../services/projectsService';
+import { useSnackbar } from '../components/Snackbar';
+import { useDialog } from '../components/Dialog';
+import DateField from '../components/DateField';
+import { isLaterDay } from '../utils/dateUtils';
 
 export default function AddProjectScreen({ onClose, onSuccess }) {
   // Form state
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
+  const [startDate, setStartDate] = useState(null);
   const [deadline, setDeadline] = useState(null);
   const [priority, setPriority] = useState('medium');
   const [selectedImage, setSelectedImage] = useState(null);
@@ -52,6 +46,8 @@ export default function AddProjectScreen({ onClose, onSuccess }) {
   // UI state
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const { showSnackbar } = useSnackbar();
+  const dialog = useDialog();
 
   const currentUser = auth.currentUser;
   const screenWidth = Dimensions.get('window').width;
@@ -77,11 +73,7 @@ export default function AddProjectScreen({ onClose, onSuccess }) {
       
       if (status !== 'granted') {
         const message = 'Please grant camera roll permissions to upload project images.';
-        if (isWeb) {
-          alert(message);
-        } else {
-          Alert.alert('Permission Required', message);
-        }
+        showSnackbar(message, { type: 'error' });
         return;
       }
 
@@ -102,11 +94,7 @@ export default function AddProjectScreen({ onClose, onSuccess }) {
         
         if (selectedAsset.fileSize && selectedAsset.fileSize > 5 * 1024 * 1024) {
           const message = 'Please select an image smaller than 5MB.';
-          if (isWeb) {
-            alert(message);
-          } else {
-            Alert.alert('Image Too Large', message);
-          }
+          showSnackbar(message, { type: 'error' });
           return;
         }
         
@@ -117,40 +105,7 @@ export default function AddProjectScreen({ onClose, onSuccess }) {
     } catch (error) {
       console.error('Error picking image:', error);
       const message = 'Failed to pick image. Please try again.';
-      if (isWeb) {
-        alert(message);
-      } else {
-        Alert.alert('Image Selection Error', message);
-      }
-    }
-  };
-
-  /**
-   * Upload selected image to Firebase Storage
-   */
-  const uploadImage = async (imageAsset) => {
-    if (!imageAsset || !currentUser) return null;
-
-    try {
-      console.log('Starting image upload...');
-      
-      const filename = `projects/${currentUser.uid}/${Date.now()}_${Math.random().toString(36).substring(7)}.jpg`;
-      
-      const response = await fetch(imageAsset.uri);
-      const blob = await response.blob();
-
-      console.log('Image blob created, uploading to:', filename);
-
-      const imageRef = ref(storage, filename);
-      await uploadBytes(imageRef, blob);
-
-      const downloadURL = await getDownloadURL(imageRef);
-      console.log('Image uploaded successfully:', downloadURL);
-      
-      return downloadURL;
-    } catch (error) {
-      console.error('Error uploading image:', error);
-      throw new Error(`Failed to upload image: ${error.message}`);
+      showSnackbar(message, { type: 'error' });
     }
   };
 
@@ -160,41 +115,25 @@ export default function AddProjectScreen({ onClose, onSuccess }) {
   const validateForm = () => {
     if (!title.trim()) {
       const message = 'Project title is required.';
-      if (isWeb) {
-        alert(message);
-      } else {
-        Alert.alert('Validation Error', message);
-      }
+      showSnackbar(message, { type: 'error' });
       return false;
     }
 
     if (title.trim().length < 3) {
       const message = 'Project title must be at least 3 characters long.';
-      if (isWeb) {
-        alert(message);
-      } else {
-        Alert.alert('Validation Error', message);
-      }
+      showSnackbar(message, { type: 'error' });
       return false;
     }
 
     if (title.trim().length > 50) {
       const message = 'Project title must be less than 50 characters.';
-      if (isWeb) {
-        alert(message);
-      } else {
-        Alert.alert('Validation Error', message);
-      }
+      showSnackbar(message, { type: 'error' });
       return false;
     }
 
     if (description.length > 200) {
       const message = 'Project description must be less than 200 characters.';
-      if (isWeb) {
-        alert(message);
-      } else {
-        Alert.alert('Validation Error', message);
-      }
+      showSnackbar(message, { type: 'error' });
       return false;
     }
 
@@ -204,11 +143,13 @@ export default function AddProjectScreen({ onClose, onSuccess }) {
 
     if (deadline && deadline < todayDateOnly) {
       const message = 'Project deadline must be today or in the future.';
-      if (isWeb) {
-        alert(message);
-      } else {
-        Alert.alert('Validation Error', message);
-      }
+      showSnackbar(message, { type: 'error' });
+      return false;
+    }
+
+    if (isLaterDay(startDate, deadline)) {
+      const message = 'Project start date must be on or before its deadline.';
+      showSnackbar(message, { type: 'error' });
       return false;
     }
 
@@ -226,11 +167,7 @@ export default function AddProjectScreen({ onClose, onSuccess }) {
     
     if (!currentUser) {
       const message = 'You must be logged in to create projects.';
-      if (isWeb) {
-        alert(message);
-      } else {
-        Alert.alert('Authentication Error', message);
-      }
+      showSnackbar(message, { type: 'error' });
       return;
     }
 
@@ -246,81 +183,25 @@ export default function AddProjectScreen({ onClose, onSuccess }) {
         userId: currentUser.uid
       });
 
-      // Upload image if selected
-      let imageUrl = null;
-      if (selectedImage) {
-        console.log('Uploading project image...');
-        imageUrl = await uploadImage(selectedImage);
-      }
-
-      // Prepare deadline timestamp
-      let deadlineTimestamp = null;
-      if (deadline) {
-        deadlineTimestamp = Timestamp.fromDate(deadline);
-      }
-
-      // Prepare project data for Firestore
-      const projectData = {
-        userId: currentUser.uid,
+      await createProject(currentUser.uid, {
         title: title.trim(),
         description: description.trim(),
-        deadline: deadlineTimestamp,
-        priority: priority,
-        imageUrl: imageUrl,
-        createdAt: serverTimestamp(),
-        updatedAt: serverTimestamp(),
-      };
-
-      console.log('Saving project to Firestore...');
-      
-      // Save to Firestore
-      const docRef = await addDoc(collection(db, 'projects'), projectData);
-      console.log('Project created successfully with ID:', docRef.id);
+        startDate,
+        deadline,
+        priority,
+        imageAsset: selectedImage,
+      });
 
-      // Show success message and close screen
-      const successMessage = `Project "${title.trim()}" has been created successfully.`;
-      
-      if (isWeb) {
-        alert(successMessage);
-        // For web, close immediately after showing success
-        if (onSuccess) {
-          onSuccess();
-        } else {
-          onClose();
-        }
+      // Confirm without blocking and close the screen
+      showSnackbar(`Project "${title.trim()}" has been created successfully.`, { type: 'success' });
+      if (onSuccess) {
+        onSuccess();
       } else {
-        Alert.alert(
-          'Success!', 
-          successMessage,
-          [{
-            text: 'OK', 
-            onPress: () => {
-              if (onSuccess) {
-                onSuccess();
-              } else {
-                onClose();
-              }
-            }
-          }]
-        );
+        onClose();
       }
 
     } catch (error) {
-      console.error('Error creating project:', error);
-      
-      let errorMessage = 'Failed to create project. Please try again.';
-      
-      if (error.message.includes('network')) {
-        errorMessage = 'Network error. Please check your internet connection and try again.';
-      } else if (error.message.includes('permission')) {
-        errorMessage = 'You do not have permission to create projects. Please sign in again.';
-      }
-      
-      if (isWeb) {
-        alert(errorMessage);
-      } else {
-        Alert.alert('Creation Error', errorMessage);
-      }
+      dialog.error('Creation Error', error.message);
     } finally {
       setIsLoading(false);
     }
@@ -472,6 +353,17 @@ export default function AddProjectScreen({ onClose, onSuccess }) {
               </View>
             </View>
 
+            {/* Start Date Selection */}
+            <View style={styles.formGroup}>
+              <Text style={styles.label}>Start Date (Optional)</Text>
+              <DateField
+                value={startDate}
+                onChange={setStartDate}
+                name="start date"
+                maximumDate={deadline || undefined}
+              />
+            </View>
+
             {/* Deadline Selection */}
             <View style={styles.formGroup}>
               <Text style={styles.label}>Deadline (Optional)</Text>
@@ -20,30 +20,41 @@ import {
   KeyboardAvoidingView,
   Platform,
   StyleSheet,
-  Alert,
   Dimensions,
 } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import { Ionicons } from '@expo/vector-icons';
 import DateTimePicker from '@react-native-community/datetimepicker';
-import { 
-  collection, 
-  addDoc, 
-  Timestamp,
-  serverTimestamp 
-} from 'firebase/firestore';
-import { auth, db } from '../config/firebase';
+import { auth } from '../config/firebase';
+import { createTask } from '../services/tasksService';
+import { useSnackbar } from '../components/Snackbar';
+import { useDialog } from '../components/Dialog';
+import ChecklistEditor from '../components/ChecklistEditor';
+import DependencyPicker from '../components/DependencyPicker';
+import RepeatRulePicker from '../components/RepeatRulePicker';
+import DateField from '../components/DateField';
+import { useData } from '../contexts/DataContext';
+import { anchorRepeatRule } from '../utils/recurrence';
+import { isLaterDay } from '../utils/dateUtils';
 
 export default function AddTaskScreen({ project, onClose, onSuccess }) {
   // Form state
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
+  const [startDate, setStartDate] = useState(null);
   const [deadline, setDeadline] = useState(null);
   const [priority, setPriority] = useState('medium');
+  const [checklist, setChecklist] = useState([]);
+  const [blockedBy, setBlockedBy] = useState([]);
+  const [repeat, setRepeat] = useState(null);
   
   // UI state
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const { showSnackbar } = useSnackbar();
+  const dialog = useDialog();
+  const { tasksByProject, tasksById } = useData();
+  const projectTasks = (project && tasksByProject[project.id]) || [];
 
   const currentUser = auth.currentUser;
   const screenWidth = Dimensions.get('window').width;
@@ -64,41 +75,25 @@ export default function AddTaskScreen({ project, onClose, onSuccess }) {
   const validateForm = () => {
     if (!title.trim()) {
       const message = 'Task title is required.';
-      if (isWeb) {
-        alert(message);
-      } else {
-        Alert.alert('Validation Error', message);
-      }
+      showSnackbar(message, { type: 'error' });
       return false;
     }
 
     if (title.trim().length < 2) {
       const message = 'Task title must be at least 2 characters long.';
-      if (isWeb) {
-        alert(message);
-      } else {
-        Alert.alert('Validation Error', message);
-      }
+      showSnackbar(message, { type: 'error' });
       return false;
     }
 
     if (title.trim().length > 100) {
       const message = 'Task title must be less than 100 characters.';
-      if (isWeb) {
-        alert(message);
-      } else {
-        Alert.alert('Validation Error', message);
-      }
+      showSnackbar(message, { type: 'error' });
       return false;
     }
 
     if (description.length > 300) {
       const message = 'Task description must be less than 300 characters.';
-      if (isWeb) {
-        alert(message);
-      } else {
-        Alert.alert('Validation Error', message);
-      }
+      showSnackbar(message, { type: 'error' });
       return false;
     }
 
@@ -111,22 +106,26 @@ export default function AddTaskScreen({ project, onClose, onSuccess }) {
 
       if (deadlineDateOnly < todayDateOnly) {
         const message = 'Task deadline cannot be in the past. Please select today or a future date.';
-        if (isWeb) {
-          alert(message);
-        } else {
-          Alert.alert('Validation Error', message);
-        }
+        showSnackbar(message, { type: 'error' });
         return false;
       }
     }
 
+    if (isLaterDay(startDate, deadline)) {
+      const message = 'Task start date must be on or before its deadline.';
+      showSnackbar(message, { type: 'error' });
+      return false;
+    }
+
+    if (repeat && repeat.frequency !== 'afterCompletion' && !deadline) {
+      const message = 'Set a deadline so the task knows when it first repeats.';
+      showSnackbar(message, { type: 'error' });
+      return false;
+    }
+
     if (!project || !project.id) {
       const message = 'Invalid project. Please try again.';
-      if (isWeb) {
-        alert(message);
-      } else {
-        Alert.alert('Error', message);
-      }
+      showSnackbar(message, { type: 'error' });
       return false;
     }
 
@@ -144,11 +143,7 @@ export default function AddTaskScreen({ project, onClose, onSuccess }) {
     
     if (!currentUser) {
       const message = 'You must be logged in to create tasks.';
-      if (isWeb) {
-        alert(message);
-      } else {
-        Alert.alert('Authentication Error', message);
-      }
+      showSnackbar(message, { type: 'error' });
       return;
     }
 
@@ -165,75 +160,28 @@ export default function AddTaskScreen({ project, onClose, onSuccess }) {
         userId: currentUser.uid
       });
 
-      // Prepare deadline timestamp
-      let deadlineTimestamp = null;
-      if (deadline) {
-        deadlineTimestamp = Timestamp.fromDate(deadline);
-      }
-
-      // Prepare task data for Firestore
-      const taskData = {
-        projectId: project.id,
-        userId: currentUser.uid,
+      await createTask(currentUser.uid, project.id, {
         title: title.trim(),
         description: description.trim(),
-        deadline: deadlineTimestamp,
-        priority: priority,
-        completed: false, // New tasks start as incomplete
-        createdAt: serverTimestamp(),
-        updatedAt: serverTimestamp(),
-      };
-
-      console.log('Saving task to Firestore...');
-      
-      // Save to Firestore
-      const docRef = await addDoc(collection(db, 'tasks'), taskData);
-      console.log('Task created successfully with ID:', docRef.id);
+        startDate,
+        deadline,
+        priority,
+        checklist,
+        // Drop links to tasks deleted while the form was open
+        blockedBy: blockedBy.filter((id) => tasksById[id]),
+        repeat: anchorRepeatRule(repeat, deadline),
+      });
 
-      // Show success message and close screen
-      const successMessage = `Task "${title.trim()}" has been added to ${project.title}.`;
-      
-      if (isWeb) {
-        alert(successMessage);
-        // For web, close immediately after showing success
-        if (onSuccess) {
-          onSuccess();
-        } else {
-          onClose();
-        }
+      // Confirm without blocking and close the screen
+      showSnackbar(`Task "${title.trim()}" has been added to ${project.title}.`, { type: 'success' });
+      if (onSuccess) {
+        onSuccess();
       } else {
-        Alert.alert(
-          'Success!', 
-          successMessage,
-          [{
-            text: 'OK', 
-            onPress: () => {
-              if (onSuccess) {
-                onSuccess();
-              } else {
-                onClose();
-              }
-            }
-          }]
-        );
+        onClose();
       }
 
     } catch (error) {
-      console.error('Error creating task:', error);
-      
-      let errorMessage = 'Failed to create task. Please try again.';
-      
-      if (error.message.includes('network')) {
-        errorMessage = 'Network error. Please check your internet connection and try again.';
-      } else if (error.message.includes('permission')) {
-        errorMessage = 'You do not have permission to create tasks. Please sign in again.';
-      }
-      
-      if (isWeb) {
-        alert(errorMessage);
-      } else {
-        Alert.alert('Creation Error', errorMessage);
-      }
+      dialog.error('Creation Error', error.message);
     } finally {
       setIsLoading(false);
     }
@@ -345,6 +293,35 @@ export default function AddTaskScreen({ project, onClose, onSuccess }) {
             </View>
           </View>
 
+          {/* Checklist */}
+          <View style={styles.formGroup}>
+            <Text style={styles.label}>Checklist (Optional)</Text>
+            <ChecklistEditor items={checklist} onChange={setChecklist} />
+          </View>
+
+          {/* Dependencies */}
+          <View style={styles.formGroup}>
+            <Text style={styles.label}>Blocked By (Optional)</Text>
+            <DependencyPicker
+              taskId={null}
+              candidates={projectTasks}
+              selectedIds={blockedBy}
+              tasksById={tasksById}
+              onChange={setBlockedBy}
+            />
+          </View>
+
+          {/* Start Date Selection */}
+          <View style={styles.formGroup}>
+            <Text style={styles.label}>Start Date (Optional)</Text>
+            <DateField
+              value={startDate}
+              onChange={setStartDate}
+              name="start date"
+              maximumDate={deadline || undefined}
+            />
+          </View>
+
           {/* Deadline Selection */}
           <View style={styles.formGroup}>
             <Text style={styles.label}>Deadline (Optional)</Text>
@@ -408,6 +385,12 @@ export default function AddTaskScreen({ project, onClose, onSuccess }) {
               />
             )}
           </View>
+
+          {/* Repeat */}
+          <View style={styles.formGroup}>
+            <Text style={styles.label}>Repeat</Text>
+            <RepeatRulePicker rule={repeat} deadline={deadline} onChange={setRepeat} />
+          </View>
           </View>
         </ScrollView>
       </KeyboardAvoidingView>
@@ -7,18 +7,21 @@
  * - Priority distribution analysis
  * - Time-based completion patterns
  * - Visual progress bars and indicators
+ * - Completion forecasts for open projects, at-risk ones first
+ * - Export of the metrics and raw data as CSV or JSON
  * 
  * Features:
- * - Real-time data aggregation from Firestore
+ * - Real-time data aggregation from the shared DataContext store
  * - Custom CSS-based charts and progress indicators
- * - Time period filtering (week/month/year)
+ * - Time period filtering (this week/month/year), based on the completion
+ *   and reopen events recorded on tasks and projects
  * - Performance insights and recommendations
  * 
  * @param {Object} navigation - React Navigation object for screen navigation
  * @param {Function} openSidebar - Function to open the sidebar menu
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useMemo } from 'react';
 import { 
   View, 
   Text, 
@@ -27,146 +30,28 @@ import {
   TouchableOpacity,
   Dimensions 
 } from 'react-native';
-import { collection, query, where, onSnapshot } from 'firebase/firestore';
-import { auth, db } from '../config/firebase';
+import { useData } from '../contexts/DataContext';
 import Header from '../components/Header';
+import { ANALYTICS_RANGES, calculateAnalytics } from '../utils/analytics';
+import ForecastBadge from '../components/ForecastBadge';
+import ExportOptions from '../components/ExportOptions';
 
 const { width: screenWidth } = Dimensions.get('window');
 
 const AnalyticsScreen = ({ navigation, openSidebar }) => {
-  const [projects, setProjects] = useState([]);
-  const [tasks, setTasks] = useState([]);
+  const { projects, tasks, projectForecasts } = useData();
   const [timeRange, setTimeRange] = useState('month'); // week, month, year
-  const [analytics, setAnalytics] = useState({
-    completionRate: 0,
-    totalProjects: 0,
-    completedProjects: 0,
-    totalTasks: 0,
-    completedTasks: 0,
-    priorityDistribution: { high: 0, medium: 0, low: 0 },
-    weeklyProgress: [],
-    avgCompletionTime: 0
-  });
-
-  useEffect(() => {
-    const currentUser = auth.currentUser;
-    if (!currentUser) return;
-
-    // Listen to projects
-    const projectsQuery = query(
-      collection(db, 'projects'),
-      where('userId', '==', currentUser.uid)
-    );
-    
-    const unsubProjects = onSnapshot(projectsQuery, (snapshot) => {
-      const projectsData = [];
-      snapshot.forEach(doc => {
-        projectsData.push({ id: doc.id, ...doc.data() });
-      });
-      setProjects(projectsData);
-    });
-
-    // Listen to tasks
-    const tasksQuery = query(
-      collection(db, 'tasks'),
-      where('userId', '==', currentUser.uid)
-    );
-    
-    const unsubTasks = onSnapshot(tasksQuery, (snapshot) => {
-      const tasksData = [];
-      snapshot.forEach(doc => {
-        tasksData.push({ id: doc.id, ...doc.data() });
-      });
-      setTasks(tasksData);
-    });
-
-    return () => {
-      unsubProjects();
-      unsubTasks();
-    };
-  }, []);
-
-  useEffect(() => {
-    calculateAnalytics();
-  }, [projects, tasks, timeRange]);
-
-  const calculateAnalytics = () => {
-    if (!projects.length && !tasks.length) return;
-
-    const now = new Date();
-    const timeRangeMs = {
-      week: 7 * 24 * 60 * 60 * 1000,
-      month: 30 * 24 * 60 * 60 * 1000,
-      year: 365 * 24 * 60 * 60 * 1000
-    };
-
-    const cutoffDate = new Date(now.getTime() - timeRangeMs[timeRange]);
-
-    // Filter data by time range
-    const recentProjects = projects.filter(project => 
-      project.createdAt && project.createdAt.toDate() >= cutoffDate
-    );
-    
-    const recentTasks = tasks.filter(task => 
-      task.createdAt && task.createdAt.toDate() >= cutoffDate
-    );
-
-    // Calculate completion rates
-    const completedProjects = recentProjects.filter(p => p.completed).length;
-    const completedTasks = recentTasks.filter(t => t.completed).length;
-    const projectCompletionRate = recentProjects.length ? 
-      Math.round((completedProjects / recentProjects.length) * 100) : 0;
-
-    // Priority distribution
-    const priorityCount = { high: 0, medium: 0, low: 0, urgent: 0 };
-    [...recentProjects, ...recentTasks].forEach(item => {
-      let priority = item.priority?.toLowerCase() || 'medium';
-      if (priority === 'urgent') priority = 'high';
-      priorityCount[priority] = (priorityCount[priority] || 0) + 1;
-    });
-
-    // Weekly progress (last 7 periods)
-    const weeklyProgress = [];
-    const weeksToShow = 7;
-    const intervalMs = timeRange === 'year' ? 30 * 24 * 60 * 60 * 1000 : 7 * 24 * 60 * 60 * 1000;
-
-    for (let i = weeksToShow - 1; i >= 0; i--) {
-      const weekStart = new Date(now.getTime() - (i * intervalMs));
-      const weekEnd = new Date(weekStart.getTime() + intervalMs);
-      
-      const weekCompletions = [...recentProjects, ...recentTasks].filter(item => 
-        item.completedAt && 
-        item.completedAt.toDate() >= weekStart && 
-        item.completedAt.toDate() < weekEnd
-      ).length;
-
-      weeklyProgress.push(weekCompletions);
-    }
-
-    // Average completion time (in days)
-    const completedItems = [...recentProjects, ...recentTasks].filter(item => 
-      item.completed && item.createdAt && item.completedAt
-    );
-    
-    const avgCompletionTime = completedItems.length ? 
-      completedItems.reduce((sum, item) => {
-        const created = item.createdAt.toDate();
-        const completed = item.completedAt.toDate();
-        const days = Math.ceil((completed - created) / (1000 * 60 * 60 * 24));
-        return sum + days;
-      }, 0) / completedItems.length : 0;
+  // Metrics for the current calendar week/month/year, from recorded completions
+  const analytics = useMemo(
+    () => calculateAnalytics(projects, tasks, timeRange),
+    [projects, tasks, timeRange]
+  );
 
-    setAnalytics({
-      completionRate: projectCompletionRate,
-      totalProjects: recentProjects.length,
-      completedProjects,
-      totalTasks: recentTasks.length,
-      completedTasks,
-      priorityDistribution: priorityCount,
-      weeklyProgress,
-      avgCompletionTime: Math.round(avgCompletionTime * 10) / 10
-    });
-  };
+  // Open projects with a forecast, at-risk ones first
+  const forecastOrder = { atRisk: 0, onTrack: 1, noDeadline: 2, noVelocity: 3 };
+  const forecastProjects = projects
+    .filter((project) => projectForecasts[project.id] && projectForecasts[project.id].status !== 'done')
+    .sort((a, b) => forecastOrder[projectForecasts[a.id].status] - forecastOrder[projectForecasts[b.id].status]);
 
   // Custom Progress Bar Component
   const ProgressBar = ({ percentage, color = '#f97316', height = 8 }) => (
@@ -258,7 +143,7 @@ const AnalyticsScreen = ({ navigation, openSidebar }) => {
         <View style={styles.timeRangeContainer}>
           <Text style={styles.sectionTitle}>Time Range</Text>
           <View style={styles.timeRangeButtons}>
-            {['week', 'month', 'year'].map(range => (
+            {ANALYTICS_RANGES.map(range => (
               <TouchableOpacity
                 key={range}
                 style={[styles.timeButton, timeRange === range && styles.activeTimeButton]}
@@ -294,23 +179,23 @@ const AnalyticsScreen = ({ navigation, openSidebar }) => {
           
           <View style={styles.metricCard}>
             <Text style={styles.metricValue}>{analytics.avgCompletionTime}</Text>
-            <Text style={styles.metricLabel}>Avg Days</Text>
-            <Text style={styles.metricSubLabel}>to complete</Text>
+            <Text style={styles.metricLabel}>Avg Cycle Time</Text>
+            <Text style={styles.metricSubLabel}>days from creation to done</Text>
           </View>
         </View>
 
         {/* Progress Trend Chart */}
         <View style={styles.chartContainer}>
-          <Text style={styles.chartTitle}>Recent Completions</Text>
+          <Text style={styles.chartTitle}>Completions This {timeRange.charAt(0).toUpperCase() + timeRange.slice(1)}</Text>
           <View style={styles.barChart}>
-            {analytics.weeklyProgress.map((value, index) => {
-              const maxValue = Math.max(...analytics.weeklyProgress, 1);
+            {analytics.completionTrend.map((bucket) => {
+              const maxValue = Math.max(...analytics.completionTrend.map((item) => item.count), 1);
               return (
                 <ChartBar
-                  key={index}
-                  value={value}
+                  key={bucket.label}
+                  value={bucket.count}
                   maxValue={maxValue}
-                  label={`W${index + 1}`}
+                  label={bucket.label}
                   color="#10b981"
                 />
               );
@@ -324,6 +209,24 @@ const AnalyticsScreen = ({ navigation, openSidebar }) => {
           <PriorityChart />
         </View>
 
+        {/* Project Forecasts */}
+        {forecastProjects.length > 0 && (
+          <View style={styles.chartContainer}>
+            <Text style={styles.chartTitle}>Project Forecasts</Text>
+            {forecastProjects.map((project) => (
+              <TouchableOpacity
+                key={project.id}
+                style={styles.forecastRow}
+                onPress={() => navigation.navigate('ProjectAnalytics', { projectId: project.id })}
+                accessibilityLabel={`Show charts for ${project.title}`}
+              >
+                <Text style={styles.forecastTitle} numberOfLines={1}>{project.title}</Text>
+                <ForecastBadge forecast={projectForecasts[project.id]} />
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
         {/* Insights Section */}
         <View style={styles.insightsContainer}>
           <Text style={styles.sectionTitle}>Insights</Text>
@@ -339,6 +242,14 @@ const AnalyticsScreen = ({ navigation, openSidebar }) => {
               ⏱️ Your average completion time is {analytics.avgCompletionTime} days
             </Text>
           </View>
+
+          {analytics.reopenedItems > 0 && (
+            <View style={styles.insightItem}>
+              <Text style={styles.insightText}>
+                🔁 {analytics.reopenedItems} {analytics.reopenedItems === 1 ? 'item was' : 'items were'} reopened after being completed
+              </Text>
+            </View>
+          )}
           
           <View style={styles.insightItem}>
             <Text style={styles.insightText}>
@@ -349,6 +260,12 @@ const AnalyticsScreen = ({ navigation, openSidebar }) => {
           </View>
         </View>
 
+        {/* Export */}
+        <View style={styles.exportContainer}>
+          <Text style={styles.sectionTitle}>Export</Text>
+          <ExportOptions analytics={analytics} timeRange={timeRange} />
+        </View>
+
       </ScrollView>
     </View>
   );
@@ -451,6 +368,17 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: '#334155',
   },
+  forecastRow: {
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#334155',
+  },
+  forecastTitle: {
+    color: '#ffffff',
+    fontSize: 15,
+    fontWeight: '600',
+    marginBottom: 6,
+  },
   chartTitle: {
     fontSize: 18,
     fontWeight: 'bold',
@@ -541,6 +469,9 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     fontStyle: 'italic',
   },
+  exportContainer: {
+    marginBottom: 32,
+  },
   insightsContainer: {
     marginBottom: 24,
   },
@@ -20,7 +20,6 @@ import {
   ScrollView,
   Platform,
   StyleSheet,
-  Alert,
   Image,
 } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
@@ -36,6 +35,8 @@ import {
 } from 'firebase/auth';
 import { auth, googleProvider } from '../config/firebase';
 import { GoogleSignin } from '@react-native-google-signin/google-signin';
+import { useDialog } from '../components/Dialog';
+import { useSnackbar } from '../components/Snackbar';
 
 export default function AuthScreen() {
   // Form mode state - toggles between sign-in and sign-up
@@ -49,6 +50,8 @@ export default function AuthScreen() {
   // UI state
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const dialog = useDialog();
+  const { showSnackbar } = useSnackbar();
 
   /**
    * Configure Google Sign-In on component mount
@@ -67,12 +70,12 @@ export default function AuthScreen() {
             const result = await getRedirectResult(auth);
             if (result?.user) {
               console.log('Google Sign-In redirect successful:', result.user.email);
-              Alert.alert('Success', `Welcome, ${result.user.displayName || result.user.email}!`);
+              showSnackbar(`Welcome, ${result.user.displayName || result.user.email}!`, { type: 'success' });
             }
           } catch (error) {
             if (error.code && error.code !== 'auth/null-user') {
               console.error('Google Sign-In redirect error:', error);
-              Alert.alert('Google Sign-In Error', 'Sign-in failed. Please try again.');
+              dialog.error('Google Sign-In Error', 'Sign-in failed. Please try again.');
             }
           }
         }
@@ -91,26 +94,26 @@ export default function AuthScreen() {
   const validateForm = () => {
     // Check for empty fields
     if (!email.trim() || !password.trim()) {
-      Alert.alert('Validation Error', 'Please fill in all fields.');
+      dialog.error('Validation Error', 'Please fill in all fields.');
       return false;
     }
 
     // Basic email format validation
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     if (!emailRegex.test(email)) {
-      Alert.alert('Validation Error', 'Please enter a valid email address.');
+      dialog.error('Validation Error', 'Please enter a valid email address.');
       return false;
     }
 
     // Password length validation
     if (password.length < 6) {
-      Alert.alert('Validation Error', 'Password must be at least 6 characters long.');
+      dialog.error('Validation Error', 'Password must be at least 6 characters long.');
       return false;
     }
     
     // Password confirmation validation (only for sign-up)
     if (isSignUp && password !== confirmPassword) {
-      Alert.alert('Validation Error', 'Passwords do not match.');
+      dialog.error('Validation Error', 'Passwords do not match.');
       return false;
     }
 
@@ -136,7 +139,7 @@ export default function AuthScreen() {
         console.log('Creating new user account...');
         const userCredential = await createUserWithEmailAndPassword(auth, email.trim(), password.trim());
         console.log('User account created successfully:', userCredential.user.email);
-        Alert.alert('Success', 'Account created successfully!');
+        showSnackbar('Account created successfully!', { type: 'success' });
       } else {
         // Sign in existing user
         console.log('Signing in existing user...');
@@ -175,7 +178,7 @@ export default function AuthScreen() {
           errorMessage = error.message;
       }
       
-      Alert.alert('Authentication Error', errorMessage);
+      dialog.error('Authentication Error', errorMessage);
     } finally {
       setIsLoading(false);
     }
@@ -200,7 +203,7 @@ export default function AuthScreen() {
           const result = await signInWithPopup(auth, googleProvider);
           if (result?.user) {
             console.log('Google Sign-In successful:', result.user.email);
-            Alert.alert('Success', `Welcome, ${result.user.displayName || result.user.email}!`);
+            showSnackbar(`Welcome, ${result.user.displayName || result.user.email}!`, { type: 'success' });
           }
         } catch (popupError) {
           if (popupError.code === 'auth/popup-blocked') {
@@ -239,7 +242,7 @@ export default function AuthScreen() {
 
         if (result?.user) {
           console.log('Google Sign-In successful:', result.user.email);
-          Alert.alert('Success', `Welcome, ${result.user.displayName || result.user.email}!`);
+          showSnackbar(`Welcome, ${result.user.displayName || result.user.email}!`, { type: 'success' });
         }
       }
     } catch (error) {
@@ -274,7 +277,7 @@ export default function AuthScreen() {
           errorMessage = error.message || 'Google Sign-In failed. Please try again.';
       }
 
-      Alert.alert('Google Sign-In Error', errorMessage);
+      dialog.error('Google Sign-In Error', errorMessage);
     } finally {
       setIsLoading(false);
     }
@@ -0,0 +1,379 @@
+/**
+ * BulkAddTasksScreen.js - Add Many Tasks From Pasted Text
+ *
+ * Two steps, shown in a modal from the tasks screen:
+ * 1. Paste lines, bullet lists or checkbox lists (see utils/bulkAdd);
+ *    indented lines become checklist items of the line above
+ * 2. Check the preview (title, deadline, priority, project and checklist
+ *    of every task), then add them all in one batch
+ *
+ * Lines with a #project go to that project; the rest go to `project`.
+ *
+ * @param {Object} project - Project the tasks are added to by default
+ * @param {Function} onClose - Close without adding
+ * @param {Function} onSuccess - Called after the tasks are added
+ */
+
+import React, { useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+  StyleSheet,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { Ionicons } from '@expo/vector-icons';
+import { auth } from '../config/firebase';
+import { createTasksInBatch } from '../services/tasksService';
+import { useSnackbar } from '../components/Snackbar';
+import { useDialog } from '../components/Dialog';
+import { useData } from '../contexts/DataContext';
+import { parseBulkTasks } from '../utils/bulkAdd';
+
+const PRIORITY_STYLES = {
+  urgent: { label: 'Urgent', color: '#ef4444' },
+  medium: { label: 'Medium', color: '#f59e0b' },
+  low: { label: 'Low', color: '#10b981' },
+};
+
+const EXAMPLE = `- Draft agenda tomorrow !urgent
+- Book room fri
+    - [ ] Check projector
+    - [x] Ask for budget
+- Send notes next week #ClientX`;
+
+/**
+ * Why a draft can't be added, or null
+ */
+function getDraftProblem(draft, defaultProject) {
+  if (!draft.title) return 'Missing title';
+  if (draft.projectName !== null && !draft.project) return `No project matches #${draft.projectName}`;
+  if (!draft.project && !defaultProject) return 'No project';
+  return null;
+}
+
+export default function BulkAddTasksScreen({ project, onClose, onSuccess }) {
+  const { projects } = useData();
+  const { showSnackbar } = useSnackbar();
+  const dialog = useDialog();
+  const [text, setText] = useState('');
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const drafts = useMemo(
+    () => parseBulkTasks(text, { projects }).map((draft) => ({
+      ...draft,
+      targetProject: draft.project || (draft.projectName === null ? project : null),
+      problem: getDraftProblem(draft, project),
+    })),
+    [text, projects, project]
+  );
+  const validDrafts = drafts.filter((draft) => !draft.problem);
+
+  /**
+   * Write every valid draft in one batch
+   */
+  const handleAddAll = async () => {
+    if (!auth.currentUser) {
+      showSnackbar('You must be logged in to create tasks.', { type: 'error' });
+      return;
+    }
+    const skipped = drafts.length - validDrafts.length;
+    if (skipped > 0) {
+      const confirmed = await dialog.confirm({
+        title: 'Skip Some Lines?',
+        message: `${skipped} line${skipped === 1 ? '' : 's'} can't be added and will be skipped. Add the other ${validDrafts.length}?`,
+        confirmLabel: 'Add Tasks',
+      });
+      if (!confirmed) return;
+    }
+
+    setIsSaving(true);
+    try {
+      const count = await createTasksInBatch(auth.currentUser.uid, validDrafts.map((draft) => ({
+        projectId: draft.targetProject.id,
+        title: draft.title,
+        deadline: draft.deadline,
+        priority: draft.priority,
+        checklist: draft.checklist,
+      })));
+      showSnackbar(`${count} task${count === 1 ? '' : 's'} added.`, { type: 'success' });
+      if (onSuccess) onSuccess();
+      else onClose();
+    } catch (error) {
+      dialog.error('Creation Error', error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const renderDraft = (draft, index) => {
+    const priority = PRIORITY_STYLES[draft.priority];
+    return (
+      <View
+        key={index}
+        style={[
+          styles.draftCard,
+          { borderLeftColor: priority?.color || '#64748b' },
+          draft.problem && styles.draftCardInvalid,
+        ]}
+      >
+        <Text style={styles.draftTitle} numberOfLines={2}>{draft.title || 'Untitled'}</Text>
+        <View style={styles.draftMeta}>
+          {draft.deadline && (
+            <View style={styles.metaItem}>
+              <Ionicons name="calendar-outline" size={13} color="#94a3b8" />
+              <Text style={styles.metaText}>
+                {draft.deadline.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+                {draft.hasTime ? ` ${draft.deadline.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}` : ''}
+              </Text>
+            </View>
+          )}
+          {priority && (
+            <View style={styles.metaItem}>
+              <Ionicons name="flag-outline" size={13} color={priority.color} />
+              <Text style={[styles.metaText, { color: priority.color }]}>{priority.label}</Text>
+            </View>
+          )}
+          {draft.targetProject && (
+            <View style={styles.metaItem}>
+              <Ionicons name="folder-outline" size={13} color="#94a3b8" />
+              <Text style={styles.metaText} numberOfLines={1}>{draft.targetProject.title}</Text>
+            </View>
+          )}
+        </View>
+        {draft.checklist.map((item) => (
+          <View key={item.id} style={styles.checklistRow}>
+            <Ionicons name={item.done ? 'checkbox' : 'square-outline'} size={14} color={item.done ? '#10b981' : '#64748b'} />
+            <Text style={[styles.checklistText, item.done && styles.checklistTextDone]} numberOfLines={1}>
+              {item.text}
+            </Text>
+          </View>
+        ))}
+        {draft.problem ? <Text style={styles.problemText}>{draft.problem} – will be skipped</Text> : null}
+      </View>
+    );
+  };
+
+  const canContinue = isPreviewing ? validDrafts.length > 0 && !isSaving : drafts.length > 0;
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="light" />
+
+      <View style={styles.header}>
+        <TouchableOpacity
+          onPress={isPreviewing ? () => setIsPreviewing(false) : onClose}
+          style={styles.closeButton}
+          accessibilityLabel={isPreviewing ? 'Back to text' : 'Close'}
+        >
+          <Ionicons name={isPreviewing ? 'arrow-back' : 'close'} size={24} color="white" />
+        </TouchableOpacity>
+        <View style={styles.headerContent}>
+          <Text style={styles.headerTitle}>{isPreviewing ? 'Review Tasks' : 'Bulk Add'}</Text>
+          <Text style={styles.headerSubtitle} numberOfLines={1}>
+            to {project?.title || 'Project'}
+          </Text>
+        </View>
+        <TouchableOpacity
+          onPress={isPreviewing ? handleAddAll : () => setIsPreviewing(true)}
+          style={[styles.saveButton, !canContinue && styles.saveButtonDisabled]}
+          disabled={!canContinue}
+        >
+          <Text style={[styles.saveButtonText, !canContinue && styles.saveButtonTextDisabled]}>
+            {isPreviewing ? (isSaving ? 'Adding...' : `Add ${validDrafts.length}`) : 'Preview'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.keyboardContainer}
+      >
+        <ScrollView contentContainerStyle={styles.scrollContainer} keyboardShouldPersistTaps="handled">
+          {isPreviewing ? (
+            <>
+              <Text style={styles.summaryText}>
+                {validDrafts.length} of {drafts.length} task{drafts.length === 1 ? '' : 's'} ready to add
+              </Text>
+              {drafts.map(renderDraft)}
+            </>
+          ) : (
+            <>
+              <Text style={styles.label}>One task per line</Text>
+              <Text style={styles.helpText}>
+                Bullets and checkboxes are fine. Indent a line to make it a checklist item of the task above.
+                Dates ("fri", "oct 3"), !priority and #project work like quick add.
+              </Text>
+              <TextInput
+                style={styles.textArea}
+                value={text}
+                onChangeText={setText}
+                placeholder={EXAMPLE}
+                placeholderTextColor="#6b7280"
+                multiline
+                autoFocus
+                autoCorrect={false}
+                textAlignVertical="top"
+              />
+              {drafts.length > 0 && (
+                <Text style={styles.summaryText}>
+                  {drafts.length} task{drafts.length === 1 ? '' : 's'},{' '}
+                  {drafts.reduce((sum, draft) => sum + draft.checklist.length, 0)} checklist items
+                </Text>
+              )}
+            </>
+          )}
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#1f2937',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingTop: Platform.OS === 'web' ? 20 : 60,
+    paddingBottom: 20,
+    paddingHorizontal: 20,
+    backgroundColor: '#1f2937',
+    borderBottomWidth: 1,
+    borderBottomColor: '#374151',
+  },
+  closeButton: {
+    padding: 4,
+  },
+  headerContent: {
+    alignItems: 'center',
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: 'white',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#94a3b8',
+    marginTop: 2,
+  },
+  saveButton: {
+    backgroundColor: '#6366f1',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  saveButtonDisabled: {
+    backgroundColor: '#4b5563',
+  },
+  saveButtonText: {
+    color: 'white',
+    fontWeight: '600',
+    fontSize: 16,
+  },
+  saveButtonTextDisabled: {
+    color: '#9ca3af',
+  },
+  keyboardContainer: {
+    flex: 1,
+  },
+  scrollContainer: {
+    padding: 16,
+    paddingBottom: 100,
+    width: '100%',
+    maxWidth: 600,
+    alignSelf: 'center',
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: 'white',
+    marginBottom: 8,
+  },
+  helpText: {
+    fontSize: 14,
+    color: '#9ca3af',
+    lineHeight: 20,
+    marginBottom: 12,
+  },
+  textArea: {
+    backgroundColor: '#374151',
+    borderRadius: 12,
+    padding: 16,
+    fontSize: 15,
+    color: 'white',
+    borderWidth: 1,
+    borderColor: '#4b5563',
+    minHeight: 240,
+    textAlignVertical: 'top',
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+  },
+  summaryText: {
+    fontSize: 14,
+    color: '#94a3b8',
+    marginVertical: 12,
+  },
+  draftCard: {
+    backgroundColor: '#374151',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 8,
+    borderLeftWidth: 4,
+  },
+  draftCardInvalid: {
+    opacity: 0.6,
+  },
+  draftTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: 'white',
+  },
+  draftMeta: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 12,
+    marginTop: 6,
+  },
+  metaItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    maxWidth: 200,
+  },
+  metaText: {
+    fontSize: 13,
+    color: '#94a3b8',
+  },
+  checklistRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginTop: 6,
+    marginLeft: 4,
+  },
+  checklistText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#d1d5db',
+  },
+  checklistTextDone: {
+    color: '#9ca3af',
+    textDecorationLine: 'line-through',
+  },
+  problemText: {
+    fontSize: 13,
+    color: '#ef4444',
+    marginTop: 6,
+  },
+});
@@ -19,223 +19,268 @@
  * CalendarScreen.js - Calendar View with Project and Task Deadlines
  *
  * This screen displays a calendar with the following features:
- * - Monthly calendar view showing current month by default
+ * - Month, week, 3-day and day views, plus an agenda of upcoming deadlines
+ *   (overdue items first); the chosen mode is remembered between sessions
  * - Visual indicators for project deadlines
  * - Visual indicators for task deadlines
- * - Month navigation (previous/next)
- * - Real-time data from Firestore
+ * - Warnings for tasks due before a task they are blocked by
+ * - Projected future occurrences of recurring tasks (not stored until due)
+ * - Period navigation (previous/next buttons or a horizontal swipe)
+ * - Rescheduling in month, week and 3-day views: drag a deadline onto
+ *   another day (web), or long-press it and tap the new day
+ * - Export of all project and open task deadlines as an .ics file
+ * - Optional history: completed tasks, struck through, on the day they
+ *   were completed
+ * - Real-time data from the shared DataContext store
  * - Responsive design for web and mobile
  */
 
-import React, { useState, useEffect } from 'react';
-import { View, Text, StyleSheet, TouchableOpacity, Dimensions, ScrollView } from 'react-native';
+import React, { useMemo, useRef, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Dimensions, ScrollView, PanResponder } from 'react-native';
 import Header from '../components/Header';
 import Ionicons from '@expo/vector-icons/Ionicons';
-import { collection, query, where, onSnapshot } from 'firebase/firestore';
-import { auth, db } from '../config/firebase';
-import { safeToDateString, dateToLocalString } from '../utils/dateUtils';
+import { useSnackbar } from '../components/Snackbar';
+import { useDialog } from '../components/Dialog';
+import { useWebDragSource, useWebDropTarget } from '../components/webDragAndDrop';
+import { rescheduleProject } from '../services/projectsService';
+import { rescheduleTask } from '../services/tasksService';
+import { dateToLocalString, safeToDateString, toJsDate, isSameDay, isLaterDay } from '../utils/dateUtils';
+import { getScheduleConflicts } from '../utils/taskDependencies';
+import { groupProjectedOccurrences } from '../utils/recurrence';
+import { buildICalendar, getICalendarFileName } from '../utils/ical';
+import { shareTextFile } from '../utils/fileTransfer';
+import {
+  CALENDAR_MODES,
+  AGENDA_DAYS,
+  getMonthMatrix,
+  getPeriodDays,
+  getPeriodRange,
+  shiftPeriod,
+  formatPeriodLabel,
+  buildAgenda,
+  getRescheduledDates,
+} from '../utils/calendarUtils';
+import { useData } from '../contexts/DataContext';
+import { usePreferences } from '../contexts/PreferencesContext';
 
 const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 
-function getMonthMatrix(year, month) {
-  const firstDay = new Date(year, month, 1);
-  const lastDay = new Date(year, month + 1, 0);
-  const matrix = [];
-  let week = [];
-  let dayOfWeek = firstDay.getDay();
-  // Fill initial empty days
-  for (let i = 0; i < dayOfWeek; i++) week.push(null);
-  for (let date = 1; date <= lastDay.getDate(); date++) {
-    week.push(new Date(year, month, date));
-    if (week.length === 7) {
-      matrix.push(week);
-      week = [];
-    }
-  }
-  // Fill trailing empty days
-  if (week.length) {
-    while (week.length < 7) week.push(null);
-    matrix.push(week);
-  }
-  return matrix;
+// Horizontal drag (px) before a swipe is recognised, and to change period
+const SWIPE_START = 20;
+const SWIPE_DISTANCE = 60;
+
+// Completed tasks in the history view
+const COMPLETED_COLOR = '#10b981';
+
+/**
+ * Day cell or column that accepts dragged deadlines on web
+ */
+function DayDropZone({ onDropData, style, children }) {
+  const zoneRef = useRef(null);
+  const [isOver, setIsOver] = useState(false);
+  useWebDropTarget(zoneRef, onDropData, setIsOver);
+
+  return (
+    <View ref={zoneRef} style={[style, isOver && styles.dropOver]}>
+      {children}
+    </View>
+  );
+}
+
+/**
+ * Deadline chip that can be dragged on web; `dragData` is "Type:id",
+ * or null when the item can't be moved
+ */
+function DraggableItem({ dragData, style, children, ...touchableProps }) {
+  const itemRef = useRef(null);
+  useWebDragSource(itemRef, dragData);
+
+  return (
+    <TouchableOpacity ref={itemRef} style={style} {...touchableProps}>
+      {children}
+    </TouchableOpacity>
+  );
 }
 
 export default function CalendarScreen({ navigation, openSidebar, onDeadlinePress }) {
   const today = new Date();
-  const [month, setMonth] = useState(today.getMonth());
-  const [year, setYear] = useState(today.getFullYear());
-  const [deadlines, setDeadlines] = useState({}); // { 'YYYY-MM-DD': [ { type, title, ... }, ... ] }
+  const { preferences, updatePreferences } = usePreferences();
+  const mode = CALENDAR_MODES.some((option) => option.key === preferences.calendarMode)
+    ? preferences.calendarMode
+    : 'month';
+  const showCompleted = preferences.calendarShowCompleted;
+  // Any date inside the shown period
+  const [anchorDate, setAnchorDate] = useState(() => new Date());
   const [selectedDate, setSelectedDate] = useState(null); // { iso: 'YYYY-MM-DD', dateObj: Date }
-  const [projects, setProjects] = useState({}); // { projectId: { title, ... } }
-  const [taskCounts, setTaskCounts] = useState({}); // { projectId: { total, completed } }
-  const monthMatrix = getMonthMatrix(year, month);
-  const displayMonthName = new Date(year, month).toLocaleString('default', { month: 'long', year: 'numeric' });
-
-  useEffect(() => {
-    const currentUser = auth.currentUser;
-    if (!currentUser) return;
-
-    function toDateString(deadline) {
-      let date = deadline;
-      if (date && typeof date === 'object' && date.toDate) {
-        date = date.toDate();
-      } else if (date && !(date instanceof Date)) {
-        date = new Date(date);
-      }
-      if (date instanceof Date && !isNaN(date)) {
-        // Use local timezone to avoid timezone shift issues
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        return `${year}-${month}-${day}`;
-      }
-      return null;
-    }
+  // Deadline picked with a long-press, waiting for a target day
+  const [movingItem, setMovingItem] = useState(null);
+  const { showSnackbar } = useSnackbar();
+  const dialog = useDialog();
+  // deadlines: { 'YYYY-MM-DD': [ { type, title, ... }, ... ] }
+  const {
+    deadlinesByDate: storedDeadlines,
+    completionsByDate,
+    projects: projectList,
+    tasks,
+    tasksByProject,
+    projectsById: projects,
+    tasksById,
+    projectProgress: taskCounts,
+  } = useData();
+  const monthMatrix = getMonthMatrix(anchorDate.getFullYear(), anchorDate.getMonth());
+  const periodDays = getPeriodDays(mode, anchorDate);
+  // Views with day cells: they show the selected day's list and accept moves
+  const showsSelectedList = mode === 'month' || mode === 'week' || mode === 'threeDay';
 
-    // Listen for project deadlines
-    const projectsQuery = query(
-      collection(db, 'projects'),
-      where('userId', '==', currentUser.uid)
-    );
-    const unsubProjects = onSnapshot(projectsQuery, (querySnapshot) => {
-      const projectDeadlines = {};
-      const projectsData = {};
-      
-      querySnapshot.forEach(docSnap => {
-        const data = docSnap.data();
-        const projectId = docSnap.id;
-        
-        // Store project data for lookup
-        projectsData[projectId] = {
-          id: projectId,
-          title: data.title,
-          ...data
-        };
-        
-        // Process deadline
-        const dateStr = toDateString(data.deadline);
-        if (dateStr) {
-          if (!projectDeadlines[dateStr]) projectDeadlines[dateStr] = [];
-          projectDeadlines[dateStr].push({
-            type: 'Project',
-            title: data.title,
-            id: projectId,
-            ...data
-          });
-        }
+  // Stored deadlines plus projected occurrences of recurring tasks in the
+  // shown period, and completed tasks when history is shown
+  const projectedByDate = useMemo(() => {
+    const { start, end } = getPeriodRange(mode, anchorDate);
+    return groupProjectedOccurrences(tasks, start, end);
+  }, [tasks, mode, anchorDate]);
+  const deadlines = useMemo(() => {
+    const merged = { ...storedDeadlines };
+    const append = (byDate) => {
+      Object.keys(byDate).forEach((dateStr) => {
+        merged[dateStr] = [...(merged[dateStr] || []), ...byDate[dateStr]];
       });
-      
-      // Update projects lookup
-      setProjects(projectsData);
-      
-      // Merge with existing deadlines, preserving other types
-      setDeadlines(prev => {
-        const updated = { ...prev };
-        // First, remove old project deadlines
-        Object.keys(updated).forEach(dateStr => {
-          updated[dateStr] = updated[dateStr].filter(item => item.type !== 'Project');
-          if (updated[dateStr].length === 0) {
-            delete updated[dateStr];
-          }
-        });
-        // Then add new project deadlines
-        Object.keys(projectDeadlines).forEach(dateStr => {
-          if (!updated[dateStr]) updated[dateStr] = [];
-          updated[dateStr] = [...updated[dateStr], ...projectDeadlines[dateStr]];
-        });
-        return updated;
-      });
-    });
+    };
+    append(projectedByDate);
+    if (showCompleted) append(completionsByDate);
+    return merged;
+  }, [storedDeadlines, projectedByDate, completionsByDate, showCompleted]);
 
-    // Listen for all tasks to calculate task counts per project
-    const allTasksQuery = query(
-      collection(db, 'tasks'),
-      where('userId', '==', currentUser.uid)
-    );
-    const unsubAllTasks = onSnapshot(allTasksQuery, (querySnapshot) => {
-      const counts = {};
-      querySnapshot.forEach(docSnap => {
-        const data = docSnap.data();
-        const projectId = data.projectId;
-        if (projectId) {
-          if (!counts[projectId]) {
-            counts[projectId] = { total: 0, completed: 0 };
-          }
-          counts[projectId].total++;
-          if (data.completed) {
-            counts[projectId].completed++;
-          }
-        }
-      });
-      setTaskCounts(counts);
-    });
+  const handleShiftPeriod = (direction) => {
+    setAnchorDate((current) => shiftPeriod(mode, current, direction));
+  };
 
-    // Listen for task deadlines (excluding completed tasks)
-    const tasksQuery = query(
-      collection(db, 'tasks'),
-      where('userId', '==', currentUser.uid),
-      where('completed', '==', false)
-    );
-    const unsubTasks = onSnapshot(tasksQuery, (querySnapshot) => {
-      const taskDeadlines = {};
-      querySnapshot.forEach(docSnap => {
-        const data = docSnap.data();
-        const dateStr = toDateString(data.deadline);
-        if (dateStr) {
-          if (!taskDeadlines[dateStr]) taskDeadlines[dateStr] = [];
-          taskDeadlines[dateStr].push({
-            type: 'Task',
-            title: data.title,
-            id: docSnap.id,
-            projectId: data.projectId,
-            ...data
-          });
-        }
-      });
-      
-      // Merge with existing deadlines, preserving other types
-      setDeadlines(prev => {
-        const updated = { ...prev };
-        // First, remove old task deadlines
-        Object.keys(updated).forEach(dateStr => {
-          updated[dateStr] = updated[dateStr].filter(item => item.type !== 'Task');
-          if (updated[dateStr].length === 0) {
-            delete updated[dateStr];
-          }
-        });
-        // Then add new task deadlines
-        Object.keys(taskDeadlines).forEach(dateStr => {
-          if (!updated[dateStr]) updated[dateStr] = [];
-          updated[dateStr] = [...updated[dateStr], ...taskDeadlines[dateStr]];
-        });
-        return updated;
-      });
+  const handleToggleCompleted = () => {
+    updatePreferences({ calendarShowCompleted: !showCompleted });
+  };
+
+  /**
+   * Switch mode, keeping the selected day in view
+   */
+  const handleModeChange = (key) => {
+    updatePreferences({ calendarMode: key });
+    setMovingItem(null);
+    if (selectedDate) setAnchorDate(selectedDate.dateObj);
+  };
+
+  /**
+   * Export every project deadline and open task deadline as an .ics file
+   */
+  const handleExportICalendar = async () => {
+    try {
+      const text = buildICalendar({ projects: projectList, tasks, calendarName: 'Project Pro Deadlines' });
+      await shareTextFile(getICalendarFileName('Project Pro Deadlines'), text, 'text/calendar');
+    } catch (error) {
+      console.error('Error exporting calendar:', error);
+      dialog.error('Export Failed', 'The calendar file could not be created. Please try again.');
+    }
+  };
+
+  // Swipe left/right to change period; the ref keeps the latest mode
+  const shiftRef = useRef(handleShiftPeriod);
+  shiftRef.current = handleShiftPeriod;
+  const panResponder = useRef(
+    PanResponder.create({
+      onMoveShouldSetPanResponder: (event, gesture) =>
+        Math.abs(gesture.dx) > SWIPE_START && Math.abs(gesture.dx) > Math.abs(gesture.dy) * 2,
+      onPanResponderRelease: (event, gesture) => {
+        if (gesture.dx <= -SWIPE_DISTANCE) shiftRef.current(1);
+        else if (gesture.dx >= SWIPE_DISTANCE) shiftRef.current(-1);
+      },
+    })
+  ).current;
+
+  /**
+   * Blockers due after this deadline item (only tasks can have blockers)
+   */
+  const getConflicts = (item) => (item.type === 'Task' && !item.projected && !item.completed
+    ? getScheduleConflicts(item, tasksById)
+    : []);
+
+  // Past deadlines still needing attention: open tasks and projects with
+  // unfinished tasks (completed tasks stay out of the overdue group)
+  const agenda = useMemo(() => {
+    if (mode !== 'agenda') return null;
+    return buildAgenda(deadlines, new Date(), (item) => {
+      if (item.type !== 'Project') return !item.completed;
+      const counts = taskCounts[item.id];
+      return !counts || counts.total === 0 || counts.completed < counts.total;
     });
+  }, [mode, deadlines, taskCounts]);
 
-    return () => {
-      unsubProjects();
-      unsubAllTasks();
-      unsubTasks();
-    };
-  }, []);
+  const selectDate = (date) => setSelectedDate({ iso: dateToLocalString(date), dateObj: date });
 
-  const handlePrevMonth = () => {
-    if (month === 0) {
-      setMonth(11);
-      setYear(y => y - 1);
-    } else {
-      setMonth(m => m - 1);
+  /**
+   * Move a deadline to another day. Moving a project before some of its
+   * open tasks' deadlines asks for confirmation first.
+   */
+  const handleReschedule = async (item, date) => {
+    setMovingItem(null);
+    if (isSameDay(toJsDate(item.deadline), date)) return;
+
+    const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    if (date < todayStart) {
+      showSnackbar('Deadlines can only be moved to today or a later day.', { type: 'error' });
+      return;
+    }
+
+    const previousDates = { deadline: toJsDate(item.deadline), startDate: toJsDate(item.startDate) };
+    const nextDates = getRescheduledDates(item, date);
+    const reschedule = item.type === 'Project' ? rescheduleProject : rescheduleTask;
+
+    if (item.type === 'Project') {
+      const laterTasks = (tasksByProject[item.id] || [])
+        .filter((task) => !task.completed && isLaterDay(toJsDate(task.deadline), nextDates.deadline));
+      if (laterTasks.length > 0) {
+        const taskList = laterTasks
+          .map((task) => `• ${task.title} (${safeToDateString(task.deadline)})`)
+          .join('\n');
+        const confirmed = await dialog.confirm({
+          title: 'Move Before Its Tasks?',
+          message: `These tasks in "${item.title}" are due after ${nextDates.deadline.toDateString()}:\n${taskList}\n\nMove the project deadline anyway?`,
+          confirmLabel: 'Move Anyway',
+        });
+        if (!confirmed) return;
+      }
+    }
+
+    try {
+      await reschedule(item, nextDates);
+      showSnackbar(`"${item.title}" moved to ${nextDates.deadline.toDateString()}`, {
+        type: 'success',
+        actionLabel: 'Undo',
+        onAction: () => reschedule(item, previousDates),
+      });
+    } catch (error) {
+      dialog.error('Move Failed', error.message);
     }
   };
-  const handleNextMonth = () => {
-    if (month === 11) {
-      setMonth(0);
-      setYear(y => y + 1);
+
+  /**
+   * Drop handler for a day: the data is "Type:id" from a dragged chip
+   */
+  const handleDropData = (date) => (data) => {
+    const [type, id] = data.split(':');
+    const item = type === 'Project' ? projects[id] : tasksById[id];
+    if (item) handleReschedule({ type, ...item }, date);
+  };
+
+  const handleDayPress = (date) => {
+    if (movingItem) {
+      handleReschedule(movingItem, date);
     } else {
-      setMonth(m => m + 1);
+      selectDate(date);
     }
   };
 
+  // Projected occurrences aren't stored, so they can't be moved; completed
+  // tasks are listed on their completion day, not their deadline
+  const canMove = (item) => showsSelectedList && !item.projected && !item.completed;
+
   // List of deadlines for selected date
   const selectedDeadlines = selectedDate && deadlines[selectedDate.iso] ? deadlines[selectedDate.iso] : [];
 
@@ -253,59 +298,311 @@ export default function CalendarScreen({ navigation, openSidebar, onDeadlinePres
     return `${day}${suffix} ${month}`;
   }
 
-  return (
-    <View style={styles.container}>
-      <Header title="Calendar" onMenuPress={openSidebar} navigation={navigation} />
-      <View style={styles.calendarContainer}>
-        <View style={styles.monthNav}>
-          <TouchableOpacity onPress={handlePrevMonth} style={styles.monthNavBtn}>
-            <Ionicons name="chevron-back" size={24} color="#3b82f6" />
-          </TouchableOpacity>
-          <Text style={styles.monthLabel}>{displayMonthName}</Text>
-          <TouchableOpacity onPress={handleNextMonth} style={styles.monthNavBtn}>
-            <Ionicons name="chevron-forward" size={24} color="#3b82f6" />
-          </TouchableOpacity>
-        </View>
-        <View style={styles.daysRow}>
-          {DAYS.map(day => (
-            <Text key={day} style={styles.dayLabel}>{day}</Text>
-          ))}
+  // Agenda day heading: 'Today', 'Tomorrow' or 'Mon, Oct 20'
+  function formatAgendaHeader(dateObj) {
+    const offset = Math.round((dateObj - new Date(today.getFullYear(), today.getMonth(), today.getDate())) / 86400000);
+    if (offset === 0) return 'Today';
+    if (offset === 1) return 'Tomorrow';
+    return dateObj.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+  }
+
+  const openItemProject = (item) => {
+    // Navigate to Projects screen - the tasks modal is handled there
+    const projectId = item.type === 'Project' ? item.id : item.projectId;
+    if (projectId && navigation) {
+      // Navigate to Projects screen with a project ID to auto-open tasks
+      navigation.navigate('Projects', { openProjectId: projectId });
+    }
+  };
+
+  const renderDeadlineItem = (item, idx) => {
+    // Enhanced display text based on item type
+    let displayText = '';
+    let subText = '';
+
+    if (item.type === 'Project') {
+      const taskCount = taskCounts[item.id];
+      const remaining = taskCount ? taskCount.total - taskCount.completed : 0;
+      displayText = `Project: ${item.title}`;
+      subText = remaining > 0 ? `${remaining} task${remaining !== 1 ? 's' : ''} remaining` : 'All tasks complete';
+    } else if (item.type === 'Task') {
+      const projectTitle = projects[item.projectId]?.title || 'Unknown Project';
+      displayText = `Task: ${item.title}`;
+      if (item.completed) subText = `Completed • Project: ${projectTitle}`;
+      else if (item.projected) subText = `Repeats • Project: ${projectTitle}`;
+      else subText = `Project: ${projectTitle}`;
+    }
+
+    return (
+      <DraggableItem
+        key={idx}
+        dragData={canMove(item) ? `${item.type}:${item.id}` : null}
+        style={[styles.deadlineItem, movingItem?.id === item.id && styles.itemMoving]}
+        activeOpacity={0.7}
+        onPress={() => openItemProject(item)}
+        onLongPress={canMove(item) ? () => setMovingItem(item) : undefined}
+        delayLongPress={300}
+      >
+        <View style={styles.deadlineItemContent}>
+          <View style={styles.deadlineTextContainer}>
+            <Text style={[styles.deadlineTitle, item.completed && styles.completedTitle]}>{displayText}</Text>
+            <Text style={styles.deadlineSubtitle}>{subText}</Text>
+            {getConflicts(item).map((blocker) => (
+              <View key={blocker.id} style={styles.conflictRow}>
+                <Ionicons name="warning-outline" size={12} color="#ef4444" />
+                <Text style={styles.conflictText}>
+                  Due before its blocker "{blocker.title}" ({safeToDateString(blocker.deadline)})
+                </Text>
+              </View>
+            ))}
+          </View>
+          {item.completed ? (
+            <Ionicons name="checkmark-circle" size={20} color={COMPLETED_COLOR} />
+          ) : item.priority && (
+            <View style={[
+              styles.priorityIndicator,
+              { backgroundColor: `${getPriorityColor(item.priority)}20` }
+            ]}>
+              <Text style={[
+                styles.priorityText,
+                { color: getPriorityColor(item.priority) }
+              ]}>
+                {item.priority.toUpperCase()}
+              </Text>
+            </View>
+          )}
         </View>
-        {monthMatrix.map((week, i) => (
-          <View key={i} style={styles.weekRow}>
-            {week.map((date, j) => {
-              let dateStr = dateToLocalString(date);
-              let isToday = date && date.toDateString() === today.toDateString();
-              let hasDeadline = deadlines[dateStr] && deadlines[dateStr].length > 0;
-              let isSelected = selectedDate && selectedDate.iso === dateStr;
-              return (
+      </DraggableItem>
+    );
+  };
+
+  const renderMonth = () => (
+    <>
+      <View style={styles.daysRow}>
+        {DAYS.map(day => (
+          <Text key={day} style={styles.dayLabel}>{day}</Text>
+        ))}
+      </View>
+      {monthMatrix.map((week, i) => (
+        <View key={i} style={styles.weekRow}>
+          {week.map((date, j) => {
+            let dateStr = dateToLocalString(date);
+            let isToday = date && date.toDateString() === today.toDateString();
+            let hasDeadline = deadlines[dateStr] && deadlines[dateStr].length > 0;
+            let isSelected = selectedDate && selectedDate.iso === dateStr;
+            let hasConflict = hasDeadline && deadlines[dateStr].some(item => getConflicts(item).length > 0);
+            let isProjectedOnly = hasDeadline && deadlines[dateStr].every(item => item.projected);
+            let isCompletedOnly = hasDeadline && deadlines[dateStr].every(item => item.completed);
+            if (!date) return <View key={j} style={styles.dayCell} />;
+            return (
+              <DayDropZone
+                key={j}
+                style={[
+                  styles.dayCell, 
+                  isToday && styles.todayCell,
+                  isSelected && styles.selectedCell,
+                  movingItem && styles.moveTargetCell
+                ]}
+                onDropData={handleDropData(date)}
+              >
                 <TouchableOpacity
-                  key={j}
-                  style={[
-                    styles.dayCell, 
-                    isToday && styles.todayCell,
-                    isSelected && styles.selectedCell
-                  ]}
-                  onPress={() => {
-                    if (date) setSelectedDate({ iso: dateToLocalString(date), dateObj: date });
-                  }}
-                  activeOpacity={date ? 0.7 : 1}
-                  disabled={!date}
+                  style={styles.dayCellButton}
+                  onPress={() => handleDayPress(date)}
+                  activeOpacity={0.7}
                 >
-                  {date && (
-                    <>
-                      <Text style={[styles.dateText, isToday && styles.todayText]}>{date.getDate()}</Text>
-                      {hasDeadline && <View style={styles.deadlineDot} />}
-                    </>
+                  <Text style={[styles.dateText, isToday && styles.todayText]}>{date.getDate()}</Text>
+                  {hasDeadline && (
+                    <View style={[
+                      styles.deadlineDot,
+                      isProjectedOnly && styles.projectedDot,
+                      isCompletedOnly && styles.completedDot,
+                      hasConflict && styles.conflictDot
+                    ]} />
                   )}
                 </TouchableOpacity>
-              );
-            })}
+              </DayDropZone>
+            );
+          })}
+        </View>
+      ))}
+    </>
+  );
+
+  // Week and 3-day views: a column of deadline chips per day
+  const renderDayColumns = () => (
+    <View style={styles.columnsRow}>
+      {periodDays.map((date) => {
+        const dateStr = dateToLocalString(date);
+        const items = deadlines[dateStr] || [];
+        const isToday = date.toDateString() === today.toDateString();
+        const isSelected = selectedDate && selectedDate.iso === dateStr;
+        return (
+          <DayDropZone key={dateStr} style={styles.dayColumn} onDropData={handleDropData(date)}>
+            <TouchableOpacity
+              style={[
+                styles.columnHeader,
+                isToday && styles.todayCell,
+                isSelected && styles.selectedCell,
+                movingItem && styles.moveTargetCell,
+              ]}
+              onPress={() => handleDayPress(date)}
+            >
+              <Text style={styles.columnWeekday}>{DAYS[date.getDay()]}</Text>
+              <Text style={[styles.dateText, isToday && styles.todayText]}>{date.getDate()}</Text>
+            </TouchableOpacity>
+            <ScrollView style={styles.columnBody} showsVerticalScrollIndicator={false}>
+              {items.map((item, idx) => (
+                <DraggableItem
+                  key={idx}
+                  dragData={canMove(item) ? `${item.type}:${item.id}` : null}
+                  style={[
+                    styles.chip,
+                    { borderLeftColor: item.completed ? COMPLETED_COLOR : getPriorityColor(item.priority) },
+                    item.projected && styles.chipProjected,
+                    item.completed && styles.chipCompleted,
+                    getConflicts(item).length > 0 && styles.chipConflict,
+                    movingItem?.id === item.id && styles.itemMoving,
+                  ]}
+                  onPress={() => openItemProject(item)}
+                  onLongPress={canMove(item) ? () => setMovingItem(item) : undefined}
+                  delayLongPress={300}
+                  accessibilityLabel={`${item.type}: ${item.title}`}
+                >
+                  <Text style={[styles.chipText, item.completed && styles.completedTitle]} numberOfLines={periodDays.length > 3 ? 3 : 2}>
+                    {item.title}
+                  </Text>
+                </DraggableItem>
+              ))}
+            </ScrollView>
+          </DayDropZone>
+        );
+      })}
+    </View>
+  );
+
+  const renderDay = () => {
+    const items = deadlines[dateToLocalString(anchorDate)] || [];
+    return (
+      <ScrollView style={styles.dayList}>
+        {items.length === 0 ? (
+          <Text style={styles.noDeadlinesText}>No deadlines for this day.</Text>
+        ) : (
+          items.map(renderDeadlineItem)
+        )}
+      </ScrollView>
+    );
+  };
+
+  const renderAgenda = () => {
+    if (agenda.overdue.length === 0 && agenda.upcoming.length === 0) {
+      return <Text style={styles.noDeadlinesText}>Nothing due in the next {AGENDA_DAYS} days.</Text>;
+    }
+    return (
+      <ScrollView style={styles.agendaList}>
+        {agenda.overdue.length > 0 && (
+          <View style={styles.agendaGroup}>
+            <Text style={[styles.agendaHeading, styles.overdueHeading]}>Overdue</Text>
+            {agenda.overdue.map((group) => (
+              <View key={group.dateStr}>
+                <Text style={styles.agendaSubheading}>{formatAgendaHeader(group.date)}</Text>
+                {group.items.map(renderDeadlineItem)}
+              </View>
+            ))}
+          </View>
+        )}
+        {agenda.upcoming.map((group) => (
+          <View key={group.dateStr} style={styles.agendaGroup}>
+            <Text style={styles.agendaHeading}>{formatAgendaHeader(group.date)}</Text>
+            {group.items.map(renderDeadlineItem)}
           </View>
         ))}
+      </ScrollView>
+    );
+  };
+
+  const renderPeriod = () => {
+    switch (mode) {
+      case 'week':
+      case 'threeDay':
+        return renderDayColumns();
+      case 'day':
+        return renderDay();
+      case 'agenda':
+        return renderAgenda();
+      default:
+        return renderMonth();
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Header title="Calendar" onMenuPress={openSidebar} navigation={navigation} />
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.modeScroll}
+        contentContainerStyle={styles.modeRow}
+      >
+        {CALENDAR_MODES.map((option) => (
+          <TouchableOpacity
+            key={option.key}
+            style={[styles.modeChip, mode === option.key && styles.modeChipActive]}
+            onPress={() => handleModeChange(option.key)}
+          >
+            <Text style={[styles.modeText, mode === option.key && styles.modeTextActive]}>{option.label}</Text>
+          </TouchableOpacity>
+        ))}
+        <TouchableOpacity
+          style={[styles.modeChip, styles.exportChip, showCompleted && styles.completedChipActive]}
+          onPress={handleToggleCompleted}
+          accessibilityLabel={showCompleted ? 'Hide completed tasks' : 'Show completed tasks'}
+        >
+          <Ionicons name="checkmark-done-outline" size={16} color={showCompleted ? 'white' : '#cbd5e1'} />
+          <Text style={[styles.modeText, showCompleted && styles.modeTextActive]}>Completed</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.modeChip, styles.exportChip]}
+          onPress={handleExportICalendar}
+          accessibilityLabel="Export all deadlines to calendar file"
+        >
+          <Ionicons name="download-outline" size={16} color="#cbd5e1" />
+          <Text style={styles.modeText}>Export .ics</Text>
+        </TouchableOpacity>
+      </ScrollView>
+      {movingItem && (
+        <View style={styles.moveBanner}>
+          <Ionicons name="move-outline" size={18} color="#3b82f6" />
+          <Text style={styles.moveBannerText} numberOfLines={1}>
+            Tap a day to move "{movingItem.title}"
+          </Text>
+          <TouchableOpacity onPress={() => setMovingItem(null)} accessibilityLabel="Cancel move">
+            <Ionicons name="close" size={18} color="#94a3b8" />
+          </TouchableOpacity>
+        </View>
+      )}
+      <View
+        style={[styles.calendarContainer, !showsSelectedList && styles.listContainer]}
+        {...panResponder.panHandlers}
+      >
+        <View style={styles.monthNav}>
+          {mode !== 'agenda' && (
+            <TouchableOpacity onPress={() => handleShiftPeriod(-1)} style={styles.monthNavBtn} accessibilityLabel="Previous period">
+              <Ionicons name="chevron-back" size={24} color="#3b82f6" />
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity style={styles.monthLabelButton} onPress={() => setAnchorDate(new Date())} accessibilityLabel="Go to today">
+            <Text style={styles.monthLabel}>{formatPeriodLabel(mode, anchorDate)}</Text>
+          </TouchableOpacity>
+          {mode !== 'agenda' && (
+            <TouchableOpacity onPress={() => handleShiftPeriod(1)} style={styles.monthNavBtn} accessibilityLabel="Next period">
+              <Ionicons name="chevron-forward" size={24} color="#3b82f6" />
+            </TouchableOpacity>
+          )}
+        </View>
+        {renderPeriod()}
       </View>
       {/* List of deadlines for selected date */}
-      {selectedDate && (
+      {showsSelectedList && selectedDate && (
         <View style={styles.deadlineListContainer}>
           <Text style={styles.deadlineListTitle}>
             Deadlines for {formatDeadlineHeader(selectedDate.dateObj)}
@@ -314,58 +611,7 @@ export default function CalendarScreen({ navigation, openSidebar, onDeadlinePres
             <Text style={styles.noDeadlinesText}>No deadlines for this date.</Text>
           ) : (
             <ScrollView style={{ maxHeight: 180 }}>
-              {selectedDeadlines.map((item, idx) => {
-                // Enhanced display text based on item type
-                let displayText = '';
-                let subText = '';
-                
-                if (item.type === 'Project') {
-                  const taskCount = taskCounts[item.id];
-                  const remaining = taskCount ? taskCount.total - taskCount.completed : 0;
-                  displayText = `Project: ${item.title}`;
-                  subText = remaining > 0 ? `${remaining} task${remaining !== 1 ? 's' : ''} remaining` : 'All tasks complete';
-                } else if (item.type === 'Task') {
-                  const projectTitle = projects[item.projectId]?.title || 'Unknown Project';
-                  displayText = `Task: ${item.title}`;
-                  subText = `Project: ${projectTitle}`;
-                }
-
-                return (
-                  <TouchableOpacity
-                    key={idx}
-                    style={styles.deadlineItem}
-                    activeOpacity={0.7}
-                    onPress={() => {
-                      // Navigate to Projects screen - the tasks modal is handled there
-                      const projectId = item.type === 'Project' ? item.id : item.projectId;
-                      if (projectId && navigation) {
-                        // Navigate to Projects screen with a project ID to auto-open tasks
-                        navigation.navigate('Projects', { openProjectId: projectId });
-                      }
-                    }}
-                  >
-                    <View style={styles.deadlineItemContent}>
-                      <View style={styles.deadlineTextContainer}>
-                        <Text style={styles.deadlineTitle}>{displayText}</Text>
-                        <Text style={styles.deadlineSubtitle}>{subText}</Text>
-                      </View>
-                      {item.priority && (
-                        <View style={[
-                          styles.priorityIndicator,
-                          { backgroundColor: `${getPriorityColor(item.priority)}20` }
-                        ]}>
-                          <Text style={[
-                            styles.priorityText,
-                            { color: getPriorityColor(item.priority) }
-                          ]}>
-                            {item.priority.toUpperCase()}
-                          </Text>
-                        </View>
-                      )}
-                    </View>
-                  </TouchableOpacity>
-                );
-              })}
+              {selectedDeadlines.map(renderDeadlineItem)}
             </ScrollView>
           )}
         </View>
@@ -400,6 +646,9 @@ const styles = StyleSheet.create({
     padding: 8,
     borderRadius: 8,
   },
+  monthLabelButton: {
+    flex: 1,
+  },
   monthLabel: {
     fontSize: 20,
     fontWeight: 'bold',
@@ -433,9 +682,23 @@ const styles = StyleSheet.create({
     margin: 1,
     borderRadius: 8,
   },
+  dayCellButton: {
+    flex: 1,
+    width: '100%',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
   todayCell: {
     backgroundColor: '#3b82f6',
   },
+  moveTargetCell: {
+    borderWidth: 1,
+    borderColor: '#334155',
+    borderStyle: 'dashed',
+  },
+  dropOver: {
+    backgroundColor: 'rgba(59, 130, 246, 0.25)',
+  },
   selectedCell: {
     borderWidth: 2,
     borderColor: '#f97316',
@@ -456,6 +719,17 @@ const styles = StyleSheet.create({
     backgroundColor: '#f59e0b',
     marginTop: 2,
   },
+  projectedDot: {
+    backgroundColor: 'transparent',
+    borderWidth: 1,
+    borderColor: '#f59e0b',
+  },
+  conflictDot: {
+    backgroundColor: '#ef4444',
+  },
+  completedDot: {
+    backgroundColor: COMPLETED_COLOR,
+  },
   deadlineListContainer: {
     marginTop: 12,
     marginHorizontal: 16,
@@ -518,9 +792,156 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     marginBottom: 2,
   },
+  completedTitle: {
+    color: '#94a3b8',
+    textDecorationLine: 'line-through',
+  },
   deadlineSubtitle: {
     color: '#94a3b8',
     fontSize: 13,
     fontStyle: 'italic',
   },
+  conflictRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  conflictText: {
+    color: '#ef4444',
+    fontSize: 12,
+    marginLeft: 4,
+    flexShrink: 1,
+  },
+  moveBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginHorizontal: 16,
+    marginTop: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#1e293b',
+    borderWidth: 1,
+    borderColor: '#3b82f6',
+  },
+  moveBannerText: {
+    flex: 1,
+    color: '#cbd5e1',
+    fontSize: 14,
+  },
+  itemMoving: {
+    opacity: 0.5,
+  },
+  modeScroll: {
+    flexGrow: 0,
+  },
+  modeRow: {
+    paddingHorizontal: 16,
+    paddingTop: 16,
+    gap: 8,
+  },
+  modeChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#1e293b',
+    borderWidth: 1,
+    borderColor: '#334155',
+  },
+  modeChipActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  modeText: {
+    color: '#cbd5e1',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  modeTextActive: {
+    color: 'white',
+  },
+  exportChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  completedChipActive: {
+    backgroundColor: COMPLETED_COLOR,
+    borderColor: COMPLETED_COLOR,
+  },
+  listContainer: {
+    flex: 1,
+    maxHeight: '100%',
+    marginBottom: 16,
+  },
+  columnsRow: {
+    flex: 1,
+    flexDirection: 'row',
+  },
+  dayColumn: {
+    flex: 1,
+    marginHorizontal: 1,
+  },
+  columnHeader: {
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderRadius: 8,
+    marginBottom: 4,
+  },
+  columnWeekday: {
+    color: '#64748b',
+    fontWeight: 'bold',
+    fontSize: 12,
+  },
+  columnBody: {
+    flex: 1,
+  },
+  chip: {
+    backgroundColor: '#0f172a',
+    borderRadius: 6,
+    borderLeftWidth: 3,
+    borderWidth: 1,
+    borderColor: '#334155',
+    paddingVertical: 4,
+    paddingHorizontal: 4,
+    marginBottom: 4,
+  },
+  chipProjected: {
+    borderStyle: 'dashed',
+  },
+  chipConflict: {
+    borderColor: '#ef4444',
+  },
+  chipCompleted: {
+    opacity: 0.75,
+  },
+  chipText: {
+    color: '#fff',
+    fontSize: 11,
+  },
+  dayList: {
+    flex: 1,
+  },
+  agendaList: {
+    flex: 1,
+  },
+  agendaGroup: {
+    marginBottom: 12,
+  },
+  agendaHeading: {
+    color: '#f59e0b',
+    fontWeight: 'bold',
+    fontSize: 16,
+    marginBottom: 6,
+  },
+  overdueHeading: {
+    color: '#ef4444',
+  },
+  agendaSubheading: {
+    color: '#94a3b8',
+    fontWeight: '600',
+    fontSize: 13,
+    marginBottom: 4,
+  },
 });
@@ -8,6 +8,8 @@
  * 2. Calls success callback to trigger parent refresh
  * 3. Better error handling and user feedback
  * 4. Enhanced web compatibility
+ * 5. Configurable workflow statuses (task board columns)
+ * 6. Optional start date for the timeline view
  */
 
 import React, { useState, useEffect } from 'react';
@@ -21,40 +23,38 @@ import {
   KeyboardAvoidingView,
   Platform,
   StyleSheet,
-  Alert,
   Dimensions,
 } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import { Ionicons } from '@expo/vector-icons';
 import DateTimePicker from '@react-native-community/datetimepicker';
 import * as ImagePicker from 'expo-image-picker';
-import { 
-  doc,
-  updateDoc,
-  Timestamp,
-  serverTimestamp 
-} from 'firebase/firestore';
-import { 
-  ref, 
-  uploadBytes, 
-  getDownloadURL,
-  deleteObject 
-} from 'firebase/storage';
-import { auth, db, storage } from '../config/firebase';
+import { auth } from '../config/firebase';
+import { updateProject } from '../services/projectsService';
+import { useSnackbar } from '../components/Snackbar';
+import { useDialog } from '../components/Dialog';
+import StatusListEditor from '../components/StatusListEditor';
+import DateField from '../components/DateField';
+import { toJsDate, isLaterDay } from '../utils/dateUtils';
+import { getProjectStatuses, validateStatuses } from '../utils/workflow';
 
 export default function EditProjectScreen({ project, onClose, onSuccess }) {
   // Initialize state with existing project values
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
+  const [startDate, setStartDate] = useState(null);
   const [deadline, setDeadline] = useState(null);
   const [currentMonth, setCurrentMonth] = useState(new Date()); // Add missing state for date picker
   const [priority, setPriority] = useState('medium');
   const [selectedImage, setSelectedImage] = useState(null);
   const [currentImageUrl, setCurrentImageUrl] = useState(null);
+  const [statuses, setStatuses] = useState(() => getProjectStatuses(project));
   
   // UI state
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const { showSnackbar } = useSnackbar();
+  const dialog = useDialog();
 
   const currentUser = auth.currentUser;
   const screenWidth = Dimensions.get('window').width;
@@ -77,6 +77,8 @@ export default function EditProjectScreen({ project, onClose, onSuccess }) {
       setDescription(project.description || '');
       setPriority(project.priority || 'medium');
       setCurrentImageUrl(project.imageUrl || null);
+      setStatuses(getProjectStatuses(project));
+      setStartDate(toJsDate(project.startDate));
 
       // Handle deadline initialization
       if (project.deadline) {
@@ -114,11 +116,7 @@ export default function EditProjectScreen({ project, onClose, onSuccess }) {
       
       if (status !== 'granted') {
         const message = 'Please grant camera roll permissions to upload project images.';
-        if (isWeb) {
-          alert(message);
-        } else {
-          Alert.alert('Permission Required', message);
-        }
+        showSnackbar(message, { type: 'error' });
         return;
       }
 
@@ -139,11 +137,7 @@ export default function EditProjectScreen({ project, onClose, onSuccess }) {
         
         if (selectedAsset.fileSize && selectedAsset.fileSize > 5 * 1024 * 1024) {
           const message = 'Please select an image smaller than 5MB.';
-          if (isWeb) {
-            alert(message);
-          } else {
-            Alert.alert('Image Too Large', message);
-          }
+          showSnackbar(message, { type: 'error' });
           return;
         }
         
@@ -152,58 +146,7 @@ export default function EditProjectScreen({ project, onClose, onSuccess }) {
     } catch (error) {
       console.error('Error picking replacement image:', error);
       const message = 'Failed to pick image. Please try again.';
-      if (isWeb) {
-        alert(message);
-      } else {
-        Alert.alert('Image Selection Error', message);
-      }
-    }
-  };
-
-  /**
-   * Upload new image to Firebase Storage
-   */
-  const uploadImage = async (imageAsset) => {
-    if (!imageAsset || !currentUser) return null;
-
-    try {
-      console.log('Starting replacement image upload...');
-      
-      const filename = `projects/${currentUser.uid}/${Date.now()}_${Math.random().toString(36).substring(7)}.jpg`;
-      
-      const response = await fetch(imageAsset.uri);
-      const blob = await response.blob();
-
-      console.log('Uploading replacement image to:', filename);
-
-      const imageRef = ref(storage, filename);
-      await uploadBytes(imageRef, blob);
-
-      const downloadURL = await getDownloadURL(imageRef);
-      console.log('Replacement image uploaded successfully:', downloadURL);
-      
-      return downloadURL;
-    } catch (error) {
-      console.error('Error uploading replacement image:', error);
-      throw new Error(`Failed to upload image: ${error.message}`);
-    }
-  };
-
-  /**
-   * Delete old image from Firebase Storage
-   */
-  const deleteOldImage = async (imageUrl) => {
-    if (!imageUrl) return;
-    
-    try {
-      console.log('Attempting to delete old project image:', imageUrl);
-      
-      const imageRef = ref(storage, imageUrl);
-      await deleteObject(imageRef);
-      
-      console.log('Old project image deleted successfully');
-    } catch (error) {
-      console.error('Error deleting old project image:', error);
+      showSnackbar(message, { type: 'error' });
     }
   };
 
@@ -213,41 +156,31 @@ export default function EditProjectScreen({ project, onClose, onSuccess }) {
   const validateForm = () => {
     if (!title.trim()) {
       const message = 'Project title is required.';
-      if (isWeb) {
-        alert(message);
-      } else {
-        Alert.alert('Validation Error', message);
-      }
+      showSnackbar(message, { type: 'error' });
       return false;
     }
 
     if (title.trim().length < 3) {
       const message = 'Project title must be at least 3 characters long.';
-      if (isWeb) {
-        alert(message);
-      } else {
-        Alert.alert('Validation Error', message);
-      }
+      showSnackbar(message, { type: 'error' });
       return false;
     }
 
     if (title.trim().length > 50) {
       const message = 'Project title must be less than 50 characters.';
-      if (isWeb) {
-        alert(message);
-      } else {
-        Alert.alert('Validation Error', message);
-      }
+      showSnackbar(message, { type: 'error' });
       return false;
     }
 
     if (description.length > 200) {
       const message = 'Project description must be less than 200 characters.';
-      if (isWeb) {
-        alert(message);
-      } else {
-        Alert.alert('Validation Error', message);
-      }
+      showSnackbar(message, { type: 'error' });
+      return false;
+    }
+
+    const statusError = validateStatuses(statuses);
+    if (statusError) {
+      showSnackbar(statusError, { type: 'error' });
       return false;
     }
 
@@ -257,11 +190,13 @@ export default function EditProjectScreen({ project, onClose, onSuccess }) {
 
     if (deadline && deadline < todayDateOnly) {
       const message = 'Project deadline must be today or in the future.';
-      if (isWeb) {
-        alert(message);
-      } else {
-        Alert.alert('Validation Error', message);
-      }
+      showSnackbar(message, { type: 'error' });
+      return false;
+    }
+
+    if (isLaterDay(startDate, deadline)) {
+      const message = 'Project start date must be on or before its deadline.';
+      showSnackbar(message, { type: 'error' });
       return false;
     }
 
@@ -279,11 +214,7 @@ export default function EditProjectScreen({ project, onClose, onSuccess }) {
     
     if (!currentUser || !project) {
       const message = 'Unable to update project. Please try again.';
-      if (isWeb) {
-        alert(message);
-      } else {
-        Alert.alert('Error', message);
-      }
+      showSnackbar(message, { type: 'error' });
       return;
     }
 
@@ -300,89 +231,30 @@ export default function EditProjectScreen({ project, onClose, onSuccess }) {
         userId: currentUser.uid
       });
 
-      let imageUrl = currentImageUrl; // Keep current image by default
-
-      // Handle image updates
-      if (selectedImage) {
-        console.log('Processing image replacement...');
-        
-        // Delete old image if it exists
-        if (currentImageUrl) {
-          await deleteOldImage(currentImageUrl);
+      // The service keeps the current image unless a new one was picked
+      await updateProject(
+        { ...project, imageUrl: currentImageUrl },
+        {
+          title: title.trim(),
+          description: description.trim(),
+          startDate,
+          deadline,
+          priority,
+          imageAsset: selectedImage,
+          statuses: statuses.map((status) => ({ ...status, name: status.name.trim() })),
         }
-        
-        // Upload new image
-        imageUrl = await uploadImage(selectedImage);
-      }
-
-      // Prepare deadline timestamp
-      let deadlineTimestamp = null;
-      if (deadline) {
-        deadlineTimestamp = Timestamp.fromDate(deadline);
-      }
-
-      // Prepare update data
-      const updateData = {
-        title: title.trim(),
-        description: description.trim(),
-        deadline: deadlineTimestamp,
-        priority: priority,
-        imageUrl: imageUrl,
-        updatedAt: serverTimestamp(),
-      };
+      );
 
-      console.log('Saving project updates to Firestore...');
-      
-      // Update the project in Firestore
-      const projectRef = doc(db, 'projects', project.id);
-      await updateDoc(projectRef, updateData);
-      
-      console.log('Project updated successfully:', project.id);
-
-      // Show success message and close screen
-      const successMessage = `Project "${title.trim()}" has been updated successfully.`;
-      
-      if (isWeb) {
-        alert(successMessage);
-        // For web, close immediately after showing success
-        if (onSuccess) {
-          onSuccess();
-        } else {
-          onClose();
-        }
+      // Confirm without blocking and close the screen
+      showSnackbar(`Project "${title.trim()}" has been updated successfully.`, { type: 'success' });
+      if (onSuccess) {
+        onSuccess();
       } else {
-        Alert.alert(
-          'Success!', 
-          successMessage,
-          [{
-            text: 'OK', 
-            onPress: () => {
-              if (onSuccess) {
-                onSuccess();
-              } else {
-                onClose();
-              }
-            }
-          }]
-        );
+        onClose();
       }
 
     } catch (error) {
-      console.error('Error updating project:', error);
-      
-      let errorMessage = 'Failed to update project. Please try again.';
-      
-      if (error.message.includes('network')) {
-        errorMessage = 'Network error. Please check your internet connection and try again.';
-      } else if (error.message.includes('permission')) {
-        errorMessage = 'You do not have permission to update this project.';
-      }
-      
-      if (isWeb) {
-        alert(errorMessage);
-      } else {
-        Alert.alert('Update Error', errorMessage);
-      }
+      dialog.error('Update Error', error.message);
     } finally {
       setIsLoading(false);
     }
@@ -559,6 +431,17 @@ export default function EditProjectScreen({ project, onClose, onSuccess }) {
               </View>
             </View>
 
+            {/* Start Date Selection */}
+            <View style={styles.formGroup}>
+              <Text style={styles.label}>Start Date (Optional)</Text>
+              <DateField
+                value={startDate}
+                onChange={setStartDate}
+                name="start date"
+                maximumDate={deadline || undefined}
+              />
+            </View>
+
             {/* Deadline Selection */}
             <View style={styles.formGroup}>
               <Text style={styles.label}>Deadline</Text>
@@ -622,6 +505,12 @@ export default function EditProjectScreen({ project, onClose, onSuccess }) {
                 />
               )}
             </View>
+
+            {/* Workflow Statuses */}
+            <View style={styles.formGroup}>
+              <Text style={styles.label}>Workflow Statuses</Text>
+              <StatusListEditor statuses={statuses} onChange={setStatuses} />
+            </View>
           </View>
 
         </ScrollView>
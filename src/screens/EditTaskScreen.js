@@ -2,14 +2,18 @@
  * EditTaskScreen.js - Edit Task Modal Screen
  * 
  * This modal screen allows users to edit existing tasks within a project.
- * It provides a form with fields for title, description, priority, and deadline.
+ * It provides a form with fields for title, description, priority, deadline
+ * and checklist.
  * 
  * Features:
  * - Pre-populated form fields with existing task data
  * - Input validation
  * - Priority selection
- * - Date picker for deadline
- * - Save changes to Firestore
+ * - Date picker for deadline and optional start date
+ * - Checklist editing (add, reorder, check off, remove)
+ * - "Blocked by" dependencies on other tasks in the project (cycles rejected)
+ * - Repeat rule for recurring tasks
+ * - Save changes to Firestore, with Undo in the confirmation snackbar
  * - Cancel without saving changes
  */
 
@@ -23,13 +27,22 @@ import {
   ScrollView,
   KeyboardAvoidingView,
   Platform,
-  Alert,
 } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import { Ionicons } from '@expo/vector-icons';
 import DateTimePicker from '@react-native-community/datetimepicker';
-import { doc, updateDoc, serverTimestamp } from 'firebase/firestore';
-import { db } from '../config/firebase';
+import { updateTask } from '../services/tasksService';
+import { useSnackbar } from '../components/Snackbar';
+import { useDialog } from '../components/Dialog';
+import ChecklistEditor from '../components/ChecklistEditor';
+import DependencyPicker from '../components/DependencyPicker';
+import RepeatRulePicker from '../components/RepeatRulePicker';
+import DateField from '../components/DateField';
+import { useData } from '../contexts/DataContext';
+import { toJsDate, isLaterDay } from '../utils/dateUtils';
+import { getChecklist } from '../utils/checklist';
+import { getBlockerIds, createsDependencyCycle } from '../utils/taskDependencies';
+import { anchorRepeatRule } from '../utils/recurrence';
 
 export default function EditTaskScreen({ 
   visible, 
@@ -42,9 +55,18 @@ export default function EditTaskScreen({
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
   const [priority, setPriority] = useState('medium');
+  const [startDate, setStartDate] = useState(null);
   const [deadline, setDeadline] = useState(null);
+  const [checklist, setChecklist] = useState([]);
+  const [blockedBy, setBlockedBy] = useState([]);
+  const [repeat, setRepeat] = useState(null);
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const { showSnackbar } = useSnackbar();
+  const dialog = useDialog();
+  const { tasksByProject, tasksById } = useData();
+  const otherProjectTasks = ((projectId && tasksByProject[projectId]) || [])
+    .filter((projectTask) => projectTask.id !== task?.id);
 
   // Initialize form with task data when task changes
   useEffect(() => {
@@ -52,13 +74,21 @@ export default function EditTaskScreen({
       setTitle(task.title || '');
       setDescription(task.description || '');
       setPriority(task.priority || 'medium');
+      setStartDate(toJsDate(task.startDate));
       setDeadline(task.deadline ? task.deadline.toDate() : null);
+      setChecklist(getChecklist(task));
+      setBlockedBy(getBlockerIds(task));
+      setRepeat(task.repeat || null);
     } else {
       // Reset form when no task
       setTitle('');
       setDescription('');
       setPriority('medium');
+      setStartDate(null);
       setDeadline(null);
+      setChecklist([]);
+      setBlockedBy([]);
+      setRepeat(null);
     }
   }, [task]);
 
@@ -66,39 +96,62 @@ export default function EditTaskScreen({
   const handleSaveTask = async () => {
     // Validation
     if (!title.trim()) {
-      Alert.alert('Validation Error', 'Please enter a task title.');
+      showSnackbar('Please enter a task title.', { type: 'error' });
       return;
     }
 
     if (!task || !projectId) {
-      Alert.alert('Error', 'Missing task or project information.');
+      showSnackbar('Missing task or project information.', { type: 'error' });
+      return;
+    }
+
+    if (isLaterDay(startDate, deadline)) {
+      showSnackbar('Task start date must be on or before its deadline.', { type: 'error' });
+      return;
+    }
+
+    if (repeat && repeat.frequency !== 'afterCompletion' && !deadline) {
+      showSnackbar('Set a deadline so the task knows when it next repeats.', { type: 'error' });
+      return;
+    }
+
+    // Drop links to tasks deleted while the form was open
+    const validBlockedBy = blockedBy.filter((id) => tasksById[id]);
+    if (createsDependencyCycle(task.id, validBlockedBy, tasksById)) {
+      showSnackbar('These dependencies would make the task wait on itself. Remove one and try again.', { type: 'error' });
       return;
     }
 
     setIsLoading(true);
 
     try {
-      // Prepare update data
-      const updateData = {
+      await updateTask(task.id, {
         title: title.trim(),
         description: description.trim(),
-        priority: priority,
-        updatedAt: serverTimestamp(),
-      };
+        priority,
+        startDate,
+        deadline,
+        checklist,
+        blockedBy: validBlockedBy,
+        repeat: anchorRepeatRule(repeat, deadline),
+      });
 
-      // Add deadline if set
-      if (deadline) {
-        updateData.deadline = deadline;
-      } else {
-        // Remove deadline field if not set
-        updateData.deadline = null;
-      }
-
-      // Update task in Firestore
-      const taskRef = doc(db, 'tasks', task.id);
-      await updateDoc(taskRef, updateData);
-
-      console.log('Task updated successfully:', task.id);
+      // Keep the previous values so the edit can be undone
+      const previous = {
+        title: task.title || '',
+        description: task.description || '',
+        priority: task.priority || 'medium',
+        startDate: toJsDate(task.startDate),
+        deadline: toJsDate(task.deadline),
+        checklist: getChecklist(task),
+        blockedBy: getBlockerIds(task),
+        repeat: task.repeat || null,
+      };
+      showSnackbar(`Task "${title.trim()}" updated`, {
+        type: 'success',
+        actionLabel: 'Undo',
+        onAction: () => updateTask(task.id, previous),
+      });
 
       // Call callback to refresh parent component
       if (onTaskUpdated) {
@@ -109,12 +162,7 @@ export default function EditTaskScreen({
       onClose();
 
     } catch (error) {
-      console.error('Error updating task:', error);
-      Alert.alert(
-        'Update Failed', 
-        'Failed to update the task. Please check your connection and try again.',
-        [{ text: 'OK' }]
-      );
+      dialog.error('Update Failed', error.message);
     } finally {
       setIsLoading(false);
     }
@@ -187,7 +235,7 @@ export default function EditTaskScreen({
         </TouchableOpacity>
       </View>
 
-      <ScrollView style={styles.form}>
+      <ScrollView style={styles.form} keyboardShouldPersistTaps="handled">
         {/* Task Title */}
         <View style={styles.formGroup}>
           <Text style={styles.label}>Task Title *</Text>
@@ -249,6 +297,35 @@ export default function EditTaskScreen({
           </View>
         </View>
 
+        {/* Checklist */}
+        <View style={styles.formGroup}>
+          <Text style={styles.label}>Checklist</Text>
+          <ChecklistEditor items={checklist} onChange={setChecklist} />
+        </View>
+
+        {/* Dependencies */}
+        <View style={styles.formGroup}>
+          <Text style={styles.label}>Blocked By</Text>
+          <DependencyPicker
+            taskId={task.id}
+            candidates={otherProjectTasks}
+            selectedIds={blockedBy}
+            tasksById={tasksById}
+            onChange={setBlockedBy}
+          />
+        </View>
+
+        {/* Start Date Selection */}
+        <View style={styles.formGroup}>
+          <Text style={styles.label}>Start Date (Optional)</Text>
+          <DateField
+            value={startDate}
+            onChange={setStartDate}
+            name="start date"
+            maximumDate={deadline || undefined}
+          />
+        </View>
+
         {/* Deadline Selection */}
         <View style={styles.formGroup}>
           <Text style={styles.label}>Deadline (Optional)</Text>
@@ -302,6 +379,12 @@ export default function EditTaskScreen({
             />
           )}
         </View>
+
+        {/* Repeat */}
+        <View style={styles.formGroup}>
+          <Text style={styles.label}>Repeat</Text>
+          <RepeatRulePicker rule={repeat} deadline={deadline} onChange={setRepeat} />
+        </View>
       </ScrollView>
     </KeyboardAvoidingView>
   );
@@ -0,0 +1,224 @@
+/**
+ * ProjectAnalyticsScreen.js - Burndown and Burnup Charts for One Project
+ *
+ * Reached from the chart button on a project card. Shows:
+ * - Burndown: open tasks over time against an ideal line to the deadline
+ * - Burnup: total scope against completed tasks, so added scope stands out
+ * - Summary cards for scope, completed, remaining and scope added
+ * - Forecast finish date from recent velocity, flagged when it passes the deadline
+ *
+ * Actuals are replayed from the completion history recorded on each task
+ * (see utils/analytics); days after today only show the ideal line.
+ *
+ * @param {Object} navigation - React Navigation object for screen navigation
+ * @param {Object} route - `route.params.projectId` selects the project
+ * @param {Function} openSidebar - Function to open the sidebar menu
+ */
+
+import React, { useMemo } from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
+import Ionicons from '@expo/vector-icons/Ionicons';
+import Header from '../components/Header';
+import LineChart from '../components/LineChart';
+import ForecastBadge from '../components/ForecastBadge';
+import { useData } from '../contexts/DataContext';
+import { buildBurnChart } from '../utils/analytics';
+
+const formatShortDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+export default function ProjectAnalyticsScreen({ navigation, route, openSidebar }) {
+  const { projectsById, tasksByProject, projectForecasts } = useData();
+  const projectId = route?.params?.projectId;
+  const project = projectsById[projectId];
+  const projectTasks = tasksByProject[projectId];
+  const tasks = projectTasks || [];
+
+  const chart = useMemo(
+    () => (project ? buildBurnChart(project, projectTasks || []) : null),
+    [project, projectTasks]
+  );
+
+  const handleBack = () => {
+    if (navigation.canGoBack()) navigation.goBack();
+    else navigation.navigate('Projects');
+  };
+
+  if (!project) {
+    return (
+      <View style={styles.container}>
+        <Header title="Project Analytics" onMenuPress={openSidebar} navigation={navigation} />
+        <Text style={styles.emptyText}>This project no longer exists.</Text>
+      </View>
+    );
+  }
+
+  const { points, todayIndex, deadlineIndex } = chart;
+  const current = points[todayIndex] || points[points.length - 1];
+  const scopeAdded = current.scope - points[0].scope;
+
+  const xLabels = [{ index: 0, text: formatShortDate(points[0].date) }];
+  if (todayIndex > 0 && todayIndex !== deadlineIndex) xLabels.push({ index: todayIndex, text: 'Today' });
+  if (deadlineIndex > 0) xLabels.push({ index: deadlineIndex, text: `Due ${formatShortDate(chart.deadline)}` });
+
+  const burndownSeries = [
+    { key: 'remaining', label: 'Remaining tasks', color: '#f97316', values: points.map((point) => point.remaining) },
+  ];
+  if (chart.deadline) {
+    burndownSeries.push({ key: 'ideal', label: 'Ideal', color: '#64748b', thin: true, values: points.map((point) => point.ideal) });
+  }
+  const burnupSeries = [
+    { key: 'scope', label: 'Scope', color: '#3b82f6', values: points.map((point) => point.scope) },
+    { key: 'completed', label: 'Completed', color: '#10b981', values: points.map((point) => point.completed) },
+  ];
+
+  return (
+    <View style={styles.container}>
+      <Header title="Project Analytics" onMenuPress={openSidebar} navigation={navigation} />
+      <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+        <TouchableOpacity style={styles.backRow} onPress={handleBack} accessibilityLabel="Back to projects">
+          <Ionicons name="arrow-back" size={18} color="#94a3b8" />
+          <Text style={styles.backText}>Projects</Text>
+        </TouchableOpacity>
+        <Text style={styles.projectTitle} numberOfLines={2}>{project.title}</Text>
+        {!chart.deadline && (
+          <Text style={styles.hintText}>Set a deadline on this project to see the ideal burndown line.</Text>
+        )}
+
+        <View style={styles.metricsContainer}>
+          <View style={styles.metricCard}>
+            <Text style={styles.metricValue}>{current.scope}</Text>
+            <Text style={styles.metricLabel}>Scope</Text>
+          </View>
+          <View style={styles.metricCard}>
+            <Text style={styles.metricValue}>{current.completed}</Text>
+            <Text style={styles.metricLabel}>Completed</Text>
+          </View>
+          <View style={styles.metricCard}>
+            <Text style={styles.metricValue}>{current.remaining}</Text>
+            <Text style={styles.metricLabel}>Remaining</Text>
+          </View>
+          <View style={styles.metricCard}>
+            <Text style={[styles.metricValue, scopeAdded > 0 && styles.scopeCreepValue]}>
+              {scopeAdded > 0 ? `+${scopeAdded}` : scopeAdded}
+            </Text>
+            <Text style={styles.metricLabel}>Scope Added</Text>
+            <Text style={styles.metricSubLabel}>since {formatShortDate(points[0].date)}</Text>
+          </View>
+        </View>
+
+        {projectForecasts[projectId]?.status !== 'done' && tasks.length > 0 && (
+          <View style={styles.chartContainer}>
+            <Text style={styles.chartTitle}>Forecast</Text>
+            <ForecastBadge forecast={projectForecasts[projectId]} showVelocity />
+          </View>
+        )}
+
+        {tasks.length === 0 ? (
+          <Text style={styles.emptyText}>Add tasks to this project to see its charts.</Text>
+        ) : (
+          <>
+            <View style={styles.chartContainer}>
+              <Text style={styles.chartTitle}>Burndown</Text>
+              <LineChart series={burndownSeries} xLabels={xLabels} markerIndex={todayIndex} />
+            </View>
+            <View style={styles.chartContainer}>
+              <Text style={styles.chartTitle}>Burnup</Text>
+              <LineChart series={burnupSeries} xLabels={xLabels} markerIndex={todayIndex} />
+            </View>
+          </>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0f172a',
+  },
+  content: {
+    flex: 1,
+    padding: 20,
+  },
+  backRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginBottom: 12,
+  },
+  backText: {
+    color: '#94a3b8',
+    fontSize: 14,
+  },
+  projectTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#ffffff',
+    marginBottom: 8,
+  },
+  hintText: {
+    color: '#94a3b8',
+    fontSize: 13,
+    fontStyle: 'italic',
+    marginBottom: 8,
+  },
+  emptyText: {
+    color: '#94a3b8',
+    fontSize: 15,
+    textAlign: 'center',
+    marginTop: 32,
+  },
+  metricsContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    marginTop: 8,
+    marginBottom: 12,
+  },
+  metricCard: {
+    width: '48%',
+    backgroundColor: '#1e293b',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#334155',
+  },
+  metricValue: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#f97316',
+    marginBottom: 4,
+  },
+  scopeCreepValue: {
+    color: '#ef4444',
+  },
+  metricLabel: {
+    fontSize: 12,
+    color: '#94a3b8',
+    textAlign: 'center',
+  },
+  metricSubLabel: {
+    fontSize: 10,
+    color: '#64748b',
+    textAlign: 'center',
+    marginTop: 4,
+  },
+  chartContainer: {
+    backgroundColor: '#1e293b',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 24,
+    borderWidth: 1,
+    borderColor: '#334155',
+  },
+  chartTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#ffffff',
+    marginBottom: 16,
+    textAlign: 'center',
+  },
+});
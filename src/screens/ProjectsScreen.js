@@ -2,16 +2,21 @@
  * ProjectsScreen.js - Main Projects List Screen
  * 
  * This screen displays all user projects with the following features:
- * - Real-time project list from Firestore
+ * - Real-time project list from the shared DataContext store
  * - Project CRUD operations (Create, Read, Update, Delete)
  * - Progress tracking with task counts
  * - Pull-to-refresh functionality
  * - Empty state when no projects exist
  * - Modal screens for adding/editing projects and viewing tasks
+ * - Chart button opening the project's burndown/burnup analytics
+ * - Forecast badge: projected finish date and whether the deadline is at risk
+ * - Quick-add field for tasks in any project ("Send invoice fri #ClientX")
+ * - Multi-select (long-press, or shift/ctrl-click on web) with bulk complete,
+ *   delete, priority, deadline shift and tags, written in batches
  * 
  * Key fixes in this version:
  * - Proper task counting and progress calculation
- * - Fixed delete functionality
+ * - Deleting moves projects to the Trash, with Undo in a snackbar
  * - Better error handling for Firestore operations
  * - Responsive design for web
  */
@@ -22,27 +27,25 @@ import {
   Text,
   FlatList,
   TouchableOpacity,
+  Pressable,
   StyleSheet,
   RefreshControl,
-  Modal,
   Image,
-  Alert,
   Dimensions,
 } from "react-native";
 import { StatusBar } from "expo-status-bar";
 import Header from '../components/Header';
 import Svg, { Circle } from 'react-native-svg';
 import Ionicons from '@expo/vector-icons/Ionicons';
-import {
-  collection,
-  query,
-  where,
-  onSnapshot,
-  orderBy,
-  deleteDoc,
-  doc,
-} from "firebase/firestore";
-import { auth, db } from "../config/firebase";
+import { trashProject, restoreProject, bulkUpdateProjects } from "../services/projectsService";
+import { bulkUpdateTasks } from "../services/tasksService";
+import { useSnackbar } from "../components/Snackbar";
+import { useDialog } from "../components/Dialog";
+import SelectionBar, { useMultiSelect } from "../components/SelectionBar";
+import AppModal from "../components/AppModal";
+import { useData } from "../contexts/DataContext";
+import ForecastBadge from "../components/ForecastBadge";
+import QuickAddBar from "../components/QuickAddBar";
 import AddProjectScreen from "./AddProjectScreen";
 import SidebarMenu from "../components/SidebarMenu";
 import EditProjectScreen from "./EditProjectScreen";
@@ -50,16 +53,25 @@ import TasksScreen from "./TasksScreen";
 import CalendarScreen from "./CalendarScreen";
 import ProfileScreen from "./ProfileScreen";
 import SettingsScreen from "./SettingsScreen";
+import { BULK_PRIORITIES, getTags, parseTags, parseDayShift } from "../utils/bulkEdit";
 
+/**
+ * "1 project", "3 projects"
+ */
+const countProjects = (count) => `${count} project${count === 1 ? "" : "s"}`;
 
-export default function ProjectsScreen({ navigation, route, user, openSidebar }) {
-  // Project data state
-  const [projects, setProjects] = useState([]);
-  const [projectTasks, setProjectTasks] = useState({}); // Store tasks for each project
 
-  // UI state
-  const [isLoading, setIsLoading] = useState(true);
-  const [isRefreshing, setIsRefreshing] = useState(false);
+export default function ProjectsScreen({ navigation, route, user, openSidebar }) {
+  // Project data from the shared store
+  const {
+    projects,
+    tasksByProject,
+    projectProgress,
+    projectForecasts,
+    isRefreshing,
+    error,
+    refresh,
+  } = useData();
 
   // Modal states
   const [showAddProject, setShowAddProject] = useState(false);
@@ -72,65 +84,28 @@ export default function ProjectsScreen({ navigation, route, user, openSidebar })
   const [selectedProject, setSelectedProject] = useState(null);
   const [selectedTaskId, setSelectedTaskId] = useState(null);
 
-  const currentUser = auth.currentUser;
   const screenWidth = Dimensions.get('window').width;
   const isWeb = screenWidth > 768; // Simple web detection
+  const { showSnackbar } = useSnackbar();
+  const dialog = useDialog();
+  // Multi-select and the progress of a running bulk action
+  const selection = useMultiSelect(projects);
+  const [bulkProgress, setBulkProgress] = useState(null);
 
   /**
-   * Set up real-time listener for user's projects
+   * Surface listener failures from the shared store
    */
   useEffect(() => {
-    if (!currentUser) {
-      console.log("No current user found");
-      setIsLoading(false);
-      return;
-    }
-
-    console.log("Setting up Firestore listener for user:", currentUser.uid);
-
-    const projectsQuery = query(
-      collection(db, "projects"),
-      where("userId", "==", currentUser.uid),
-      orderBy("createdAt", "desc")
-    );
-
-    const unsubscribe = onSnapshot(
-      projectsQuery,
-      (querySnapshot) => {
-        const projectsData = [];
-
-        querySnapshot.forEach((doc) => {
-          projectsData.push({
-            id: doc.id,
-            ...doc.data(),
-          });
-        });
-
-        console.log(`Loaded ${projectsData.length} projects`);
-        setProjects(projectsData);
-        setIsLoading(false);
-        setIsRefreshing(false);
-      },
-      (error) => {
-        console.error("Firestore listener error:", error);
-        setIsLoading(false);
-        setIsRefreshing(false);
-        Alert.alert(
-          "Database Error", 
-          `Failed to load projects: ${error.message}`,
-          [{ text: "OK" }]
-        );
-      }
-    );
-
-    return () => {
-      console.log("Cleaning up projects listener");
-      unsubscribe();
-    };
-  }, [currentUser]);
+    if (!error) return;
+    showSnackbar(error.message, {
+      type: "error",
+      actionLabel: "Retry",
+      onAction: refresh,
+    });
+  }, [error]);
 
   /**
-   * Handle auto-opening tasks view when navigated from calendar
+   * Handle auto-opening tasks view when navigated from calendar, timeline or search
    */
   useEffect(() => {
     const openProjectId = route?.params?.openProjectId;
@@ -140,73 +115,21 @@ export default function ProjectsScreen({ navigation, route, user, openSidebar })
       if (projectToOpen) {
         console.log('Auto-opening tasks for project:', projectToOpen.title);
         setSelectedProject(projectToOpen);
+        // Search results also name a task to scroll to and highlight
+        setSelectedTaskId(route.params.openTaskId || null);
         setShowTasksScreen(true);
-        // Clear the navigation param to prevent re-opening on subsequent renders
-        navigation.setParams({ openProjectId: undefined });
+        // Clear the navigation params to prevent re-opening on subsequent renders
+        navigation.setParams({ openProjectId: undefined, openTaskId: undefined });
       }
     }
   }, [route?.params?.openProjectId, projects, navigation]);
 
-  /**
-   * Set up real-time listener for all tasks to calculate project progress
-   */
-  useEffect(() => {
-    if (!currentUser) return;
-
-    console.log("Setting up tasks listener for progress calculation");
-
-    const tasksQuery = query(
-      collection(db, "tasks"),
-      where("userId", "==", currentUser.uid)
-    );
-
-    const unsubscribe = onSnapshot(
-      tasksQuery,
-      (querySnapshot) => {
-        const tasksByProject = {};
-
-        querySnapshot.forEach((doc) => {
-          const task = { id: doc.id, ...doc.data() };
-          const projectId = task.projectId;
-
-          if (!tasksByProject[projectId]) {
-            tasksByProject[projectId] = {
-              total: 0,
-              completed: 0,
-              tasks: []
-            };
-          }
-
-          tasksByProject[projectId].total++;
-          tasksByProject[projectId].tasks.push(task);
-          
-          if (task.completed) {
-            tasksByProject[projectId].completed++;
-          }
-        });
-
-        console.log("Updated task counts for projects:", Object.keys(tasksByProject));
-        setProjectTasks(tasksByProject);
-      },
-      (error) => {
-        console.error("Tasks listener error:", error);
-        // Don't show error to user for task counting, just log it
-      }
-    );
-
-    return () => {
-      console.log("Cleaning up tasks listener");
-      unsubscribe();
-    };
-  }, [currentUser]);
-
   /**
    * Handle pull-to-refresh
    */
   const onRefresh = () => {
     console.log("Manual refresh triggered");
-    setIsRefreshing(true);
-    // The onSnapshot listeners will handle the actual refresh
+    refresh();
   };
 
 
@@ -262,64 +185,19 @@ export default function ProjectsScreen({ navigation, route, user, openSidebar })
 
 
   /**
-   * Handle project deletion with confirmation
+   * Move the project (and with it its tasks) to the Trash; Undo restores it
    */
   const handleDeleteProject = async (project) => {
     console.log("Delete button pressed for project:", project.title);
-
-    Alert.alert(
-      "Delete Project",
-      `Are you sure you want to delete "${project.title}"?\n\nThis will also delete all tasks in this project. This action cannot be undone.`,
-      [
-        {
-          text: "Cancel",
-          style: "cancel",
-          onPress: () => {
-            console.log("User cancelled delete");
-          }
-        },
-        {
-          text: "Delete",
-          style: "destructive",
-          onPress: async () => {
-            console.log("User confirmed delete");
-            await performProjectDelete(project);
-          }
-        }
-      ],
-      { cancelable: true }
-    );
-  };
-
-  /**
-   * Actually delete the project from Firestore
-   */
-  const performProjectDelete = async (project) => {
     try {
-      console.log("Deleting project:", project.id);
-      
-      // First, delete all tasks for this project
-      const projectTaskList = projectTasks[project.id]?.tasks || [];
-      console.log(`Deleting ${projectTaskList.length} tasks for project ${project.id}`);
-      
-      const deletePromises = projectTaskList.map(task => 
-        deleteDoc(doc(db, "tasks", task.id))
-      );
-      
-      await Promise.all(deletePromises);
-      console.log("All project tasks deleted");
-
-      // Then delete the project itself
-      await deleteDoc(doc(db, "projects", project.id));
-      console.log("Project deleted successfully");
-
+      console.log("Trashing project:", project.id);
+      await trashProject(project.id);
+      showSnackbar(`"${project.title}" moved to Trash`, {
+        actionLabel: "Undo",
+        onAction: () => restoreProject(project.id),
+      });
     } catch (error) {
-      console.error("Error deleting project:", error);
-      Alert.alert(
-        "Delete Error",
-        `Failed to delete project: ${error.message}`,
-        [{ text: "OK" }]
-      );
+      showSnackbar(error.message, { type: "error" });
     }
   };
 
@@ -339,6 +217,137 @@ export default function ProjectsScreen({ navigation, route, user, openSidebar })
     }
   };
 
+  /**
+   * Run a bulk write, showing its progress in the selection bar
+   *
+   * @param {string} progressLabel - e.g. "Updating"
+   * @param {Function} write - `(onProgress) => Promise<number>`
+   * @returns {Promise<number|null>} Items changed, or null on failure
+   */
+  const runBulkWrite = async (progressLabel, write) => {
+    setBulkProgress({ label: progressLabel, done: 0, total: 0 });
+    try {
+      const count = await write((done, total) => setBulkProgress({ label: progressLabel, done, total }));
+      selection.clear();
+      return count;
+    } catch (error) {
+      showSnackbar(error.message, { type: "error" });
+      return null;
+    } finally {
+      setBulkProgress(null);
+    }
+  };
+
+  const runProjectAction = (action, progressLabel) => {
+    const selectedProjects = selection.selectedItems;
+    return runBulkWrite(progressLabel, (onProgress) =>
+      bulkUpdateProjects(selectedProjects, action, { onProgress })
+    );
+  };
+
+  /**
+   * Complete every open task of the selected projects, which completes
+   * the projects themselves
+   */
+  const handleBulkComplete = async () => {
+    const selectedProjects = selection.selectedItems;
+    const openTasks = selectedProjects.flatMap((project) =>
+      (tasksByProject[project.id] || []).filter((task) => !task.completed)
+    );
+    if (openTasks.length === 0) {
+      showSnackbar("The selected projects have no open tasks");
+      return;
+    }
+    const confirmed = await dialog.confirm({
+      title: "Complete Projects?",
+      message: `This completes ${openTasks.length} open task${openTasks.length === 1 ? "" : "s"} in ${countProjects(selectedProjects.length)}.`,
+      confirmLabel: "Complete",
+    });
+    if (!confirmed) return;
+
+    const count = await runBulkWrite("Completing tasks", (onProgress) =>
+      bulkUpdateTasks(openTasks, { type: "complete" }, { onProgress })
+    );
+    if (count !== null) showSnackbar(`${countProjects(selectedProjects.length)} completed`);
+  };
+
+  /**
+   * Trash the selected projects; Undo restores all of them
+   */
+  const handleBulkTrash = async () => {
+    const trashedProjects = selection.selectedItems;
+    const count = await runProjectAction({ type: "trash" }, "Moving to Trash");
+    if (count === null) return;
+    showSnackbar(`${countProjects(count)} moved to Trash`, {
+      actionLabel: "Undo",
+      onAction: () => bulkUpdateProjects(trashedProjects, { type: "restore" })
+        .catch((error) => showSnackbar(error.message, { type: "error" })),
+    });
+  };
+
+  const handleBulkPriority = async (option) => {
+    const count = await runProjectAction({ type: "priority", priority: option.key }, "Updating");
+    if (count !== null) showSnackbar(`${option.label} priority set on ${countProjects(count)}`);
+  };
+
+  /**
+   * Ask for a number of days and move the selected deadlines by it
+   */
+  const handleBulkShiftDeadline = async () => {
+    const text = await dialog.prompt({
+      title: "Shift Deadlines",
+      message: "Move the deadlines and start dates of the selected projects by a number of days. Their tasks keep their dates. Use a negative number to move them earlier.",
+      defaultValue: "1",
+      placeholder: "e.g. 3 or -2",
+      confirmLabel: "Shift",
+    });
+    if (text === null) return;
+    const days = parseDayShift(text);
+    if (days === null) {
+      showSnackbar("Enter a whole number of days, such as 3 or -2", { type: "error" });
+      return;
+    }
+    const count = await runProjectAction({ type: "shiftDeadline", days }, "Rescheduling");
+    if (count !== null) {
+      const distance = `${Math.abs(days)} day${Math.abs(days) === 1 ? "" : "s"} ${days > 0 ? "later" : "earlier"}`;
+      showSnackbar(count > 0 ? `${countProjects(count)} moved ${distance}` : "None of the selected projects have dates");
+    }
+  };
+
+  /**
+   * Ask for tags and add them to the selected projects
+   */
+  const handleBulkAddTags = async () => {
+    const text = await dialog.prompt({
+      title: "Add Tags",
+      message: "Separate tags with commas. Tags the projects already have are kept.",
+      placeholder: "e.g. clients, q4",
+      confirmLabel: "Add Tags",
+    });
+    const tags = parseTags(text);
+    if (tags.length === 0) return;
+    const count = await runProjectAction({ type: "addTags", tags }, "Tagging");
+    if (count !== null) showSnackbar(`Tags added to ${countProjects(count)}`);
+  };
+
+  const bulkActions = [
+    { key: "complete", label: "Complete", icon: "checkmark-done-outline", color: "#10b981", onPress: handleBulkComplete },
+    {
+      key: "priority",
+      label: "Priority",
+      icon: "flag-outline",
+      options: BULK_PRIORITIES.map((priority) => ({
+        key: priority,
+        label: priority.charAt(0).toUpperCase() + priority.slice(1),
+        color: getPriorityColor(priority),
+      })),
+      onSelectOption: handleBulkPriority,
+    },
+    { key: "shift", label: "Shift dates", icon: "calendar-outline", onPress: handleBulkShiftDeadline },
+    { key: "tags", label: "Tags", icon: "pricetag-outline", onPress: handleBulkAddTags },
+    { key: "trash", label: "Delete", icon: "trash-outline", color: "#ef4444", onPress: handleBulkTrash },
+  ];
+
   /**
    * Format Firestore timestamp to readable date string
    */
@@ -407,16 +416,14 @@ export default function ProjectsScreen({ navigation, route, user, openSidebar })
    * Calculate progress percentage for a project
    */
   const calculateProgress = (projectId) => {
-    const taskData = projectTasks[projectId];
-    if (!taskData || taskData.total === 0) return 0;
-    return Math.round((taskData.completed / taskData.total) * 100);
+    return projectProgress[projectId]?.percent || 0;
   };
 
   /**
    * Get task count string for a project
    */
   const getTaskCountString = (projectId) => {
-    const taskData = projectTasks[projectId];
+    const taskData = projectProgress[projectId];
     if (!taskData) return "0/0 Tasks";
     return `${taskData.completed}/${taskData.total} Tasks`;
   };
@@ -425,7 +432,7 @@ export default function ProjectsScreen({ navigation, route, user, openSidebar })
    * Get task status text for a project
    */
   const getTaskStatusText = (projectId) => {
-    const taskData = projectTasks[projectId];
+    const taskData = projectProgress[projectId];
     if (!taskData || taskData.total === 0) return "No tasks yet";
     if (taskData.completed === taskData.total) return "All tasks complete";
     if (taskData.completed === 0) return "Not started";
@@ -439,12 +446,24 @@ export default function ProjectsScreen({ navigation, route, user, openSidebar })
     const progress = calculateProgress(item.id) || 0;
     const taskCount = getTaskCountString(item.id) || "0/0 Tasks";
     const taskStatus = getTaskStatusText(item.id) || "No tasks yet";
+    const isSelected = selection.selectedIds.has(item.id);
 
     return (
-      <View style={[
-        styles.projectCard,
-        isWeb && styles.projectCardWeb
-      ]}>
+      <Pressable
+        onPress={(event) => selection.handlePress(item, event)}
+        onLongPress={() => selection.handleLongPress(item)}
+        delayLongPress={350}
+        disabled={!!bulkProgress}
+        accessible={selection.isSelecting}
+        accessibilityRole={selection.isSelecting ? "checkbox" : undefined}
+        accessibilityState={selection.isSelecting ? { checked: isSelected } : undefined}
+        accessibilityLabel={selection.isSelecting ? item.title : undefined}
+        style={[
+          styles.projectCard,
+          isWeb && styles.projectCardWeb,
+          isSelected && styles.projectCardSelected,
+        ]}
+      >
         {/* Project Header with Image and Actions */}
         <View style={styles.projectHeader}>
           {item.imageUrl ? (
@@ -476,32 +495,57 @@ export default function ProjectsScreen({ navigation, route, user, openSidebar })
               </Text>
             </View>
 
-            {/* Edit Button */}
-            <TouchableOpacity
-              onPress={(event) => {
-                event.stopPropagation();
-                handleEditProject(item);
-              }}
-              style={styles.editButton}
-              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
-              accessibilityLabel={`Edit ${item.title}`}
-            >
-              <Ionicons name="create-outline" size={22} color="#3b82f6" />
-            </TouchableOpacity>
-
-            {/* Delete Button */}
-            <TouchableOpacity
-              onPress={(event) => {
-                console.log("Delete button touched for:", item.title);
-                event.stopPropagation();
-                handleDeleteProject(item);
-              }}
-              style={styles.deleteButton}
-              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
-              accessibilityLabel={`Delete ${item.title}`}
-            >
-              <Ionicons name="trash-outline" size={22} color="#ef4444" />
-            </TouchableOpacity>
+            {/* Selection mark while selecting, card actions otherwise */}
+            {selection.isSelecting ? (
+              <Ionicons
+                name={isSelected ? "checkmark-circle" : "ellipse-outline"}
+                size={26}
+                color={isSelected ? "#f97316" : "#64748b"}
+                style={styles.selectionMark}
+              />
+            ) : (
+              <>
+                {/* Analytics Button */}
+                <TouchableOpacity
+                  onPress={(event) => {
+                    event.stopPropagation();
+                    navigation.navigate('ProjectAnalytics', { projectId: item.id });
+                  }}
+                  style={styles.analyticsButton}
+                  hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+                  accessibilityLabel={`Show charts for ${item.title}`}
+                >
+                  <Ionicons name="stats-chart-outline" size={22} color="#f97316" />
+                </TouchableOpacity>
+
+                {/* Edit Button */}
+                <TouchableOpacity
+                  onPress={(event) => {
+                    event.stopPropagation();
+                    handleEditProject(item);
+                  }}
+                  style={styles.editButton}
+                  hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+                  accessibilityLabel={`Edit ${item.title}`}
+                >
+                  <Ionicons name="create-outline" size={22} color="#3b82f6" />
+                </TouchableOpacity>
+
+                {/* Delete Button */}
+                <TouchableOpacity
+                  onPress={(event) => {
+                    console.log("Delete button touched for:", item.title);
+                    event.stopPropagation();
+                    handleDeleteProject(item);
+                  }}
+                  style={styles.deleteButton}
+                  hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+                  accessibilityLabel={`Delete ${item.title}`}
+                >
+                  <Ionicons name="trash-outline" size={22} color="#ef4444" />
+                </TouchableOpacity>
+              </>
+            )}
           </View>
         </View>
 
@@ -517,6 +561,17 @@ export default function ProjectsScreen({ navigation, route, user, openSidebar })
           </Text>
         )}
 
+        {/* Tags */}
+        {getTags(item).length > 0 && (
+          <View style={styles.tagsRow}>
+            {getTags(item).map((tag) => (
+              <View key={tag} style={styles.tagChip}>
+                <Text style={styles.tagText} numberOfLines={1}>#{tag}</Text>
+              </View>
+            ))}
+          </View>
+        )}
+
         {/* Deadline (if exists) */}
         {item.deadline && (
           <View style={styles.deadlineContainer}>
@@ -527,6 +582,13 @@ export default function ProjectsScreen({ navigation, route, user, openSidebar })
           </View>
         )}
 
+        {/* Forecast from recent completion velocity */}
+        {projectForecasts[item.id] && projectForecasts[item.id].status !== 'done' && (
+          <View style={styles.forecastContainer}>
+            <ForecastBadge forecast={projectForecasts[item.id]} />
+          </View>
+        )}
+
         {/* Progress Section with Task Count */}
         <View style={styles.progressContainer}>
           <CircularProgress progress={progress} size={50} />
@@ -534,16 +596,18 @@ export default function ProjectsScreen({ navigation, route, user, openSidebar })
             <Text style={styles.taskCount}>{taskCount}</Text>
             <Text style={styles.taskStatus}>{taskStatus}</Text>
           </View>
-          <TouchableOpacity 
-            style={styles.viewButton}
-            onPress={() => handleViewTasks(item)}
-            accessibilityLabel={`View tasks for ${item.title}`}
-          >
-            <Text style={styles.viewButtonText}>View</Text>
-            <Ionicons name="chevron-forward" size={16} color="white" />
-          </TouchableOpacity>
+          {!selection.isSelecting && (
+            <TouchableOpacity 
+              style={styles.viewButton}
+              onPress={() => handleViewTasks(item)}
+              accessibilityLabel={`View tasks for ${item.title}`}
+            >
+              <Text style={styles.viewButtonText}>View</Text>
+              <Ionicons name="chevron-forward" size={16} color="white" />
+            </TouchableOpacity>
+          )}
         </View>
-      </View>
+      </Pressable>
     );
   };
 
@@ -586,6 +650,9 @@ export default function ProjectsScreen({ navigation, route, user, openSidebar })
       {/* Header */}
       <Header title="Project Pro" onMenuPress={openSidebar} navigation={navigation} />
 
+      {/* One-line task entry, for any project via #name */}
+      {projects.length > 0 && <QuickAddBar />}
+
       {/* Projects List */}
       <FlatList
         data={projects}
@@ -595,6 +662,7 @@ export default function ProjectsScreen({ navigation, route, user, openSidebar })
           styles.listContainer,
           projects.length === 0 && styles.emptyListContainer,
           isWeb && styles.listContainerWeb,
+          selection.isSelecting && styles.listContainerSelecting,
         ]}
         refreshControl={
           <RefreshControl
@@ -612,30 +680,37 @@ export default function ProjectsScreen({ navigation, route, user, openSidebar })
       />
 
 
-      {/* Floating Action Button */}
-      <TouchableOpacity 
-        style={styles.fab} 
-        onPress={handleAddProject}
-        accessibilityLabel="Add new project"
-      >
-        <Ionicons name="add" size={32} color="white" />
-      </TouchableOpacity>
+      {/* Floating Action Button, or the bulk actions while selecting */}
+      {selection.isSelecting ? (
+        <SelectionBar
+          count={selection.selectedItems.length}
+          totalCount={projects.length}
+          onSelectAll={selection.selectAll}
+          onClear={selection.clear}
+          actions={bulkActions}
+          progress={bulkProgress}
+        />
+      ) : (
+        <TouchableOpacity 
+          style={styles.fab} 
+          onPress={handleAddProject}
+          accessibilityLabel="Add new project"
+        >
+          <Ionicons name="add" size={32} color="white" />
+        </TouchableOpacity>
+      )}
 
       {/* Add Project Modal */}
-      <Modal
+      <AppModal
         visible={showAddProject}
-        animationType="slide"
-        presentationStyle="fullScreen"
         onRequestClose={handleCloseAddProject}
       >
         <AddProjectScreen onClose={handleCloseAddProject} />
-      </Modal>
+      </AppModal>
 
       {/* Edit Project Modal */}
-      <Modal
+      <AppModal
         visible={showEditProject}
-        animationType="slide"
-        presentationStyle="fullScreen"
         onRequestClose={handleCloseEditProject}
       >
         {editingProject && (
@@ -644,13 +719,11 @@ export default function ProjectsScreen({ navigation, route, user, openSidebar })
             onClose={handleCloseEditProject} 
           />
         )}
-      </Modal>
+      </AppModal>
 
       {/* Tasks Screen Modal */}
-      <Modal
+      <AppModal
         visible={showTasksScreen}
-        animationType="slide"
-        presentationStyle="fullScreen"
         onRequestClose={handleBackFromTasks}
       >
         {selectedProject && (
@@ -660,7 +733,7 @@ export default function ProjectsScreen({ navigation, route, user, openSidebar })
             onBack={handleBackFromTasks}
           />
         )}
-      </Modal>
+      </AppModal>
 
       {/* Navigation to Calendar/Profile/Settings now handled by React Navigation */}
     </View>
@@ -718,6 +791,10 @@ const styles = StyleSheet.create({
     alignSelf: 'center',
     width: '100%',
   },
+  listContainerSelecting: {
+    // Keep the last card clear of the selection bar
+    paddingBottom: 180,
+  },
   emptyListContainer: {
     flexGrow: 1,
   },
@@ -741,6 +818,13 @@ const styles = StyleSheet.create({
     marginHorizontal: 8,
     maxWidth: '48%',
   },
+  projectCardSelected: {
+    borderColor: "#f97316",
+    backgroundColor: "rgba(249, 115, 22, 0.1)",
+  },
+  selectionMark: {
+    marginLeft: 8,
+  },
   projectHeader: {
     flexDirection: "row",
     justifyContent: "space-between",
@@ -773,6 +857,14 @@ const styles = StyleSheet.create({
     fontSize: 10,
     fontWeight: "bold",
   },
+  analyticsButton: {
+    padding: 8,
+    marginLeft: 8,
+    backgroundColor: 'rgba(249, 115, 22, 0.1)',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: 'rgba(249, 115, 22, 0.3)',
+  },
   editButton: {
     padding: 8,
     marginLeft: 8,
@@ -801,6 +893,24 @@ const styles = StyleSheet.create({
     marginBottom: 12,
     lineHeight: 20,
   },
+  tagsRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 6,
+    marginBottom: 12,
+  },
+  tagChip: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 8,
+    backgroundColor: "rgba(59, 130, 246, 0.15)",
+    maxWidth: 160,
+  },
+  tagText: {
+    color: "#93c5fd",
+    fontSize: 12,
+    fontWeight: "600",
+  },
   deadlineContainer: {
     flexDirection: "row",
     alignItems: "center",
@@ -811,6 +921,9 @@ const styles = StyleSheet.create({
     fontSize: 14,
     marginLeft: 8,
   },
+  forecastContainer: {
+    marginBottom: 16,
+  },
   progressContainer: {
     flexDirection: "row",
     alignItems: "center",
@@ -0,0 +1,343 @@
+/**
+ * SearchScreen.js - Search Across Projects and Tasks
+ *
+ * Finds projects and tasks by title or description (see utils/search):
+ * - Typo-tolerant, ranked matching as you type
+ * - Matched words highlighted in the title and description snippet
+ * - Filter chips for priority and for open, overdue or completed items
+ * - Tapping a project opens its tasks; tapping a task also scrolls to it
+ *   and highlights it
+ *
+ * @param {Object} navigation - React Navigation object for screen navigation
+ * @param {Function} openSidebar - Function to open the sidebar menu
+ */
+
+import React, { useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  FlatList,
+  ScrollView,
+  TouchableOpacity,
+} from 'react-native';
+import Ionicons from '@expo/vector-icons/Ionicons';
+import Header from '../components/Header';
+import { useData } from '../contexts/DataContext';
+import { searchItems, isItemOverdue } from '../utils/search';
+import { toJsDate } from '../utils/dateUtils';
+
+const PRIORITY_FILTERS = [
+  { key: null, label: 'Any priority' },
+  { key: 'urgent', label: 'Urgent', color: '#ef4444' },
+  { key: 'medium', label: 'Medium', color: '#f59e0b' },
+  { key: 'low', label: 'Low', color: '#10b981' },
+];
+
+const STATUS_FILTERS = [
+  { key: 'all', label: 'All' },
+  { key: 'open', label: 'Open' },
+  { key: 'overdue', label: 'Overdue' },
+  { key: 'completed', label: 'Completed' },
+];
+
+const MAX_RESULTS = 100;
+
+/**
+ * Render text with the given `[start, end]` ranges highlighted
+ */
+function HighlightedText({ text, ranges, style, numberOfLines }) {
+  const parts = [];
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > position) parts.push({ text: text.slice(position, start) });
+    parts.push({ text: text.slice(start, end), highlight: true });
+    position = end;
+  });
+  if (position < text.length) parts.push({ text: text.slice(position) });
+
+  return (
+    <Text style={style} numberOfLines={numberOfLines}>
+      {parts.map((part, index) => (
+        <Text key={index} style={part.highlight ? styles.highlight : null}>{part.text}</Text>
+      ))}
+    </Text>
+  );
+}
+
+const SearchScreen = ({ navigation, openSidebar }) => {
+  const { projects, tasks, projectsById } = useData();
+  const [query, setQuery] = useState('');
+  const [priority, setPriority] = useState(null);
+  const [status, setStatus] = useState('all');
+
+  const results = useMemo(
+    () => searchItems({ projects, tasks, projectsById }, query, { priority, status }),
+    [projects, tasks, projectsById, query, priority, status]
+  );
+
+  /**
+   * Open the project's tasks, scrolling to the task for task results
+   */
+  const handleOpenResult = (result) => {
+    if (!result.project) return;
+    navigation.navigate('Projects', {
+      openProjectId: result.project.id,
+      openTaskId: result.type === 'task' ? result.item.id : undefined,
+    });
+  };
+
+  const renderChip = (filter, isActive, onPress) => (
+    <TouchableOpacity
+      key={String(filter.key)}
+      style={[styles.chip, isActive && styles.chipActive]}
+      onPress={onPress}
+    >
+      {filter.color ? <View style={[styles.chipDot, { backgroundColor: filter.color }]} /> : null}
+      <Text style={[styles.chipText, isActive && styles.chipTextActive]}>{filter.label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderResult = ({ item: result }) => {
+    const { item } = result;
+    const deadline = toJsDate(item.deadline);
+    const overdue = isItemOverdue(item);
+    const context = result.type === 'task'
+      ? result.project?.title || 'Unknown Project'
+      : 'Project';
+
+    return (
+      <TouchableOpacity
+        style={styles.resultCard}
+        onPress={() => handleOpenResult(result)}
+        accessibilityLabel={`Open ${item.title}`}
+      >
+        <Ionicons
+          name={result.type === 'task' ? (item.completed ? 'checkbox' : 'square-outline') : 'folder-outline'}
+          size={22}
+          color={item.completed ? '#10b981' : '#64748b'}
+          style={styles.resultIcon}
+        />
+        <View style={styles.resultInfo}>
+          <HighlightedText
+            text={item.title || ''}
+            ranges={result.titleRanges}
+            style={[styles.resultTitle, item.completed && styles.completedTitle]}
+            numberOfLines={1}
+          />
+          {result.snippet ? (
+            <HighlightedText
+              text={result.snippet.text}
+              ranges={result.snippet.ranges}
+              style={styles.resultSnippet}
+              numberOfLines={2}
+            />
+          ) : null}
+          <Text style={styles.resultMeta} numberOfLines={1}>
+            {context}
+            {deadline ? ` • ${overdue ? 'Overdue: ' : 'Due '}${deadline.toLocaleDateString()}` : ''}
+          </Text>
+        </View>
+        <Ionicons name="chevron-forward" size={18} color="#475569" />
+      </TouchableOpacity>
+    );
+  };
+
+  const renderEmpty = () => (
+    <View style={styles.emptyState}>
+      <Ionicons name="search-outline" size={64} color="#334155" />
+      <Text style={styles.emptyTitle}>{query.trim() ? 'No matches' : 'Search your work'}</Text>
+      <Text style={styles.emptySubtitle}>
+        {query.trim()
+          ? 'Try fewer words or clear the filters'
+          : 'Find projects and tasks by title or description'}
+      </Text>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <Header title="Search" onMenuPress={openSidebar} navigation={navigation} />
+      <View style={styles.searchBar}>
+        <Ionicons name="search-outline" size={20} color="#64748b" />
+        <TextInput
+          style={styles.searchInput}
+          value={query}
+          onChangeText={setQuery}
+          placeholder="Search projects and tasks"
+          placeholderTextColor="#64748b"
+          autoFocus
+          autoCorrect={false}
+          returnKeyType="search"
+        />
+        {query ? (
+          <TouchableOpacity onPress={() => setQuery('')} accessibilityLabel="Clear search">
+            <Ionicons name="close-circle" size={20} color="#64748b" />
+          </TouchableOpacity>
+        ) : null}
+      </View>
+
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.chipScroll}
+        contentContainerStyle={styles.chipRow}
+      >
+        {STATUS_FILTERS.map((filter) => renderChip(filter, status === filter.key, () => setStatus(filter.key)))}
+        <View style={styles.chipDivider} />
+        {PRIORITY_FILTERS.map((filter) => renderChip(filter, priority === filter.key, () => setPriority(filter.key)))}
+      </ScrollView>
+
+      {results.length > 0 && (
+        <Text style={styles.resultCount}>
+          {results.length > MAX_RESULTS ? `Top ${MAX_RESULTS} of ${results.length}` : results.length}{' '}
+          result{results.length === 1 ? '' : 's'}
+        </Text>
+      )}
+
+      <FlatList
+        data={results.slice(0, MAX_RESULTS)}
+        keyExtractor={(result) => `${result.type}-${result.item.id}`}
+        renderItem={renderResult}
+        ListEmptyComponent={renderEmpty}
+        contentContainerStyle={styles.listContent}
+        keyboardShouldPersistTaps="handled"
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0f172a',
+  },
+  searchBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    margin: 20,
+    marginBottom: 12,
+    paddingHorizontal: 14,
+    backgroundColor: '#1e293b',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#334155',
+  },
+  searchInput: {
+    flex: 1,
+    color: 'white',
+    fontSize: 16,
+    paddingVertical: 12,
+  },
+  chipScroll: {
+    flexGrow: 0,
+  },
+  chipRow: {
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    gap: 8,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#1e293b',
+    borderWidth: 1,
+    borderColor: '#334155',
+  },
+  chipActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  chipDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+  },
+  chipText: {
+    color: '#cbd5e1',
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  chipTextActive: {
+    color: 'white',
+  },
+  chipDivider: {
+    width: 1,
+    height: 20,
+    backgroundColor: '#334155',
+  },
+  resultCount: {
+    color: '#94a3b8',
+    fontSize: 13,
+    marginTop: 16,
+    marginHorizontal: 24,
+  },
+  listContent: {
+    padding: 20,
+    paddingTop: 8,
+  },
+  resultCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1e293b',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: '#334155',
+  },
+  resultIcon: {
+    marginRight: 12,
+  },
+  resultInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  resultTitle: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  completedTitle: {
+    color: '#94a3b8',
+    textDecorationLine: 'line-through',
+  },
+  resultSnippet: {
+    color: '#cbd5e1',
+    fontSize: 14,
+    marginTop: 4,
+  },
+  resultMeta: {
+    color: '#94a3b8',
+    fontSize: 12,
+    marginTop: 6,
+  },
+  highlight: {
+    color: '#f97316',
+    fontWeight: '700',
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 60,
+  },
+  emptyTitle: {
+    color: 'white',
+    fontSize: 20,
+    fontWeight: '600',
+    marginTop: 16,
+  },
+  emptySubtitle: {
+    color: '#94a3b8',
+    fontSize: 14,
+    marginTop: 8,
+    textAlign: 'center',
+  },
+});
+
+export default SearchScreen;
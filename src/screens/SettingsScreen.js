@@ -6,6 +6,9 @@
  * - Theme preferences (dark/light mode)
  * - Notification settings
  * - Data management options
+ * - Trash retention (days before trashed items are purged)
+ * - Whether checklist items count toward project progress
+ * - Exporting projects, tasks and completions as CSV, or everything as JSON
  * - Privacy settings
  * - App version information
  * - Help and support links
@@ -30,50 +33,124 @@
  */
 
 import React from 'react';
-import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView } from 'react-native';
 import Header from '../components/Header';
+import { usePreferences } from '../contexts/PreferencesContext';
+import ExportOptions from '../components/ExportOptions';
+
+// Trash retention choices in days; 0 keeps trashed items forever
+const TRASH_RETENTION_OPTIONS = [
+  { label: '7 days', value: 7 },
+  { label: '30 days', value: 30 },
+  { label: '90 days', value: 90 },
+  { label: 'Never', value: 0 },
+];
+
+// Project progress choices; "Tasks + checklists" gives open tasks credit for checked items
+const CHECKLIST_PROGRESS_OPTIONS = [
+  { label: 'Tasks only', value: false },
+  { label: 'Tasks + checklists', value: true },
+];
 
 const SettingsScreen = ({ navigation, openSidebar }) => {
+  const { preferences, updatePreferences } = usePreferences();
+
   return (
     <View style={styles.container}>
       <Header title="Settings" onMenuPress={openSidebar} navigation={navigation} />
-      <Text style={styles.text}>Settings</Text>
-      
-      <View style={styles.settingsSection}>
-        <Text style={styles.sectionTitle}>Account</Text>
-        <TouchableOpacity style={styles.settingItem}>
-          <Text style={styles.settingText}>Profile Settings</Text>
-          <Text style={styles.settingArrow}>›</Text>
-        </TouchableOpacity>
-        <TouchableOpacity style={styles.settingItem}>
-          <Text style={styles.settingText}>Change Password</Text>
-          <Text style={styles.settingArrow}>›</Text>
-        </TouchableOpacity>
-      </View>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        <Text style={styles.text}>Settings</Text>
+        
+        <View style={styles.settingsSection}>
+          <Text style={styles.sectionTitle}>Account</Text>
+          <TouchableOpacity style={styles.settingItem}>
+            <Text style={styles.settingText}>Profile Settings</Text>
+            <Text style={styles.settingArrow}>›</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.settingItem}>
+            <Text style={styles.settingText}>Change Password</Text>
+            <Text style={styles.settingArrow}>›</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.settingsSection}>
+          <Text style={styles.sectionTitle}>Preferences</Text>
+          <TouchableOpacity style={styles.settingItem}>
+            <Text style={styles.settingText}>Notifications</Text>
+            <Text style={styles.settingArrow}>›</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.settingItem}>
+            <Text style={styles.settingText}>Language</Text>
+            <Text style={styles.settingArrow}>›</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.settingsSection}>
+          <Text style={styles.sectionTitle}>Trash</Text>
+          <View style={styles.settingItem}>
+            <Text style={styles.settingText}>Permanently delete after</Text>
+          </View>
+          <View style={styles.optionRow}>
+            {TRASH_RETENTION_OPTIONS.map((option) => {
+              const isActive = preferences.trashRetentionDays === option.value;
+              return (
+                <TouchableOpacity
+                  key={option.value}
+                  style={[styles.optionButton, isActive && styles.optionButtonActive]}
+                  onPress={() => updatePreferences({ trashRetentionDays: option.value })}
+                >
+                  <Text style={[styles.optionText, isActive && styles.optionTextActive]}>
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
 
-      <View style={styles.settingsSection}>
-        <Text style={styles.sectionTitle}>Preferences</Text>
-        <TouchableOpacity style={styles.settingItem}>
-          <Text style={styles.settingText}>Notifications</Text>
-          <Text style={styles.settingArrow}>›</Text>
-        </TouchableOpacity>
-        <TouchableOpacity style={styles.settingItem}>
-          <Text style={styles.settingText}>Language</Text>
-          <Text style={styles.settingArrow}>›</Text>
-        </TouchableOpacity>
-      </View>
+        <View style={styles.settingsSection}>
+          <Text style={styles.sectionTitle}>Progress</Text>
+          <View style={styles.settingItem}>
+            <Text style={styles.settingText}>Project progress counts</Text>
+          </View>
+          <View style={styles.optionRow}>
+            {CHECKLIST_PROGRESS_OPTIONS.map((option) => {
+              const isActive = preferences.checklistProgress === option.value;
+              return (
+                <TouchableOpacity
+                  key={option.label}
+                  style={[styles.optionButton, isActive && styles.optionButtonActive]}
+                  onPress={() => updatePreferences({ checklistProgress: option.value })}
+                >
+                  <Text style={[styles.optionText, isActive && styles.optionTextActive]}>
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
 
-      <View style={styles.settingsSection}>
-        <Text style={styles.sectionTitle}>Support</Text>
-        <TouchableOpacity style={styles.settingItem}>
-          <Text style={styles.settingText}>Help & FAQ</Text>
-          <Text style={styles.settingArrow}>›</Text>
-        </TouchableOpacity>
-        <TouchableOpacity style={styles.settingItem}>
-          <Text style={styles.settingText}>Contact Support</Text>
-          <Text style={styles.settingArrow}>›</Text>
-        </TouchableOpacity>
-      </View>
+        <View style={styles.settingsSection}>
+          <Text style={styles.sectionTitle}>Data Export</Text>
+          <View style={styles.settingItem}>
+            <Text style={styles.settingText}>Download or share your data</Text>
+          </View>
+          <ExportOptions />
+        </View>
+
+        <View style={styles.settingsSection}>
+          <Text style={styles.sectionTitle}>Support</Text>
+          <TouchableOpacity style={styles.settingItem}>
+            <Text style={styles.settingText}>Help & FAQ</Text>
+            <Text style={styles.settingArrow}>›</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.settingItem}>
+            <Text style={styles.settingText}>Contact Support</Text>
+            <Text style={styles.settingArrow}>›</Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
     </View>
   );
 };
@@ -117,6 +194,9 @@ const styles = StyleSheet.create({
   menuButton: {
     padding: 8,
   },
+  scrollContent: {
+    paddingBottom: 32,
+  },
   text: {
     fontSize: 24,
     color: '#ffffff',
@@ -158,6 +238,32 @@ const styles = StyleSheet.create({
     color: '#64748b',
     fontWeight: 'bold',
   },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  optionButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    marginRight: 8,
+    marginBottom: 8,
+    borderRadius: 8,
+    backgroundColor: '#1e293b',
+    borderWidth: 1,
+    borderColor: '#334155',
+  },
+  optionButtonActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  optionText: {
+    color: '#cbd5e1',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  optionTextActive: {
+    color: 'white',
+  },
 });
 
 export default SettingsScreen;
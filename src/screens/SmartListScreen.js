@@ -0,0 +1,505 @@
+/**
+ * SmartListScreen.js - Tasks From Every Project, Filtered by Rules
+ *
+ * Shows one smart list (see utils/smartLists), opened from the sidebar:
+ * - Built-in lists: Today, Upcoming 7 days, Overdue, Urgent
+ * - The user's saved lists, or a blank filter when no list is given
+ * - Filter panel for completion, deadline window, overdue, priority
+ *   and project
+ * - Save the current filter as a new list; rename, update or delete
+ *   saved lists
+ * - Tapping a task opens it in its project
+ *
+ * @param {Object} navigation - React Navigation object for screen navigation
+ * @param {Object} route - Route with optional `params.listId`
+ * @param {Function} openSidebar - Function to open the sidebar menu
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+} from 'react-native';
+import Ionicons from '@expo/vector-icons/Ionicons';
+import Header from '../components/Header';
+import { useData } from '../contexts/DataContext';
+import { useSnackbar } from '../components/Snackbar';
+import { useDialog } from '../components/Dialog';
+import { auth } from '../config/firebase';
+import { saveSmartList, updateSmartList, deleteSmartList } from '../services/smartListsService';
+import { toJsDate, dateToLocalString } from '../utils/dateUtils';
+import {
+  DEADLINE_WINDOWS,
+  COMPLETION_STATES,
+  DEFAULT_RULES,
+  getAllSmartLists,
+  getSmartListTasks,
+  normalizeRules,
+  rulesEqual,
+  createSmartList,
+} from '../utils/smartLists';
+
+const PRIORITIES = [
+  { key: 'urgent', label: 'Urgent', color: '#ef4444' },
+  { key: 'medium', label: 'Medium', color: '#f59e0b' },
+  { key: 'low', label: 'Low', color: '#10b981' },
+];
+
+const toggleValue = (values, value) =>
+  values.includes(value) ? values.filter((item) => item !== value) : [...values, value];
+
+const SmartListScreen = ({ navigation, route, openSidebar }) => {
+  const { projects, tasks, projectsById, savedSmartLists } = useData();
+  const { showSnackbar } = useSnackbar();
+  const dialog = useDialog();
+
+  const listId = route?.params?.listId;
+  const list = getAllSmartLists(savedSmartLists).find((item) => item.id === listId) || null;
+
+  const [rules, setRules] = useState(() => normalizeRules(list?.rules));
+  const [showFilters, setShowFilters] = useState(!list);
+
+  // Start from the list's own rules whenever another list is opened
+  useEffect(() => {
+    setRules(normalizeRules(list?.rules));
+    setShowFilters(!list);
+  }, [listId]);
+
+  const listTasks = useMemo(
+    () => getSmartListTasks({ rules }, tasks),
+    [rules, tasks]
+  );
+
+  const isModified = !rulesEqual(rules, list ? list.rules : DEFAULT_RULES);
+  const todayStr = dateToLocalString(new Date());
+
+  const updateRules = (changes) => setRules((prev) => ({ ...prev, ...changes }));
+
+  /**
+   * Run a saved-list write, reporting failures in a snackbar
+   *
+   * @returns {Promise<boolean>} Whether the write was queued
+   */
+  const runListWrite = async (write) => {
+    try {
+      await write();
+      return true;
+    } catch (error) {
+      showSnackbar(error.message, { type: 'error' });
+      return false;
+    }
+  };
+
+  /**
+   * Save the current filter under a new name and open it
+   */
+  const handleSaveAsNew = async () => {
+    const name = await dialog.prompt({
+      title: 'Save List',
+      message: 'Name this list. It will appear in the menu.',
+      placeholder: 'e.g. Urgent this week',
+      confirmLabel: 'Save',
+    });
+    if (!name?.trim()) return;
+    if (!auth.currentUser) {
+      showSnackbar('You must be logged in to save lists.', { type: 'error' });
+      return;
+    }
+    const newList = createSmartList(name, rules);
+    if (!(await runListWrite(() => saveSmartList(auth.currentUser.uid, newList)))) return;
+    navigation.setParams({ listId: newList.id });
+    showSnackbar(`"${newList.name}" saved`, { type: 'success' });
+  };
+
+  /**
+   * Store the edited rules on the open saved list
+   */
+  const handleSaveChanges = async () => {
+    if (await runListWrite(() => updateSmartList(list.id, { rules }))) {
+      showSnackbar(`"${list.name}" updated`, { type: 'success' });
+    }
+  };
+
+  const handleRename = async () => {
+    const name = await dialog.prompt({
+      title: 'Rename List',
+      defaultValue: list.name,
+      confirmLabel: 'Rename',
+    });
+    if (!name?.trim()) return;
+    await runListWrite(() => updateSmartList(list.id, { name: name.trim() }));
+  };
+
+  const handleDelete = async () => {
+    const confirmed = await dialog.confirm({
+      title: 'Delete List',
+      message: `Delete "${list.name}"? Its tasks are not affected.`,
+      confirmLabel: 'Delete',
+      destructive: true,
+    });
+    if (!confirmed) return;
+    const removed = list;
+    if (!(await runListWrite(() => deleteSmartList(removed.id)))) return;
+    navigation.setParams({ listId: undefined });
+    showSnackbar(`"${removed.name}" deleted`, {
+      actionLabel: 'Undo',
+      onAction: async () => {
+        if (!auth.currentUser) return;
+        if (await runListWrite(() => saveSmartList(auth.currentUser.uid, removed))) {
+          navigation.setParams({ listId: removed.id });
+        }
+      },
+    });
+  };
+
+  const handleOpenTask = (task) => {
+    navigation.navigate('Projects', { openProjectId: task.projectId, openTaskId: task.id });
+  };
+
+  const renderChip = (key, label, isActive, onPress, color) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, isActive && styles.chipActive]}
+      onPress={onPress}
+    >
+      {color ? <View style={[styles.chipDot, { backgroundColor: color }]} /> : null}
+      <Text style={[styles.chipText, isActive && styles.chipTextActive]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderFilters = () => (
+    <View style={styles.filterPanel}>
+      <Text style={styles.filterLabel}>Status</Text>
+      <View style={styles.chipRow}>
+        {COMPLETION_STATES.map((state) => renderChip(
+          state.key,
+          state.label,
+          rules.completion === state.key,
+          () => updateRules({ completion: state.key })
+        ))}
+        {renderChip('overdue', 'Overdue only', rules.overdue, () => updateRules({ overdue: !rules.overdue }), '#ef4444')}
+      </View>
+
+      <Text style={styles.filterLabel}>Deadline</Text>
+      <View style={styles.chipRow}>
+        {DEADLINE_WINDOWS.map((window) => renderChip(
+          window.key,
+          window.label,
+          rules.deadlineWindow === window.key,
+          () => updateRules({ deadlineWindow: window.key })
+        ))}
+      </View>
+
+      <Text style={styles.filterLabel}>Priority</Text>
+      <View style={styles.chipRow}>
+        {renderChip('any', 'Any', rules.priorities.length === 0, () => updateRules({ priorities: [] }))}
+        {PRIORITIES.map((priority) => renderChip(
+          priority.key,
+          priority.label,
+          rules.priorities.includes(priority.key),
+          () => updateRules({ priorities: toggleValue(rules.priorities, priority.key) }),
+          priority.color
+        ))}
+      </View>
+
+      <Text style={styles.filterLabel}>Projects</Text>
+      <View style={styles.chipRow}>
+        {renderChip('all', 'All projects', rules.projectIds.length === 0, () => updateRules({ projectIds: [] }))}
+        {projects.map((project) => renderChip(
+          project.id,
+          project.title,
+          rules.projectIds.includes(project.id),
+          () => updateRules({ projectIds: toggleValue(rules.projectIds, project.id) })
+        ))}
+      </View>
+
+      <View style={styles.actionRow}>
+        {list && !list.builtIn && isModified && (
+          <TouchableOpacity style={styles.primaryButton} onPress={handleSaveChanges}>
+            <Text style={styles.primaryButtonText}>Save Changes</Text>
+          </TouchableOpacity>
+        )}
+        {(isModified || !list) && (
+          <TouchableOpacity style={styles.secondaryButton} onPress={handleSaveAsNew}>
+            <Ionicons name="bookmark-outline" size={16} color="#cbd5e1" />
+            <Text style={styles.secondaryButtonText}>Save as New List</Text>
+          </TouchableOpacity>
+        )}
+        {isModified && (
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={() => setRules(normalizeRules(list?.rules))}
+          >
+            <Text style={styles.secondaryButtonText}>Reset</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+
+  const renderTask = (task) => {
+    const deadline = toJsDate(task.deadline);
+    const deadlineStr = dateToLocalString(deadline);
+    const isOverdue = !task.completed && deadlineStr && deadlineStr < todayStr;
+    let deadlineLabel = deadline ? `Due ${deadline.toLocaleDateString()}` : '';
+    if (isOverdue) deadlineLabel = `Overdue: ${deadline.toLocaleDateString()}`;
+    else if (deadlineStr === todayStr) deadlineLabel = 'Due today';
+    const priority = PRIORITIES.find((item) => item.key === task.priority?.toLowerCase());
+
+    return (
+      <TouchableOpacity
+        key={task.id}
+        style={[styles.taskCard, { borderLeftColor: priority?.color || '#64748b' }]}
+        onPress={() => handleOpenTask(task)}
+        accessibilityLabel={`Open ${task.title}`}
+      >
+        <Ionicons
+          name={task.completed ? 'checkbox' : 'square-outline'}
+          size={22}
+          color={task.completed ? '#10b981' : '#64748b'}
+          style={styles.taskIcon}
+        />
+        <View style={styles.taskInfo}>
+          <Text style={[styles.taskTitle, task.completed && styles.completedTitle]} numberOfLines={1}>
+            {task.title}
+          </Text>
+          <Text style={styles.taskMeta} numberOfLines={1}>
+            {projectsById[task.projectId]?.title || 'Unknown Project'}
+            {deadline ? ' • ' : ''}
+            {deadline ? <Text style={isOverdue ? styles.overdueText : null}>{deadlineLabel}</Text> : null}
+          </Text>
+        </View>
+        <Ionicons name="chevron-forward" size={18} color="#475569" />
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Header title={list ? list.name : 'Filter Tasks'} onMenuPress={openSidebar} navigation={navigation} />
+      <ScrollView style={styles.content} contentContainerStyle={styles.contentContainer}>
+        <View style={styles.summaryRow}>
+          <Text style={styles.summaryText}>
+            {listTasks.length} task{listTasks.length === 1 ? '' : 's'}
+            {isModified && list ? ' • filter changed' : ''}
+          </Text>
+          {list && !list.builtIn && (
+            <>
+              <TouchableOpacity style={styles.iconButton} onPress={handleRename} accessibilityLabel="Rename list">
+                <Ionicons name="create-outline" size={20} color="#94a3b8" />
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.iconButton} onPress={handleDelete} accessibilityLabel="Delete list">
+                <Ionicons name="trash-outline" size={20} color="#ef4444" />
+              </TouchableOpacity>
+            </>
+          )}
+          <TouchableOpacity
+            style={[styles.filterButton, showFilters && styles.filterButtonActive]}
+            onPress={() => setShowFilters(!showFilters)}
+          >
+            <Ionicons name="options-outline" size={18} color={showFilters ? 'white' : '#cbd5e1'} />
+            <Text style={[styles.filterButtonText, showFilters && styles.chipTextActive]}>Filters</Text>
+          </TouchableOpacity>
+        </View>
+
+        {showFilters && renderFilters()}
+
+        {listTasks.length === 0 ? (
+          <View style={styles.emptyState}>
+            <Ionicons name="checkmark-done-outline" size={64} color="#334155" />
+            <Text style={styles.emptyTitle}>Nothing here</Text>
+            <Text style={styles.emptySubtitle}>No tasks match this list right now</Text>
+          </View>
+        ) : (
+          listTasks.map(renderTask)
+        )}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0f172a',
+  },
+  content: {
+    flex: 1,
+  },
+  contentContainer: {
+    padding: 20,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  summaryText: {
+    flex: 1,
+    color: '#94a3b8',
+    fontSize: 14,
+  },
+  iconButton: {
+    padding: 8,
+    marginRight: 4,
+  },
+  filterButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#1e293b',
+    borderWidth: 1,
+    borderColor: '#334155',
+  },
+  filterButtonActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  filterButtonText: {
+    color: '#cbd5e1',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  filterPanel: {
+    backgroundColor: '#1e293b',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 20,
+    borderWidth: 1,
+    borderColor: '#334155',
+  },
+  filterLabel: {
+    color: '#94a3b8',
+    fontSize: 12,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#0f172a',
+    borderWidth: 1,
+    borderColor: '#334155',
+  },
+  chipActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  chipDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+  },
+  chipText: {
+    color: '#cbd5e1',
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  chipTextActive: {
+    color: 'white',
+  },
+  actionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  primaryButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#f97316',
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#0f172a',
+    borderWidth: 1,
+    borderColor: '#334155',
+  },
+  secondaryButtonText: {
+    color: '#cbd5e1',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  taskCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1e293b',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: '#334155',
+    borderLeftWidth: 4,
+  },
+  taskIcon: {
+    marginRight: 12,
+  },
+  taskInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  taskTitle: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  completedTitle: {
+    color: '#94a3b8',
+    textDecorationLine: 'line-through',
+  },
+  taskMeta: {
+    color: '#94a3b8',
+    fontSize: 13,
+    marginTop: 4,
+  },
+  overdueText: {
+    color: '#ef4444',
+    fontWeight: '600',
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 60,
+  },
+  emptyTitle: {
+    color: 'white',
+    fontSize: 20,
+    fontWeight: '600',
+    marginTop: 16,
+  },
+  emptySubtitle: {
+    color: '#94a3b8',
+    fontSize: 14,
+    marginTop: 8,
+    textAlign: 'center',
+  },
+});
+
+export default SmartListScreen;
@@ -8,7 +8,18 @@
  * 2. Proper modal close callbacks that refresh parent
  * 3. Better error handling for Firestore indexing issues
  * 4. Improved task state management
- * 5. Web-compatible confirmation dialogs
+ * 5. Non-blocking snackbars with Undo instead of confirmation dialogs
+ * 6. Tasks read from the shared DataContext store (no per-screen listener)
+ * 7. Deleting moves tasks to the Trash (restorable)
+ * 8. Checklist progress on each card, expandable to check items off
+ * 9. Lock badge on tasks blocked by unfinished tasks; completing one asks first
+ * 10. Completing a recurring task creates its next occurrence
+ * 11. Board view with one column per workflow status, next to the list
+ * 12. Export the project's deadlines to .ics, and import tasks from .ics
+ * 13. Quick-add field that creates a task from one line ("Call client fri !urgent")
+ * 14. Bulk add: paste a list, review the parsed tasks, add them in one batch
+ * 15. Multi-select (long-press, or shift/ctrl-click on web) with bulk complete,
+ *     delete, priority, deadline shift, move and tags, written in batches
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
@@ -17,177 +28,123 @@ import {
   Text,
   FlatList,
   TouchableOpacity,
+  Pressable,
   StyleSheet,
   RefreshControl,
-  Modal,
-  Alert,
   Platform,
 } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import { Ionicons } from '@expo/vector-icons';
 import {
-  collection,
-  query,
-  where,
-  onSnapshot,
-  orderBy,
-  updateDoc,
-  deleteDoc,
-  doc,
-  serverTimestamp,
-  getDocs,
-} from 'firebase/firestore';
-import { auth, db } from '../config/firebase';
+  toggleTaskCompletion,
+  completeRecurringTask,
+  undoRecurringCompletion,
+  moveTaskToStatus,
+  updateTaskChecklist,
+  trashTask,
+  restoreTask,
+  importTasksFromICalendar,
+  bulkUpdateTasks,
+} from '../services/tasksService';
+import { useSnackbar } from '../components/Snackbar';
+import { useDialog } from '../components/Dialog';
+import AppModal from '../components/AppModal';
+import TaskBoard from '../components/TaskBoard';
+import QuickAddBar from '../components/QuickAddBar';
+import SelectionBar, { useMultiSelect } from '../components/SelectionBar';
+import { useData } from '../contexts/DataContext';
+import { getChecklist, getChecklistProgress, toggleChecklistItem } from '../utils/checklist';
+import { getOpenBlockers } from '../utils/taskDependencies';
+import { getNextOccurrence, describeRepeatRule } from '../utils/recurrence';
+import { toJsDate } from '../utils/dateUtils';
+import { getProjectStatuses, getTerminalStatus, getTaskStatusId } from '../utils/workflow';
+import { buildICalendar, getICalendarFileName, parseICalendar } from '../utils/ical';
+import { canPickFiles, shareTextFile, pickTextFile, fetchTextFile } from '../utils/fileTransfer';
+import { BULK_PRIORITIES, getTags, parseTags, parseDayShift } from '../utils/bulkEdit';
 import AddTaskScreen from './AddTaskScreen';
 import EditTaskScreen from './EditTaskScreen';
+import BulkAddTasksScreen from './BulkAddTasksScreen';
+
+// Attempts to reach a row that was not rendered yet
+const MAX_SCROLL_RETRIES = 3;
+
+// Blocked tasks named in the bulk-complete warning before "and N more"
+const MAX_LISTED_BLOCKED = 5;
+
+/**
+ * "1 task", "3 tasks"
+ */
+const countTasks = (count) => `${count} task${count === 1 ? '' : 's'}`;
 
 export default function TasksScreen({ project, onBack, selectedTaskId }) {
-  // Task data state
-  const [tasks, setTasks] = useState([]);
+  // Task data from the shared store, already sorted
+  const { projects, tasksByProject, tasksById, projectsById, projectProgress, isRefreshing, refresh } = useData();
+  const tasks = (project && tasksByProject[project.id]) || [];
+  // Prefer the live project so edited workflow statuses show up straight away
+  const statuses = getProjectStatuses((project && projectsById[project.id]) || project);
   const [highlightedTaskId, setHighlightedTaskId] = useState(null);
   const flatListRef = React.useRef(null);
-  // Scroll to selectedTaskId on mount or when tasks change
-  useEffect(() => {
-    if (selectedTaskId && tasks.length > 0) {
-      const idx = tasks.findIndex(t => t.id === selectedTaskId);
-      if (idx >= 0 && flatListRef.current) {
-        setHighlightedTaskId(selectedTaskId);
-        setTimeout(() => {
-          flatListRef.current.scrollToIndex({ index: idx, animated: true });
-        }, 300);
-      }
-    }
-  }, [selectedTaskId, tasks]);
-  
-  // UI state
-  const [isLoading, setIsLoading] = useState(true);
-  const [isRefreshing, setIsRefreshing] = useState(false);
-  const [showAddTask, setShowAddTask] = useState(false);
-  const [showEditTask, setShowEditTask] = useState(false);
-  const [taskToEdit, setTaskToEdit] = useState(null);
-  const [forceRefresh, setForceRefresh] = useState(0); // Force refresh counter
-
-  const currentUser = auth.currentUser;
-  const isWeb = Platform.OS === 'web';
+  // Latest tasks, for scroll callbacks that run after a snapshot changed them
+  const tasksRef = React.useRef(tasks);
+  tasksRef.current = tasks;
+  // Task already scrolled to, so later snapshots don't scroll back to it
+  const scrolledTaskId = React.useRef(null);
+  const scrollRetries = React.useRef(0);
 
   /**
-   * Force refresh function for web compatibility
+   * Scroll to a row if the list is still mounted and the row still exists
    */
-  const triggerRefresh = useCallback(() => {
-    console.log('Triggering manual refresh for tasks');
-    setForceRefresh(prev => prev + 1);
+  const scrollToTaskIndex = useCallback((index) => {
+    if (flatListRef.current && index >= 0 && index < tasksRef.current.length) {
+      flatListRef.current.scrollToIndex({ index, animated: true });
+    }
   }, []);
 
-  /**
-   * Set up real-time listener for tasks in this project
-   * Enhanced with better error handling and web compatibility
-   */
+  // Scroll to selectedTaskId once it shows up in the list
   useEffect(() => {
-    if (!currentUser || !project) {
-      console.log('Missing currentUser or project');
-      setIsLoading(false);
-      return;
-    }
-
-    console.log('Setting up tasks listener for project:', project.id);
-
-    // Use a simpler query to avoid Firestore indexing issues
-    const tasksQuery = query(
-      collection(db, 'tasks'),
-      where('projectId', '==', project.id),
-      where('userId', '==', currentUser.uid)
-      // Note: Removed complex orderBy to avoid requiring composite index
-    );
-
-    const unsubscribe = onSnapshot(
-      tasksQuery,
-      (querySnapshot) => {
-        const tasksData = [];
+    if (!selectedTaskId || scrolledTaskId.current === selectedTaskId) return;
+    if (!tasks.some(t => t.id === selectedTaskId)) return;
+    scrolledTaskId.current = selectedTaskId;
+    scrollRetries.current = 0;
+    setHighlightedTaskId(selectedTaskId);
+    setTimeout(() => {
+      scrollToTaskIndex(tasksRef.current.findIndex(t => t.id === selectedTaskId));
+    }, 300);
+  }, [selectedTaskId, tasks, scrollToTaskIndex]);
 
-        querySnapshot.forEach((doc) => {
-          tasksData.push({
-            id: doc.id,
-            ...doc.data(),
-          });
-        });
-
-        // Sort tasks in memory instead of in Firestore query
-        // This avoids the need for composite indexes
-        tasksData.sort((a, b) => {
-          // First sort by completion status (incomplete tasks first)
-          if (a.completed !== b.completed) {
-            return a.completed ? 1 : -1;
-          }
-          
-          // Then by priority (urgent first)
-          const priorityOrder = { urgent: 0, medium: 1, low: 2 };
-          const aPriority = priorityOrder[a.priority?.toLowerCase()] ?? 3;
-          const bPriority = priorityOrder[b.priority?.toLowerCase()] ?? 3;
-          
-          if (aPriority !== bPriority) {
-            return aPriority - bPriority;
-          }
-          
-          // Finally by creation date (newest first) if available
-          if (a.createdAt && b.createdAt) {
-            return b.createdAt.toDate().getTime() - a.createdAt.toDate().getTime();
-          }
-          
-          return 0;
-        });
-
-        console.log(`Loaded and sorted ${tasksData.length} tasks for project ${project.title}`);
-        setTasks(tasksData);
-        setIsLoading(false);
-        setIsRefreshing(false);
-      },
-      (error) => {
-        console.error('Firestore tasks listener error:', error);
-        setIsLoading(false);
-        setIsRefreshing(false);
-        
-        // Enhanced error handling for indexing issues
-        let errorMessage = 'Failed to load tasks. Please try again.';
-        
-        if (error.code === 'failed-precondition' || error.message.includes('index')) {
-          errorMessage = 'Database indexing in progress. Tasks will load shortly.';
-          console.log('FIRESTORE INDEX INFO: If this persists, check Firebase Console for index creation');
-        } else if (error.code === 'permission-denied') {
-          errorMessage = 'Permission denied. Please sign out and back in.';
-        }
-        
-        // Use web-compatible alerts
-        if (isWeb) {
-          alert(errorMessage);
-        } else {
-          Alert.alert("Database Error", errorMessage, [
-            { text: "OK" },
-            {
-              text: "Retry",
-              onPress: () => {
-                setIsLoading(true);
-                triggerRefresh();
-              }
-            }
-          ]);
-        }
-      }
-    );
+  /**
+   * The row is outside the rendered window: jump to its estimated offset so
+   * it gets rendered, then try again
+   */
+  const handleScrollToIndexFailed = useCallback(({ index, averageItemLength }) => {
+    if (!flatListRef.current || scrollRetries.current >= MAX_SCROLL_RETRIES) return;
+    scrollRetries.current += 1;
+    flatListRef.current.scrollToOffset({ offset: averageItemLength * index, animated: false });
+    setTimeout(() => scrollToTaskIndex(index), 100);
+  }, [scrollToTaskIndex]);
+  
+  // UI state
+  const [viewMode, setViewMode] = useState('list'); // 'list' | 'board'
+  const [showAddTask, setShowAddTask] = useState(false);
+  const [showBulkAdd, setShowBulkAdd] = useState(false);
+  const [showEditTask, setShowEditTask] = useState(false);
+  const [taskToEdit, setTaskToEdit] = useState(null);
+  // Tasks whose checklist is expanded on the card
+  const [expandedTaskIds, setExpandedTaskIds] = useState(() => new Set());
+  // Multi-select in the list view, and the progress of a running bulk action
+  const selection = useMultiSelect(tasks);
+  const [bulkProgress, setBulkProgress] = useState(null);
 
-    return () => {
-      console.log('Cleaning up tasks listener');
-      unsubscribe();
-    };
-  }, [currentUser, project, forceRefresh]); // Added forceRefresh dependency
+  const { showSnackbar } = useSnackbar();
+  const dialog = useDialog();
 
   /**
    * Handle pull-to-refresh
    */
   const onRefresh = useCallback(() => {
     console.log('Manual refresh triggered for tasks');
-    setIsRefreshing(true);
-    triggerRefresh();
-  }, [triggerRefresh]);
+    refresh();
+  }, [refresh]);
 
   /**
    * Modal handlers for Add Task with enhanced callback
@@ -199,140 +156,131 @@ export default function TasksScreen({ project, onBack, selectedTaskId }) {
 
   const handleCloseAddTask = useCallback((taskCreated = false) => {
     console.log('Closing Add Task modal, task created:', taskCreated);
+    // The shared store picks up the new task through its live listener
     setShowAddTask(false);
-    
-    // Enhanced refresh when task is created
-    if (taskCreated) {
-      // Immediate refresh for web
-      if (isWeb) {
-        triggerRefresh();
-        // Additional refresh after a short delay to ensure Firestore sync
-        setTimeout(() => {
-          triggerRefresh();
-        }, 500);
-      } else {
-        // Single refresh for mobile (works better)
-        setTimeout(() => {
-          triggerRefresh();
-        }, 100);
-      }
-    } else {
-      // Standard refresh when modal just closes
-      setTimeout(() => {
-        triggerRefresh();
-      }, 100);
-    }
-  }, [triggerRefresh, isWeb]);
+  }, []);
 
   /**
-   * Toggle task completion status with enhanced error handling
+   * Toggle task completion status, offering Undo
    */
   const handleToggleTask = async (task) => {
+    // Warn before completing a task that is still waiting on others
+    const openBlockers = task.completed ? [] : getOpenBlockers(task, tasksById);
+    if (openBlockers.length > 0) {
+      const confirmed = await dialog.confirm({
+        title: 'Task Is Blocked',
+        message: `"${task.title}" is waiting on:\n${openBlockers.map((blocker) => `• ${blocker.title}`).join('\n')}\n\nComplete it anyway?`,
+        confirmLabel: 'Complete Anyway',
+      });
+      if (!confirmed) return;
+    }
+
+    if (!task.completed && task.repeat) {
+      await completeOccurrence(task);
+      return;
+    }
+
     try {
       console.log(`Toggling task completion: ${task.title} - ${!task.completed ? 'completed' : 'incomplete'}`);
-      
-      const taskRef = doc(db, 'tasks', task.id);
-      await updateDoc(taskRef, {
-        completed: !task.completed,
-        updatedAt: serverTimestamp(),
-      });
-      
-      console.log('Task completion toggled successfully');
-      
-      // Trigger refresh for web compatibility
-      if (isWeb) {
-        triggerRefresh();
-      }
+      await toggleTaskCompletion(task);
+      showSnackbar(
+        task.completed ? `"${task.title}" marked incomplete` : `"${task.title}" completed`,
+        {
+          actionLabel: 'Undo',
+          // Toggle the updated task back to its original state
+          onAction: () => toggleTaskCompletion({ ...task, completed: !task.completed }),
+        }
+      );
     } catch (error) {
-      console.error('Error toggling task:', error);
-      
-      const errorMessage = error.code === 'permission-denied'
-        ? "You don't have permission to update this task."
-        : 'Failed to update task. Please check your connection and try again.';
-      
-      if (isWeb) {
-        alert(errorMessage);
-      } else {
-        Alert.alert('Update Error', errorMessage, [{ text: 'OK' }]);
-      }
+      showSnackbar(error.message, { type: 'error' });
     }
   };
 
   /**
-   * Handle task deletion with enhanced web support
+   * Complete one occurrence of a recurring task and schedule the next;
+   * Undo reopens it and removes the new occurrence
    */
-  const handleDeleteTask = async (task) => {
-    console.log("Delete button pressed for task:", task.title);
+  const completeOccurrence = async (task) => {
+    const nextDeadline = getNextOccurrence(task.repeat, toJsDate(task.deadline) || new Date(), new Date());
+    try {
+      const nextTaskId = await completeRecurringTask(task, nextDeadline);
+      showSnackbar(`"${task.title}" completed. Next one due ${nextDeadline.toLocaleDateString()}`, {
+        actionLabel: 'Undo',
+        onAction: () => undoRecurringCompletion(task, nextTaskId),
+      });
+    } catch (error) {
+      showSnackbar(error.message, { type: 'error' });
+    }
+  };
 
-    // Enhanced confirmation for web vs mobile
-    const confirmDelete = () => new Promise((resolve) => {
-      if (isWeb) {
-        const confirmed = window.confirm(
-          `Are you sure you want to delete "${task.title}"? This action cannot be undone.`
-        );
-        resolve(confirmed);
-      } else {
-        Alert.alert(
-          "Delete Task",
-          `Are you sure you want to delete "${task.title}"? This action cannot be undone.`,
-          [
-            {
-              text: "Cancel",
-              style: "cancel",
-              onPress: () => resolve(false)
-            },
-            {
-              text: "Delete",
-              style: "destructive",
-              onPress: () => resolve(true)
-            }
-          ],
-          { cancelable: true }
-        );
-      }
-    });
+  /**
+   * Move a task to another board column, offering Undo. Moving into the
+   * terminal column completes the task (with the blocker warning and
+   * recurring-task handling of the checkbox).
+   */
+  const handleMoveTask = async (task, statusId) => {
+    const previousStatusId = getTaskStatusId(task, statuses);
+    if (previousStatusId === statusId) return;
 
-    const confirmed = await confirmDelete();
-    if (!confirmed) {
-      console.log("User cancelled task delete");
+    const terminalId = getTerminalStatus(statuses).id;
+    if (statusId === terminalId) {
+      await handleToggleTask(task);
       return;
     }
 
-    console.log("User confirmed task delete");
-    await performTaskDelete(task);
+    const statusName = statuses.find((status) => status.id === statusId)?.name;
+    try {
+      await moveTaskToStatus(task, statusId, false);
+      showSnackbar(`"${task.title}" moved to ${statusName}`, {
+        actionLabel: 'Undo',
+        // The moved task is no longer complete
+        onAction: () => moveTaskToStatus({ ...task, completed: false }, previousStatusId, previousStatusId === terminalId),
+      });
+    } catch (error) {
+      showSnackbar(error.message, { type: 'error' });
+    }
   };
 
   /**
-   * Actually delete the task from Firestore
+   * Show or hide a task's checklist on its card
    */
-  const performTaskDelete = async (task) => {
-    try {
-      console.log('Deleting task:', task.id);
-      await deleteDoc(doc(db, "tasks", task.id));
-      console.log("Task deleted successfully");
-      
-      // Show success message
-      if (isWeb) {
-        alert(`Task "${task.title}" has been deleted successfully.`);
+  const toggleChecklistExpanded = (taskId) => {
+    setExpandedTaskIds((current) => {
+      const next = new Set(current);
+      if (next.has(taskId)) {
+        next.delete(taskId);
       } else {
-        Alert.alert("Success", `Task "${task.title}" has been deleted successfully.`);
+        next.add(taskId);
       }
+      return next;
+    });
+  };
 
-      // Trigger refresh
-      triggerRefresh();
+  /**
+   * Check or uncheck a checklist item straight from the card
+   */
+  const handleToggleChecklistItem = async (task, itemId) => {
+    try {
+      await updateTaskChecklist(task, toggleChecklistItem(getChecklist(task), itemId));
+    } catch (error) {
+      showSnackbar(error.message, { type: 'error' });
+    }
+  };
 
+  /**
+   * Move the task to the Trash straight away; Undo restores it
+   */
+  const handleDeleteTask = async (task) => {
+    console.log("Delete button pressed for task:", task.title);
+    try {
+      console.log('Trashing task:', task.id);
+      await trashTask(task.id);
+      showSnackbar(`"${task.title}" moved to Trash`, {
+        actionLabel: 'Undo',
+        onAction: () => restoreTask(task.id),
+      });
     } catch (error) {
-      console.error("Error deleting task:", error);
-      
-      const errorMessage = error.code === 'permission-denied'
-        ? "You don't have permission to delete this task."
-        : `Failed to delete task: ${error.message}`;
-      
-      if (isWeb) {
-        alert(errorMessage);
-      } else {
-        Alert.alert("Delete Error", errorMessage, [{ text: "OK" }]);
-      }
+      showSnackbar(error.message, { type: 'error' });
     }
   };
 
@@ -352,7 +300,6 @@ export default function TasksScreen({ project, onBack, selectedTaskId }) {
     console.log("Task updated, refreshing tasks list");
     setShowEditTask(false);
     setTaskToEdit(null);
-    triggerRefresh();
   };
 
   /**
@@ -371,6 +318,144 @@ export default function TasksScreen({ project, onBack, selectedTaskId }) {
     }
   };
 
+  /**
+   * Apply a bulk action to the selected tasks, showing progress in the
+   * selection bar. The rest of the project's tasks go along so a move can
+   * unlink the tasks that were waiting on the moved ones.
+   *
+   * @returns {Promise<number|null>} Tasks changed, or null on failure
+   */
+  const runBulkAction = async (action, progressLabel) => {
+    const selectedTasks = selection.selectedItems;
+    setBulkProgress({ label: progressLabel, done: 0, total: selectedTasks.length });
+    try {
+      const count = await bulkUpdateTasks(selectedTasks, action, {
+        onProgress: (done, total) => setBulkProgress({ label: progressLabel, done, total }),
+        otherTasks: tasks,
+      });
+      selection.clear();
+      return count;
+    } catch (error) {
+      showSnackbar(error.message, { type: 'error' });
+      return null;
+    } finally {
+      setBulkProgress(null);
+    }
+  };
+
+  /**
+   * Complete the selected tasks, warning first (like a single task) when
+   * some are still waiting on tasks outside the selection
+   */
+  const handleBulkComplete = async () => {
+    const selectedIds = selection.selectedIds;
+    const blockedTasks = selection.selectedItems.filter((task) => !task.completed
+      && getOpenBlockers(task, tasksById).some((blocker) => !selectedIds.has(blocker.id)));
+    if (blockedTasks.length > 0) {
+      const listed = blockedTasks.slice(0, MAX_LISTED_BLOCKED).map((task) => `• ${task.title}`);
+      if (blockedTasks.length > MAX_LISTED_BLOCKED) listed.push(`• and ${blockedTasks.length - MAX_LISTED_BLOCKED} more`);
+      const confirmed = await dialog.confirm({
+        title: blockedTasks.length === 1 ? 'Task Is Blocked' : 'Tasks Are Blocked',
+        message: `${blockedTasks.length === 1 ? 'This task is' : 'These tasks are'} still waiting on open tasks:\n${listed.join('\n')}\n\nComplete ${blockedTasks.length === 1 ? 'it' : 'them'} anyway?`,
+        confirmLabel: 'Complete Anyway',
+      });
+      if (!confirmed) return;
+    }
+
+    const count = await runBulkAction({ type: 'complete' }, 'Completing');
+    if (count !== null) showSnackbar(count > 0 ? `${countTasks(count)} completed` : 'The selected tasks are already complete');
+  };
+
+  /**
+   * Trash the selected tasks; Undo restores all of them
+   */
+  const handleBulkTrash = async () => {
+    const trashedTasks = selection.selectedItems;
+    const count = await runBulkAction({ type: 'trash' }, 'Moving to Trash');
+    if (count === null) return;
+    showSnackbar(`${countTasks(count)} moved to Trash`, {
+      actionLabel: 'Undo',
+      onAction: () => bulkUpdateTasks(trashedTasks, { type: 'restore' })
+        .catch((error) => showSnackbar(error.message, { type: 'error' })),
+    });
+  };
+
+  const handleBulkPriority = async (option) => {
+    const count = await runBulkAction({ type: 'priority', priority: option.key }, 'Updating');
+    if (count !== null) showSnackbar(`${option.label} priority set on ${countTasks(count)}`);
+  };
+
+  /**
+   * Ask for a number of days and move the selected deadlines by it
+   */
+  const handleBulkShiftDeadline = async () => {
+    const text = await dialog.prompt({
+      title: 'Shift Deadlines',
+      message: 'Move the deadlines and start dates of the selected tasks by a number of days. Use a negative number to move them earlier.',
+      defaultValue: '1',
+      placeholder: 'e.g. 3 or -2',
+      confirmLabel: 'Shift',
+    });
+    if (text === null) return;
+    const days = parseDayShift(text);
+    if (days === null) {
+      showSnackbar('Enter a whole number of days, such as 3 or -2', { type: 'error' });
+      return;
+    }
+    const count = await runBulkAction({ type: 'shiftDeadline', days }, 'Rescheduling');
+    if (count !== null) {
+      const distance = `${Math.abs(days)} day${Math.abs(days) === 1 ? '' : 's'} ${days > 0 ? 'later' : 'earlier'}`;
+      showSnackbar(count > 0 ? `${countTasks(count)} moved ${distance}` : 'None of the selected tasks have dates');
+    }
+  };
+
+  const handleBulkMove = async (option) => {
+    const count = await runBulkAction({ type: 'move', projectId: option.key }, 'Moving');
+    if (count !== null) showSnackbar(`${countTasks(count)} moved to ${option.label}`);
+  };
+
+  /**
+   * Ask for tags and add them to the selected tasks
+   */
+  const handleBulkAddTags = async () => {
+    const text = await dialog.prompt({
+      title: 'Add Tags',
+      message: 'Separate tags with commas. Tags the tasks already have are kept.',
+      placeholder: 'e.g. design, client x',
+      confirmLabel: 'Add Tags',
+    });
+    const tags = parseTags(text);
+    if (tags.length === 0) return;
+    const count = await runBulkAction({ type: 'addTags', tags }, 'Tagging');
+    if (count !== null) showSnackbar(`Tags added to ${countTasks(count)}`);
+  };
+
+  const otherProjects = projects.filter((candidate) => candidate.id !== project?.id);
+  const bulkActions = [
+    { key: 'complete', label: 'Complete', icon: 'checkmark-done-outline', color: '#10b981', onPress: handleBulkComplete },
+    {
+      key: 'priority',
+      label: 'Priority',
+      icon: 'flag-outline',
+      options: BULK_PRIORITIES.map((priority) => ({
+        key: priority,
+        label: priority.charAt(0).toUpperCase() + priority.slice(1),
+        color: getPriorityColor(priority),
+      })),
+      onSelectOption: handleBulkPriority,
+    },
+    { key: 'shift', label: 'Shift dates', icon: 'calendar-outline', onPress: handleBulkShiftDeadline },
+    {
+      key: 'move',
+      label: 'Move',
+      icon: 'folder-open-outline',
+      options: otherProjects.map((candidate) => ({ key: candidate.id, label: candidate.title })),
+      onSelectOption: handleBulkMove,
+    },
+    { key: 'tags', label: 'Tags', icon: 'pricetag-outline', onPress: handleBulkAddTags },
+    { key: 'trash', label: 'Delete', icon: 'trash-outline', color: '#ef4444', onPress: handleBulkTrash },
+  ].filter((action) => action.key !== 'move' || otherProjects.length > 0);
+
   /**
    * Format Firestore timestamp to readable date string
    */
@@ -385,12 +470,58 @@ export default function TasksScreen({ project, onBack, selectedTaskId }) {
   };
 
   /**
-   * Calculate progress percentage based on completed tasks
+   * Calculate progress percentage (shared with ProjectsScreen, so it
+   * honours the checklist progress preference)
    */
   const calculateProgress = () => {
-    if (tasks.length === 0) return 0;
-    const completedTasks = tasks.filter(task => task.completed).length;
-    return Math.round((completedTasks / tasks.length) * 100);
+    return (project && projectProgress[project.id]?.percent) || 0;
+  };
+
+  /**
+   * Export the project and its open task deadlines as an .ics file
+   */
+  const handleExportICalendar = async () => {
+    try {
+      const text = buildICalendar({ projects: [project], tasks, calendarName: project.title });
+      await shareTextFile(getICalendarFileName(project.title), text, 'text/calendar');
+    } catch (error) {
+      console.error('Error exporting calendar:', error);
+      dialog.error('Export Failed', 'The calendar file could not be created. Please try again.');
+    }
+  };
+
+  /**
+   * Import events and to-dos from an .ics file (web) or URL (native) as
+   * tasks of this project
+   */
+  const handleImportICalendar = async () => {
+    try {
+      let text;
+      if (canPickFiles) {
+        text = await pickTextFile('.ics,text/calendar');
+      } else {
+        const url = await dialog.prompt({
+          title: 'Import Calendar',
+          message: 'Enter the address of an .ics calendar file.',
+          placeholder: 'https://example.com/calendar.ics',
+          confirmLabel: 'Import',
+        });
+        text = url?.trim() ? await fetchTextFile(url) : null;
+      }
+      if (text === null) return;
+
+      const entries = parseICalendar(text);
+      if (entries.length === 0) {
+        showSnackbar('No events or to-dos found in the calendar file', { type: 'error' });
+        return;
+      }
+      const { created, updated } = await importTasksFromICalendar(project.userId, project.id, entries, tasks);
+      const parts = [created > 0 && `${created} added`, updated > 0 && `${updated} updated`].filter(Boolean);
+      showSnackbar(`Calendar imported: ${parts.join(', ')}`);
+    } catch (error) {
+      console.error('Error importing calendar:', error);
+      dialog.error('Import Failed', error.message || 'The calendar file could not be imported.');
+    }
   };
 
   /**
@@ -420,25 +551,40 @@ export default function TasksScreen({ project, onBack, selectedTaskId }) {
    */
   const renderTaskItem = ({ item }) => {
     const isOverdue = isTaskOverdue(item);
+    const checklist = getChecklist(item);
+    const checklistProgress = getChecklistProgress(checklist);
+    const isChecklistExpanded = expandedTaskIds.has(item.id);
+    const openBlockers = item.completed ? [] : getOpenBlockers(item, tasksById);
+    const isSelected = selection.selectedIds.has(item.id);
     
     return (
       <View style={styles.taskCard}>
         <View style={styles.taskHeader}>
-          {/* Completion Checkbox */}
-          <TouchableOpacity
-            onPress={() => handleToggleTask(item)}
-            style={styles.checkboxContainer}
-            accessibilityLabel={item.completed ? "Mark as incomplete" : "Mark as complete"}
-          >
-            <View style={[
-              styles.checkbox,
-              item.completed && styles.checkboxChecked
-            ]}>
-              {item.completed && (
-                <Ionicons name="checkmark" size={16} color="white" />
-              )}
+          {/* Selection mark while selecting, completion checkbox otherwise */}
+          {selection.isSelecting ? (
+            <View style={styles.checkboxContainer}>
+              <Ionicons
+                name={isSelected ? "checkmark-circle" : "ellipse-outline"}
+                size={22}
+                color={isSelected ? "#f97316" : "#64748b"}
+              />
             </View>
-          </TouchableOpacity>
+          ) : (
+            <TouchableOpacity
+              onPress={() => handleToggleTask(item)}
+              style={styles.checkboxContainer}
+              accessibilityLabel={item.completed ? "Mark as incomplete" : "Mark as complete"}
+            >
+              <View style={[
+                styles.checkbox,
+                item.completed && styles.checkboxChecked
+              ]}>
+                {item.completed && (
+                  <Ionicons name="checkmark" size={16} color="white" />
+                )}
+              </View>
+            </TouchableOpacity>
+          )}
 
           {/* Task Content */}
           <View style={styles.taskContent}>
@@ -488,39 +634,117 @@ export default function TasksScreen({ project, onBack, selectedTaskId }) {
                   </Text>
                 </View>
               )}
+
+              {/* Repeat badge */}
+              {item.repeat && (
+                <View style={styles.repeatBadge}>
+                  <Ionicons name="repeat" size={12} color="#94a3b8" />
+                  <Text style={styles.repeatBadgeText} numberOfLines={1}>
+                    {describeRepeatRule(item.repeat, toJsDate(item.deadline))}
+                  </Text>
+                </View>
+              )}
+
+              {/* Blocked badge */}
+              {openBlockers.length > 0 && (
+                <View
+                  style={styles.blockedBadge}
+                  accessibilityLabel={`Blocked by ${openBlockers.map((blocker) => blocker.title).join(', ')}`}
+                >
+                  <Ionicons name="lock-closed" size={12} color="#f59e0b" />
+                  <Text style={styles.blockedBadgeText} numberOfLines={1}>
+                    {openBlockers.length === 1
+                      ? `Blocked by ${openBlockers[0].title}`
+                      : `Blocked by ${openBlockers.length} tasks`}
+                  </Text>
+                </View>
+              )}
+
+              {/* Checklist progress (tap to expand) */}
+              {checklistProgress.total > 0 && (
+                <TouchableOpacity
+                  onPress={() => toggleChecklistExpanded(item.id)}
+                  style={styles.checklistBadge}
+                  accessibilityLabel={`${isChecklistExpanded ? 'Hide' : 'Show'} checklist, ${checklistProgress.done} of ${checklistProgress.total} done`}
+                >
+                  <Ionicons
+                    name="checkbox-outline"
+                    size={12}
+                    color={checklistProgress.done === checklistProgress.total ? "#10b981" : "#94a3b8"}
+                  />
+                  <Text style={styles.checklistBadgeText}>
+                    {checklistProgress.done}/{checklistProgress.total}
+                  </Text>
+                  <Ionicons
+                    name={isChecklistExpanded ? "chevron-up" : "chevron-down"}
+                    size={12}
+                    color="#94a3b8"
+                  />
+                </TouchableOpacity>
+              )}
+
+              {/* Tags */}
+              {getTags(item).map((tag) => (
+                <View key={tag} style={styles.tagChip}>
+                  <Text style={styles.tagText} numberOfLines={1}>#{tag}</Text>
+                </View>
+              ))}
             </View>
+
+            {isChecklistExpanded && checklist.map((checklistItem) => (
+              <TouchableOpacity
+                key={checklistItem.id}
+                onPress={() => handleToggleChecklistItem(item, checklistItem.id)}
+                style={styles.checklistItem}
+                accessibilityLabel={checklistItem.done ? `Uncheck ${checklistItem.text}` : `Check ${checklistItem.text}`}
+              >
+                <Ionicons
+                  name={checklistItem.done ? "checkbox" : "square-outline"}
+                  size={16}
+                  color={checklistItem.done ? "#10b981" : "#64748b"}
+                />
+                <Text style={[
+                  styles.checklistItemText,
+                  checklistItem.done && styles.checklistItemTextDone
+                ]}>
+                  {checklistItem.text}
+                </Text>
+              </TouchableOpacity>
+            ))}
           </View>
 
           {/* Action Buttons Container */}
-          <View style={styles.actionButtonsContainer}>
-            {/* Edit Button */}
-            <TouchableOpacity
-              onPress={(event) => {
-                event.stopPropagation();
-                event.preventDefault();
-                handleEditTask(item);
-              }}
-              style={styles.editTaskButton}
-              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
-              accessibilityLabel={`Edit ${item.title}`}
-            >
-              <Ionicons name="create-outline" size={22} color="#3b82f6" />
-            </TouchableOpacity>
+          {!selection.isSelecting && (
+            <View style={styles.actionButtonsContainer}>
+              {/* Edit Button */}
+              <TouchableOpacity
+                onPress={(event) => {
+                  event.stopPropagation();
+                  event.preventDefault();
+                  handleEditTask(item);
+                }}
+                style={styles.editTaskButton}
+                hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+                accessibilityLabel={`Edit ${item.title}`}
+              >
+                <Ionicons name="create-outline" size={22} color="#3b82f6" />
+              </TouchableOpacity>
 
-            {/* Delete Button with enhanced event handling */}
-            <TouchableOpacity
-              onPress={(event) => {
-                event.stopPropagation();
-                event.preventDefault();
-                handleDeleteTask(item);
-              }}
-              style={styles.deleteTaskButton}
-              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
-              accessibilityLabel={`Delete ${item.title}`}
-            >
-              <Ionicons name="trash-outline" size={22} color="#ef4444" />
-            </TouchableOpacity>
-          </View>
+              {/* Delete Button with enhanced event handling */}
+              <TouchableOpacity
+                onPress={(event) => {
+                  event.stopPropagation();
+                  event.preventDefault();
+                  handleDeleteTask(item);
+                }}
+                style={styles.deleteTaskButton}
+                hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+                accessibilityLabel={`Delete ${item.title}`}
+              >
+                <Ionicons name="trash-outline" size={22} color="#ef4444" />
+              </TouchableOpacity>
+            </View>
+          )}
         </View>
       </View>
     );
@@ -574,7 +798,17 @@ export default function TasksScreen({ project, onBack, selectedTaskId }) {
             {tasks.length} tasks • {calculateProgress()}% complete
           </Text>
         </View>
-        <View style={styles.placeholder} />
+        <TouchableOpacity
+          onPress={() => {
+            // Selection only works in the list
+            selection.clear();
+            setViewMode((mode) => (mode === 'list' ? 'board' : 'list'));
+          }}
+          style={styles.viewToggleButton}
+          accessibilityLabel={viewMode === 'list' ? 'Show board view' : 'Show list view'}
+        >
+          <Ionicons name={viewMode === 'list' ? 'grid-outline' : 'list-outline'} size={22} color="white" />
+        </TouchableOpacity>
       </View>
 
       {/* Progress Bar Section */}
@@ -590,54 +824,118 @@ export default function TasksScreen({ project, onBack, selectedTaskId }) {
         <Text style={styles.progressText}>
           {tasks.filter(task => task.completed).length} of {tasks.length} completed
         </Text>
+        <View style={styles.calendarActions}>
+          <TouchableOpacity
+            onPress={handleExportICalendar}
+            style={styles.calendarActionButton}
+            accessibilityLabel="Export deadlines to calendar file"
+          >
+            <Ionicons name="download-outline" size={16} color="#94a3b8" />
+            <Text style={styles.calendarActionText}>Export .ics</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={handleImportICalendar}
+            style={styles.calendarActionButton}
+            accessibilityLabel="Import tasks from calendar file"
+          >
+            <Ionicons name="cloud-upload-outline" size={16} color="#94a3b8" />
+            <Text style={styles.calendarActionText}>Import .ics</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => setShowBulkAdd(true)}
+            style={styles.calendarActionButton}
+            accessibilityLabel="Add several tasks from pasted text"
+          >
+            <Ionicons name="list-outline" size={16} color="#94a3b8" />
+            <Text style={styles.calendarActionText}>Bulk add</Text>
+          </TouchableOpacity>
+        </View>
       </View>
 
-      {/* Tasks List */}
-      <FlatList
-        ref={flatListRef}
-        data={tasks}
-        renderItem={({ item, ...rest }) => {
-          const isHighlighted = item.id === highlightedTaskId;
-          return (
-            <View style={isHighlighted ? [styles.highlightedTask, styles.taskCard] : styles.taskCard}>
-              {renderTaskItem({ item, ...rest })}
-            </View>
-          );
-        }}
-        keyExtractor={(item) => item.id}
-        contentContainerStyle={[
-          styles.listContainer,
-          tasks.length === 0 && styles.emptyListContainer,
-        ]}
-        refreshControl={
-          <RefreshControl
-            refreshing={isRefreshing}
-            onRefresh={onRefresh}
-            tintColor="#3b82f6"
-            colors={["#3b82f6"]}
-          />
-        }
-        ListEmptyComponent={renderEmptyState}
-        showsVerticalScrollIndicator={false}
-        ItemSeparatorComponent={() => <View style={styles.separator} />}
-        onScrollBeginDrag={() => setHighlightedTaskId(null)}
-      />
-
-
-      {/* Floating Action Button */}
-      <TouchableOpacity 
-        style={styles.fab} 
-        onPress={handleAddTask}
-        accessibilityLabel="Add new task"
-      >
-        <Ionicons name="add" size={32} color="white" />
-      </TouchableOpacity>
+      {/* One-line task entry */}
+      <QuickAddBar project={project} />
+
+      {/* Tasks Board or List */}
+      {viewMode === 'board' ? (
+        <TaskBoard
+          tasks={tasks}
+          statuses={statuses}
+          tasksById={tasksById}
+          onMoveTask={handleMoveTask}
+          onEditTask={handleEditTask}
+        />
+      ) : (
+        <FlatList
+          ref={flatListRef}
+          data={tasks}
+          renderItem={({ item, ...rest }) => {
+            const isHighlighted = item.id === highlightedTaskId;
+            const isSelected = selection.selectedIds.has(item.id);
+            return (
+              <Pressable
+                onPress={(event) => selection.handlePress(item, event)}
+                onLongPress={() => selection.handleLongPress(item)}
+                delayLongPress={350}
+                disabled={!!bulkProgress}
+                accessible={selection.isSelecting}
+                accessibilityRole={selection.isSelecting ? "checkbox" : undefined}
+                accessibilityState={selection.isSelecting ? { checked: isSelected } : undefined}
+                accessibilityLabel={selection.isSelecting ? item.title : undefined}
+                style={[
+                  ...(isHighlighted ? [styles.highlightedTask, styles.taskCard] : [styles.taskCard]),
+                  isSelected && styles.selectedTask,
+                ]}
+              >
+                {renderTaskItem({ item, ...rest })}
+              </Pressable>
+            );
+          }}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={[
+            styles.listContainer,
+            tasks.length === 0 && styles.emptyListContainer,
+            selection.isSelecting && styles.listContainerSelecting,
+          ]}
+          refreshControl={
+            <RefreshControl
+              refreshing={isRefreshing}
+              onRefresh={onRefresh}
+              tintColor="#3b82f6"
+              colors={["#3b82f6"]}
+            />
+          }
+          ListEmptyComponent={renderEmptyState}
+          showsVerticalScrollIndicator={false}
+          ItemSeparatorComponent={() => <View style={styles.separator} />}
+          onScrollBeginDrag={() => setHighlightedTaskId(null)}
+          onScrollToIndexFailed={handleScrollToIndexFailed}
+        />
+      )}
+
+
+      {/* Floating Action Button, or the bulk actions while selecting */}
+      {selection.isSelecting ? (
+        <SelectionBar
+          count={selection.selectedItems.length}
+          totalCount={tasks.length}
+          onSelectAll={selection.selectAll}
+          onClear={selection.clear}
+          actions={bulkActions}
+          progress={bulkProgress}
+        />
+      ) : (
+        <TouchableOpacity 
+          style={styles.fab} 
+          onPress={handleAddTask}
+          accessibilityLabel="Add new task"
+        >
+          <Ionicons name="add" size={32} color="white" />
+        </TouchableOpacity>
+      )}
 
       {/* Add Task Modal */}
-      <Modal
+      <AppModal
         visible={showAddTask}
-        animationType="slide"
-        presentationStyle="fullScreen"
         onRequestClose={() => handleCloseAddTask(false)}
       >
         <AddTaskScreen 
@@ -645,13 +943,22 @@ export default function TasksScreen({ project, onBack, selectedTaskId }) {
           onClose={handleCloseAddTask}
           onSuccess={() => handleCloseAddTask(true)}
         />
-      </Modal>
+      </AppModal>
+
+      {/* Bulk Add Modal */}
+      <AppModal
+        visible={showBulkAdd}
+        onRequestClose={() => setShowBulkAdd(false)}
+      >
+        <BulkAddTasksScreen
+          project={project}
+          onClose={() => setShowBulkAdd(false)}
+        />
+      </AppModal>
 
       {/* Edit Task Modal */}
-      <Modal
+      <AppModal
         visible={showEditTask}
-        animationType="slide"
-        presentationStyle="fullScreen"
         onRequestClose={() => {
           setShowEditTask(false);
           setTaskToEdit(null);
@@ -667,7 +974,7 @@ export default function TasksScreen({ project, onBack, selectedTaskId }) {
           }}
           onTaskUpdated={handleTaskUpdated}
         />
-      </Modal>
+      </AppModal>
     </View>
   );
 }
@@ -711,8 +1018,8 @@ const styles = StyleSheet.create({
     color: "#94a3b8",
     marginTop: 2,
   },
-  placeholder: {
-    width: 40,
+  viewToggleButton: {
+    padding: 8,
   },
   progressSection: {
     paddingHorizontal: 20,
@@ -738,10 +1045,36 @@ const styles = StyleSheet.create({
     fontSize: 14,
     textAlign: "center",
   },
+  calendarActions: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    justifyContent: "center",
+    gap: 12,
+    marginTop: 12,
+  },
+  calendarActionButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#334155",
+  },
+  calendarActionText: {
+    color: "#94a3b8",
+    fontSize: 13,
+    fontWeight: "600",
+  },
   listContainer: {
     padding: 16,
     paddingBottom: 100,
   },
+  listContainerSelecting: {
+    // Keep the last card clear of the selection bar
+    paddingBottom: 180,
+  },
   emptyListContainer: {
     flexGrow: 1,
   },
@@ -760,6 +1093,10 @@ const styles = StyleSheet.create({
     borderColor: '#f59e0b',
     backgroundColor: 'rgba(251, 191, 36, 0.13)', // subtle yellow highlight
   },
+  selectedTask: {
+    borderColor: "#f97316",
+    backgroundColor: "rgba(249, 115, 22, 0.1)",
+  },
   taskHeader: {
     flexDirection: "row",
     alignItems: "flex-start",
@@ -832,6 +1169,75 @@ const styles = StyleSheet.create({
     color: "#ef4444",
     fontWeight: "600",
   },
+  repeatBadge: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    maxWidth: 200,
+  },
+  repeatBadgeText: {
+    color: "#94a3b8",
+    fontSize: 12,
+    flexShrink: 1,
+  },
+  blockedBadge: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 8,
+    backgroundColor: "rgba(245, 158, 11, 0.15)",
+    maxWidth: 180,
+  },
+  blockedBadgeText: {
+    color: "#f59e0b",
+    fontSize: 12,
+    fontWeight: "600",
+    flexShrink: 1,
+  },
+  checklistBadge: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 8,
+    backgroundColor: "#334155",
+  },
+  checklistBadgeText: {
+    color: "#cbd5e1",
+    fontSize: 12,
+    fontWeight: "600",
+  },
+  tagChip: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 8,
+    backgroundColor: "rgba(59, 130, 246, 0.15)",
+    maxWidth: 140,
+  },
+  tagText: {
+    color: "#93c5fd",
+    fontSize: 12,
+    fontWeight: "600",
+  },
+  checklistItem: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 6,
+    marginTop: 4,
+  },
+  checklistItemText: {
+    flex: 1,
+    color: "#cbd5e1",
+    fontSize: 14,
+    marginLeft: 8,
+  },
+  checklistItemTextDone: {
+    color: "#64748b",
+    textDecorationLine: "line-through",
+  },
   actionButtonsContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -0,0 +1,480 @@
+/**
+ * TimelineScreen.js - Gantt-style Timeline of Projects and Tasks
+ *
+ * This screen lays out every project as a bar from its start date to its
+ * deadline, with the following features:
+ * - Projects expand to show a bar per task
+ * - Items with only one date are shown as milestones (diamonds)
+ * - Week / month / quarter zoom levels
+ * - Today marker, with a button to scroll back to it
+ * - "Blocked by" arrows between task bars (red when the schedule conflicts)
+ * - Tapping a bar opens its project
+ * - Real-time data from the shared DataContext store
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView } from 'react-native';
+import Ionicons from '@expo/vector-icons/Ionicons';
+import Header from '../components/Header';
+import { useData } from '../contexts/DataContext';
+import {
+  ZOOM_LEVELS,
+  daysBetween,
+  buildTimelineRows,
+  getTimelineRange,
+  getTimelineTicks,
+  getDependencyLinks,
+} from '../utils/timeline';
+
+const ROW_HEIGHT = 44;
+const AXIS_HEIGHT = 32;
+const LABEL_WIDTH = 150;
+const BAR_HEIGHT = 24;
+const MILESTONE_SIZE = 14;
+// Horizontal run of a dependency arrow before it turns
+const ARROW_STUB = 8;
+
+const PRIORITY_COLORS = {
+  urgent: '#ef4444',
+  medium: '#f59e0b',
+  low: '#10b981',
+};
+
+/**
+ * Line segments of an elbow arrow from the end of the blocker's bar to
+ * the start of the dependent's bar. When the dependent starts too early
+ * for a straight elbow, the arrow doubles back between the rows.
+ */
+function getArrowSegments(x1, y1, x2, y2) {
+  const segments = [];
+  const horizontal = (y, fromX, toX) =>
+    segments.push({ left: Math.min(fromX, toX), top: y, width: Math.abs(toX - fromX) + 1, height: 1 });
+  const vertical = (x, fromY, toY) =>
+    segments.push({ left: x, top: Math.min(fromY, toY), width: 1, height: Math.abs(toY - fromY) + 1 });
+
+  const turnX = x1 + ARROW_STUB;
+  if (x2 - ARROW_STUB >= turnX) {
+    horizontal(y1, x1, turnX);
+    vertical(turnX, y1, y2);
+    horizontal(y2, turnX, x2);
+  } else {
+    const backX = x2 - ARROW_STUB;
+    const betweenY = y2 - Math.sign(y2 - y1) * (ROW_HEIGHT / 2);
+    horizontal(y1, x1, turnX);
+    vertical(turnX, y1, betweenY);
+    horizontal(betweenY, backX, turnX);
+    vertical(backX, betweenY, y2);
+    horizontal(y2, backX, x2);
+  }
+  return segments;
+}
+
+export default function TimelineScreen({ navigation, openSidebar }) {
+  const { projects, tasksByProject } = useData();
+  const [zoom, setZoom] = useState('month');
+  const [expandedIds, setExpandedIds] = useState(() => new Set());
+  const [viewportWidth, setViewportWidth] = useState(0);
+  const scrollRef = useRef(null);
+
+  const today = new Date();
+  const rows = useMemo(
+    () => buildTimelineRows(projects, tasksByProject, expandedIds),
+    [projects, tasksByProject, expandedIds]
+  );
+  const range = useMemo(() => getTimelineRange(rows), [rows]);
+  const ticks = useMemo(() => getTimelineTicks(range, zoom), [range, zoom]);
+  const links = useMemo(() => getDependencyLinks(rows), [rows]);
+
+  const { dayWidth } = ZOOM_LEVELS[zoom];
+  const contentWidth = range.days * dayWidth;
+  const todayX = (daysBetween(range.start, today) + 0.5) * dayWidth;
+  const hasDates = rows.some((row) => row.span);
+
+  // Horizontal position and width of a row's bar
+  const getBarFrame = (span) => ({
+    left: daysBetween(range.start, span.start) * dayWidth,
+    width: (daysBetween(span.start, span.end) + 1) * dayWidth,
+  });
+
+  const scrollToToday = (animated = true) => {
+    scrollRef.current?.scrollTo({ x: Math.max(0, todayX - viewportWidth / 3), animated });
+  };
+
+  // Keep today in view when the zoom level or the viewport changes
+  useEffect(() => {
+    if (viewportWidth > 0) scrollToToday(false);
+  }, [zoom, viewportWidth]);
+
+  const toggleExpanded = (projectId) => {
+    setExpandedIds((current) => {
+      const next = new Set(current);
+      if (next.has(projectId)) {
+        next.delete(projectId);
+      } else {
+        next.add(projectId);
+      }
+      return next;
+    });
+  };
+
+  const openProject = (row) => {
+    const projectId = row.type === 'project' ? row.item.id : row.item.projectId;
+    navigation.navigate('Projects', { openProjectId: projectId });
+  };
+
+  const renderBar = (row, index) => {
+    if (!row.span) return null;
+    const { left, width } = getBarFrame(row.span);
+    const top = index * ROW_HEIGHT + (ROW_HEIGHT - BAR_HEIGHT) / 2;
+    const color = row.type === 'project'
+      ? '#6366f1'
+      : PRIORITY_COLORS[row.item.priority?.toLowerCase()] || '#64748b';
+    const isDone = row.type === 'task' && row.item.completed;
+
+    if (row.span.isMilestone) {
+      return (
+        <TouchableOpacity
+          key={row.key}
+          style={[
+            styles.milestone,
+            {
+              left: left + (width - MILESTONE_SIZE) / 2,
+              top: index * ROW_HEIGHT + (ROW_HEIGHT - MILESTONE_SIZE) / 2,
+              backgroundColor: color,
+            },
+            isDone && styles.barDone,
+          ]}
+          onPress={() => openProject(row)}
+          accessibilityLabel={`${row.item.title}, milestone`}
+        />
+      );
+    }
+
+    return (
+      <TouchableOpacity
+        key={row.key}
+        style={[
+          styles.bar,
+          { left, top, width, backgroundColor: row.type === 'project' ? `${color}cc` : color },
+          isDone && styles.barDone,
+        ]}
+        onPress={() => openProject(row)}
+        accessibilityLabel={row.item.title}
+      >
+        {width >= 40 && (
+          <Text style={styles.barText} numberOfLines={1}>{row.item.title}</Text>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  const renderLink = (link) => {
+    const from = getBarFrame(rows[link.fromIndex].span);
+    const to = getBarFrame(rows[link.toIndex].span);
+    const y1 = link.fromIndex * ROW_HEIGHT + ROW_HEIGHT / 2;
+    const y2 = link.toIndex * ROW_HEIGHT + ROW_HEIGHT / 2;
+    const color = link.isConflict ? '#ef4444' : '#94a3b8';
+
+    return (
+      <View key={link.key} pointerEvents="none" style={StyleSheet.absoluteFill}>
+        {getArrowSegments(from.left + from.width, y1, to.left, y2).map((segment, i) => (
+          <View key={i} style={[styles.linkSegment, segment, { backgroundColor: color }]} />
+        ))}
+        <Ionicons
+          name="caret-forward"
+          size={10}
+          color={color}
+          style={[styles.linkHead, { left: to.left - 9, top: y2 - 5 }]}
+        />
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Header title="Timeline" onMenuPress={openSidebar} navigation={navigation} />
+
+      <View style={styles.toolbar}>
+        <View style={styles.zoomGroup}>
+          {Object.entries(ZOOM_LEVELS).map(([key, level]) => (
+            <TouchableOpacity
+              key={key}
+              style={[styles.zoomChip, zoom === key && styles.zoomChipActive]}
+              onPress={() => setZoom(key)}
+              accessibilityLabel={`Zoom to ${level.label.toLowerCase()}`}
+            >
+              <Text style={[styles.zoomText, zoom === key && styles.zoomTextActive]}>{level.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <TouchableOpacity style={styles.todayButton} onPress={() => scrollToToday()}>
+          <Ionicons name="today-outline" size={16} color="#3b82f6" />
+          <Text style={styles.todayButtonText}>Today</Text>
+        </TouchableOpacity>
+      </View>
+
+      {rows.length === 0 || !hasDates ? (
+        <View style={styles.emptyState}>
+          <Ionicons name="git-commit-outline" size={48} color="#475569" />
+          <Text style={styles.emptyText}>
+            {rows.length === 0
+              ? 'No projects yet.'
+              : 'Add start dates or deadlines to your projects and tasks to see them here.'}
+          </Text>
+        </View>
+      ) : (
+        <ScrollView contentContainerStyle={styles.scrollContent}>
+          <View style={styles.chart}>
+            {/* Project and task names */}
+            <View style={styles.labelColumn}>
+              <View style={styles.axisSpacer} />
+              {rows.map((row) => (
+                <View key={row.key} style={styles.labelRow}>
+                  {row.type === 'project' ? (
+                    <TouchableOpacity
+                      style={styles.projectLabel}
+                      onPress={() => toggleExpanded(row.item.id)}
+                      disabled={row.taskCount === 0}
+                      accessibilityLabel={`${expandedIds.has(row.item.id) ? 'Collapse' : 'Expand'} ${row.item.title}`}
+                    >
+                      <Ionicons
+                        name={expandedIds.has(row.item.id) ? 'chevron-down' : 'chevron-forward'}
+                        size={14}
+                        color={row.taskCount === 0 ? '#334155' : '#94a3b8'}
+                      />
+                      <Text style={styles.projectLabelText} numberOfLines={1}>{row.item.title}</Text>
+                    </TouchableOpacity>
+                  ) : (
+                    <Text
+                      style={[styles.taskLabelText, row.item.completed && styles.taskLabelDone]}
+                      numberOfLines={1}
+                    >
+                      {row.item.title}
+                    </Text>
+                  )}
+                </View>
+              ))}
+            </View>
+
+            {/* Scrollable bars */}
+            <ScrollView
+              ref={scrollRef}
+              horizontal
+              style={styles.barsScroll}
+              onLayout={(event) => setViewportWidth(event.nativeEvent.layout.width)}
+            >
+              <View style={{ width: contentWidth }}>
+                <View style={styles.axis}>
+                  {ticks.map((tick) => (
+                    <Text
+                      key={tick.key}
+                      style={[styles.tickLabel, { left: tick.offset * dayWidth }]}
+                      numberOfLines={1}
+                    >
+                      {tick.label}
+                    </Text>
+                  ))}
+                </View>
+
+                <View style={{ height: rows.length * ROW_HEIGHT }}>
+                  {ticks.map((tick) => (
+                    <View key={tick.key} style={[styles.gridLine, { left: tick.offset * dayWidth }]} />
+                  ))}
+                  {rows.map((row, index) => (
+                    <View key={row.key} style={[styles.rowLine, { top: (index + 1) * ROW_HEIGHT - 1 }]} />
+                  ))}
+                  {links.map(renderLink)}
+                  {rows.map(renderBar)}
+                </View>
+
+                <View
+                  pointerEvents="none"
+                  style={[styles.todayLine, { left: todayX }]}
+                />
+              </View>
+            </ScrollView>
+          </View>
+        </ScrollView>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0f172a',
+  },
+  toolbar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#1e293b',
+  },
+  zoomGroup: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  zoomChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#1e293b',
+    borderWidth: 1,
+    borderColor: '#334155',
+  },
+  zoomChipActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  zoomText: {
+    color: '#cbd5e1',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  zoomTextActive: {
+    color: 'white',
+  },
+  todayButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#3b82f6',
+  },
+  todayButtonText: {
+    color: '#3b82f6',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  emptyState: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 32,
+  },
+  emptyText: {
+    color: '#94a3b8',
+    fontSize: 16,
+    textAlign: 'center',
+    marginTop: 12,
+    lineHeight: 22,
+  },
+  scrollContent: {
+    paddingBottom: 32,
+  },
+  chart: {
+    flexDirection: 'row',
+  },
+  labelColumn: {
+    width: LABEL_WIDTH,
+    borderRightWidth: 1,
+    borderRightColor: '#334155',
+    backgroundColor: '#0f172a',
+  },
+  axisSpacer: {
+    height: AXIS_HEIGHT,
+    borderBottomWidth: 1,
+    borderBottomColor: '#334155',
+  },
+  labelRow: {
+    height: ROW_HEIGHT,
+    justifyContent: 'center',
+    paddingHorizontal: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#1e293b',
+  },
+  projectLabel: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  projectLabelText: {
+    flex: 1,
+    color: 'white',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  taskLabelText: {
+    color: '#cbd5e1',
+    fontSize: 13,
+    paddingLeft: 18,
+  },
+  taskLabelDone: {
+    color: '#64748b',
+    textDecorationLine: 'line-through',
+  },
+  barsScroll: {
+    flex: 1,
+  },
+  axis: {
+    height: AXIS_HEIGHT,
+    borderBottomWidth: 1,
+    borderBottomColor: '#334155',
+  },
+  tickLabel: {
+    position: 'absolute',
+    top: 8,
+    paddingLeft: 4,
+    color: '#94a3b8',
+    fontSize: 11,
+    width: 80,
+  },
+  gridLine: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    width: 1,
+    backgroundColor: '#1e293b',
+  },
+  rowLine: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    height: 1,
+    backgroundColor: '#1e293b',
+  },
+  bar: {
+    position: 'absolute',
+    height: BAR_HEIGHT,
+    minWidth: 4,
+    borderRadius: 6,
+    justifyContent: 'center',
+    paddingHorizontal: 6,
+    overflow: 'hidden',
+  },
+  barDone: {
+    opacity: 0.4,
+  },
+  barText: {
+    color: 'white',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  milestone: {
+    position: 'absolute',
+    width: MILESTONE_SIZE,
+    height: MILESTONE_SIZE,
+    borderRadius: 2,
+    transform: [{ rotate: '45deg' }],
+  },
+  linkSegment: {
+    position: 'absolute',
+  },
+  linkHead: {
+    position: 'absolute',
+  },
+  todayLine: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    width: 2,
+    backgroundColor: '#ef4444',
+  },
+});
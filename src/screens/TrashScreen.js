@@ -0,0 +1,376 @@
+/**
+ * TrashScreen.js - Deleted Projects and Tasks
+ *
+ * Lists everything the user has moved to the Trash:
+ * - Trashed projects (their tasks are restored or deleted with them)
+ * - Tasks trashed on their own, with the project they belong to
+ * - Restore and permanent delete for each item, plus Empty Trash
+ * - Days remaining before automatic purge (see Settings > Trash)
+ *
+ * Permanently deleting a project removes its tasks in batched writes and
+ * shows on the row how many the server has deleted so far; the project
+ * itself goes once all of them are gone.
+ *
+ * @param {Object} navigation - React Navigation object for screen navigation
+ * @param {Function} openSidebar - Function to open the sidebar menu
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import Ionicons from '@expo/vector-icons/Ionicons';
+import Header from '../components/Header';
+import { useData } from '../contexts/DataContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { restoreProject, deleteProject } from '../services/projectsService';
+import { restoreTask, deleteTask } from '../services/tasksService';
+import { getDaysUntilPurge } from '../utils/dataSelectors';
+import { toJsDate } from '../utils/dateUtils';
+import { useSnackbar } from '../components/Snackbar';
+import { useDialog } from '../components/Dialog';
+
+const TrashScreen = ({ navigation, openSidebar }) => {
+  const { trashedProjects, trashedTasks, projectsById } = useData();
+  const { preferences } = usePreferences();
+  const { showSnackbar } = useSnackbar();
+  const dialog = useDialog();
+  // Items with a request in flight: { [id]: { deletedTasks, totalTasks } | true }
+  const [busy, setBusy] = useState({});
+
+  const retentionDays = preferences.trashRetentionDays;
+  const isEmpty = trashedProjects.length === 0 && trashedTasks.length === 0;
+
+  const setItemBusy = (id, value) => {
+    setBusy((prev) => {
+      const next = { ...prev };
+      if (value) next[id] = value;
+      else delete next[id];
+      return next;
+    });
+  };
+
+  /**
+   * Ask for confirmation before a permanent delete
+   */
+  const confirmPermanentDelete = (title, message) => dialog.confirm({
+    title,
+    message,
+    confirmLabel: 'Delete Forever',
+    destructive: true,
+  });
+
+  const showError = (message) => showSnackbar(message, { type: 'error' });
+
+  /**
+   * Restore an item, showing a spinner on the row until it finishes
+   */
+  const handleRestore = async (item, restore) => {
+    setItemBusy(item.id, true);
+    try {
+      await restore(item.id);
+      showSnackbar(`"${item.title}" restored`, { type: 'success' });
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setItemBusy(item.id, null);
+    }
+  };
+
+  /**
+   * Permanently delete a project and its tasks, showing on the row how many
+   * task deletes the server has acknowledged
+   */
+  const purgeProject = async (project) => {
+    setItemBusy(project.id, { deletedTasks: 0, totalTasks: 0 });
+    try {
+      await deleteProject(project, {
+        onProgress: (progress) => setItemBusy(project.id, progress),
+      });
+      return true;
+    } catch (error) {
+      const partial = error.deletedTasks > 0
+        ? `\n\nDeleted ${error.deletedTasks} of ${error.totalTasks} tasks before the error. The project was kept; delete it again to finish.`
+        : '';
+      dialog.error('Delete Error', `${error.message}${partial}`);
+      return false;
+    } finally {
+      setItemBusy(project.id, null);
+    }
+  };
+
+  /**
+   * Permanently delete a single task
+   */
+  const purgeTask = async (task) => {
+    setItemBusy(task.id, true);
+    try {
+      await deleteTask(task.id);
+      return true;
+    } catch (error) {
+      showError(error.message);
+      return false;
+    } finally {
+      setItemBusy(task.id, null);
+    }
+  };
+
+  const handleDeleteProject = async (project) => {
+    const confirmed = await confirmPermanentDelete(
+      'Delete Forever',
+      `Permanently delete "${project.title}" and all of its tasks? This cannot be undone.`
+    );
+    if (confirmed) await purgeProject(project);
+  };
+
+  const handleDeleteTask = async (task) => {
+    const confirmed = await confirmPermanentDelete(
+      'Delete Forever',
+      `Permanently delete "${task.title}"? This cannot be undone.`
+    );
+    if (confirmed) await purgeTask(task);
+  };
+
+  /**
+   * Permanently delete everything in the Trash, one item at a time
+   */
+  const handleEmptyTrash = async () => {
+    const count = trashedProjects.length + trashedTasks.length;
+    const confirmed = await confirmPermanentDelete(
+      'Empty Trash',
+      `Permanently delete ${count} item${count === 1 ? '' : 's'}? This cannot be undone.`
+    );
+    if (!confirmed) return;
+
+    for (const project of trashedProjects) {
+      if (!(await purgeProject(project))) return;
+    }
+    for (const task of trashedTasks) {
+      if (!(await purgeTask(task))) return;
+    }
+  };
+
+  /**
+   * "Deleted 3 Oct · purged in 27 days"
+   */
+  const getTrashInfo = (item) => {
+    const deletedAt = toJsDate(item.deletedAt);
+    const deletedText = deletedAt ? `Deleted ${deletedAt.toLocaleDateString()}` : 'Deleted';
+    const daysLeft = getDaysUntilPurge(item, retentionDays);
+    if (daysLeft === null) return deletedText;
+    if (daysLeft === 0) return `${deletedText} · purging now`;
+    return `${deletedText} · purged in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+  };
+
+  const renderItem = (item, { icon, subtitle, onRestore, onDelete }) => {
+    const itemBusy = busy[item.id];
+    const progress = itemBusy && itemBusy.totalTasks
+      ? `Deleting... ${itemBusy.deletedTasks}/${itemBusy.totalTasks} tasks`
+      : null;
+
+    return (
+      <View key={item.id} style={styles.itemCard}>
+        <Ionicons name={icon} size={22} color="#64748b" style={styles.itemIcon} />
+        <View style={styles.itemInfo}>
+          <Text style={styles.itemTitle} numberOfLines={1}>{item.title}</Text>
+          {subtitle ? <Text style={styles.itemSubtitle} numberOfLines={1}>{subtitle}</Text> : null}
+          <Text style={styles.itemMeta}>{progress || getTrashInfo(item)}</Text>
+        </View>
+        {itemBusy ? (
+          <ActivityIndicator size="small" color="#ef4444" />
+        ) : (
+          <View style={styles.itemActions}>
+            <TouchableOpacity
+              style={styles.restoreButton}
+              onPress={onRestore}
+              accessibilityLabel={`Restore ${item.title}`}
+            >
+              <Ionicons name="arrow-undo-outline" size={20} color="#10b981" />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.deleteButton}
+              onPress={onDelete}
+              accessibilityLabel={`Delete ${item.title} forever`}
+            >
+              <Ionicons name="trash-outline" size={20} color="#ef4444" />
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Header title="Trash" onMenuPress={openSidebar} navigation={navigation} />
+      <ScrollView style={styles.content} contentContainerStyle={styles.contentContainer}>
+        <View style={styles.summaryRow}>
+          <Text style={styles.summaryText}>
+            {retentionDays
+              ? `Items are permanently deleted after ${retentionDays} days.`
+              : 'Items stay in the Trash until you delete them.'}
+          </Text>
+          {!isEmpty && (
+            <TouchableOpacity style={styles.emptyButton} onPress={handleEmptyTrash}>
+              <Text style={styles.emptyButtonText}>Empty Trash</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        {isEmpty ? (
+          <View style={styles.emptyState}>
+            <Ionicons name="trash-outline" size={64} color="#334155" />
+            <Text style={styles.emptyTitle}>Trash is empty</Text>
+            <Text style={styles.emptySubtitle}>Deleted projects and tasks appear here</Text>
+          </View>
+        ) : (
+          <>
+            {trashedProjects.length > 0 && (
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Projects</Text>
+                {trashedProjects.map((project) => renderItem(project, {
+                  icon: 'folder-outline',
+                  subtitle: 'Includes all of its tasks',
+                  onRestore: () => handleRestore(project, restoreProject),
+                  onDelete: () => handleDeleteProject(project),
+                }))}
+              </View>
+            )}
+
+            {trashedTasks.length > 0 && (
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Tasks</Text>
+                {trashedTasks.map((task) => renderItem(task, {
+                  icon: 'checkbox-outline',
+                  subtitle: projectsById[task.projectId]?.title || 'Unknown Project',
+                  onRestore: () => handleRestore(task, restoreTask),
+                  onDelete: () => handleDeleteTask(task),
+                }))}
+              </View>
+            )}
+          </>
+        )}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0f172a',
+  },
+  content: {
+    flex: 1,
+  },
+  contentContainer: {
+    padding: 20,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 24,
+  },
+  summaryText: {
+    flex: 1,
+    color: '#94a3b8',
+    fontSize: 14,
+    marginRight: 12,
+  },
+  emptyButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    backgroundColor: 'rgba(239, 68, 68, 0.1)',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: 'rgba(239, 68, 68, 0.3)',
+  },
+  emptyButtonText: {
+    color: '#ef4444',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  section: {
+    marginBottom: 32,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    color: '#f97316',
+    fontWeight: '600',
+    marginBottom: 16,
+    paddingLeft: 4,
+  },
+  itemCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1e293b',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: '#334155',
+  },
+  itemIcon: {
+    marginRight: 12,
+  },
+  itemInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  itemTitle: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  itemSubtitle: {
+    color: '#94a3b8',
+    fontSize: 13,
+    marginTop: 2,
+  },
+  itemMeta: {
+    color: '#64748b',
+    fontSize: 12,
+    marginTop: 4,
+  },
+  itemActions: {
+    flexDirection: 'row',
+  },
+  restoreButton: {
+    padding: 8,
+    backgroundColor: 'rgba(16, 185, 129, 0.1)',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: 'rgba(16, 185, 129, 0.3)',
+  },
+  deleteButton: {
+    padding: 8,
+    marginLeft: 8,
+    backgroundColor: 'rgba(239, 68, 68, 0.1)',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: 'rgba(239, 68, 68, 0.3)',
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 80,
+  },
+  emptyTitle: {
+    color: 'white',
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginTop: 16,
+  },
+  emptySubtitle: {
+    color: '#64748b',
+    fontSize: 14,
+    marginTop: 8,
+  },
+});
+
+export default TrashScreen;
@@ -0,0 +1,86 @@
+/**
+ * batchWrites.js - Chunked Firestore Batch Commits
+ *
+ * Firestore limits a single write batch to 500 operations. These helpers
+ * split larger jobs into consecutive batches so each chunk is applied
+ * all-or-nothing, and report progress as they go.
+ */
+
+import { writeBatch } from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { trackWrite } from './syncQueue';
+
+// Firestore's hard limit on operations per batch
+export const MAX_BATCH_SIZE = 500;
+
+/**
+ * Split an array into chunks of at most `size` items
+ */
+export function chunk(items, size = MAX_BATCH_SIZE) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Let the UI render (e.g. a progress bar) before queueing the next batch
+ */
+const yieldToUi = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * Queue an operation for every item in as few batches as possible, without
+ * waiting for the server
+ *
+ * Each batch is applied to the local cache as soon as it is committed and
+ * listed in the sync queue until the server acknowledges it, so large jobs
+ * work offline like single writes. `onProgress` counts queued items; jobs
+ * that must know what actually reached the server (e.g. before deleting a
+ * parent document) use `onSynced` and the returned `synced` promise.
+ *
+ * @param {string} label - Sync queue label, e.g. 'Update 1200 tasks'
+ * @param {Array} items - Items to write
+ * @param {Function} addToBatch - `(batch, item) => void`, queues the write for one item
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with `(queuedCount, totalCount)` after each batch
+ * @param {Function} [options.onSynced] - Called with `(syncedCount, totalCount)` as the server
+ *   acknowledges each batch
+ * @param {number} [options.batchSize] - Items per batch; lower it when one item takes several writes
+ * @returns {Promise<Object>} `{ queuedCount, synced }`, where `synced` resolves with
+ *   `{ syncedCount, error }` once every batch has been acknowledged or rejected;
+ *   `error` is the first rejection, or null
+ */
+export async function queueInBatches(label, items, addToBatch, { onProgress, onSynced, batchSize = MAX_BATCH_SIZE } = {}) {
+  const total = items.length;
+  const chunks = chunk(items, batchSize);
+
+  let queuedCount = 0;
+  let syncedCount = 0;
+  let firstError = null;
+  const commits = [];
+  for (let i = 0; i < chunks.length; i++) {
+    if (i > 0) await yieldToUi();
+    const batch = writeBatch(db);
+    chunks[i].forEach((item) => addToBatch(batch, item));
+
+    const part = chunks.length > 1 ? ` (part ${i + 1} of ${chunks.length})` : '';
+    const commit = batch.commit();
+    trackWrite(`${label}${part}`, commit);
+    commits.push(commit.then(
+      () => {
+        syncedCount += chunks[i].length;
+        if (onSynced) onSynced(syncedCount, total);
+      },
+      (error) => {
+        if (!firstError) firstError = error;
+      }
+    ));
+
+    queuedCount += chunks[i].length;
+    if (onProgress) onProgress(queuedCount, total);
+  }
+
+  const synced = Promise.all(commits).then(() => ({ syncedCount, error: firstError }));
+  return { queuedCount, synced };
+}
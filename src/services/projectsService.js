@@ -0,0 +1,419 @@
+/**
+ * projectsService.js - Project Data Access Layer
+ *
+ * Owns every Firestore and Storage call for projects:
+ * - Real-time subscriptions to a user's projects
+ * - Creating, updating and deleting project documents
+ * - Uploading and removing project images
+ * - Moving projects to the Trash and restoring them
+ * - Applying multi-select actions to many projects in batched writes
+ * - Recording when a project was completed or reopened
+ * - Cascading permanent deletes of a project's tasks in batched writes
+ *
+ * Screens call these functions instead of building queries themselves,
+ * so the storage schema only has to change here.
+ *
+ * Writes are applied to the local cache and tracked by the sync queue
+ * instead of awaited, so they work offline. Image uploads and removals
+ * are queued tasks that run whenever the app is online.
+ */
+
+import {
+  collection,
+  query,
+  where,
+  onSnapshot,
+  orderBy,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  getDocs,
+  doc,
+  Timestamp,
+  serverTimestamp,
+  arrayUnion,
+} from 'firebase/firestore';
+import {
+  ref,
+  uploadBytes,
+  getDownloadURL,
+  deleteObject,
+} from 'firebase/storage';
+import { db, storage } from '../config/firebase';
+import { runServiceCall, toServiceError } from './serviceErrors';
+import { queueInBatches } from './batchWrites';
+import { trackWrite, queueTask, registerTaskHandler } from './syncQueue';
+import { getBulkChanges, getBulkActionVerb } from '../utils/bulkEdit';
+
+const PROJECTS_COLLECTION = 'projects';
+const IMAGE_UPLOAD_TASK = 'projectImage';
+const IMAGE_DELETE_TASK = 'projectImageDelete';
+
+/**
+ * Convert a Date (or null) into a Firestore Timestamp (or null)
+ */
+const toTimestamp = (date) => (date ? Timestamp.fromDate(date) : null);
+
+/**
+ * Convert the Date values of a change set into Firestore Timestamps
+ */
+const toFirestoreFields = (changes) => Object.fromEntries(
+  Object.entries(changes).map(([field, value]) => [field, value instanceof Date ? Timestamp.fromDate(value) : value])
+);
+
+/**
+ * Subscribe to all projects owned by a user, newest first
+ *
+ * @param {string} userId - Owner of the projects
+ * @param {Function} onChange - Called with an array of `{ id, ...data }` projects
+ *   and the snapshot metadata (`fromCache` is true while the server is unreachable)
+ * @param {Function} [onError] - Called with a mapped error if the listener fails
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToProjects(userId, onChange, onError) {
+  const projectsQuery = query(
+    collection(db, PROJECTS_COLLECTION),
+    where('userId', '==', userId),
+    orderBy('createdAt', 'desc')
+  );
+
+  return onSnapshot(
+    projectsQuery,
+    { includeMetadataChanges: true },
+    (querySnapshot) => {
+      const projects = [];
+      querySnapshot.forEach((docSnap) => {
+        // Estimate server timestamps of unsynced writes so offline items sort and display
+        projects.push({ id: docSnap.id, ...docSnap.data({ serverTimestamps: 'estimate' }) });
+      });
+      onChange(projects, querySnapshot.metadata);
+    },
+    (error) => {
+      console.error('Projects listener error:', error);
+      if (onError) onError(toServiceError(error, 'Failed to load projects. Please try again.'));
+    }
+  );
+}
+
+/**
+ * Upload a picked image asset to Storage and return its download URL
+ *
+ * @param {string} userId - Owner of the image (used in the storage path)
+ * @param {Object} imageAsset - Asset returned by expo-image-picker
+ */
+export function uploadProjectImage(userId, imageAsset) {
+  return runServiceCall('uploading project image', 'Failed to upload image. Please try again.', async () => {
+    const filename = `projects/${userId}/${Date.now()}_${Math.random().toString(36).substring(7)}.jpg`;
+
+    const response = await fetch(imageAsset.uri);
+    const blob = await response.blob();
+
+    const imageRef = ref(storage, filename);
+    await uploadBytes(imageRef, blob);
+
+    return getDownloadURL(imageRef);
+  });
+}
+
+/**
+ * Remove a project image from Storage. Failures are logged, not thrown,
+ * because a stale image must never block a project update or delete.
+ *
+ * @param {string} imageUrl - Download URL stored on the project
+ */
+export async function deleteProjectImage(imageUrl) {
+  if (!imageUrl) return;
+  try {
+    await deleteObject(ref(storage, imageUrl));
+    console.log('Project image deleted successfully');
+  } catch (error) {
+    console.error('Error deleting project image:', error);
+  }
+}
+
+/**
+ * Queue an image upload for a project; the project's `imageUrl` is set
+ * once the upload has finished
+ *
+ * @param {string} userId - Owner of the project
+ * @param {string} projectId - Project to attach the image to
+ * @param {string} title - Project title, used in the pending list
+ * @param {Object} imageAsset - Asset returned by expo-image-picker
+ * @param {string|null} previousImageUrl - Image to remove after the upload
+ */
+function queueProjectImage(userId, projectId, title, imageAsset, previousImageUrl) {
+  return queueTask(IMAGE_UPLOAD_TASK, `Upload image for "${title}"`, userId, {
+    userId,
+    projectId,
+    uri: imageAsset.uri,
+    previousImageUrl: previousImageUrl || null,
+  });
+}
+
+/**
+ * Replay a queued image upload (see syncQueue)
+ */
+registerTaskHandler(IMAGE_UPLOAD_TASK, async ({ userId, projectId, uri, previousImageUrl }) => {
+  const imageUrl = await uploadProjectImage(userId, { uri });
+  try {
+    await updateDoc(doc(db, PROJECTS_COLLECTION, projectId), {
+      imageUrl,
+      updatedAt: serverTimestamp(),
+    });
+  } catch (error) {
+    // The project is gone or unreachable; don't leave the new file behind
+    await deleteProjectImage(imageUrl);
+    throw error;
+  }
+  await deleteProjectImage(previousImageUrl);
+});
+
+/**
+ * Replay a queued image removal (see syncQueue). An image that is already
+ * gone counts as removed.
+ */
+registerTaskHandler(IMAGE_DELETE_TASK, async ({ imageUrl }) => {
+  try {
+    await deleteObject(ref(storage, imageUrl));
+  } catch (error) {
+    if (error.code !== 'storage/object-not-found') throw error;
+  }
+});
+
+/**
+ * Create a new project. The image, if one was picked, is uploaded in the
+ * background once the app is online.
+ *
+ * @param {string} userId - Owner of the new project
+ * @param {Object} fields - `{ title, description, startDate, deadline, priority, imageAsset }`
+ * @returns {Promise<string>} ID of the created project
+ */
+export function createProject(userId, { title, description, startDate, deadline, priority, imageAsset }) {
+  return runServiceCall('creating project', 'Failed to create project. Please try again.', async () => {
+    const projectRef = doc(collection(db, PROJECTS_COLLECTION));
+
+    trackWrite(`Create project "${title}"`, setDoc(projectRef, {
+      userId,
+      title,
+      description,
+      startDate: toTimestamp(startDate),
+      deadline: toTimestamp(deadline),
+      priority,
+      imageUrl: null,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    }));
+
+    if (imageAsset) {
+      await queueProjectImage(userId, projectRef.id, title, imageAsset, null);
+    }
+
+    console.log('Project created with ID:', projectRef.id);
+    return projectRef.id;
+  });
+}
+
+/**
+ * Update an existing project. A newly picked image replaces the current
+ * one once its queued upload has finished.
+ *
+ * @param {Object} project - Current project (needs `id`, `userId`, `imageUrl`)
+ * @param {Object} fields - `{ title, description, startDate, deadline, priority, imageAsset, statuses }`;
+ *   `statuses` (workflow columns) are left unchanged when omitted
+ */
+export function updateProject(project, { title, description, startDate, deadline, priority, imageAsset, statuses }) {
+  return runServiceCall('updating project', 'Failed to update project. Please try again.', async () => {
+    const changes = {
+      title,
+      description,
+      startDate: toTimestamp(startDate),
+      deadline: toTimestamp(deadline),
+      priority,
+      updatedAt: serverTimestamp(),
+    };
+    if (statuses) changes.statuses = statuses;
+
+    if (imageAsset) {
+      await queueProjectImage(project.userId, project.id, title, imageAsset, project.imageUrl);
+    } else {
+      changes.imageUrl = project.imageUrl || null;
+    }
+
+    trackWrite(`Update project "${title}"`, updateDoc(doc(db, PROJECTS_COLLECTION, project.id), changes));
+    console.log('Project updated:', project.id);
+  });
+}
+
+/**
+ * Move a project's deadline (and start date) without touching other
+ * fields, e.g. when it is dragged to another day on the calendar
+ *
+ * @param {Object} project - Project to reschedule (needs `id` and `title`)
+ * @param {Object} dates - `{ deadline, startDate }`
+ */
+export function rescheduleProject(project, { deadline, startDate }) {
+  return runServiceCall('rescheduling project', 'Failed to move the project. Please try again.', async () => {
+    trackWrite(`Reschedule project "${project.title}"`, updateDoc(doc(db, PROJECTS_COLLECTION, project.id), {
+      deadline: toTimestamp(deadline),
+      startDate: toTimestamp(startDate),
+      updatedAt: serverTimestamp(),
+    }));
+    console.log('Project rescheduled:', project.id);
+  });
+}
+
+/**
+ * Record that a project was completed (its last open task was finished) or
+ * reopened: sets `completed` and `completedAt` and appends an entry to its
+ * `completionEvents` history (read by utils/analytics)
+ *
+ * @param {Object} project - Project to update (needs `id` and `title`)
+ * @param {boolean} completed - New completion state
+ * @param {Date} at - When the change happened
+ */
+export function setProjectCompletion(project, completed, at) {
+  return runServiceCall('updating project completion', 'Failed to update the project. Please try again.', async () => {
+    const timestamp = Timestamp.fromDate(at);
+    trackWrite(`${completed ? 'Complete' : 'Reopen'} project "${project.title}"`, updateDoc(doc(db, PROJECTS_COLLECTION, project.id), {
+      completed,
+      completedAt: completed ? timestamp : null,
+      completionEvents: arrayUnion({ completed, at: timestamp }),
+      updatedAt: serverTimestamp(),
+    }));
+    console.log('Project completion recorded:', project.id, completed);
+  });
+}
+
+/**
+ * Move a project to the Trash. Its tasks are hidden with it but keep
+ * their own trash state, so restoring the project brings them back as-is.
+ *
+ * `deletedAt` is a client timestamp rather than `serverTimestamp()` so the
+ * local snapshot hides the project immediately instead of reporting null.
+ *
+ * @param {string} projectId - Project to trash
+ */
+export function trashProject(projectId) {
+  return runServiceCall('trashing project', 'Failed to move project to Trash. Please try again.', async () => {
+    trackWrite('Move project to Trash', updateDoc(doc(db, PROJECTS_COLLECTION, projectId), {
+      deletedAt: Timestamp.now(),
+      updatedAt: serverTimestamp(),
+    }));
+    console.log('Project moved to Trash:', projectId);
+  });
+}
+
+/**
+ * Restore a project from the Trash
+ *
+ * @param {string} projectId - Project to restore
+ */
+export function restoreProject(projectId) {
+  return runServiceCall('restoring project', 'Failed to restore project. Please try again.', async () => {
+    trackWrite('Restore project', updateDoc(doc(db, PROJECTS_COLLECTION, projectId), {
+      deletedAt: null,
+      updatedAt: serverTimestamp(),
+    }));
+    console.log('Project restored:', projectId);
+  });
+}
+
+/**
+ * Apply one multi-select action to many projects (see utils/bulkEdit):
+ * trash, restore, priority, shiftDeadline or addTags. Completing projects
+ * is done through their tasks (`bulkUpdateTasks`), since a project's
+ * completion follows its tasks.
+ *
+ * Projects the action would not change are skipped. The writes are queued
+ * in batches, so they apply locally straight away and sync when online.
+ *
+ * @param {Array} projects - Selected projects, in their current state
+ * @param {Object} action - See `getBulkChanges`
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with `(queuedProjects, totalProjects)`
+ * @returns {Promise<number>} Number of projects changed
+ */
+export function bulkUpdateProjects(projects, action, { onProgress } = {}) {
+  return runServiceCall('updating projects', 'Failed to update the selected projects. Please try again.', async () => {
+    const now = new Date();
+    const updates = projects
+      .map((project) => ({ project, changes: getBulkChanges(project, action, now) }))
+      .filter(({ changes }) => changes);
+    if (onProgress) onProgress(0, updates.length);
+    if (updates.length === 0) return 0;
+
+    const label = `${getBulkActionVerb(action)} ${updates.length} project${updates.length === 1 ? '' : 's'}`;
+    await queueInBatches(label, updates, (batch, { project, changes }) => {
+      batch.update(doc(db, PROJECTS_COLLECTION, project.id), {
+        ...toFirestoreFields(changes),
+        updatedAt: serverTimestamp(),
+      });
+    }, { onProgress });
+
+    console.log(`Bulk ${action.type} queued for ${updates.length} projects`);
+    return updates.length;
+  });
+}
+
+/**
+ * Permanently delete a project together with all of its tasks and its image
+ *
+ * Tasks are looked up with a query (not the in-memory cache) and removed
+ * in chunked write batches, queued like single writes. The project
+ * document is only deleted once the server has acknowledged every task
+ * batch, so a rejected batch never leaves orphaned tasks: the project stays
+ * in the Trash and the thrown error carries `deletedTasks` and
+ * `totalTasks`; retrying finishes the job. Removing the image is a queued
+ * task.
+ *
+ * @param {Object} project - Project to delete (needs `id`, `title`, `userId`, `imageUrl`)
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with `{ deletedTasks, totalTasks }`
+ *   as the server acknowledges task deletes
+ */
+export async function deleteProject(project, { onProgress } = {}) {
+  let deletedTasks = 0;
+  let totalTasks = 0;
+
+  try {
+    await runServiceCall('deleting project', 'Failed to delete project. Please try again.', async () => {
+      const tasksSnapshot = await getDocs(
+        query(
+          collection(db, 'tasks'),
+          where('projectId', '==', project.id),
+          where('userId', '==', project.userId)
+        )
+      );
+      const taskRefs = tasksSnapshot.docs.map((docSnap) => docSnap.ref);
+      totalTasks = taskRefs.length;
+      if (onProgress) onProgress({ deletedTasks, totalTasks });
+
+      console.log(`Deleting ${totalTasks} tasks for project ${project.id}`);
+      const { synced } = await queueInBatches(
+        `Delete tasks of "${project.title}"`,
+        taskRefs,
+        (batch, taskRef) => batch.delete(taskRef),
+        {
+          onSynced: (syncedCount) => {
+            deletedTasks = syncedCount;
+            if (onProgress) onProgress({ deletedTasks, totalTasks });
+          },
+        }
+      );
+      const { error } = await synced;
+      if (error) throw error;
+
+      trackWrite(`Delete project "${project.title}"`, deleteDoc(doc(db, PROJECTS_COLLECTION, project.id)));
+      if (project.imageUrl) {
+        await queueTask(IMAGE_DELETE_TASK, `Remove image of "${project.title}"`, project.userId, {
+          imageUrl: project.imageUrl,
+        });
+      }
+      console.log('Project deleted:', project.id);
+    });
+  } catch (error) {
+    error.deletedTasks = deletedTasks;
+    error.totalTasks = totalTasks;
+    throw error;
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * serviceErrors.js - Error Mapping for the Data Service Layer
+ *
+ * Converts raw Firebase errors into errors with user-facing messages so
+ * screens can show `error.message` directly. The original Firebase error
+ * code is preserved on `error.code` and the raw error on `error.cause`.
+ */
+
+/**
+ * Messages shared by every Firestore/Storage operation, keyed by error code
+ */
+const COMMON_MESSAGES = {
+  'permission-denied': 'You do not have permission to perform this action. Please sign in again.',
+  'unauthenticated': 'Your session has expired. Please sign in again.',
+  'unavailable': 'Network error. Please check your internet connection and try again.',
+  'deadline-exceeded': 'The request timed out. Please check your connection and try again.',
+  'not-found': 'This item no longer exists. It may have been deleted.',
+  'failed-precondition': 'Database indexing in progress. Data will load shortly.',
+  'storage/unauthorized': 'You do not have permission to access this file.',
+  'storage/object-not-found': 'The file could not be found.',
+  'storage/retry-limit-exceeded': 'Network error. Please check your internet connection and try again.',
+};
+
+// Codes that mean "could not reach the server" rather than a real failure
+const CONNECTIVITY_CODES = ['unavailable', 'deadline-exceeded', 'storage/retry-limit-exceeded'];
+
+/**
+ * Whether an error was caused by missing connectivity (safe to retry later)
+ *
+ * @param {Error} error - Raw or mapped error
+ */
+export function isConnectivityError(error) {
+  const code = error?.code || '';
+  const rawMessage = (error?.cause?.message || error?.message || '').toLowerCase();
+  return CONNECTIVITY_CODES.includes(code)
+    || rawMessage.includes('network')
+    || rawMessage.includes('offline');
+}
+
+/**
+ * Wrap a raw Firebase error in an Error carrying a user-facing message
+ *
+ * @param {Error} error - Error thrown by the Firebase SDK
+ * @param {string} fallbackMessage - Message used when the code is not recognised
+ * @returns {Error} Error with a displayable message, `code` and `cause`
+ */
+export function toServiceError(error, fallbackMessage) {
+  if (error && error.isServiceError) return error;
+
+  const code = error?.code || '';
+  const rawMessage = error?.message || '';
+  let message = COMMON_MESSAGES[code];
+
+  if (!message) {
+    if (rawMessage.includes('network') || rawMessage.includes('offline')) {
+      message = COMMON_MESSAGES.unavailable;
+    } else if (rawMessage.includes('index')) {
+      message = COMMON_MESSAGES['failed-precondition'];
+    } else if (rawMessage.includes('permission')) {
+      message = COMMON_MESSAGES['permission-denied'];
+    } else {
+      message = fallbackMessage;
+    }
+  }
+
+  const serviceError = new Error(message);
+  serviceError.code = code;
+  serviceError.cause = error;
+  serviceError.isServiceError = true;
+  return serviceError;
+}
+
+/**
+ * Run an async operation, logging and mapping any failure
+ *
+ * @param {string} label - Short description used in the console log
+ * @param {string} fallbackMessage - Message shown when the error is not recognised
+ * @param {Function} operation - Async function performing the Firebase calls
+ */
+export async function runServiceCall(label, fallbackMessage, operation) {
+  try {
+    return await operation();
+  } catch (error) {
+    console.error(`Error ${label}:`, error);
+    throw toServiceError(error, fallbackMessage);
+  }
+}
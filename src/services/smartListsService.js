@@ -0,0 +1,106 @@
+/**
+ * smartListsService.js - Saved Smart List Data Access Layer
+ *
+ * Owns every Firestore call for the smart lists a user saves (see
+ * utils/smartLists). They are stored with the user's projects and tasks,
+ * so they follow the account to every device and stay private to it.
+ *
+ * Writes are applied to the local cache and tracked by the sync queue
+ * instead of awaited, so they work offline.
+ */
+
+import {
+  collection,
+  query,
+  where,
+  onSnapshot,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  doc,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { runServiceCall, toServiceError } from './serviceErrors';
+import { trackWrite } from './syncQueue';
+import { toJsDate } from '../utils/dateUtils';
+
+const SMART_LISTS_COLLECTION = 'smartLists';
+
+/**
+ * Listen to the smart lists a user has saved, oldest first
+ *
+ * @param {string} userId - Owner of the lists
+ * @param {Function} onChange - Called with `(lists, metadata)` on every snapshot
+ * @param {Function} [onError] - Called with a service error if the listener fails
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToSmartLists(userId, onChange, onError) {
+  // Sorted in memory to avoid requiring a composite index
+  const listsQuery = query(collection(db, SMART_LISTS_COLLECTION), where('userId', '==', userId));
+
+  return onSnapshot(
+    listsQuery,
+    { includeMetadataChanges: true },
+    (querySnapshot) => {
+      const lists = [];
+      querySnapshot.forEach((docSnap) => {
+        lists.push({ id: docSnap.id, ...docSnap.data({ serverTimestamps: 'estimate' }) });
+      });
+      lists.sort((a, b) => (toJsDate(a.createdAt)?.getTime() || 0) - (toJsDate(b.createdAt)?.getTime() || 0));
+      onChange(lists, querySnapshot.metadata);
+    },
+    (error) => {
+      console.error('Smart lists listener error:', error);
+      if (onError) onError(toServiceError(error, 'Failed to load smart lists. Please try again.'));
+    }
+  );
+}
+
+/**
+ * Save a new smart list, or put back one that was deleted (Undo)
+ *
+ * @param {string} userId - Owner of the list
+ * @param {Object} list - `{ id, name, icon, rules }` from `createSmartList`
+ */
+export function saveSmartList(userId, { id, name, icon, rules }) {
+  return runServiceCall('saving smart list', 'Failed to save the list. Please try again.', async () => {
+    trackWrite(`Save list "${name}"`, setDoc(doc(db, SMART_LISTS_COLLECTION, id), {
+      userId,
+      name,
+      icon,
+      rules,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    }));
+    console.log('Smart list saved:', id);
+  });
+}
+
+/**
+ * Rename a saved list or store new rules on it
+ *
+ * @param {string} listId - List to update
+ * @param {Object} changes - `{ name }` and/or `{ rules }`
+ */
+export function updateSmartList(listId, changes) {
+  return runServiceCall('updating smart list', 'Failed to update the list. Please try again.', async () => {
+    trackWrite('Update list', updateDoc(doc(db, SMART_LISTS_COLLECTION, listId), {
+      ...changes,
+      updatedAt: serverTimestamp(),
+    }));
+    console.log('Smart list updated:', listId);
+  });
+}
+
+/**
+ * Delete a saved list; its tasks are not affected
+ *
+ * @param {string} listId - List to delete
+ */
+export function deleteSmartList(listId) {
+  return runServiceCall('deleting smart list', 'Failed to delete the list. Please try again.', async () => {
+    trackWrite('Delete list', deleteDoc(doc(db, SMART_LISTS_COLLECTION, listId)));
+    console.log('Smart list deleted:', listId);
+  });
+}
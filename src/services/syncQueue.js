@@ -0,0 +1,223 @@
+/**
+ * syncQueue.js - Pending Sync Queue
+ *
+ * Keeps track of every change that has not reached the server yet, so the
+ * app can work offline and show what is still waiting to sync:
+ *
+ * - Firestore writes: Firestore applies writes to its local cache at once
+ *   and sends them when the connection returns. `trackWrite` lists a write
+ *   until the server acknowledges it, so screens never wait on the network.
+ *   On web the cache (including unsent writes) is persisted in IndexedDB;
+ *   on native it lives in memory for as long as the app is running.
+ *
+ * - Queued tasks: work Firestore cannot queue itself, such as Storage
+ *   uploads. Tasks are persisted in AsyncStorage and replayed by the
+ *   handler registered for their `kind` whenever the app is online.
+ *
+ * Subscribers receive `{ pending, failures }` on every change.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { isConnectivityError, toServiceError } from './serviceErrors';
+
+// Storage keys
+const STORAGE_KEYS = {
+  QUEUED_TASKS: 'pendingSyncTasks'
+};
+
+let pendingWrites = [];
+let queuedTasks = [];
+let failures = [];
+let isLoaded = false;
+let isProcessing = false;
+let rerunRequested = false;
+let nextEntryId = 0;
+
+const taskHandlers = {};
+const listeners = new Set();
+
+const createEntryId = () => `${Date.now()}_${++nextEntryId}`;
+
+/**
+ * Current queue contents, newest last
+ */
+const getSnapshot = () => ({
+  pending: [
+    ...pendingWrites,
+    ...queuedTasks.map(({ id, kind, label, createdAt, lastError }) => ({ id, kind, label, createdAt, lastError })),
+  ],
+  failures,
+});
+
+const emit = () => {
+  const snapshot = getSnapshot();
+  listeners.forEach((listener) => listener(snapshot));
+};
+
+const persistTasks = async () => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEYS.QUEUED_TASKS, JSON.stringify(queuedTasks));
+  } catch (error) {
+    console.error('Error saving sync queue:', error);
+  }
+};
+
+/**
+ * Record a change that could not be synced and will not be retried
+ */
+const reportFailure = (label, error) => {
+  failures = [...failures, { id: createEntryId(), label, message: error.message }];
+  emit();
+};
+
+/**
+ * Subscribe to queue changes
+ *
+ * @param {Function} listener - Called with `{ pending, failures }`
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToSyncQueue(listener) {
+  listeners.add(listener);
+  listener(getSnapshot());
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Forget failures once they have been shown to the user
+ */
+export function clearSyncFailures() {
+  failures = [];
+  emit();
+}
+
+/**
+ * List a Firestore write as pending until the server acknowledges it
+ *
+ * Callers normally do not await the returned promise: the change is
+ * already in the local cache. Rejections are reported through the
+ * queue's `failures`, never thrown at the caller.
+ *
+ * @param {string} label - Short description shown in the pending list
+ * @param {Promise} writePromise - Promise returned by setDoc/updateDoc/deleteDoc/batch.commit
+ * @returns {Promise<boolean>} Resolves true once synced, false if the write was rejected
+ */
+export function trackWrite(label, writePromise) {
+  const entry = { id: createEntryId(), kind: 'write', label, createdAt: Date.now() };
+  pendingWrites = [...pendingWrites, entry];
+  emit();
+
+  return writePromise
+    .then(() => true)
+    .catch((error) => {
+      console.error(`Error syncing "${label}":`, error);
+      reportFailure(label, toServiceError(error, 'This change could not be saved.'));
+      return false;
+    })
+    .finally(() => {
+      pendingWrites = pendingWrites.filter((item) => item.id !== entry.id);
+      emit();
+    });
+}
+
+/**
+ * Register the function that replays queued tasks of one kind
+ *
+ * @param {string} kind - Task kind, e.g. 'projectImage'
+ * @param {Function} handler - `async (payload) => void`; throw to retry later
+ */
+export function registerTaskHandler(kind, handler) {
+  taskHandlers[kind] = handler;
+}
+
+/**
+ * Persist a task and run it as soon as the app is online
+ *
+ * @param {string} kind - Registered handler kind
+ * @param {string} label - Short description shown in the pending list
+ * @param {string} userId - Owner; tasks only run for the signed-in user
+ * @param {Object} payload - JSON-serialisable input for the handler
+ */
+export async function queueTask(kind, label, userId, payload) {
+  queuedTasks = [...queuedTasks, {
+    id: createEntryId(),
+    kind,
+    label,
+    userId,
+    payload,
+    createdAt: Date.now(),
+    attempts: 0,
+    lastError: null,
+  }];
+  emit();
+  await persistTasks();
+}
+
+/**
+ * Load tasks left over from a previous session
+ */
+export async function loadSyncQueue() {
+  if (isLoaded) return;
+  isLoaded = true;
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.QUEUED_TASKS);
+    const storedTasks = stored ? JSON.parse(stored) : [];
+    // Keep anything queued while the stored copy was loading
+    const queuedIds = new Set(queuedTasks.map((task) => task.id));
+    queuedTasks = [...storedTasks.filter((task) => !queuedIds.has(task.id)), ...queuedTasks];
+    emit();
+  } catch (error) {
+    console.error('Error loading sync queue:', error);
+  }
+}
+
+/**
+ * Run every queued task for a user, oldest first
+ *
+ * Tasks that fail for lack of connectivity stay queued for the next run;
+ * any other failure drops the task and is reported in `failures`.
+ *
+ * @param {string} userId - Signed-in user
+ */
+export async function processSyncQueue(userId) {
+  if (!userId) return;
+  if (isProcessing) {
+    // Pick up tasks queued while this run is in progress
+    rerunRequested = true;
+    return;
+  }
+  isProcessing = true;
+
+  try {
+    let stillOffline = false;
+    do {
+      rerunRequested = false;
+      const runnable = queuedTasks.filter((task) => task.userId === userId);
+      for (const task of runnable) {
+        const handler = taskHandlers[task.kind];
+        if (!handler) continue;
+
+        try {
+          await handler(task.payload);
+          queuedTasks = queuedTasks.filter((item) => item.id !== task.id);
+        } catch (error) {
+          if (isConnectivityError(error)) {
+            queuedTasks = queuedTasks.map((item) => (item.id === task.id
+              ? { ...item, attempts: item.attempts + 1, lastError: error.message }
+              : item));
+            stillOffline = true;
+          } else {
+            console.error(`Error running queued "${task.label}":`, error);
+            queuedTasks = queuedTasks.filter((item) => item.id !== task.id);
+            reportFailure(task.label, toServiceError(error, 'This change could not be saved.'));
+          }
+        }
+        emit();
+        await persistTasks();
+        // Keep the remaining tasks for the next time the app is online
+        if (stillOffline) break;
+      }
+    } while (rerunRequested && !stillOffline);
+  } finally {
+    isProcessing = false;
+  }
+}
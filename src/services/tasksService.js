@@ -0,0 +1,542 @@
+/**
+ * tasksService.js - Task Data Access Layer
+ *
+ * Owns every Firestore call for tasks:
+ * - Real-time subscription to all of a user's tasks
+ * - Creating, updating, completing and deleting tasks
+ * - Creating many tasks at once from pasted text
+ * - Checking off checklist items
+ * - Completing recurring tasks, which creates their next occurrence
+ * - Moving tasks between workflow status columns
+ * - Moving tasks to the Trash and restoring them
+ * - Applying multi-select actions to many tasks in batched writes
+ *
+ * Queries stay on simple equality filters to avoid requiring Firestore
+ * composite indexes; sorting happens in memory (see utils/dataSelectors).
+ *
+ * Writes are applied to the local cache and tracked by the sync queue
+ * instead of awaited, so they work offline.
+ */
+
+import {
+  collection,
+  query,
+  where,
+  onSnapshot,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  writeBatch,
+  doc,
+  Timestamp,
+  serverTimestamp,
+  arrayUnion,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { runServiceCall, toServiceError } from './serviceErrors';
+import { trackWrite } from './syncQueue';
+import { toJsDate } from '../utils/dateUtils';
+import { anchorRepeatRule, getNextOccurrence } from '../utils/recurrence';
+import { planICalendarImport } from '../utils/ical';
+import { getBulkChanges, getBulkActionVerb, getMovedBlockerUnlinks } from '../utils/bulkEdit';
+import { chunk, queueInBatches, MAX_BATCH_SIZE } from './batchWrites';
+
+const TASKS_COLLECTION = 'tasks';
+
+// Field limits of the task forms, applied to imported and pasted text
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 300;
+
+/**
+ * Convert a Date (or null) into a Firestore Timestamp (or null)
+ */
+const toTimestamp = (date) => (date ? Timestamp.fromDate(date) : null);
+
+/**
+ * Convert the Date values of a change set into Firestore Timestamps
+ */
+const toFirestoreFields = (changes) => Object.fromEntries(
+  Object.entries(changes).map(([field, value]) => [field, value instanceof Date ? Timestamp.fromDate(value) : value])
+);
+
+/**
+ * Attach a snapshot listener to a task query and map the results
+ */
+const listenToTasks = (tasksQuery, onChange, onError) => onSnapshot(
+  tasksQuery,
+  { includeMetadataChanges: true },
+  (querySnapshot) => {
+    const tasks = [];
+    querySnapshot.forEach((docSnap) => {
+      // Estimate server timestamps of unsynced writes so offline items sort and display
+      tasks.push({ id: docSnap.id, ...docSnap.data({ serverTimestamps: 'estimate' }) });
+    });
+    onChange(tasks, querySnapshot.metadata);
+  },
+  (error) => {
+    console.error('Tasks listener error:', error);
+    if (onError) onError(toServiceError(error, 'Failed to load tasks. Please try again.'));
+  }
+);
+
+/**
+ * Subscribe to every task owned by a user
+ *
+ * @param {string} userId - Owner of the tasks
+ * @param {Function} onChange - Called with an array of `{ id, ...data }` tasks
+ *   and the snapshot metadata (`fromCache` is true while the server is unreachable)
+ * @param {Function} [onError] - Called with a mapped error if the listener fails
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToTasks(userId, onChange, onError) {
+  const tasksQuery = query(
+    collection(db, TASKS_COLLECTION),
+    where('userId', '==', userId)
+  );
+  return listenToTasks(tasksQuery, onChange, onError);
+}
+
+/**
+ * Create a new, incomplete task in a project
+ *
+ * @param {string} userId - Owner of the new task
+ * @param {string} projectId - Project the task belongs to
+ * @param {Object} fields - `{ title, description, startDate, deadline, priority, checklist, blockedBy, repeat }`
+ * @returns {Promise<string>} ID of the created task
+ */
+export function createTask(userId, projectId, {
+  title,
+  description,
+  startDate,
+  deadline,
+  priority,
+  checklist = [],
+  blockedBy = [],
+  repeat = null,
+}) {
+  return runServiceCall('creating task', 'Failed to create task. Please try again.', async () => {
+    const taskRef = doc(collection(db, TASKS_COLLECTION));
+    trackWrite(`Create task "${title}"`, setDoc(taskRef, {
+      projectId,
+      userId,
+      title,
+      description,
+      startDate: toTimestamp(startDate),
+      deadline: toTimestamp(deadline),
+      priority,
+      checklist,
+      blockedBy,
+      repeat,
+      completed: false,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    }));
+
+    console.log('Task created with ID:', taskRef.id);
+    return taskRef.id;
+  });
+}
+
+/**
+ * Create several tasks in one batch (several batches past Firestore's
+ * 500-write limit), e.g. from the bulk-add preview
+ *
+ * @param {string} userId - Owner of the tasks
+ * @param {Array} drafts - `[{ projectId, title, deadline, priority, checklist }]`
+ * @returns {Promise<number>} Number of tasks created
+ */
+export function createTasksInBatch(userId, drafts) {
+  return runServiceCall('creating tasks', 'Failed to create the tasks. Please try again.', async () => {
+    chunk(drafts).forEach((chunkDrafts, index, chunks) => {
+      const batch = writeBatch(db);
+      chunkDrafts.forEach((draft) => {
+        batch.set(doc(collection(db, TASKS_COLLECTION)), {
+          projectId: draft.projectId,
+          userId,
+          title: draft.title.slice(0, MAX_TITLE_LENGTH),
+          description: '',
+          startDate: null,
+          deadline: toTimestamp(draft.deadline),
+          priority: draft.priority || 'medium',
+          checklist: draft.checklist || [],
+          blockedBy: [],
+          repeat: null,
+          completed: false,
+          createdAt: serverTimestamp(),
+          updatedAt: serverTimestamp(),
+        });
+      });
+      const part = chunks.length > 1 ? ` (part ${index + 1} of ${chunks.length})` : '';
+      trackWrite(`Create ${chunkDrafts.length} tasks${part}`, batch.commit());
+    });
+
+    console.log('Tasks created in batch:', drafts.length);
+    return drafts.length;
+  });
+}
+
+/**
+ * Update the editable fields of a task
+ *
+ * @param {string} taskId - Task to update
+ * @param {Object} fields - `{ title, description, startDate, deadline, priority, checklist, blockedBy, repeat }`;
+ *   `checklist`, `blockedBy` and `repeat` are left unchanged when omitted
+ */
+export function updateTask(taskId, {
+  title,
+  description,
+  startDate,
+  deadline,
+  priority,
+  checklist,
+  blockedBy,
+  repeat,
+}) {
+  return runServiceCall('updating task', 'Failed to update the task. Please check your connection and try again.', async () => {
+    const changes = {
+      title,
+      description,
+      startDate: toTimestamp(startDate),
+      deadline: toTimestamp(deadline),
+      priority,
+      updatedAt: serverTimestamp(),
+    };
+    if (checklist) changes.checklist = checklist;
+    if (blockedBy) changes.blockedBy = blockedBy;
+    if (repeat !== undefined) changes.repeat = repeat;
+
+    trackWrite(`Update task "${title}"`, updateDoc(doc(db, TASKS_COLLECTION, taskId), changes));
+    console.log('Task updated:', taskId);
+  });
+}
+
+/**
+ * Fields recording that a task was completed or reopened: `completedAt` and
+ * an entry in its `completionEvents` history (read by utils/analytics).
+ * Uses a client timestamp so the local snapshot shows the change immediately.
+ */
+const getCompletionFields = (completed) => {
+  const at = Timestamp.now();
+  return {
+    completed,
+    completedAt: completed ? at : null,
+    completionEvents: arrayUnion({ completed, at }),
+  };
+};
+
+/**
+ * Flip a task between complete and incomplete, recording when it was done
+ *
+ * @param {Object} task - Task to toggle (needs `id` and `completed`)
+ */
+export function toggleTaskCompletion(task) {
+  return runServiceCall('toggling task', 'Failed to update task. Please check your connection and try again.', async () => {
+    const label = `${task.completed ? 'Reopen' : 'Complete'} task "${task.title}"`;
+    trackWrite(label, updateDoc(doc(db, TASKS_COLLECTION, task.id), {
+      ...getCompletionFields(!task.completed),
+      updatedAt: serverTimestamp(),
+    }));
+    console.log('Task completion toggled:', task.id);
+  });
+}
+
+/**
+ * Move a task's deadline (and start date) without touching other fields,
+ * e.g. when it is dragged to another day on the calendar. A monthly repeat
+ * rule is re-pinned to the new due date.
+ *
+ * @param {Object} task - Task to reschedule (needs `id`, `title`, `repeat`)
+ * @param {Object} dates - `{ deadline, startDate }`
+ */
+export function rescheduleTask(task, { deadline, startDate }) {
+  return runServiceCall('rescheduling task', 'Failed to move the task. Please try again.', async () => {
+    const changes = {
+      deadline: toTimestamp(deadline),
+      startDate: toTimestamp(startDate),
+      updatedAt: serverTimestamp(),
+    };
+    if (task.repeat) changes.repeat = anchorRepeatRule(task.repeat, deadline);
+
+    trackWrite(`Reschedule task "${task.title}"`, updateDoc(doc(db, TASKS_COLLECTION, task.id), changes));
+    console.log('Task rescheduled:', task.id);
+  });
+}
+
+/**
+ * Move a task to another workflow column. `completed` follows the column,
+ * so progress calculations keep working (see utils/workflow).
+ *
+ * @param {Object} task - Task to move, in its current state (needs `id`, `title` and `completed`)
+ * @param {string} statusId - Target status
+ * @param {boolean} isTerminal - Whether the target is the project's last column
+ */
+export function moveTaskToStatus(task, statusId, isTerminal) {
+  return runServiceCall('moving task', 'Failed to move the task. Please try again.', async () => {
+    trackWrite(`Move task "${task.title}"`, updateDoc(doc(db, TASKS_COLLECTION, task.id), {
+      status: statusId,
+      completed: isTerminal,
+      ...(task.completed !== isTerminal && getCompletionFields(isTerminal)),
+      updatedAt: serverTimestamp(),
+    }));
+    console.log('Task moved to status:', task.id, statusId);
+  });
+}
+
+/**
+ * Document of the occurrence that follows `task`, due on `nextDeadline`
+ */
+function buildNextOccurrence(task, nextDeadline) {
+  // Keep the same lead time between start date and deadline
+  const startDate = toJsDate(task.startDate);
+  const deadline = toJsDate(task.deadline);
+  const nextStartDate = startDate && deadline
+    ? new Date(startDate.getTime() + (nextDeadline.getTime() - deadline.getTime()))
+    : null;
+
+  return {
+    projectId: task.projectId,
+    userId: task.userId,
+    title: task.title,
+    description: task.description || '',
+    startDate: toTimestamp(nextStartDate),
+    deadline: toTimestamp(nextDeadline),
+    priority: task.priority || 'medium',
+    // Start the next occurrence with a fresh checklist
+    checklist: (task.checklist || []).map((item) => ({ ...item, done: false })),
+    blockedBy: task.blockedBy || [],
+    repeat: task.repeat,
+    tags: task.tags || [],
+    completed: false,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  };
+}
+
+/**
+ * Complete one occurrence of a recurring task and create the next one
+ *
+ * Both writes go in one batch. The repeat rule moves to the new
+ * occurrence, so reopening the completed one later doesn't fork the series.
+ *
+ * @param {Object} task - Occurrence being completed
+ * @param {Date} nextDeadline - Due date of the next occurrence
+ * @returns {Promise<string>} ID of the next occurrence
+ */
+export function completeRecurringTask(task, nextDeadline) {
+  return runServiceCall('completing task', 'Failed to update task. Please check your connection and try again.', async () => {
+    const nextRef = doc(collection(db, TASKS_COLLECTION));
+    const batch = writeBatch(db);
+
+    batch.set(nextRef, buildNextOccurrence(task, nextDeadline));
+    batch.update(doc(db, TASKS_COLLECTION, task.id), {
+      ...getCompletionFields(true),
+      repeat: null,
+      nextOccurrenceId: nextRef.id,
+      updatedAt: serverTimestamp(),
+    });
+
+    trackWrite(`Complete task "${task.title}"`, batch.commit());
+    console.log('Recurring task completed:', task.id, 'next occurrence:', nextRef.id);
+    return nextRef.id;
+  });
+}
+
+/**
+ * Undo `completeRecurringTask`: reopen the occurrence, give it back its
+ * repeat rule and remove the occurrence that was created
+ *
+ * @param {Object} task - Occurrence as it was before completion
+ * @param {string} nextTaskId - ID returned by `completeRecurringTask`
+ */
+export function undoRecurringCompletion(task, nextTaskId) {
+  return runServiceCall('reopening task', 'Failed to update task. Please check your connection and try again.', async () => {
+    const batch = writeBatch(db);
+    batch.update(doc(db, TASKS_COLLECTION, task.id), {
+      ...getCompletionFields(false),
+      repeat: task.repeat,
+      nextOccurrenceId: null,
+      updatedAt: serverTimestamp(),
+    });
+    batch.delete(doc(db, TASKS_COLLECTION, nextTaskId));
+
+    trackWrite(`Reopen task "${task.title}"`, batch.commit());
+    console.log('Recurring completion undone:', task.id);
+  });
+}
+
+/**
+ * Replace a task's checklist, e.g. after checking off an item
+ *
+ * @param {Object} task - Task to update (needs `id` and `title`)
+ * @param {Array} checklist - Complete new checklist
+ */
+export function updateTaskChecklist(task, checklist) {
+  return runServiceCall('updating checklist', 'Failed to update the checklist. Please try again.', async () => {
+    trackWrite(`Update checklist of "${task.title}"`, updateDoc(doc(db, TASKS_COLLECTION, task.id), {
+      checklist,
+      updatedAt: serverTimestamp(),
+    }));
+    console.log('Task checklist updated:', task.id);
+  });
+}
+
+/**
+ * Create or update tasks in a project from parsed .ics entries (see utils/ical)
+ *
+ * Entries matching a task of the project by UID update only the fields the
+ * file provides; the others become new tasks that remember their UID (see
+ * `planICalendarImport`).
+ *
+ * @param {string} userId - Owner of the tasks
+ * @param {string} projectId - Project to import into
+ * @param {Array} entries - Output of `parseICalendar`
+ * @param {Array} projectTasks - Current tasks of the project
+ * @returns {Promise<Object>} `{ created, updated }`
+ */
+export function importTasksFromICalendar(userId, projectId, entries, projectTasks) {
+  return runServiceCall('importing tasks', 'Failed to import the calendar. Please try again.', async () => {
+    const writes = [];
+    let created = 0;
+    let updated = 0;
+    planICalendarImport(entries, projectTasks).forEach(({ task: existing, uid, fields: changes }) => {
+      const fields = { updatedAt: serverTimestamp() };
+      if (changes.title !== undefined) fields.title = changes.title.slice(0, MAX_TITLE_LENGTH);
+      if (changes.description !== undefined) fields.description = changes.description.slice(0, MAX_DESCRIPTION_LENGTH);
+      if (changes.deadline !== undefined) fields.deadline = toTimestamp(changes.deadline);
+      if (changes.priority !== undefined) fields.priority = changes.priority;
+      if (changes.completed !== undefined) {
+        fields.completed = changes.completed;
+        // Record a completion event only when the state actually changes
+        if (existing ? existing.completed !== changes.completed : changes.completed) {
+          Object.assign(fields, getCompletionFields(changes.completed));
+        }
+      }
+
+      if (existing) {
+        updated += 1;
+        writes.push((batch) => batch.update(doc(db, TASKS_COLLECTION, existing.id), fields));
+      } else {
+        created += 1;
+        writes.push((batch) => batch.set(doc(collection(db, TASKS_COLLECTION)), {
+          ...fields,
+          projectId,
+          userId,
+          icalUid: uid,
+          startDate: null,
+          checklist: [],
+          blockedBy: [],
+          repeat: null,
+          createdAt: serverTimestamp(),
+        }));
+      }
+    });
+
+    chunk(writes).forEach((chunkWrites, index, chunks) => {
+      const batch = writeBatch(db);
+      chunkWrites.forEach((write) => write(batch));
+      const part = chunks.length > 1 ? ` (part ${index + 1} of ${chunks.length})` : '';
+      trackWrite(`Import ${chunkWrites.length} tasks from calendar${part}`, batch.commit());
+    });
+
+    console.log('Tasks imported from calendar:', { projectId, created, updated });
+    return { created, updated };
+  });
+}
+
+/**
+ * Apply one multi-select action to many tasks (see utils/bulkEdit)
+ *
+ * Tasks the action would not change are skipped. The writes are queued in
+ * batches like other writes (see batchWrites.queueInBatches), so they apply
+ * locally straight away and sync when online. Completing a recurring task
+ * also creates its next occurrence in the same batch. Moving tasks also
+ * unlinks them from the `otherTasks` that were blocked by them, in the
+ * same batches.
+ *
+ * @param {Array} tasks - Selected tasks, in their current state
+ * @param {Object} action - See `getBulkChanges`
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with `(queuedWrites, totalWrites)`
+ * @param {Array} [options.otherTasks] - Unselected tasks that may be blocked by moved ones
+ * @returns {Promise<number>} Number of selected tasks changed
+ */
+export function bulkUpdateTasks(tasks, action, { onProgress, otherTasks = [] } = {}) {
+  return runServiceCall('updating tasks', 'Failed to update the selected tasks. Please try again.', async () => {
+    const now = new Date();
+    const updates = tasks
+      .map((task) => ({ task, changes: getBulkChanges(task, action, now) }))
+      .filter(({ changes }) => changes);
+    const unlinks = action.type === 'move'
+      ? getMovedBlockerUnlinks(updates.map(({ task }) => task), otherTasks)
+      : [];
+    if (onProgress) onProgress(0, updates.length + unlinks.length);
+    if (updates.length === 0) return 0;
+
+    const label = `${getBulkActionVerb(action)} ${updates.length} task${updates.length === 1 ? '' : 's'}`;
+    await queueInBatches(label, [...updates, ...unlinks], (batch, { task, changes }) => {
+      const fields = toFirestoreFields(changes);
+      if (changes.completed !== undefined) Object.assign(fields, getCompletionFields(changes.completed));
+
+      const nextDeadline = changes.completed && task.repeat
+        && getNextOccurrence(task.repeat, toJsDate(task.deadline) || now, now);
+      if (nextDeadline) {
+        const nextRef = doc(collection(db, TASKS_COLLECTION));
+        batch.set(nextRef, buildNextOccurrence(task, nextDeadline));
+        fields.repeat = null;
+        fields.nextOccurrenceId = nextRef.id;
+      }
+
+      batch.update(doc(db, TASKS_COLLECTION, task.id), { ...fields, updatedAt: serverTimestamp() });
+    }, {
+      // Room for a second write per task (the next occurrence)
+      batchSize: MAX_BATCH_SIZE / 2,
+      onProgress,
+    });
+
+    console.log(`Bulk ${action.type} queued for ${updates.length} tasks`);
+    return updates.length;
+  });
+}
+
+/**
+ * Move a task to the Trash. Uses a client timestamp so the local snapshot
+ * hides the task immediately.
+ *
+ * @param {string} taskId - Task to trash
+ */
+export function trashTask(taskId) {
+  return runServiceCall('trashing task', 'Failed to move task to Trash. Please try again.', async () => {
+    trackWrite('Move task to Trash', updateDoc(doc(db, TASKS_COLLECTION, taskId), {
+      deletedAt: Timestamp.now(),
+      updatedAt: serverTimestamp(),
+    }));
+    console.log('Task moved to Trash:', taskId);
+  });
+}
+
+/**
+ * Restore a task from the Trash
+ *
+ * @param {string} taskId - Task to restore
+ */
+export function restoreTask(taskId) {
+  return runServiceCall('restoring task', 'Failed to restore task. Please try again.', async () => {
+    trackWrite('Restore task', updateDoc(doc(db, TASKS_COLLECTION, taskId), {
+      deletedAt: null,
+      updatedAt: serverTimestamp(),
+    }));
+    console.log('Task restored:', taskId);
+  });
+}
+
+/**
+ * Permanently delete a task
+ *
+ * @param {string} taskId - Task to delete
+ */
+export function deleteTask(taskId) {
+  return runServiceCall('deleting task', 'Failed to delete task. Please try again.', async () => {
+    trackWrite('Delete task', deleteDoc(doc(db, TASKS_COLLECTION, taskId)));
+    console.log('Task deleted:', taskId);
+  });
+}
@@ -0,0 +1,275 @@
+/**
+ * analytics.js - Completion Analytics
+ *
+ * Works from the completion history recorded on tasks and projects:
+ * `completionEvents` (`[{ completed, at }]`) gets an entry every time an
+ * item is completed or reopened. Items finished before the history was
+ * recorded fall back to their `completedAt`.
+ *
+ * Periods are calendar periods ending with today's: this week (Sun-Sat),
+ * this month or this year. An item counts as completed in a period when
+ * its latest completion falls inside it and it hasn't been reopened since.
+ *
+ * Per-project burndown/burnup series replay the same history day by day.
+ */
+
+import { toJsDate, startOfDay } from './dateUtils';
+import { daysBetween } from './timeline';
+
+export const ANALYTICS_RANGES = ['week', 'month', 'year'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Completion history of a task or project, oldest first
+ *
+ * @param {Object} item - Task or project
+ * @returns {Array} `[{ completed, at: Date }]`
+ */
+export function getCompletionEvents(item) {
+  const events = (item.completionEvents || [])
+    .map((event) => ({ completed: Boolean(event.completed), at: toJsDate(event.at) }))
+    .filter((event) => event.at)
+    .sort((a, b) => a.at - b.at);
+  if (events.length === 0 && item.completed) {
+    const completedAt = toJsDate(item.completedAt);
+    if (completedAt) return [{ completed: true, at: completedAt }];
+  }
+  return events;
+}
+
+/**
+ * When a completed item was last completed (null for open items, or when
+ * no completion was recorded)
+ */
+export function getLastCompletion(item) {
+  if (!item.completed) return null;
+  const completions = getCompletionEvents(item).filter((event) => event.completed);
+  return completions.length ? completions[completions.length - 1].at : null;
+}
+
+/**
+ * The calendar period containing `now`, split into chart buckets: days of
+ * the week, weeks of the month (from the 1st, 8th, 15th...), or months
+ *
+ * @param {string} range - 'week' | 'month' | 'year'
+ * @param {Date} [now]
+ * @returns {Object} `{ start, end, buckets: [{ label, start, end }] }` (end exclusive)
+ */
+export function getAnalyticsPeriod(range, now = new Date()) {
+  const year = now.getFullYear();
+  const month = now.getMonth();
+  const buckets = [];
+
+  if (range === 'year') {
+    for (let i = 0; i < 12; i++) {
+      buckets.push({ label: MONTH_LABELS[i], start: new Date(year, i, 1), end: new Date(year, i + 1, 1) });
+    }
+  } else if (range === 'month') {
+    const end = new Date(year, month + 1, 1);
+    for (let day = 1; new Date(year, month, day) < end; day += 7) {
+      const bucketEnd = new Date(year, month, day + 7);
+      buckets.push({
+        label: `W${buckets.length + 1}`,
+        start: new Date(year, month, day),
+        end: bucketEnd < end ? bucketEnd : end,
+      });
+    }
+  } else {
+    const first = now.getDate() - now.getDay();
+    for (let i = 0; i < 7; i++) {
+      buckets.push({
+        label: WEEKDAY_LABELS[i],
+        start: new Date(year, month, first + i),
+        end: new Date(year, month, first + i + 1),
+      });
+    }
+  }
+  return { start: buckets[0].start, end: buckets[buckets.length - 1].end, buckets };
+}
+
+/**
+ * Completion metrics for a period
+ *
+ * Items "in play" during the period are those open now plus those
+ * completed in it; the completion rate is the share of in-play tasks that
+ * were completed. Cycle time runs from creation to the latest completion.
+ *
+ * @param {Array} projects - Live projects
+ * @param {Array} tasks - Live tasks
+ * @param {string} range - 'week' | 'month' | 'year'
+ * @param {Date} [now]
+ * @returns {Object} `{ completionRate, totalProjects, completedProjects, totalTasks,
+ *   completedTasks, reopenedItems, priorityDistribution, completionTrend, avgCompletionTime }`
+ */
+export function calculateAnalytics(projects, tasks, range, now = new Date()) {
+  const { start, end, buckets } = getAnalyticsPeriod(range, now);
+  const isInPeriod = (date) => Boolean(date) && date >= start && date < end;
+
+  const isCompletedInPeriod = (item) => isInPeriod(getLastCompletion(item));
+  const isInPlay = (item) => {
+    const createdAt = toJsDate(item.createdAt);
+    if (createdAt && createdAt >= end) return false;
+    return !item.completed || isCompletedInPeriod(item);
+  };
+
+  const activeProjects = projects.filter(isInPlay);
+  const activeTasks = tasks.filter(isInPlay);
+  const completedProjects = activeProjects.filter(isCompletedInPeriod);
+  const completedTasks = activeTasks.filter(isCompletedInPeriod);
+  const completedItems = [...completedProjects, ...completedTasks];
+
+  const reopenedItems = [...projects, ...tasks].reduce(
+    (count, item) => count + getCompletionEvents(item).filter((event) => !event.completed && isInPeriod(event.at)).length,
+    0
+  );
+
+  const priorityDistribution = { high: 0, medium: 0, low: 0 };
+  [...activeProjects, ...activeTasks].forEach((item) => {
+    let priority = item.priority?.toLowerCase() || 'medium';
+    if (priority === 'urgent') priority = 'high';
+    priorityDistribution[priority] = (priorityDistribution[priority] || 0) + 1;
+  });
+
+  const completionTrend = buckets.map((bucket) => ({
+    label: bucket.label,
+    count: completedItems.filter((item) => {
+      const completedAt = getLastCompletion(item);
+      return completedAt >= bucket.start && completedAt < bucket.end;
+    }).length,
+  }));
+
+  const cycleTimes = completedItems
+    .map((item) => {
+      const createdAt = toJsDate(item.createdAt);
+      return createdAt ? (getLastCompletion(item) - createdAt) / DAY_MS : null;
+    })
+    .filter((days) => days !== null && days >= 0);
+  const avgCompletionTime = cycleTimes.length
+    ? cycleTimes.reduce((sum, days) => sum + days, 0) / cycleTimes.length
+    : 0;
+
+  return {
+    completionRate: activeTasks.length ? Math.round((completedTasks.length / activeTasks.length) * 100) : 0,
+    totalProjects: activeProjects.length,
+    completedProjects: completedProjects.length,
+    totalTasks: activeTasks.length,
+    completedTasks: completedTasks.length,
+    reopenedItems,
+    priorityDistribution,
+    completionTrend,
+    avgCompletionTime: Math.round(avgCompletionTime * 10) / 10,
+  };
+}
+
+/**
+ * Projects whose stored completion state no longer matches their tasks
+ *
+ * A project is complete when it has tasks and all of them are done. Its
+ * completion time is the latest completion among its tasks.
+ *
+ * @param {Array} projects - Live projects
+ * @param {Object} tasksByProject - Live tasks grouped by project ID
+ * @param {Date} [now] - Time used for reopen events
+ * @returns {Array} `[{ project, completed, at }]`
+ */
+export function getProjectCompletionChanges(projects, tasksByProject, now = new Date()) {
+  const changes = [];
+  projects.forEach((project) => {
+    const projectTasks = tasksByProject[project.id] || [];
+    // A project without tasks keeps whatever state it had
+    if (projectTasks.length === 0) return;
+
+    const completed = projectTasks.every((task) => task.completed);
+    if (completed === Boolean(project.completed)) return;
+
+    const at = completed
+      ? projectTasks.reduce((latest, task) => {
+        const completedAt = getLastCompletion(task);
+        return completedAt && (!latest || completedAt > latest) ? completedAt : latest;
+      }, null) || now
+      : now;
+    changes.push({ project, completed, at });
+  });
+  return changes;
+}
+
+/**
+ * Whether a task was complete at a given moment, replaying its completion
+ * history. Completed tasks without any history count from their last update.
+ */
+export function wasCompletedAt(task, time) {
+  const history = getCompletionEvents(task);
+  if (history.length === 0) {
+    if (!task.completed) return false;
+    const updatedAt = toJsDate(task.updatedAt);
+    return !updatedAt || updatedAt < time;
+  }
+  const earlier = history.filter((event) => event.at < time);
+  return earlier.length > 0 && earlier[earlier.length - 1].completed;
+}
+
+/**
+ * Daily burndown and burnup series for one project
+ *
+ * Scope is the number of tasks created by the end of each day and
+ * completed the number done by then, so scope creep shows as a rising
+ * scope line. The ideal line runs from the current scope on the first day
+ * to zero on the deadline. Long projects are sampled to at most
+ * `maxPoints` points; days after today have no actuals.
+ *
+ * @param {Object} project
+ * @param {Array} tasks - Live tasks of the project
+ * @param {Date} [now]
+ * @param {number} [maxPoints]
+ * @returns {Object} `{ start, end, deadline, todayIndex, deadlineIndex,
+ *   points: [{ date, scope, completed, remaining, ideal }] }`
+ */
+export function buildBurnChart(project, tasks, now = new Date(), maxPoints = 60) {
+  const today = startOfDay(now);
+  const deadline = toJsDate(project.deadline) && startOfDay(toJsDate(project.deadline));
+  // The chart starts with the project (or its first task), and no later than today
+  const startTimes = [project.startDate, project.createdAt, ...tasks.map((task) => task.createdAt)]
+    .map(toJsDate)
+    .filter(Boolean)
+    .map((date) => date.getTime());
+  const start = startOfDay(new Date(Math.min(today.getTime(), ...startTimes)));
+  const end = deadline && deadline > today ? deadline : today;
+
+  const totalDays = Math.max(daysBetween(start, end), 0);
+  const step = Math.max(1, Math.ceil((totalDays + 1) / maxPoints));
+  const offsets = [];
+  for (let offset = 0; offset < totalDays; offset += step) offsets.push(offset);
+  offsets.push(totalDays);
+
+  const idealDays = deadline ? daysBetween(start, deadline) : null;
+  const indexOfDay = (date) => (date ? offsets.findIndex((offset) => offset >= daysBetween(start, date)) : -1);
+
+  const points = offsets.map((offset) => {
+    const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset);
+    let ideal = null;
+    if (idealDays !== null && offset <= idealDays) {
+      ideal = idealDays > 0 ? tasks.length * (1 - offset / idealDays) : 0;
+    }
+    if (date > today) return { date, scope: null, completed: null, remaining: null, ideal };
+
+    const dayEnd = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+    const existing = tasks.filter((task) => {
+      const createdAt = toJsDate(task.createdAt);
+      return !createdAt || createdAt < dayEnd;
+    });
+    const completed = existing.filter((task) => wasCompletedAt(task, dayEnd)).length;
+    return { date, scope: existing.length, completed, remaining: existing.length - completed, ideal };
+  });
+
+  return {
+    start,
+    end,
+    deadline,
+    todayIndex: indexOfDay(today),
+    deadlineIndex: indexOfDay(deadline),
+    points,
+  };
+}
@@ -0,0 +1,68 @@
+/**
+ * bulkAdd.js - Tasks From Pasted Multi-Line Text
+ *
+ * Reads plain lines, markdown bullet lists ("- ", "* ", "1. ") and
+ * checkbox lists ("- [ ] ", "- [x] ") into new tasks:
+ * - Each line at the outer level becomes a task; its date, !priority and
+ *   #project words are parsed like the quick-add field (see utils/quickAdd)
+ * - Lines indented under a task become its checklist items, checked when
+ *   written as "[x]"
+ * - Blank lines and markdown headings ("# Notes") are skipped
+ */
+
+import { parseQuickAdd } from './quickAdd';
+import { createChecklistItem, MAX_CHECKLIST_ITEMS } from './checklist';
+
+const BULLET = /^(?:[-*+•]|\d+[.)])\s+/;
+const CHECKBOX = /^\[([ xX])\]\s*/;
+const HEADING = /^#{1,6}\s/;
+
+/**
+ * Indent width of a line, counting a tab as four spaces
+ */
+const indentOf = (line) => line.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length;
+
+/**
+ * Strip the bullet and checkbox from a trimmed line
+ *
+ * @returns {Object} `{ text, checked }`
+ */
+function stripListMarkers(line) {
+  let text = line.replace(BULLET, '');
+  const checkbox = CHECKBOX.exec(text);
+  if (checkbox) text = text.slice(checkbox[0].length);
+  return { text: text.trim(), checked: !!checkbox && checkbox[1] !== ' ' };
+}
+
+/**
+ * Parse pasted text into task drafts
+ *
+ * @param {string} text
+ * @param {Object} [options] - `{ projects, now }`, passed to `parseQuickAdd`
+ * @returns {Array} `[{ title, deadline, hasTime, priority, project, projectName, checklist }]`
+ */
+export function parseBulkTasks(text, options = {}) {
+  const drafts = [];
+  let current = null;
+
+  (text || '').split(/\r?\n/).forEach((line) => {
+    const trimmed = line.trim();
+    if (!trimmed || HEADING.test(trimmed)) return;
+    const indent = indentOf(line);
+    const { text: content, checked } = stripListMarkers(trimmed);
+    if (!content) return;
+
+    if (current && indent > current.indent) {
+      if (current.draft.checklist.length < MAX_CHECKLIST_ITEMS) {
+        current.draft.checklist.push({ ...createChecklistItem(content), done: checked });
+      }
+      return;
+    }
+
+    const draft = { ...parseQuickAdd(content, options), checklist: [] };
+    drafts.push(draft);
+    current = { draft, indent };
+  });
+
+  return drafts;
+}
@@ -0,0 +1,188 @@
+/**
+ * bulkEdit.js - Changes Applied to Many Selected Items at Once
+ *
+ * The multi-select bars of the tasks and projects screens apply one action
+ * to every selected item:
+ * - complete, trash and restore
+ * - priority: set the same priority on all of them
+ * - shiftDeadline: move deadlines and start dates by a number of days,
+ *   keeping their time of day
+ * - move: put tasks in another project; tasks left behind stop waiting on
+ *   them, since "blocked by" links stay within one project
+ * - addTags: add tags, keeping the ones an item already has
+ *
+ * `getBulkChanges` returns plain field values (Dates, not Timestamps) so
+ * the services can convert them; it returns null when an item would not
+ * change, so no-op writes are skipped and counts stay honest.
+ */
+
+import { toJsDate } from './dateUtils';
+import { anchorRepeatRule } from './recurrence';
+import { getBlockerIds } from './taskDependencies';
+
+export const BULK_PRIORITIES = ['urgent', 'medium', 'low'];
+
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 24;
+
+// Ten years either way is plenty, and keeps typos like "300000" out
+const MAX_DAY_SHIFT = 3650;
+
+/**
+ * An item's tags, tolerating items created before tags existed
+ *
+ * @param {Object} item - Task or project
+ * @returns {Array<string>}
+ */
+export function getTags(item) {
+  return Array.isArray(item?.tags) ? item.tags : [];
+}
+
+/**
+ * Read tags typed as "design, #client x, Design": split on commas, drop a
+ * leading "#", collapse spaces and skip repeats (ignoring case)
+ *
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function parseTags(text) {
+  const tags = (text || '')
+    .split(',')
+    .map((tag) => tag.trim().replace(/^#+/, '').replace(/\s+/g, ' ').trim().slice(0, MAX_TAG_LENGTH))
+    .filter(Boolean);
+  return mergeTags([], tags);
+}
+
+/**
+ * Append the tags that are not there yet (ignoring case), up to MAX_TAGS
+ *
+ * @param {Array<string>} existing
+ * @param {Array<string>} added
+ * @returns {Array<string>} New array; `existing` keeps its order
+ */
+export function mergeTags(existing, added) {
+  const merged = [...existing];
+  const seen = new Set(existing.map((tag) => tag.toLowerCase()));
+  added.forEach((tag) => {
+    if (merged.length >= MAX_TAGS || seen.has(tag.toLowerCase())) return;
+    seen.add(tag.toLowerCase());
+    merged.push(tag);
+  });
+  return merged;
+}
+
+/**
+ * Read a day count such as "3", "+3", "-2" or "2d"
+ *
+ * @param {string} text
+ * @returns {number|null} Whole days, or null when invalid or zero
+ */
+export function parseDayShift(text) {
+  const match = /^([+-]?\d+)\s*(?:d|days?)?$/i.exec((text || '').trim());
+  if (!match) return null;
+  const days = Number(match[1]);
+  return days !== 0 && Math.abs(days) <= MAX_DAY_SHIFT ? days : null;
+}
+
+/**
+ * The same local time of day, `days` calendar days later
+ *
+ * @param {Date} date
+ * @param {number} days - May be negative
+ * @returns {Date}
+ */
+export function shiftDate(date, days) {
+  const shifted = new Date(date.getTime());
+  shifted.setDate(shifted.getDate() + days);
+  return shifted;
+}
+
+const ACTION_VERBS = {
+  complete: 'Complete',
+  trash: 'Move to Trash',
+  restore: 'Restore',
+  priority: 'Set priority of',
+  shiftDeadline: 'Reschedule',
+  move: 'Move',
+  addTags: 'Tag',
+};
+
+/**
+ * Verb for a bulk action in the pending-sync list ("Reschedule 12 tasks")
+ *
+ * @param {Object} action - `{ type }`
+ * @returns {string}
+ */
+export function getBulkActionVerb(action) {
+  return ACTION_VERBS[action.type] || 'Update';
+}
+
+/**
+ * Fields to write for one item
+ *
+ * @param {Object} item - Task or project, as in the store
+ * @param {Object} action - `{ type: 'complete' | 'trash' | 'restore' }`,
+ *   `{ type: 'priority', priority }`, `{ type: 'shiftDeadline', days }`,
+ *   `{ type: 'move', projectId }` or `{ type: 'addTags', tags }`
+ * @param {Date} [now] - Time recorded for `deletedAt`
+ * @returns {Object|null} Changed fields, or null when nothing changes
+ */
+export function getBulkChanges(item, action, now = new Date()) {
+  switch (action.type) {
+    case 'complete':
+      return item.completed ? null : { completed: true };
+
+    case 'trash':
+      return { deletedAt: now };
+
+    case 'restore':
+      return { deletedAt: null };
+
+    case 'priority':
+      return item.priority === action.priority ? null : { priority: action.priority };
+
+    case 'shiftDeadline': {
+      const deadline = toJsDate(item.deadline);
+      const startDate = toJsDate(item.startDate);
+      if (!deadline && !startDate) return null;
+      const changes = {
+        deadline: deadline && shiftDate(deadline, action.days),
+        startDate: startDate && shiftDate(startDate, action.days),
+      };
+      // Keep a monthly repeat pinned to the new due date, like rescheduling
+      if (item.repeat) changes.repeat = anchorRepeatRule(item.repeat, changes.deadline);
+      return changes;
+    }
+
+    case 'move':
+      if (item.projectId === action.projectId) return null;
+      // Workflow columns and "blocked by" links belong to the old project
+      return { projectId: action.projectId, status: null, blockedBy: [] };
+
+    case 'addTags': {
+      const tags = mergeTags(getTags(item), action.tags);
+      return tags.length === getTags(item).length ? null : { tags };
+    }
+
+    default:
+      throw new Error(`Unknown bulk action: ${action.type}`);
+  }
+}
+
+/**
+ * Tasks that are blocked by tasks being moved to another project, with the
+ * moved tasks taken out of their `blockedBy`
+ *
+ * @param {Array} movedTasks - Tasks changing project
+ * @param {Array} otherTasks - Tasks that may depend on them, e.g. the rest of the old project
+ * @returns {Array} `[{ task, changes: { blockedBy } }]`
+ */
+export function getMovedBlockerUnlinks(movedTasks, otherTasks) {
+  const movedIds = new Set(movedTasks.map((task) => task.id));
+  return otherTasks
+    .filter((task) => !movedIds.has(task.id) && getBlockerIds(task).some((id) => movedIds.has(id)))
+    .map((task) => ({
+      task,
+      changes: { blockedBy: getBlockerIds(task).filter((id) => !movedIds.has(id)) },
+    }));
+}
@@ -0,0 +1,179 @@
+/**
+ * calendarUtils.js - Periods and Agenda for the Calendar Screen
+ *
+ * The calendar shows one period at a time around an anchor date:
+ * a month, a week (Sun-Sat), three days, a single day, or an agenda of
+ * upcoming days. These helpers compute the days in a period, move
+ * between periods, group deadlines for the agenda and work out new dates
+ * when a deadline is dragged to another day.
+ */
+
+import { dateToLocalString, toJsDate, addDays } from './dateUtils';
+
+export const CALENDAR_MODES = [
+  { key: 'month', label: 'Month' },
+  { key: 'week', label: 'Week' },
+  { key: 'threeDay', label: '3 Days' },
+  { key: 'day', label: 'Day' },
+  { key: 'agenda', label: 'Agenda' },
+];
+
+// How far ahead the agenda looks
+export const AGENDA_DAYS = 60;
+
+const PERIOD_LENGTHS = { week: 7, threeDay: 3, day: 1 };
+
+const endOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+
+/**
+ * Parse a 'YYYY-MM-DD' key back into a local Date
+ */
+export function parseLocalDateString(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Weeks of a month as rows of 7 cells (null outside the month)
+ */
+export function getMonthMatrix(year, month) {
+  const firstDay = new Date(year, month, 1);
+  const lastDay = new Date(year, month + 1, 0);
+  const matrix = [];
+  let week = [];
+  let dayOfWeek = firstDay.getDay();
+  // Fill initial empty days
+  for (let i = 0; i < dayOfWeek; i++) week.push(null);
+  for (let date = 1; date <= lastDay.getDate(); date++) {
+    week.push(new Date(year, month, date));
+    if (week.length === 7) {
+      matrix.push(week);
+      week = [];
+    }
+  }
+  // Fill trailing empty days
+  if (week.length) {
+    while (week.length < 7) week.push(null);
+    matrix.push(week);
+  }
+  return matrix;
+}
+
+/**
+ * Days shown by the week, 3-day and day modes
+ *
+ * @param {string} mode - 'week' | 'threeDay' | 'day'
+ * @param {Date} anchor
+ * @returns {Array<Date>}
+ */
+export function getPeriodDays(mode, anchor) {
+  const length = PERIOD_LENGTHS[mode];
+  if (!length) return [];
+  const first = mode === 'week' ? addDays(anchor, -anchor.getDay()) : addDays(anchor, 0);
+  return Array.from({ length }, (_, i) => addDays(first, i));
+}
+
+/**
+ * First and last moment covered by a period, e.g. to project recurring tasks
+ *
+ * @param {string} mode
+ * @param {Date} anchor
+ * @param {Date} [today] - Start of the agenda
+ * @returns {Object} `{ start, end }`
+ */
+export function getPeriodRange(mode, anchor, today = new Date()) {
+  if (mode === 'month') {
+    return {
+      start: new Date(anchor.getFullYear(), anchor.getMonth(), 1),
+      end: endOfDay(new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0)),
+    };
+  }
+  if (mode === 'agenda') {
+    return { start: addDays(today, 0), end: endOfDay(addDays(today, AGENDA_DAYS - 1)) };
+  }
+  const days = getPeriodDays(mode, anchor);
+  return { start: days[0], end: endOfDay(days[days.length - 1]) };
+}
+
+/**
+ * Anchor of the previous (-1) or next (+1) period
+ */
+export function shiftPeriod(mode, anchor, direction) {
+  if (mode === 'month') {
+    return new Date(anchor.getFullYear(), anchor.getMonth() + direction, 1);
+  }
+  const length = PERIOD_LENGTHS[mode];
+  return length ? addDays(anchor, direction * length) : anchor;
+}
+
+/**
+ * Title of a period, e.g. "October 2026" or "Oct 18 – Oct 24, 2026"
+ */
+export function formatPeriodLabel(mode, anchor) {
+  if (mode === 'month') {
+    return anchor.toLocaleString('default', { month: 'long', year: 'numeric' });
+  }
+  if (mode === 'agenda') return 'Upcoming';
+  if (mode === 'day') {
+    return anchor.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+  }
+  const days = getPeriodDays(mode, anchor);
+  const first = days[0].toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  const last = days[days.length - 1].toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  return `${first} – ${last}`;
+}
+
+/**
+ * Group deadlines for the agenda: open items from past days first, then
+ * every day with deadlines from today through the agenda window
+ *
+ * @param {Object} deadlinesByDate - `{ 'YYYY-MM-DD': items }`
+ * @param {Date} today
+ * @param {Function} [isOpen] - Whether a past item still needs attention
+ * @returns {Object} `{ overdue, upcoming }`, each `[{ dateStr, date, items }]` in date order
+ */
+export function buildAgenda(deadlinesByDate, today, isOpen = () => true) {
+  const todayStr = dateToLocalString(today);
+  const lastStr = dateToLocalString(addDays(today, AGENDA_DAYS - 1));
+  const overdue = [];
+  const upcoming = [];
+
+  Object.keys(deadlinesByDate).sort().forEach((dateStr) => {
+    if (dateStr > lastStr) return;
+    const isPast = dateStr < todayStr;
+    const items = isPast ? deadlinesByDate[dateStr].filter(isOpen) : deadlinesByDate[dateStr];
+    if (items.length === 0) return;
+    (isPast ? overdue : upcoming).push({ dateStr, date: parseLocalDateString(dateStr), items });
+  });
+  return { overdue, upcoming };
+}
+
+/**
+ * New dates for an item whose deadline is moved to another day
+ *
+ * The deadline keeps its time of day, and a start date moves by the same
+ * number of days so the item keeps its length.
+ *
+ * @param {Object} item - Project or task with `deadline` and optional `startDate`
+ * @param {Date} day - Day the item was dropped on
+ * @returns {Object} `{ deadline, startDate }` (startDate null when unset)
+ */
+export function getRescheduledDates(item, day) {
+  const currentDeadline = toJsDate(item.deadline);
+  const currentStart = toJsDate(item.startDate);
+  const deadline = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+  if (currentDeadline) {
+    deadline.setHours(currentDeadline.getHours(), currentDeadline.getMinutes(), currentDeadline.getSeconds());
+  }
+
+  let startDate = null;
+  if (currentStart) {
+    const shiftDays = currentDeadline
+      ? Math.round((Date.UTC(day.getFullYear(), day.getMonth(), day.getDate())
+        - Date.UTC(currentDeadline.getFullYear(), currentDeadline.getMonth(), currentDeadline.getDate())) / 86400000)
+      : 0;
+    startDate = new Date(currentStart);
+    startDate.setDate(startDate.getDate() + shiftDays);
+  }
+  return { deadline, startDate };
+}
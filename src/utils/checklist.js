@@ -0,0 +1,92 @@
+/**
+ * checklist.js - Task Checklist Helpers
+ *
+ * A task's `checklist` is an ordered array of `{ id, text, done }` items
+ * stored on the task document. These pure helpers keep edits immutable so
+ * the result can be written straight back to Firestore.
+ */
+
+// Longest checklist a single task can hold
+export const MAX_CHECKLIST_ITEMS = 50;
+
+/**
+ * Build a new, unchecked checklist item
+ *
+ * @param {string} text - Item text (trimmed)
+ */
+export function createChecklistItem(text) {
+  return {
+    id: `${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 7)}`,
+    text: text.trim(),
+    done: false,
+  };
+}
+
+/**
+ * Read a task's checklist, tolerating tasks created before checklists existed
+ *
+ * @param {Object} task
+ * @returns {Array} Checklist items
+ */
+export function getChecklist(task) {
+  return Array.isArray(task?.checklist) ? task.checklist : [];
+}
+
+/**
+ * Count checked and total items
+ *
+ * @param {Array} checklist
+ * @returns {Object} `{ done, total }`
+ */
+export function getChecklistProgress(checklist) {
+  const items = Array.isArray(checklist) ? checklist : [];
+  return {
+    done: items.filter((item) => item.done).length,
+    total: items.length,
+  };
+}
+
+/**
+ * Check or uncheck one item
+ *
+ * @param {Array} checklist
+ * @param {string} itemId
+ */
+export function toggleChecklistItem(checklist, itemId) {
+  return checklist.map((item) => (item.id === itemId ? { ...item, done: !item.done } : item));
+}
+
+/**
+ * Move an item up (-1) or down (+1); out-of-range moves are ignored
+ *
+ * @param {Array} checklist
+ * @param {number} index - Current position of the item
+ * @param {number} offset - Positions to move by
+ */
+export function moveChecklistItem(checklist, index, offset) {
+  const target = index + offset;
+  if (index < 0 || index >= checklist.length || target < 0 || target >= checklist.length) {
+    return checklist;
+  }
+  const next = [...checklist];
+  const [item] = next.splice(index, 1);
+  next.splice(target, 0, item);
+  return next;
+}
+
+/**
+ * How complete a task is, from 0 to 1
+ *
+ * A completed task always counts as 1. Otherwise, when checklist items
+ * count toward progress, an open task counts for the share of its
+ * checklist that is done.
+ *
+ * @param {Object} task
+ * @param {boolean} [countChecklistItems=false]
+ */
+export function getTaskCompletion(task, countChecklistItems = false) {
+  if (task.completed) return 1;
+  if (!countChecklistItems) return 0;
+  const { done, total } = getChecklistProgress(task.checklist);
+  return total ? done / total : 0;
+}
@@ -0,0 +1,211 @@
+/**
+ * dataExport.js - CSV and JSON Exports
+ *
+ * Builds the files offered by the export options in Settings and on the
+ * Analytics screen:
+ * - projects.csv, tasks.csv: one row per live project / task
+ * - completions.csv: one row per completion or reopen event
+ * - analytics.csv: the metrics shown on the Analytics screen
+ * - backup.json: live projects and tasks plus the Trash lists, with dates
+ *   as ISO 8601 strings (tasks hidden with a trashed project are left out)
+ *
+ * CSV follows RFC 4180 (quoted fields, CRLF rows). Text starting with
+ * = + - @ is prefixed with an apostrophe so spreadsheets don't run it as a
+ * formula.
+ */
+
+import { toJsDate, dateToLocalString } from './dateUtils';
+import { getProjectStatuses, getTaskStatusId } from './workflow';
+import { getChecklistProgress } from './checklist';
+import { describeRepeatRule } from './recurrence';
+import { getCompletionEvents } from './analytics';
+
+export const BACKUP_VERSION = 1;
+
+/**
+ * Quote one CSV field when needed
+ */
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document
+ *
+ * @param {Array} columns - `[{ header, value: (row) => any }]`
+ * @param {Array} rows
+ * @returns {string}
+ */
+export function toCsv(columns, rows) {
+  const lines = [columns.map((column) => escapeCsvValue(column.header)).join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map((column) => escapeCsvValue(column.value(row))).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// Calendar dates (deadlines) as YYYY-MM-DD, moments as full ISO timestamps
+const toDay = (value) => dateToLocalString(toJsDate(value));
+const toIso = (value) => toJsDate(value)?.toISOString() || '';
+
+/**
+ * One row per project, with task counts
+ *
+ * @param {Array} projects
+ * @param {Object} tasksByProject - Tasks grouped by project ID
+ */
+export function buildProjectsCsv(projects, tasksByProject) {
+  const countOf = (project, completed) =>
+    (tasksByProject[project.id] || []).filter((task) => completed === undefined || task.completed === completed).length;
+
+  return toCsv([
+    { header: 'ID', value: (project) => project.id },
+    { header: 'Title', value: (project) => project.title },
+    { header: 'Description', value: (project) => project.description },
+    { header: 'Priority', value: (project) => project.priority },
+    { header: 'Start Date', value: (project) => toDay(project.startDate) },
+    { header: 'Deadline', value: (project) => toDay(project.deadline) },
+    { header: 'Tasks', value: (project) => countOf(project) },
+    { header: 'Completed Tasks', value: (project) => countOf(project, true) },
+    { header: 'Completed', value: (project) => (project.completed ? 'yes' : 'no') },
+    { header: 'Completed At', value: (project) => toIso(project.completedAt) },
+    { header: 'Created At', value: (project) => toIso(project.createdAt) },
+  ], projects);
+}
+
+/**
+ * One row per task, with its project and workflow status
+ *
+ * @param {Array} tasks
+ * @param {Object} projectsById
+ */
+export function buildTasksCsv(tasks, projectsById) {
+  const statusName = (task) => {
+    const statuses = getProjectStatuses(projectsById[task.projectId]);
+    const statusId = getTaskStatusId(task, statuses);
+    return statuses.find((status) => status.id === statusId)?.name || '';
+  };
+  const checklist = (task) => {
+    const { done, total } = getChecklistProgress(task.checklist);
+    return total ? `${done}/${total}` : '';
+  };
+
+  return toCsv([
+    { header: 'ID', value: (task) => task.id },
+    { header: 'Project', value: (task) => projectsById[task.projectId]?.title },
+    { header: 'Title', value: (task) => task.title },
+    { header: 'Description', value: (task) => task.description },
+    { header: 'Priority', value: (task) => task.priority },
+    { header: 'Status', value: statusName },
+    { header: 'Start Date', value: (task) => toDay(task.startDate) },
+    { header: 'Deadline', value: (task) => toDay(task.deadline) },
+    { header: 'Checklist', value: checklist },
+    { header: 'Blocked By', value: (task) => (task.blockedBy || []).length || '' },
+    { header: 'Repeats', value: (task) => (task.repeat ? describeRepeatRule(task.repeat, toJsDate(task.deadline)) : '') },
+    { header: 'Completed', value: (task) => (task.completed ? 'yes' : 'no') },
+    { header: 'Completed At', value: (task) => toIso(task.completedAt) },
+    { header: 'Created At', value: (task) => toIso(task.createdAt) },
+  ], tasks);
+}
+
+/**
+ * One row per completion or reopen of a project or task, oldest first
+ *
+ * @param {Array} projects
+ * @param {Array} tasks
+ * @param {Object} projectsById
+ */
+export function buildCompletionsCsv(projects, tasks, projectsById) {
+  const rows = [];
+  const addEvents = (type, item, projectTitle) => {
+    getCompletionEvents(item).forEach((event) => {
+      rows.push({ type, item, projectTitle, event });
+    });
+  };
+  projects.forEach((project) => addEvents('Project', project, project.title));
+  tasks.forEach((task) => addEvents('Task', task, projectsById[task.projectId]?.title));
+  rows.sort((a, b) => a.event.at - b.event.at);
+
+  return toCsv([
+    { header: 'Date', value: (row) => row.event.at.toISOString() },
+    { header: 'Event', value: (row) => (row.event.completed ? 'completed' : 'reopened') },
+    { header: 'Type', value: (row) => row.type },
+    { header: 'ID', value: (row) => row.item.id },
+    { header: 'Title', value: (row) => row.item.title },
+    { header: 'Project', value: (row) => row.projectTitle },
+  ], rows);
+}
+
+/**
+ * The Analytics screen's metrics as metric/value rows
+ *
+ * @param {Object} analytics - Result of `calculateAnalytics`
+ * @param {string} timeRange - 'week' | 'month' | 'year'
+ */
+export function buildAnalyticsCsv(analytics, timeRange) {
+  const rows = [
+    ['Period', `This ${timeRange}`],
+    ['Completion rate (%)', analytics.completionRate],
+    ['Projects', analytics.totalProjects],
+    ['Completed projects', analytics.completedProjects],
+    ['Tasks', analytics.totalTasks],
+    ['Completed tasks', analytics.completedTasks],
+    ['Reopened items', analytics.reopenedItems],
+    ['Average cycle time (days)', analytics.avgCompletionTime],
+    ['High priority items', analytics.priorityDistribution.high],
+    ['Medium priority items', analytics.priorityDistribution.medium],
+    ['Low priority items', analytics.priorityDistribution.low],
+    ...analytics.completionTrend.map((bucket) => [`Completions (${bucket.label})`, bucket.count]),
+  ];
+  return toCsv([
+    { header: 'Metric', value: (row) => row[0] },
+    { header: 'Value', value: (row) => row[1] },
+  ], rows);
+}
+
+/**
+ * Copy a Firestore document with every Timestamp turned into an ISO string
+ */
+function toPlainValue(value) {
+  if (Array.isArray(value)) return value.map(toPlainValue);
+  if (value instanceof Date || (value && typeof value.toDate === 'function')) return toIso(value);
+  if (value && typeof value === 'object') {
+    const plain = {};
+    Object.keys(value).forEach((key) => {
+      plain[key] = toPlainValue(value[key]);
+    });
+    return plain;
+  }
+  return value;
+}
+
+/**
+ * Full JSON dump of the user's data
+ *
+ * @param {Object} data - `{ projects, tasks, trashedProjects, trashedTasks }`
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function buildJsonBackup({ projects, tasks, trashedProjects = [], trashedTasks = [] }, now = new Date()) {
+  return JSON.stringify({
+    app: 'Project Pro',
+    version: BACKUP_VERSION,
+    exportedAt: now.toISOString(),
+    projects: toPlainValue(projects),
+    tasks: toPlainValue(tasks),
+    trash: {
+      projects: toPlainValue(trashedProjects),
+      tasks: toPlainValue(trashedTasks),
+    },
+  }, null, 2);
+}
+
+/**
+ * File name for an export, e.g. "project-pro-tasks-2026-10-19.csv"
+ */
+export function getExportFileName(kind, extension, now = new Date()) {
+  return `project-pro-${kind}-${dateToLocalString(now)}.${extension}`;
+}
@@ -0,0 +1,218 @@
+/**
+ * dataSelectors.js - Derived Data for Projects and Tasks
+ *
+ * Pure functions that turn the raw project and task lists held by the
+ * DataContext into the shapes screens need. Kept free of React and
+ * Firebase so they can be unit tested.
+ */
+
+import { toJsDate, dateToLocalString } from './dateUtils';
+import { getTaskCompletion } from './checklist';
+
+const PRIORITY_ORDER = { urgent: 0, medium: 1, low: 2 };
+
+/**
+ * Sort tasks: incomplete first, then by priority (urgent first),
+ * then newest first. Returns a new array.
+ *
+ * @param {Array} tasks - Tasks to sort
+ */
+export function sortTasks(tasks) {
+  return [...tasks].sort((a, b) => {
+    if (a.completed !== b.completed) {
+      return a.completed ? 1 : -1;
+    }
+
+    const aPriority = PRIORITY_ORDER[a.priority?.toLowerCase()] ?? 3;
+    const bPriority = PRIORITY_ORDER[b.priority?.toLowerCase()] ?? 3;
+    if (aPriority !== bPriority) {
+      return aPriority - bPriority;
+    }
+
+    if (a.createdAt && b.createdAt) {
+      return b.createdAt.toDate().getTime() - a.createdAt.toDate().getTime();
+    }
+
+    return 0;
+  });
+}
+
+/**
+ * Index a list of documents by their `id`
+ *
+ * @param {Array} items - Documents with an `id` field
+ * @returns {Object} `{ [id]: item }`
+ */
+export function indexById(items) {
+  const byId = {};
+  items.forEach((item) => {
+    byId[item.id] = item;
+  });
+  return byId;
+}
+
+/**
+ * Group tasks by project, each group sorted with `sortTasks`
+ *
+ * @param {Array} tasks - All of the user's tasks
+ * @returns {Object} `{ [projectId]: Task[] }`
+ */
+export function groupTasksByProject(tasks) {
+  const grouped = {};
+  tasks.forEach((task) => {
+    if (!task.projectId) return;
+    if (!grouped[task.projectId]) grouped[task.projectId] = [];
+    grouped[task.projectId].push(task);
+  });
+  Object.keys(grouped).forEach((projectId) => {
+    grouped[projectId] = sortTasks(grouped[projectId]);
+  });
+  return grouped;
+}
+
+/**
+ * Compute task counts and completion percentage for every project
+ *
+ * `completed` and `total` always count whole tasks. With
+ * `countChecklistItems`, the percentage also gives open tasks partial
+ * credit for their checked checklist items.
+ *
+ * @param {Object} tasksByProject - Output of `groupTasksByProject`
+ * @param {Object} [options]
+ * @param {boolean} [options.countChecklistItems=false]
+ * @returns {Object} `{ [projectId]: { total, completed, percent } }`
+ */
+export function getProgressByProject(tasksByProject, { countChecklistItems = false } = {}) {
+  const progress = {};
+  Object.keys(tasksByProject).forEach((projectId) => {
+    const tasks = tasksByProject[projectId];
+    const total = tasks.length;
+    const completed = tasks.filter((task) => task.completed).length;
+    const score = tasks.reduce((sum, task) => sum + getTaskCompletion(task, countChecklistItems), 0);
+    progress[projectId] = {
+      total,
+      completed,
+      percent: total ? Math.round((score / total) * 100) : 0,
+    };
+  });
+  return progress;
+}
+
+/**
+ * Group project deadlines and open task deadlines by local calendar day
+ *
+ * @param {Array} projects - All of the user's projects
+ * @param {Array} tasks - All of the user's tasks (completed ones are skipped)
+ * @returns {Object} `{ 'YYYY-MM-DD': [{ type: 'Project' | 'Task', ...item }] }`
+ */
+export function groupDeadlinesByDate(projects, tasks) {
+  const deadlines = {};
+  const add = (type, item) => {
+    const dateStr = dateToLocalString(toJsDate(item.deadline));
+    if (!dateStr) return;
+    if (!deadlines[dateStr]) deadlines[dateStr] = [];
+    deadlines[dateStr].push({ type, ...item });
+  };
+
+  projects.forEach((project) => add('Project', project));
+  tasks.forEach((task) => {
+    if (!task.completed) add('Task', task);
+  });
+  return deadlines;
+}
+
+/**
+ * Group completed tasks by the local calendar day they were completed
+ *
+ * Tasks completed before `completedAt` was recorded fall back to their
+ * last update.
+ *
+ * @param {Array} tasks - All of the user's tasks (open ones are skipped)
+ * @returns {Object} `{ 'YYYY-MM-DD': [{ type: 'Task', ...task }] }`
+ */
+export function groupCompletionsByDate(tasks) {
+  const completions = {};
+  tasks.forEach((task) => {
+    if (!task.completed) return;
+    const dateStr = dateToLocalString(toJsDate(task.completedAt || task.updatedAt));
+    if (!dateStr) return;
+    if (!completions[dateStr]) completions[dateStr] = [];
+    completions[dateStr].push({ type: 'Task', ...task });
+  });
+  return completions;
+}
+
+/**
+ * Newest-first comparator on `deletedAt`
+ */
+const byDeletedAtDesc = (a, b) =>
+  (toJsDate(b.deletedAt)?.getTime() || 0) - (toJsDate(a.deletedAt)?.getTime() || 0);
+
+/**
+ * Separate live items from items in the Trash
+ *
+ * A task is hidden when it was trashed itself or when its project was
+ * trashed. Only tasks trashed on their own are listed in `trashedTasks`;
+ * the others come back with their project.
+ *
+ * @param {Array} projects - All of the user's projects, including trashed ones
+ * @param {Array} tasks - All of the user's tasks, including trashed ones
+ * @returns {Object} `{ projects, tasks, trashedProjects, trashedTasks }`
+ */
+export function splitTrash(projects, tasks) {
+  const trashedProjectIds = new Set();
+  const liveProjects = [];
+  const trashedProjects = [];
+  projects.forEach((project) => {
+    if (project.deletedAt) {
+      trashedProjectIds.add(project.id);
+      trashedProjects.push(project);
+    } else {
+      liveProjects.push(project);
+    }
+  });
+
+  const liveTasks = [];
+  const trashedTasks = [];
+  tasks.forEach((task) => {
+    if (trashedProjectIds.has(task.projectId)) return;
+    if (task.deletedAt) {
+      trashedTasks.push(task);
+    } else {
+      liveTasks.push(task);
+    }
+  });
+
+  return {
+    projects: liveProjects,
+    tasks: liveTasks,
+    trashedProjects: trashedProjects.sort(byDeletedAtDesc),
+    trashedTasks: trashedTasks.sort(byDeletedAtDesc),
+  };
+}
+
+/**
+ * Whole days left before a trashed item is purged
+ *
+ * @param {Object} item - Trashed item with `deletedAt`
+ * @param {number} retentionDays - Days items are kept; 0 keeps them forever
+ * @param {Date} [now]
+ * @returns {number|null} Days remaining (0 when due), or null if never purged
+ */
+export function getDaysUntilPurge(item, retentionDays, now = new Date()) {
+  const deletedAt = toJsDate(item.deletedAt);
+  if (!retentionDays || !deletedAt) return null;
+  const purgeAt = deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000;
+  return Math.max(0, Math.ceil((purgeAt - now.getTime()) / (24 * 60 * 60 * 1000)));
+}
+
+/**
+ * Trashed items whose retention period has run out
+ *
+ * @param {Array} trashedItems - Items with `deletedAt`
+ * @param {number} retentionDays - Days items are kept; 0 keeps them forever
+ * @param {Date} [now]
+ */
+export function getExpiredTrash(trashedItems, retentionDays, now = new Date()) {
+  return trashedItems.filter((item) => getDaysUntilPurge(item, retentionDays, now) === 0);
+}
@@ -2,15 +2,21 @@
  * Date utility functions for handling Firestore timestamps and date formatting
  */
 
-// Utility to safely convert Firestore Timestamp, string, or Date to a valid date string
-export function safeToDateString(deadline) {
-  let date = deadline;
+// Utility to convert a Firestore Timestamp, string, or Date to a Date (null if invalid)
+export function toJsDate(value) {
+  let date = value;
   if (date && typeof date === 'object' && date.toDate) {
     date = date.toDate();
   } else if (date && !(date instanceof Date)) {
     date = new Date(date);
   }
-  return date instanceof Date && !isNaN(date) ? date.toDateString() : '';
+  return date instanceof Date && !isNaN(date) ? date : null;
+}
+
+// Utility to safely convert Firestore Timestamp, string, or Date to a valid date string
+export function safeToDateString(deadline) {
+  const date = toJsDate(deadline);
+  return date ? date.toDateString() : '';
 }
 
 // Utility to convert a Date object to YYYY-MM-DD format using local timezone
@@ -22,6 +28,16 @@ export function dateToLocalString(date) {
   return `${year}-${month}-${day}`;
 }
 
+// Utility to get local midnight of a date
+export function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// Utility to move a date by whole calendar days (may be negative); returns local midnight
+export function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
 // Utility to check if two dates are the same day
 export function isSameDay(date1, date2) {
   if (!date1 || !date2) return false;
@@ -30,6 +46,12 @@ export function isSameDay(date1, date2) {
          date1.getDate() === date2.getDate();
 }
 
+// Utility to check if date1 falls on a later day than date2
+export function isLaterDay(date1, date2) {
+  if (!date1 || !date2) return false;
+  return dateToLocalString(date1) > dateToLocalString(date2);
+}
+
 // Utility to format date for display
 export function formatDateForDisplay(date) {
   if (!date) return '';
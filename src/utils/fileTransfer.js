@@ -0,0 +1,73 @@
+/**
+ * fileTransfer.js - Saving and Opening Text Files
+ *
+ * Works without native file-system modules:
+ * - Web: files download through a link and open through a file input
+ * - iOS/Android: contents go to the system share sheet, and files are
+ *   downloaded from a URL instead of picked
+ */
+
+import { Platform, Share } from 'react-native';
+
+export const canPickFiles = Platform.OS === 'web';
+
+/**
+ * Save (web) or share (native) a text file
+ *
+ * @param {string} fileName - e.g. "deadlines.ics"
+ * @param {string} text - File contents
+ * @param {string} mimeType - e.g. "text/calendar"
+ */
+export async function shareTextFile(fileName, text, mimeType) {
+  if (Platform.OS !== 'web') {
+    await Share.share({ title: fileName, message: text });
+    return;
+  }
+
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Let the user choose a file and read it as text (web only)
+ *
+ * @param {string} accept - File input filter, e.g. ".ics,text/calendar"
+ * @returns {Promise<string|null>} Contents, or null when cancelled
+ */
+export function pickTextFile(accept) {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.addEventListener('change', () => {
+      const file = input.files?.[0];
+      if (!file) {
+        resolve(null);
+        return;
+      }
+      file.text().then(resolve, reject);
+    });
+    input.addEventListener('cancel', () => resolve(null));
+    input.click();
+  });
+}
+
+/**
+ * Download a text file from a URL ("webcal://" links are fetched over https)
+ *
+ * @param {string} url
+ * @returns {Promise<string>}
+ */
+export async function fetchTextFile(url) {
+  const response = await fetch(url.trim().replace(/^webcal:\/\//i, 'https://'));
+  if (!response.ok) {
+    throw new Error(`The file could not be downloaded (HTTP ${response.status}).`);
+  }
+  return response.text();
+}
@@ -0,0 +1,87 @@
+/**
+ * forecast.js - Projected Completion Dates for Projects
+ *
+ * Estimates when a project's open tasks will be finished from its recent
+ * completion velocity: tasks completed over the last few weeks (see
+ * utils/analytics for how completions are read).
+ *
+ * The confidence range treats completions as arriving independently, so a
+ * count of N has a spread of about √N: the optimistic date uses N + √N
+ * completions per window, the pessimistic one N − √N. With too little
+ * history the pessimistic end is open (null).
+ */
+
+import { toJsDate, startOfDay, addDays } from './dateUtils';
+import { getLastCompletion } from './analytics';
+import { daysBetween } from './timeline';
+
+// Velocity is measured over this many recent days...
+export const VELOCITY_WINDOW_DAYS = 28;
+// ...or over the project's age when it is younger, but at least this long
+const MIN_WINDOW_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Forecast one project's completion date
+ *
+ * @param {Object} project
+ * @param {Array} tasks - Live tasks of the project
+ * @param {Date} [now]
+ * @returns {Object} `{ status, remaining, velocityPerWeek, expected, earliest, latest }`;
+ *   status is 'done' (no open tasks), 'noVelocity' (nothing completed recently),
+ *   'atRisk' (expected after the deadline), 'onTrack', or 'noDeadline'
+ */
+export function forecastProject(project, tasks, now = new Date()) {
+  const remaining = tasks.filter((task) => !task.completed).length;
+  const empty = { remaining, velocityPerWeek: 0, expected: null, earliest: null, latest: null };
+  if (tasks.length === 0 || remaining === 0) return { ...empty, status: 'done' };
+
+  const createdAt = toJsDate(project.createdAt);
+  const ageDays = createdAt ? (now - createdAt) / DAY_MS : VELOCITY_WINDOW_DAYS;
+  const windowDays = Math.min(VELOCITY_WINDOW_DAYS, Math.max(MIN_WINDOW_DAYS, ageDays));
+  const windowStart = new Date(now.getTime() - windowDays * DAY_MS);
+
+  const completedInWindow = tasks.filter((task) => {
+    const completedAt = getLastCompletion(task);
+    return completedAt && completedAt >= windowStart && completedAt <= now;
+  }).length;
+  if (completedInWindow === 0) return { ...empty, status: 'noVelocity' };
+
+  const spread = Math.sqrt(completedInWindow);
+  const daysToFinish = (count) => (count > 0 ? Math.ceil(remaining / (count / windowDays)) : null);
+  const today = startOfDay(now);
+  const expected = addDays(today, daysToFinish(completedInWindow));
+  const earliest = addDays(today, daysToFinish(completedInWindow + spread));
+  const slowest = daysToFinish(completedInWindow - spread);
+  const latest = slowest === null ? null : addDays(today, slowest);
+
+  const deadline = toJsDate(project.deadline);
+  let status = 'noDeadline';
+  if (deadline) status = daysBetween(deadline, expected) > 0 ? 'atRisk' : 'onTrack';
+
+  return {
+    status,
+    remaining,
+    velocityPerWeek: Math.round((completedInWindow / windowDays) * 7 * 10) / 10,
+    expected,
+    earliest,
+    latest,
+  };
+}
+
+/**
+ * Forecasts for every project
+ *
+ * @param {Array} projects - Live projects
+ * @param {Object} tasksByProject - Live tasks grouped by project ID
+ * @param {Date} [now]
+ * @returns {Object} `{ [projectId]: forecast }`
+ */
+export function getForecastsByProject(projects, tasksByProject, now = new Date()) {
+  const forecasts = {};
+  projects.forEach((project) => {
+    forecasts[project.id] = forecastProject(project, tasksByProject[project.id] || [], now);
+  });
+  return forecasts;
+}
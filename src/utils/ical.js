@@ -0,0 +1,322 @@
+/**
+ * ical.js - iCalendar (.ics) Export and Import
+ *
+ * Export: project deadlines and open task deadlines become all-day
+ * VEVENTs (RFC 5545). Each event has a stable UID, so calendar apps
+ * update the event on re-import instead of adding a duplicate. Tasks that
+ * came from an .ics file keep the UID they were imported with. A task's
+ * project goes in an X-PROJECTPRO-PROJECT property, leaving its
+ * DESCRIPTION exactly as the user wrote it.
+ *
+ * Import: VEVENT and VTODO entries are parsed into plain task fields and
+ * matched to the project's tasks by UID (see importTasksFromICalendar in
+ * tasksService). Times with a TZID are read as device-local time.
+ */
+
+import { toJsDate } from './dateUtils';
+
+const PRODUCT_ID = '-//Project Pro//Deadlines//EN';
+const UID_DOMAIN = 'projectpro.app';
+// Content lines are folded at 75 octets
+const MAX_LINE_OCTETS = 75;
+
+const PRIORITY_TO_ICAL = { urgent: 1, medium: 5, low: 9 };
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma, newline)
+ */
+export function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Undo `escapeText`
+ */
+export function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+const utf8Length = (char) => {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  return code < 0x10000 ? 3 : 4;
+};
+
+/**
+ * Split a content line into 75-octet pieces joined by CRLF + space,
+ * never cutting a character in half
+ */
+function foldLine(line) {
+  const pieces = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    // Continuation lines lose one octet to the leading space
+    const limit = pieces.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    const size = utf8Length(char);
+    if (octets + size > limit) {
+      pieces.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  pieces.push(current);
+  return pieces.join('\r\n ');
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Local calendar day as YYYYMMDD
+const formatDate = (date) => `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+
+// UTC date-time as YYYYMMDDTHHMMSSZ
+const formatUtcDateTime = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+  `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+/**
+ * Stable UID of an exported project or task
+ *
+ * @param {Object} item - Project or task
+ * @param {string} type - 'Project' | 'Task'
+ */
+export function getICalUid(item, type) {
+  return item.icalUid || `${type.toLowerCase()}-${item.id}@${UID_DOMAIN}`;
+}
+
+/**
+ * File name for an export, e.g. "website-redesign.ics"
+ */
+export function getICalendarFileName(name) {
+  const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `${slug || 'project-pro-deadlines'}.ics`;
+}
+
+/**
+ * Build an .ics document with one all-day event per deadline
+ *
+ * @param {Object} data - `{ projects, tasks, calendarName }`; items without a
+ *   deadline and completed tasks are skipped
+ * @param {Date} [now] - DTSTAMP of the events
+ * @returns {string}
+ */
+export function buildICalendar({ projects = [], tasks = [], calendarName }, now = new Date()) {
+  const projectTitles = {};
+  projects.forEach((project) => {
+    projectTitles[project.id] = project.title;
+  });
+
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODUCT_ID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+  if (calendarName) lines.push(`X-WR-CALNAME:${escapeText(calendarName)}`);
+
+  const addEvent = (type, item, summary, projectTitle) => {
+    const deadline = toJsDate(item.deadline);
+    if (!deadline) return;
+    const dayAfter = new Date(deadline.getFullYear(), deadline.getMonth(), deadline.getDate() + 1);
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${getICalUid(item, type)}`,
+      `DTSTAMP:${formatUtcDateTime(now)}`,
+      `DTSTART;VALUE=DATE:${formatDate(deadline)}`,
+      `DTEND;VALUE=DATE:${formatDate(dayAfter)}`,
+      `SUMMARY:${escapeText(summary)}`
+    );
+    if (item.description) lines.push(`DESCRIPTION:${escapeText(item.description)}`);
+    const priority = PRIORITY_TO_ICAL[item.priority?.toLowerCase()];
+    if (priority) lines.push(`PRIORITY:${priority}`);
+    if (projectTitle) lines.push(`X-PROJECTPRO-PROJECT:${escapeText(projectTitle)}`);
+    lines.push(`CATEGORIES:${type}`, 'TRANSP:TRANSPARENT', 'END:VEVENT');
+  };
+
+  projects.forEach((project) => {
+    addEvent('Project', project, `Project deadline: ${project.title}`);
+  });
+  tasks.forEach((task) => {
+    if (task.completed) return;
+    addEvent('Task', task, task.title, projectTitles[task.projectId]);
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Split "NAME;PARAM=a;PARAM2="b:c":value" into name, params and value
+ */
+function parseContentLine(line) {
+  let inQuotes = false;
+  let valueStart = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ':' && !inQuotes) {
+      valueStart = i;
+      break;
+    }
+  }
+  if (valueStart < 0) return null;
+
+  const [name, ...paramParts] = line.slice(0, valueStart).split(';');
+  const params = {};
+  paramParts.forEach((part) => {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(valueStart + 1) };
+}
+
+/**
+ * Read a DATE or DATE-TIME value
+ *
+ * @returns {Date|null} Local midnight for dates; UTC for "Z" times; local otherwise
+ */
+export function parseICalDate(value) {
+  const dateOnly = /^(\d{4})(\d{2})(\d{2})$/.exec(value);
+  if (dateOnly) {
+    return new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]));
+  }
+  const dateTime = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(value);
+  if (!dateTime) return null;
+  const [year, month, day, hours, minutes, seconds] = dateTime.slice(1, 7).map(Number);
+  return dateTime[7]
+    ? new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds))
+    : new Date(year, month - 1, day, hours, minutes, seconds);
+}
+
+const icalPriorityToTask = (value) => {
+  const priority = Number(value);
+  if (priority >= 1 && priority <= 4) return 'urgent';
+  if (priority >= 6 && priority <= 9) return 'low';
+  return 'medium';
+};
+
+/**
+ * Parse the events and to-dos of an .ics document
+ *
+ * Cancelled events and project deadlines exported by this app (UID
+ * "project-…" or CATEGORIES:Project) are skipped; alarms and other nested
+ * components are ignored. To-dos use their DUE date (or DTSTART), events
+ * their DTSTART.
+ * Fields the file does not have are left undefined, so an import only
+ * changes what the file actually says.
+ *
+ * @param {string} text - .ics file contents
+ * @returns {Array} `[{ uid, title, description, deadline, priority, completed }]`
+ */
+export function parseICalendar(text) {
+  const lines = String(text)
+    .replace(/\r\n?/g, '\n')
+    // Unfold continuation lines
+    .replace(/\n[ \t]/g, '')
+    .split('\n');
+
+  const entries = [];
+  let current = null;
+  let nestedDepth = 0;
+
+  lines.forEach((line) => {
+    const property = line.trim() ? parseContentLine(line) : null;
+    if (!property) return;
+    const { name, value } = property;
+
+    if (!current) {
+      if (name === 'BEGIN' && (value === 'VEVENT' || value === 'VTODO')) {
+        current = { kind: value, properties: {} };
+      }
+      return;
+    }
+    if (name === 'BEGIN') {
+      nestedDepth += 1;
+    } else if (name === 'END' && nestedDepth > 0) {
+      nestedDepth -= 1;
+    } else if (name === 'END' && value === current.kind) {
+      const entry = toEntry(current);
+      if (entry) entries.push(entry);
+      current = null;
+    } else if (nestedDepth === 0 && !current.properties[name]) {
+      current.properties[name] = property;
+    }
+  });
+  return entries;
+}
+
+/**
+ * Whether an event is a project deadline exported by this app, which must
+ * not come back as a task
+ */
+function isProjectDeadline({ UID, CATEGORIES }) {
+  const uid = UID?.value || '';
+  if (uid.startsWith('project-') && uid.endsWith(`@${UID_DOMAIN}`)) return true;
+  const categories = CATEGORIES ? CATEGORIES.value.split(',').map((category) => category.trim().toUpperCase()) : [];
+  return categories.includes('PROJECT');
+}
+
+/**
+ * Turn the properties of one component into task fields
+ */
+function toEntry({ kind, properties }) {
+  const status = properties.STATUS?.value.toUpperCase();
+  if (status === 'CANCELLED' || isProjectDeadline(properties)) return null;
+
+  const dateProperty = kind === 'VTODO' ? properties.DUE || properties.DTSTART : properties.DTSTART;
+  const hasCompletion = Boolean(status || properties.COMPLETED);
+  return {
+    uid: properties.UID?.value || null,
+    title: properties.SUMMARY ? unescapeText(properties.SUMMARY.value).trim() || 'Untitled' : undefined,
+    description: properties.DESCRIPTION ? unescapeText(properties.DESCRIPTION.value).trim() : undefined,
+    deadline: dateProperty ? parseICalDate(dateProperty.value) : undefined,
+    priority: properties.PRIORITY ? icalPriorityToTask(properties.PRIORITY.value) : undefined,
+    completed: hasCompletion ? status === 'COMPLETED' || Boolean(properties.COMPLETED) : undefined,
+  };
+}
+
+const NEW_TASK_DEFAULTS = {
+  title: 'Untitled',
+  description: '',
+  deadline: null,
+  priority: 'medium',
+  completed: false,
+};
+
+/**
+ * Match parsed entries to the tasks of the project they are imported into
+ *
+ * An entry whose UID matches a task (imported earlier, or exported from
+ * this app) updates that task with only the fields the file provides; the
+ * others become new tasks, with defaults for what the file leaves out.
+ * Entries repeating a UID (e.g. edited instances of a recurring event) are
+ * imported once.
+ *
+ * @param {Array} entries - Output of `parseICalendar`
+ * @param {Array} projectTasks - Current tasks of the project
+ * @returns {Array} `[{ task, uid, fields }]`; `task` is null for new tasks
+ */
+export function planICalendarImport(entries, projectTasks) {
+  const tasksByUid = {};
+  projectTasks.forEach((task) => {
+    tasksByUid[getICalUid(task, 'Task')] = task;
+  });
+
+  const seenUids = new Set();
+  const plan = [];
+  entries.forEach((entry) => {
+    if (entry.uid) {
+      if (seenUids.has(entry.uid)) return;
+      seenUids.add(entry.uid);
+    }
+    const task = (entry.uid && tasksByUid[entry.uid]) || null;
+    const fields = task ? {} : { ...NEW_TASK_DEFAULTS };
+    Object.keys(NEW_TASK_DEFAULTS).forEach((key) => {
+      if (entry[key] !== undefined) fields[key] = entry[key];
+    });
+    plan.push({ task, uid: entry.uid, fields });
+  });
+  return plan;
+}
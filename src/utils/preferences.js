@@ -0,0 +1,54 @@
+/**
+ * preferences.js - Persistent App Preferences
+ * 
+ * Stores device-level app preferences (not account data) in AsyncStorage.
+ * Unknown or missing keys fall back to DEFAULT_PREFERENCES, so new
+ * preferences can be added without migrating stored values.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Storage keys
+const STORAGE_KEYS = {
+  APP_PREFERENCES: 'appPreferences'
+};
+
+/**
+ * Default value for every preference
+ */
+export const DEFAULT_PREFERENCES = {
+  // Days an item stays in the Trash before it is purged; 0 keeps it forever
+  trashRetentionDays: 30,
+  // Let checked checklist items count toward project progress
+  checklistProgress: false,
+  // Last mode picked on the Calendar screen (see utils/calendarUtils)
+  calendarMode: 'month',
+  // Also show completed tasks on the Calendar, on the day they were finished
+  calendarShowCompleted: false,
+};
+
+/**
+ * Load preferences merged over the defaults
+ */
+export const loadPreferences = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.APP_PREFERENCES);
+    return { ...DEFAULT_PREFERENCES, ...(stored ? JSON.parse(stored) : {}) };
+  } catch (error) {
+    console.error('Error loading preferences:', error);
+    return { ...DEFAULT_PREFERENCES };
+  }
+};
+
+/**
+ * Persist the full preferences object
+ */
+export const savePreferences = async (preferences) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEYS.APP_PREFERENCES, JSON.stringify(preferences));
+    return true;
+  } catch (error) {
+    console.error('Error saving preferences:', error);
+    return false;
+  }
+};
@@ -0,0 +1,317 @@
+/**
+ * quickAdd.js - Natural-Language Quick-Add Parser
+ *
+ * Turns a one-line phrase such as "Send invoice fri !urgent #ClientX" into
+ * the fields of a new task:
+ * - Deadline: today, tomorrow, weekday names (the next one after today;
+ *   mon, wed, thu, sat and sun only after a connector or "next", or at the
+ *   end, so "Clean sun room" keeps its title), "next fri", "in 3 days",
+ *   "in 2 weeks", "next week", "next month", "oct 3", "3 october", "10/3",
+ *   "2025-10-03", optionally after "due", "by" or "on", and an optional
+ *   time ("at 3pm", "15:30")
+ * - Priority: !urgent / !u / !high / !1, !medium / !m / !2, !low / !l / !3
+ * - Project: #Name, matched against project titles ignoring case, spaces
+ *   and punctuation ("#client-x" finds "Client X")
+ * - Title: every other word, in the order typed, cut to the 100 characters
+ *   the task form allows
+ *
+ * Dates without a year that have already passed this year roll over to
+ * next year. Deadlines without a time are set to midnight, like imported
+ * all-day events.
+ */
+
+import { startOfDay, addDays } from './dateUtils';
+
+// Same limit as the task form
+export const MAX_TITLE_LENGTH = 100;
+
+const WEEKDAYS = {
+  sun: 0, sunday: 0,
+  mon: 1, monday: 1,
+  tue: 2, tues: 2, tuesday: 2,
+  wed: 3, weds: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4,
+  fri: 5, friday: 5,
+  sat: 6, saturday: 6,
+};
+
+const MONTHS = {
+  jan: 0, january: 0,
+  feb: 1, february: 1,
+  mar: 2, march: 2,
+  apr: 3, april: 3,
+  may: 4,
+  jun: 5, june: 5,
+  jul: 6, july: 6,
+  aug: 7, august: 7,
+  sep: 8, sept: 8, september: 8,
+  oct: 9, october: 9,
+  nov: 10, november: 10,
+  dec: 11, december: 11,
+};
+
+const PRIORITIES = {
+  urgent: 'urgent', u: 'urgent', high: 'urgent', h: 'urgent', 1: 'urgent',
+  medium: 'medium', med: 'medium', m: 'medium', 2: 'medium',
+  low: 'low', l: 'low', 3: 'low',
+};
+
+const UNITS = {
+  day: 'day', days: 'day', d: 'day',
+  week: 'week', weeks: 'week', wk: 'week', wks: 'week', w: 'week',
+  month: 'month', months: 'month', mo: 'month',
+};
+
+const DATE_CONNECTORS = ['due', 'by', 'on'];
+
+// Short weekday names that are also ordinary words ("sun room", "sat exam"):
+// only dates after a connector or "next", or at the end of the phrase
+const AMBIGUOUS_WEEKDAYS = ['sun', 'sat', 'wed', 'thu', 'mon'];
+
+// Own keys only, so words like "constructor" don't match
+const lookup = (table, key) => (Object.prototype.hasOwnProperty.call(table, key) ? table[key] : undefined);
+
+/**
+ * Same day of the month `months` later, clamped to the month's last day
+ */
+function addMonths(date, months) {
+  const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  return new Date(target.getFullYear(), target.getMonth(), Math.min(date.getDate(), lastDay));
+}
+
+/**
+ * Build a date, or null when the day doesn't exist (e.g. Feb 30)
+ */
+function makeDate(year, month, day) {
+  const date = new Date(year, month, day);
+  return date.getMonth() === month && date.getDate() === day ? date : null;
+}
+
+/**
+ * A month and day without a year: this year, or next year once passed
+ */
+function upcomingDate(month, day, today) {
+  const date = makeDate(today.getFullYear(), month, day);
+  if (!date) return null;
+  return date < today ? makeDate(today.getFullYear() + 1, month, day) : date;
+}
+
+const parseDayNumber = (word) => {
+  const match = /^(\d{1,2})(st|nd|rd|th)?$/.exec(word || '');
+  return match ? Number(match[1]) : null;
+};
+
+const parseYear = (word) => (/^\d{4}$/.test(word || '') ? Number(word) : null);
+
+/**
+ * Whether the phrase ends at `words[index]`, apart from a time of day,
+ * !priority or #project
+ */
+function endsPhrase(words, index) {
+  let position = index;
+  while (position < words.length) {
+    if (/^[!#]/.test(words[position])) {
+      position += 1;
+      continue;
+    }
+    const time = matchTime(words, position);
+    if (!time) return false;
+    position += time.length;
+  }
+  return true;
+}
+
+/**
+ * Match a date phrase starting at `words[index]`
+ *
+ * @param {boolean} [afterConnector] - Whether "due", "by" or "on" came just before
+ * @returns {Object|null} `{ date, length }`, length in words
+ */
+function matchDate(words, index, today, afterConnector = false) {
+  const word = words[index];
+  const next = words[index + 1];
+
+  if (DATE_CONNECTORS.includes(word)) {
+    const match = matchDate(words, index + 1, today, true);
+    return match && { date: match.date, length: match.length + 1 };
+  }
+
+  if (word === 'today' || word === 'tonight') return { date: today, length: 1 };
+  if (word === 'tomorrow' || word === 'tmr' || word === 'tmrw') return { date: addDays(today, 1), length: 1 };
+
+  const weekday = lookup(WEEKDAYS, word);
+  const isDateWord = afterConnector || !AMBIGUOUS_WEEKDAYS.includes(word) || endsPhrase(words, index + 1);
+  if (weekday !== undefined && isDateWord) {
+    return { date: addDays(today, ((weekday - today.getDay() + 6) % 7) + 1), length: 1 };
+  }
+
+  // "next week" is next Monday, "next fri" the Friday of next week
+  if (word === 'next') {
+    const nextMonday = addDays(today, ((1 - today.getDay() + 6) % 7) + 1);
+    const nextWeekday = lookup(WEEKDAYS, next);
+    if (next === 'week') return { date: nextMonday, length: 2 };
+    if (next === 'month') return { date: new Date(today.getFullYear(), today.getMonth() + 1, 1), length: 2 };
+    if (nextWeekday !== undefined) return { date: addDays(nextMonday, (nextWeekday + 6) % 7), length: 2 };
+  }
+
+  if (word === 'in') {
+    const count = next === 'a' || next === 'an' ? 1 : Number(next);
+    const unit = lookup(UNITS, words[index + 2]);
+    if (Number.isInteger(count) && count > 0 && unit) {
+      let date = addDays(today, count);
+      if (unit === 'week') date = addDays(today, count * 7);
+      if (unit === 'month') date = addMonths(today, count);
+      return { date, length: 3 };
+    }
+  }
+
+  // "oct 3", "october 3rd 2026", "3 oct", "3rd october 2026"
+  const monthFirst = lookup(MONTHS, word) !== undefined && parseDayNumber(next);
+  const dayFirst = parseDayNumber(word) && lookup(MONTHS, next) !== undefined;
+  if (monthFirst || dayFirst) {
+    const month = lookup(MONTHS, monthFirst ? word : next);
+    const day = parseDayNumber(monthFirst ? next : word);
+    const year = parseYear(words[index + 2]);
+    const date = year ? makeDate(year, month, day) : upcomingDate(month, day, today);
+    return date && { date, length: year ? 3 : 2 };
+  }
+
+  // "2025-10-03"
+  const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(word);
+  if (iso) {
+    const date = makeDate(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+    return date && { date, length: 1 };
+  }
+
+  // "10/3", "10/3/26", "10/3/2026" (month first)
+  const slashed = /^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/.exec(word);
+  if (slashed) {
+    const month = Number(slashed[1]) - 1;
+    const day = Number(slashed[2]);
+    let year = slashed[3] ? Number(slashed[3]) : null;
+    if (year !== null && year < 100) year += 2000;
+    const date = year !== null ? makeDate(year, month, day) : upcomingDate(month, day, today);
+    return date && { date, length: 1 };
+  }
+
+  return null;
+}
+
+/**
+ * Match a time of day starting at `words[index]`: "3pm", "9:30am",
+ * "15:30", optionally after "at"
+ *
+ * @returns {Object|null} `{ hours, minutes, length }`
+ */
+function matchTime(words, index) {
+  const word = words[index];
+  if (word === 'at') {
+    const match = matchTime(words, index + 1);
+    return match && { ...match, length: match.length + 1 };
+  }
+
+  const twelveHour = /^(\d{1,2})(?::(\d{2}))?(am|pm)$/.exec(word);
+  if (twelveHour) {
+    const hours = Number(twelveHour[1]);
+    const minutes = Number(twelveHour[2] || 0);
+    if (hours < 1 || hours > 12 || minutes > 59) return null;
+    return { hours: (hours % 12) + (twelveHour[3] === 'pm' ? 12 : 0), minutes, length: 1 };
+  }
+
+  const twentyFourHour = /^(\d{1,2}):(\d{2})$/.exec(word);
+  if (twentyFourHour) {
+    const hours = Number(twentyFourHour[1]);
+    const minutes = Number(twentyFourHour[2]);
+    if (hours > 23 || minutes > 59) return null;
+    return { hours, minutes, length: 1 };
+  }
+
+  return null;
+}
+
+// Ignore case, whitespace and ASCII punctuation
+const normalizeName = (name) => (name || '').toLowerCase().replace(/[\s!-/:-@[-`{-~]/g, '');
+
+/**
+ * Find the project a "#name" refers to: an exact match first, then a
+ * title starting with the name, then one containing it
+ */
+export function findProjectByName(projects, name) {
+  const target = normalizeName(name);
+  if (!target) return null;
+  const titles = projects.map((project) => normalizeName(project.title));
+  const index = [
+    titles.indexOf(target),
+    titles.findIndex((title) => title.startsWith(target)),
+    titles.findIndex((title) => title.includes(target)),
+  ].find((candidate) => candidate >= 0);
+  return index === undefined ? null : projects[index];
+}
+
+/**
+ * Parse a quick-add phrase
+ *
+ * @param {string} text
+ * @param {Object} [options] - `{ projects, now }`
+ * @returns {Object} `{ title, deadline, hasTime, priority, project, projectName }`;
+ *   `project` is null when `#projectName` matched nothing
+ */
+export function parseQuickAdd(text, { projects = [], now = new Date() } = {}) {
+  const original = (text || '').trim().split(/\s+/).filter(Boolean);
+  // Lowercase and drop trailing punctuation for matching ("fri," -> "fri")
+  const words = original.map((word) => word.toLowerCase().replace(/[.,;]+$/, ''));
+  const today = startOfDay(now);
+  const titleWords = [];
+  const result = { title: '', deadline: null, hasTime: false, priority: null, project: null, projectName: null };
+  let time = null;
+
+  for (let index = 0; index < words.length;) {
+    const word = words[index];
+
+    const priority = word.startsWith('!') && lookup(PRIORITIES, word.slice(1));
+    if (priority && !result.priority) {
+      result.priority = priority;
+      index += 1;
+      continue;
+    }
+
+    if (word.length > 1 && word.startsWith('#') && result.projectName === null) {
+      result.projectName = original[index].slice(1).replace(/[.,;]+$/, '');
+      result.project = findProjectByName(projects, result.projectName);
+      index += 1;
+      continue;
+    }
+
+    const dateMatch = !result.deadline && matchDate(words, index, today);
+    if (dateMatch) {
+      result.deadline = dateMatch.date;
+      index += dateMatch.length;
+      continue;
+    }
+
+    const timeMatch = !time && matchTime(words, index);
+    if (timeMatch) {
+      time = timeMatch;
+      index += timeMatch.length;
+      continue;
+    }
+
+    titleWords.push(original[index]);
+    index += 1;
+  }
+
+  if (time) {
+    const day = result.deadline || today;
+    let deadline = new Date(day.getFullYear(), day.getMonth(), day.getDate(), time.hours, time.minutes);
+    // A time on its own means its next occurrence
+    if (!result.deadline && deadline <= now) {
+      deadline = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1, time.hours, time.minutes);
+    }
+    result.deadline = deadline;
+    result.hasTime = true;
+  }
+
+  result.title = titleWords.join(' ').slice(0, MAX_TITLE_LENGTH).trim();
+  return result;
+}
@@ -0,0 +1,230 @@
+/**
+ * recurrence.js - Repeat Rules for Recurring Tasks
+ *
+ * A recurring task stores a `repeat` rule:
+ *   { frequency: 'daily', interval }                      every N days
+ *   { frequency: 'weekly', interval, weekdays: [0-6] }    every N weeks on chosen days
+ *   { frequency: 'monthly', interval, monthlyMode,        every N months, on day
+ *     monthDay, weekOfMonth, weekday }                    `monthDay` ('date') or on the
+ *                                                         `weekOfMonth`-th `weekday`,
+ *                                                         e.g. 2nd Tuesday ('weekday')
+ *   { frequency: 'afterCompletion', interval }            N days after it is completed
+ *
+ * Only the current occurrence is stored. Completing it creates the next
+ * one; future occurrences are projected on the fly for the calendar.
+ */
+
+import { dateToLocalString } from './dateUtils';
+
+export const REPEAT_FREQUENCIES = ['daily', 'weekly', 'monthly', 'afterCompletion'];
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const ORDINALS = ['1st', '2nd', '3rd', '4th', 'last'];
+
+// Safety cap on projected occurrences per task
+const MAX_PROJECTED = 100;
+
+/**
+ * Copy of a date moved by a number of days, keeping its time of day
+ * (unlike dateUtils.addDays, which returns midnight)
+ */
+const shiftDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+/**
+ * Which occurrence of its weekday a date is in its month (0-based; 4 = last)
+ */
+const getWeekdayOrdinal = (date) => Math.floor((date.getDate() - 1) / 7);
+
+/**
+ * Fill in defaults and reject unknown frequencies
+ *
+ * @param {Object|null} rule
+ * @returns {Object|null} Normalised rule, or null when the task does not repeat
+ */
+export function normalizeRepeatRule(rule) {
+  if (!rule || !REPEAT_FREQUENCIES.includes(rule.frequency)) return null;
+  const interval = Math.max(1, Math.floor(Number(rule.interval) || 1));
+  const normalized = { frequency: rule.frequency, interval };
+  if (rule.frequency === 'weekly') {
+    normalized.weekdays = [...new Set(rule.weekdays || [])]
+      .filter((day) => day >= 0 && day <= 6)
+      .sort((a, b) => a - b);
+  }
+  if (rule.frequency === 'monthly') {
+    normalized.monthlyMode = rule.monthlyMode === 'weekday' ? 'weekday' : 'date';
+    ['monthDay', 'weekOfMonth', 'weekday'].forEach((key) => {
+      if (Number.isInteger(rule[key])) normalized[key] = rule[key];
+    });
+  }
+  return normalized;
+}
+
+/**
+ * Pin a monthly rule to its due date, so short months don't shift later
+ * occurrences (e.g. the 31st stays the 31st after February)
+ *
+ * @param {Object|null} rule
+ * @param {Date|null} deadline - Due date of the first occurrence
+ * @returns {Object|null} Normalised rule
+ */
+export function anchorRepeatRule(rule, deadline) {
+  const repeat = normalizeRepeatRule(rule);
+  if (!repeat || repeat.frequency !== 'monthly' || !deadline) return repeat;
+  return {
+    ...repeat,
+    monthDay: deadline.getDate(),
+    weekOfMonth: getWeekdayOrdinal(deadline),
+    weekday: deadline.getDay(),
+  };
+}
+
+/**
+ * Date of the occurrence after `anchor`
+ *
+ * @param {Object} rule - Repeat rule
+ * @param {Date} anchor - Due date of the current occurrence
+ * @param {Date} [completedAt] - When the current occurrence was completed
+ *   (only used by 'afterCompletion' rules)
+ * @returns {Date|null}
+ */
+export function getNextOccurrence(rule, anchor, completedAt = new Date()) {
+  const repeat = normalizeRepeatRule(rule);
+  if (!repeat || !anchor) return null;
+
+  switch (repeat.frequency) {
+    case 'daily':
+      return shiftDays(anchor, repeat.interval);
+
+    case 'weekly': {
+      const weekdays = repeat.weekdays.length ? repeat.weekdays : [anchor.getDay()];
+      // A later chosen day in the same week comes first
+      const laterThisWeek = weekdays.find((day) => day > anchor.getDay());
+      if (laterThisWeek !== undefined) {
+        return shiftDays(anchor, laterThisWeek - anchor.getDay());
+      }
+      const weekStart = shiftDays(anchor, -anchor.getDay());
+      return shiftDays(weekStart, repeat.interval * 7 + weekdays[0]);
+    }
+
+    case 'monthly': {
+      const target = new Date(anchor);
+      target.setDate(1);
+      target.setMonth(target.getMonth() + repeat.interval);
+      const year = target.getFullYear();
+      const month = target.getMonth();
+
+      if (repeat.monthlyMode === 'weekday') {
+        const weekday = repeat.weekday ?? anchor.getDay();
+        const ordinal = repeat.weekOfMonth ?? getWeekdayOrdinal(anchor);
+        const firstMatch = 1 + ((weekday - new Date(year, month, 1).getDay() + 7) % 7);
+        let day = firstMatch + ordinal * 7;
+        if (ordinal === 4 || day > daysInMonth(year, month)) {
+          // "last" weekday of the month
+          day = firstMatch + Math.floor((daysInMonth(year, month) - firstMatch) / 7) * 7;
+        }
+        target.setDate(day);
+      } else {
+        target.setDate(Math.min(repeat.monthDay ?? anchor.getDate(), daysInMonth(year, month)));
+      }
+      return target;
+    }
+
+    case 'afterCompletion': {
+      const base = new Date(completedAt);
+      base.setHours(anchor.getHours(), anchor.getMinutes(), anchor.getSeconds(), anchor.getMilliseconds());
+      return shiftDays(base, repeat.interval);
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Future occurrences after `anchor` that fall within a date range
+ *
+ * 'afterCompletion' rules are projected as if every occurrence is
+ * completed on its due date.
+ *
+ * @param {Object} rule - Repeat rule
+ * @param {Date} anchor - Due date of the current occurrence (not included)
+ * @param {Date} rangeStart - Inclusive
+ * @param {Date} rangeEnd - Inclusive
+ * @returns {Array<Date>}
+ */
+export function getOccurrencesBetween(rule, anchor, rangeStart, rangeEnd) {
+  const occurrences = [];
+  if (!normalizeRepeatRule(rule) || !anchor) return occurrences;
+
+  let current = anchor;
+  for (let i = 0; i < MAX_PROJECTED * 10 && occurrences.length < MAX_PROJECTED; i++) {
+    current = getNextOccurrence(rule, current, current);
+    if (!current || current > rangeEnd) break;
+    if (current >= rangeStart) occurrences.push(current);
+  }
+  return occurrences;
+}
+
+/**
+ * Projected future occurrences of open recurring tasks, by local day
+ *
+ * @param {Array} tasks - Tasks with `repeat` and `deadline` (Firestore Timestamp)
+ * @param {Date} rangeStart
+ * @param {Date} rangeEnd
+ * @returns {Object} `{ 'YYYY-MM-DD': [{ type: 'Task', projected: true, ...task }] }`
+ */
+export function groupProjectedOccurrences(tasks, rangeStart, rangeEnd) {
+  const byDate = {};
+  tasks.forEach((task) => {
+    if (task.completed || !task.repeat || !task.deadline?.toDate) return;
+    getOccurrencesBetween(task.repeat, task.deadline.toDate(), rangeStart, rangeEnd).forEach((date) => {
+      const dateStr = dateToLocalString(date);
+      if (!byDate[dateStr]) byDate[dateStr] = [];
+      byDate[dateStr].push({ type: 'Task', projected: true, ...task });
+    });
+  });
+  return byDate;
+}
+
+/**
+ * Human-readable summary, e.g. "Every 2 weeks on Mon, Thu"
+ *
+ * @param {Object|null} rule
+ * @param {Date} [anchor] - Due date, used to describe monthly rules
+ */
+export function describeRepeatRule(rule, anchor) {
+  const repeat = normalizeRepeatRule(rule);
+  if (!repeat) return 'Does not repeat';
+  const { interval } = repeat;
+  const every = (unit) => (interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`);
+
+  switch (repeat.frequency) {
+    case 'daily':
+      return every('day');
+    case 'weekly': {
+      const days = repeat.weekdays.map((day) => WEEKDAY_NAMES[day]).join(', ');
+      return days ? `${every('week')} on ${days}` : every('week');
+    }
+    case 'monthly': {
+      if (repeat.monthlyMode === 'weekday') {
+        const ordinal = repeat.weekOfMonth ?? (anchor && getWeekdayOrdinal(anchor));
+        const weekday = repeat.weekday ?? anchor?.getDay();
+        return ordinal === undefined || weekday === undefined
+          ? every('month')
+          : `${every('month')} on the ${ORDINALS[ordinal]} ${WEEKDAY_NAMES[weekday]}`;
+      }
+      const monthDay = repeat.monthDay ?? anchor?.getDate();
+      return monthDay ? `${every('month')} on day ${monthDay}` : every('month');
+    }
+    case 'afterCompletion':
+      return `${interval} day${interval === 1 ? '' : 's'} after completion`;
+    default:
+      return 'Does not repeat';
+  }
+}
@@ -0,0 +1,227 @@
+/**
+ * search.js - Full-Text Search Over Projects and Tasks
+ *
+ * Used by the Search screen:
+ * - Matches every word of the query against titles and descriptions,
+ *   ignoring case and accents
+ * - Tolerates typos: words of 4+ letters may be 1 edit off, 7+ letters 2
+ *   (a swapped pair of letters counts as one edit)
+ * - Ranks exact and prefix matches above fuzzy ones, and title matches
+ *   above description matches
+ * - Returns the matched character ranges so the screen can highlight them,
+ *   with long descriptions cut down to a snippet around the first match
+ * - Filters by priority, overdue and completed
+ */
+
+import { toJsDate } from './dateUtils';
+
+export const SEARCH_STATUS_FILTERS = ['all', 'open', 'overdue', 'completed'];
+
+const SNIPPET_CONTEXT = 40;
+const TITLE_WEIGHT = 2;
+// Words are runs of anything but whitespace and ASCII punctuation
+const WORD_CHAR = /[^\s!-/:-@[-`{-~]/;
+const WORD_PATTERN = /[^\s!-/:-@[-`{-~]+/g;
+
+/**
+ * Lowercase and strip accents, keeping the string length unchanged so
+ * match offsets still line up with the original text
+ */
+export function normalizeText(text) {
+  return (text || '')
+    .split('')
+    .map((char) => char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().charAt(0) || char)
+    .join('');
+}
+
+/**
+ * Edit distance between two strings, counting a swap of neighbouring
+ * letters as one edit. Gives up once it exceeds `max`.
+ */
+export function levenshtein(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+const allowedEdits = (term) => (term.length >= 7 ? 2 : term.length >= 4 ? 1 : 0);
+
+/**
+ * Split a query into normalized search terms
+ */
+export function tokenizeQuery(query) {
+  return normalizeText(query).match(WORD_PATTERN) || [];
+}
+
+/**
+ * Best match of one term in a text
+ *
+ * @returns {Object|null} `{ score, start, end }`, offsets into the text
+ */
+function matchTerm(term, normalized) {
+  // Substring match: best at the start of a word
+  const index = normalized.indexOf(term);
+  if (index >= 0) {
+    const atWordStart = index === 0 || !WORD_CHAR.test(normalized[index - 1]);
+    return { score: atWordStart ? 1 : 0.7, start: index, end: index + term.length };
+  }
+
+  const maxEdits = allowedEdits(term);
+  if (maxEdits === 0) return null;
+
+  // Fuzzy match against each word, or the start of a longer word
+  let best = null;
+  for (const word of normalized.matchAll(WORD_PATTERN)) {
+    const text = word[0];
+    const wordDistance = levenshtein(term, text, maxEdits);
+    const prefixDistance = text.length > term.length
+      ? levenshtein(term, text.slice(0, term.length), maxEdits)
+      : Infinity;
+    const distance = Math.min(wordDistance, prefixDistance);
+    if (distance <= maxEdits && (!best || 0.6 - 0.15 * distance > best.score)) {
+      const length = wordDistance <= prefixDistance ? text.length : term.length;
+      best = { score: 0.6 - 0.15 * distance, start: word.index, end: word.index + length };
+    }
+  }
+  return best;
+}
+
+/**
+ * Merge overlapping `[start, end]` ranges
+ */
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  return sorted.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+    return merged;
+  }, []);
+}
+
+/**
+ * Cut a long text down to the part around its first match
+ *
+ * @returns {Object} `{ text, ranges }` with ranges relative to the snippet
+ */
+export function buildSnippet(text, ranges, context = SNIPPET_CONTEXT) {
+  if (!ranges.length || text.length <= context * 2 + 20) return { text, ranges };
+  let start = Math.max(0, ranges[0][0] - context);
+  let end = Math.min(text.length, ranges[0][1] + context * 2);
+  // Don't cut words in half
+  while (start > 0 && /\S/.test(text[start - 1])) start--;
+  while (end < text.length && /\S/.test(text[end])) end++;
+  while (/\s/.test(text[start])) start++;
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const offset = prefix.length - start;
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    ranges: ranges
+      .filter((range) => range[0] >= start && range[1] <= end)
+      .map((range) => [range[0] + offset, range[1] + offset]),
+  };
+}
+
+/**
+ * Score an item against the query terms. Every term has to match in the
+ * title or the description.
+ *
+ * @returns {Object|null} `{ score, titleRanges, snippet }`
+ */
+export function matchItem(item, terms) {
+  const title = item.title || '';
+  const description = item.description || '';
+  const normalizedTitle = normalizeText(title);
+  const normalizedDescription = normalizeText(description);
+  const titleRanges = [];
+  const descriptionRanges = [];
+  let score = 0;
+
+  for (const term of terms) {
+    const inTitle = matchTerm(term, normalizedTitle);
+    const inDescription = matchTerm(term, normalizedDescription);
+    if (!inTitle && !inDescription) return null;
+    if (inTitle) titleRanges.push([inTitle.start, inTitle.end]);
+    if (inDescription) descriptionRanges.push([inDescription.start, inDescription.end]);
+    score += Math.max((inTitle?.score || 0) * TITLE_WEIGHT, inDescription?.score || 0);
+  }
+
+  // The whole phrase in the title beats the same words scattered around
+  if (terms.length > 1 && normalizedTitle.includes(terms.join(' '))) score += TITLE_WEIGHT;
+
+  return {
+    score,
+    titleRanges: mergeRanges(titleRanges),
+    snippet: descriptionRanges.length ? buildSnippet(description, mergeRanges(descriptionRanges)) : null,
+  };
+}
+
+/**
+ * Whether a project or task has a deadline in the past and is unfinished
+ */
+export function isItemOverdue(item, now = new Date()) {
+  const deadline = toJsDate(item.deadline);
+  return !item.completed && !!deadline && deadline < now;
+}
+
+/**
+ * Check an item against the screen's filters
+ *
+ * @param {Object} filters - `{ priority: null | 'urgent' | 'medium' | 'low',
+ *   status: 'all' | 'open' | 'overdue' | 'completed' }`
+ */
+export function passesFilters(item, { priority = null, status = 'all' } = {}, now = new Date()) {
+  if (priority && item.priority?.toLowerCase() !== priority) return false;
+  if (status === 'open') return !item.completed;
+  if (status === 'overdue') return isItemOverdue(item, now);
+  if (status === 'completed') return !!item.completed;
+  return true;
+}
+
+/**
+ * Search projects and tasks
+ *
+ * @param {Object} data - `{ projects, tasks, projectsById }`
+ * @param {string} query
+ * @param {Object} [filters] - See `passesFilters`
+ * @param {Date} [now]
+ * @returns {Array} `[{ type: 'project' | 'task', item, project, score,
+ *   titleRanges, snippet }]`, best match first
+ */
+export function searchItems({ projects, tasks, projectsById }, query, filters, now = new Date()) {
+  const terms = tokenizeQuery(query);
+  if (terms.length === 0) return [];
+
+  const results = [];
+  const consider = (type, item, project) => {
+    if (!passesFilters(item, filters, now)) return;
+    const match = matchItem(item, terms);
+    if (match) results.push({ type, item, project, ...match });
+  };
+  projects.forEach((project) => consider('project', project, project));
+  tasks.forEach((task) => consider('task', task, projectsById[task.projectId]));
+
+  return results.sort((a, b) =>
+    b.score - a.score ||
+    Number(!!a.item.completed) - Number(!!b.item.completed) ||
+    (a.item.title || '').localeCompare(b.item.title || '')
+  );
+}
@@ -0,0 +1,134 @@
+/**
+ * smartLists.js - Cross-Project Task Lists Built From Filter Rules
+ *
+ * A smart list is `{ id, name, icon, rules }`. Its tasks are every live
+ * task, from any project, that matches all of the rules:
+ * - priorities: only these priorities (empty = any)
+ * - deadlineWindow: 'any' | 'today' | 'next7' | 'next30' | 'none'
+ *   (windows count calendar days from today, today included)
+ * - overdue: only unfinished tasks due before today
+ * - projectIds: only tasks in these projects (empty = all)
+ * - completion: 'open' | 'completed' | 'all'
+ *
+ * "Today", "Upcoming 7 days", "Overdue" and "Urgent" are built in; lists
+ * the user saves are stored with their account (see smartListsService).
+ */
+
+import { toJsDate, dateToLocalString, addDays } from './dateUtils';
+import { sortTasks } from './dataSelectors';
+
+export const DEADLINE_WINDOWS = [
+  { key: 'any', label: 'Any date' },
+  { key: 'today', label: 'Today', days: 1 },
+  { key: 'next7', label: 'Next 7 days', days: 8 },
+  { key: 'next30', label: 'Next 30 days', days: 31 },
+  { key: 'none', label: 'No deadline' },
+];
+
+export const COMPLETION_STATES = [
+  { key: 'open', label: 'Open' },
+  { key: 'completed', label: 'Completed' },
+  { key: 'all', label: 'All' },
+];
+
+export const DEFAULT_RULES = {
+  priorities: [],
+  deadlineWindow: 'any',
+  overdue: false,
+  projectIds: [],
+  completion: 'open',
+};
+
+export const BUILT_IN_SMART_LISTS = [
+  { id: 'today', name: 'Today', icon: 'today-outline', rules: { deadlineWindow: 'today' } },
+  { id: 'upcoming', name: 'Upcoming 7 days', icon: 'calendar-outline', rules: { deadlineWindow: 'next7' } },
+  { id: 'overdue', name: 'Overdue', icon: 'alert-circle-outline', rules: { overdue: true } },
+  { id: 'urgent', name: 'Urgent', icon: 'flame-outline', rules: { priorities: ['urgent'] } },
+].map((list) => ({ ...list, builtIn: true, rules: { ...DEFAULT_RULES, ...list.rules } }));
+
+/**
+ * Fill in missing rules with the defaults
+ */
+export function normalizeRules(rules) {
+  return { ...DEFAULT_RULES, ...(rules || {}) };
+}
+
+/**
+ * Built-in lists followed by the user's saved lists
+ */
+export function getAllSmartLists(savedLists = []) {
+  return [...BUILT_IN_SMART_LISTS, ...savedLists];
+}
+
+/**
+ * Whether a task matches every rule
+ */
+export function matchesRules(task, rules, now = new Date()) {
+  const { priorities, deadlineWindow, overdue, projectIds, completion } = normalizeRules(rules);
+  const todayStr = dateToLocalString(now);
+  const deadlineStr = dateToLocalString(toJsDate(task.deadline));
+
+  if (completion === 'open' && task.completed) return false;
+  if (completion === 'completed' && !task.completed) return false;
+  if (priorities.length && !priorities.includes(task.priority?.toLowerCase())) return false;
+  if (projectIds.length && !projectIds.includes(task.projectId)) return false;
+  if (overdue && (task.completed || !deadlineStr || deadlineStr >= todayStr)) return false;
+
+  if (deadlineWindow === 'none') return !deadlineStr;
+  const window = DEADLINE_WINDOWS.find((option) => option.key === deadlineWindow);
+  if (window?.days) {
+    const endStr = dateToLocalString(addDays(now, window.days));
+    return !!deadlineStr && deadlineStr >= todayStr && deadlineStr < endStr;
+  }
+  return true;
+}
+
+/**
+ * A list's tasks, earliest deadline first (tasks without one last), then
+ * in the usual task order
+ */
+export function getSmartListTasks(list, tasks, now = new Date()) {
+  const deadlineTime = (task) => toJsDate(task.deadline)?.getTime() ?? Infinity;
+  // Array sort is stable, so ties keep the sortTasks order
+  return sortTasks(tasks.filter((task) => matchesRules(task, list.rules, now)))
+    .sort((a, b) => (deadlineTime(a) === deadlineTime(b) ? 0 : deadlineTime(a) < deadlineTime(b) ? -1 : 1));
+}
+
+/**
+ * Number of tasks in each list
+ *
+ * @returns {Object} `{ [listId]: count }`
+ */
+export function getSmartListCounts(lists, tasks, now = new Date()) {
+  const counts = {};
+  lists.forEach((list) => {
+    counts[list.id] = tasks.reduce((count, task) => count + (matchesRules(task, list.rules, now) ? 1 : 0), 0);
+  });
+  return counts;
+}
+
+/**
+ * Whether two rule sets select the same tasks
+ */
+export function rulesEqual(a, b) {
+  const left = normalizeRules(a);
+  const right = normalizeRules(b);
+  const sameSet = (x, y) => x.length === y.length && x.every((value) => y.includes(value));
+  return left.deadlineWindow === right.deadlineWindow &&
+    left.overdue === right.overdue &&
+    left.completion === right.completion &&
+    sameSet(left.priorities, right.priorities) &&
+    sameSet(left.projectIds, right.projectIds);
+}
+
+/**
+ * New saved list with a unique ID
+ */
+export function createSmartList(name, rules) {
+  return {
+    id: `list-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: name.trim(),
+    icon: 'funnel-outline',
+    rules: normalizeRules(rules),
+  };
+}
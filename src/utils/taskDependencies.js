@@ -0,0 +1,83 @@
+/**
+ * taskDependencies.js - "Blocked by" Links Between Tasks
+ *
+ * A task's `blockedBy` is an array of IDs of tasks in the same project
+ * that must be done before it can start. Links to tasks that no longer
+ * exist (deleted or in the Trash) are ignored. These helpers are pure
+ * and work on a `{ [taskId]: task }` index of live tasks.
+ */
+
+import { toJsDate } from './dateUtils';
+
+/**
+ * IDs a task is blocked by, tolerating tasks created before dependencies existed
+ *
+ * @param {Object} task
+ * @returns {Array<string>}
+ */
+export function getBlockerIds(task) {
+  return Array.isArray(task?.blockedBy) ? task.blockedBy : [];
+}
+
+/**
+ * Blockers that still exist and are not completed
+ *
+ * @param {Object} task
+ * @param {Object} tasksById - Live tasks indexed by ID
+ * @returns {Array} Blocking tasks
+ */
+export function getOpenBlockers(task, tasksById) {
+  return getBlockerIds(task)
+    .map((id) => tasksById[id])
+    .filter((blocker) => blocker && !blocker.completed);
+}
+
+/**
+ * Whether linking `taskId` to `blockerIds` would make a task (indirectly)
+ * wait on itself
+ *
+ * @param {string|null} taskId - Task being edited; null for a new task
+ * @param {Array<string>} blockerIds - Proposed `blockedBy` for that task
+ * @param {Object} tasksById - Live tasks indexed by ID
+ * @returns {boolean}
+ */
+export function createsDependencyCycle(taskId, blockerIds, tasksById) {
+  // A new task has no dependents yet, so it cannot close a loop
+  if (!taskId) return false;
+
+  const visited = new Set();
+  const stack = [...blockerIds];
+  while (stack.length) {
+    const id = stack.pop();
+    if (id === taskId) return true;
+    if (visited.has(id)) continue;
+    visited.add(id);
+    stack.push(...getBlockerIds(tasksById[id]));
+  }
+  return false;
+}
+
+/**
+ * Local midnight of a deadline, for comparing calendar days
+ */
+const toDay = (value) => {
+  const date = toJsDate(value);
+  return date ? new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime() : null;
+};
+
+/**
+ * Open blockers that are due after the task itself, i.e. the task is
+ * scheduled to finish before the work it depends on
+ *
+ * @param {Object} task
+ * @param {Object} tasksById - Live tasks indexed by ID
+ * @returns {Array} Conflicting blocking tasks
+ */
+export function getScheduleConflicts(task, tasksById) {
+  const taskDay = toDay(task.deadline);
+  if (taskDay === null) return [];
+  return getOpenBlockers(task, tasksById).filter((blocker) => {
+    const blockerDay = toDay(blocker.deadline);
+    return blockerDay !== null && blockerDay > taskDay;
+  });
+}
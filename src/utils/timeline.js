@@ -0,0 +1,180 @@
+/**
+ * timeline.js - Layout Helpers for the Timeline (Gantt) Screen
+ *
+ * Turns projects and tasks into rows of date spans, axis ticks and
+ * dependency links. All dates are whole local days; positions are
+ * expressed in days from the start of the visible range, so the screen
+ * only has to multiply by the zoom level's day width.
+ */
+
+import { toJsDate, startOfDay, addDays } from './dateUtils';
+import { getBlockerIds } from './taskDependencies';
+
+export const ZOOM_LEVELS = {
+  week: { label: 'Week', dayWidth: 48 },
+  month: { label: 'Month', dayWidth: 16 },
+  quarter: { label: 'Quarter', dayWidth: 5 },
+};
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Days of padding around the earliest and latest bars
+const RANGE_PADDING_DAYS = 7;
+
+/**
+ * Whole calendar days from one date to another (unaffected by DST changes)
+ */
+export function daysBetween(from, to) {
+  const fromUtc = Date.UTC(from.getFullYear(), from.getMonth(), from.getDate());
+  const toUtc = Date.UTC(to.getFullYear(), to.getMonth(), to.getDate());
+  return Math.round((toUtc - fromUtc) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Span covered by a project or task, from `startDate` to `deadline`
+ *
+ * Items with only one of the two dates become one-day milestones.
+ *
+ * @param {Object} item
+ * @returns {Object|null} `{ start, end, isMilestone }`, or null without dates
+ */
+export function getItemSpan(item) {
+  const start = toJsDate(item.startDate);
+  const end = toJsDate(item.deadline);
+  if (!start && !end) return null;
+
+  const spanStart = startOfDay(start || end);
+  const spanEnd = startOfDay(end || start);
+  return {
+    start: spanStart,
+    // A start date after the deadline is shown as a single day
+    end: spanEnd < spanStart ? spanStart : spanEnd,
+    isMilestone: !start || !end,
+  };
+}
+
+/**
+ * Smallest span covering a list of spans
+ */
+const mergeSpans = (spans) => {
+  const present = spans.filter(Boolean);
+  if (present.length === 0) return null;
+  return {
+    start: new Date(Math.min(...present.map((span) => span.start.getTime()))),
+    end: new Date(Math.max(...present.map((span) => span.end.getTime()))),
+    isMilestone: false,
+  };
+};
+
+/**
+ * Build the timeline rows: one per project, followed by one per task for
+ * expanded projects. A project without dates spans its tasks.
+ * Projects are ordered by start date; undated ones come last.
+ *
+ * @param {Array} projects
+ * @param {Object} tasksByProject - `{ [projectId]: Task[] }`
+ * @param {Set<string>} expandedProjectIds
+ * @returns {Array} `[{ key, type: 'project' | 'task', item, span, taskCount }]`
+ */
+export function buildTimelineRows(projects, tasksByProject, expandedProjectIds) {
+  const projectRows = projects.map((project) => {
+    const tasks = tasksByProject[project.id] || [];
+    const taskRows = tasks.map((task) => ({
+      key: `task:${task.id}`,
+      type: 'task',
+      item: task,
+      span: getItemSpan(task),
+    }));
+    return {
+      key: `project:${project.id}`,
+      type: 'project',
+      item: project,
+      span: getItemSpan(project) || mergeSpans(taskRows.map((row) => row.span)),
+      taskCount: tasks.length,
+      taskRows: taskRows.sort((a, b) => (a.span?.start.getTime() ?? Infinity) - (b.span?.start.getTime() ?? Infinity)),
+    };
+  });
+
+  projectRows.sort((a, b) => (a.span?.start.getTime() ?? Infinity) - (b.span?.start.getTime() ?? Infinity));
+
+  const rows = [];
+  projectRows.forEach(({ taskRows, ...projectRow }) => {
+    rows.push(projectRow);
+    if (expandedProjectIds.has(projectRow.item.id)) rows.push(...taskRows);
+  });
+  return rows;
+}
+
+/**
+ * Visible date range: every bar plus today, padded on both sides
+ *
+ * @param {Array} rows - Output of `buildTimelineRows`
+ * @param {Date} [today]
+ * @returns {Object} `{ start, end, days }`
+ */
+export function getTimelineRange(rows, today = new Date()) {
+  const merged = mergeSpans([
+    ...rows.map((row) => row.span),
+    { start: startOfDay(today), end: startOfDay(today) },
+  ]);
+  const start = addDays(merged.start, -RANGE_PADDING_DAYS);
+  const end = addDays(merged.end, RANGE_PADDING_DAYS);
+  return { start, end, days: daysBetween(start, end) + 1 };
+}
+
+/**
+ * Axis labels for a zoom level: every day (week zoom), every Monday
+ * (month zoom) or every first of the month (quarter zoom)
+ *
+ * @param {Object} range - Output of `getTimelineRange`
+ * @param {string} zoom - Key of ZOOM_LEVELS
+ * @returns {Array} `[{ key, offset, label }]` where offset is in days
+ */
+export function getTimelineTicks(range, zoom) {
+  const ticks = [];
+  for (let offset = 0; offset < range.days; offset++) {
+    const date = addDays(range.start, offset);
+    let label = null;
+    if (zoom === 'week') {
+      label = `${WEEKDAY_NAMES[date.getDay()]} ${date.getDate()}`;
+    } else if (zoom === 'month' && date.getDay() === 1) {
+      label = `${MONTH_NAMES[date.getMonth()]} ${date.getDate()}`;
+    } else if (zoom === 'quarter' && date.getDate() === 1) {
+      label = `${MONTH_NAMES[date.getMonth()]} ${date.getFullYear()}`;
+    }
+    if (label) ticks.push({ key: String(offset), offset, label });
+  }
+  return ticks;
+}
+
+/**
+ * "Blocked by" links between task rows that are both visible and dated
+ *
+ * @param {Array} rows - Output of `buildTimelineRows`
+ * @returns {Array} `[{ key, fromIndex, toIndex, isConflict }]` (blocker row →
+ *   dependent row); `isConflict` when the blocker ends after the dependent starts
+ */
+export function getDependencyLinks(rows) {
+  const rowIndexByTaskId = {};
+  rows.forEach((row, index) => {
+    if (row.type === 'task' && row.span) rowIndexByTaskId[row.item.id] = index;
+  });
+
+  const links = [];
+  rows.forEach((row, toIndex) => {
+    if (row.type !== 'task' || !row.span) return;
+    getBlockerIds(row.item).forEach((blockerId) => {
+      const fromIndex = rowIndexByTaskId[blockerId];
+      if (fromIndex !== undefined) {
+        links.push({
+          key: `${blockerId}->${row.item.id}`,
+          fromIndex,
+          toIndex,
+          isConflict: rows[fromIndex].span.end > row.span.start,
+        });
+      }
+    });
+  });
+  return links;
+}
@@ -0,0 +1,110 @@
+/**
+ * workflow.js - Project Workflow Statuses
+ *
+ * Each project can define its own ordered list of statuses
+ * (`project.statuses`, e.g. Backlog / In Progress / Review / Done) that
+ * become the columns of the task board. The last status is terminal:
+ * a task is `completed` exactly when it sits in that column, so progress
+ * calculations keep working on the `completed` flag alone.
+ *
+ * Tasks store their column in `status`. Tasks without one (or whose
+ * status was removed from the project) fall back to the first column,
+ * or to the terminal column when completed.
+ */
+
+export const DEFAULT_STATUSES = [
+  { id: 'backlog', name: 'Backlog' },
+  { id: 'inProgress', name: 'In Progress' },
+  { id: 'review', name: 'Review' },
+  { id: 'done', name: 'Done' },
+];
+
+export const MIN_STATUSES = 2;
+export const MAX_STATUSES = 8;
+
+/**
+ * A project's statuses, or the defaults when none are configured
+ *
+ * @param {Object} project
+ * @returns {Array} `[{ id, name }]`
+ */
+export function getProjectStatuses(project) {
+  const statuses = project?.statuses;
+  return Array.isArray(statuses) && statuses.length >= MIN_STATUSES ? statuses : DEFAULT_STATUSES;
+}
+
+/**
+ * The column that marks a task as completed
+ *
+ * @param {Array} statuses
+ */
+export function getTerminalStatus(statuses) {
+  return statuses[statuses.length - 1];
+}
+
+/**
+ * Column a task belongs in
+ *
+ * @param {Object} task
+ * @param {Array} statuses
+ * @returns {string} Status ID
+ */
+export function getTaskStatusId(task, statuses) {
+  const terminalId = getTerminalStatus(statuses).id;
+  if (task.completed) return terminalId;
+  const isOpenStatus = task.status !== terminalId && statuses.some((status) => status.id === task.status);
+  return isOpenStatus ? task.status : statuses[0].id;
+}
+
+/**
+ * Group tasks into board columns, keeping their order within each column
+ *
+ * @param {Array} tasks
+ * @param {Array} statuses
+ * @returns {Object} `{ [statusId]: Task[] }`
+ */
+export function groupTasksByStatus(tasks, statuses) {
+  const columns = {};
+  statuses.forEach((status) => {
+    columns[status.id] = [];
+  });
+  tasks.forEach((task) => {
+    columns[getTaskStatusId(task, statuses)].push(task);
+  });
+  return columns;
+}
+
+/**
+ * Build a new status with a unique ID
+ *
+ * @param {string} name
+ */
+export function createStatus(name) {
+  return {
+    id: `status_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 6)}`,
+    name: name.trim(),
+  };
+}
+
+/**
+ * Check a status list before saving it
+ *
+ * @param {Array} statuses
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateStatuses(statuses) {
+  if (statuses.length < MIN_STATUSES) {
+    return `A workflow needs at least ${MIN_STATUSES} statuses.`;
+  }
+  if (statuses.length > MAX_STATUSES) {
+    return `A workflow can have at most ${MAX_STATUSES} statuses.`;
+  }
+  if (statuses.some((status) => !status.name.trim())) {
+    return 'Every status needs a name.';
+  }
+  const names = statuses.map((status) => status.name.trim().toLowerCase());
+  if (new Set(names).size !== names.length) {
+    return 'Status names must be unique.';
+  }
+  return null;
+}